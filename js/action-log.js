@@ -0,0 +1,219 @@
+/**
+ * Action Log Module
+ * Central undo/redo history of tracking actions (pipeline toggles and stages, notes, tags).
+ * Each action stores the value of every piece of data it changed, before and after,
+ * so it can be undone and redone. The last actions are kept in localStorage across reloads.
+ */
+import { getStoredJobState, restoreJobState } from './bookmarks.js';
+import { getStoredJobNote, restoreJobNote } from './notes.js';
+import { listTags, restoreTags, getJobTagIds, setJobTagIds } from './tags.js';
+
+const ACTION_LOG_STORAGE_KEY = 'forem_action_log';
+
+/** Number of actions kept in the undo (and redo) history */
+export const MAX_ACTIONS = 50;
+
+/**
+ * How to read, write and announce each kind of tracked data.
+ * Keys: 'jobState' (pipeline state of a job), 'note' (note of a job),
+ * 'jobTags' (tag IDs of a job) and 'tagList' (the custom tags themselves, key unused).
+ */
+const TARGETS = {
+    jobState: {
+        read: (jobId) => getStoredJobState(jobId),
+        write: (jobId, value) => restoreJobState(jobId, value),
+        notify: (jobId, value) => window.dispatchEvent(new CustomEvent('jobStateChanged', {
+            detail: { jobId, type: 'stage', value: value?.stage || null }
+        }))
+    },
+    note: {
+        read: (jobId) => getStoredJobNote(jobId),
+        write: (jobId, value) => restoreJobNote(jobId, value),
+        notify: () => {} // restoreJobNote already dispatches jobNoteChanged
+    },
+    jobTags: {
+        read: (jobId) => getJobTagIds(jobId),
+        write: (jobId, value) => setJobTagIds(jobId, value),
+        notify: (jobId) => window.dispatchEvent(new CustomEvent('jobTagsChanged', {
+            detail: { jobId }
+        }))
+    },
+    tagList: {
+        read: () => listTags(),
+        write: (_, value) => restoreTags(value),
+        notify: () => {}
+    }
+};
+
+/**
+ * Gets the stored history.
+ * @returns {Object} { undo: Array<Object>, redo: Array<Object> } (most recent action last)
+ */
+function getLog() {
+    try {
+        const data = localStorage.getItem(ACTION_LOG_STORAGE_KEY);
+        const log = data ? JSON.parse(data) : {};
+        return { undo: log.undo || [], redo: log.redo || [] };
+    } catch (e) {
+        console.error('Error reading action log:', e);
+        return { undo: [], redo: [] };
+    }
+}
+
+/**
+ * Saves the history, keeping only the last MAX_ACTIONS actions of each stack.
+ * @param {Object} log - { undo, redo }
+ */
+function saveLog(log) {
+    try {
+        localStorage.setItem(ACTION_LOG_STORAGE_KEY, JSON.stringify({
+            undo: log.undo.slice(-MAX_ACTIONS),
+            redo: log.redo.slice(-MAX_ACTIONS)
+        }));
+    } catch (e) {
+        console.error('Error saving action log:', e);
+    }
+}
+
+/**
+ * Announces a change of the history (recorded, undone or redone action).
+ * @param {string} reason - 'record', 'undo' or 'redo'
+ * @param {Object} action - The action concerned
+ */
+function notifyLogChanged(reason, action) {
+    window.dispatchEvent(new CustomEvent('actionLogChanged', {
+        detail: { reason, action, canUndo: canUndo(), canRedo: canRedo() }
+    }));
+}
+
+/**
+ * Runs a mutation and records it in the history with the prior value of the data it touches.
+ * Nothing is recorded when the mutation changed nothing.
+ * @param {string} label - Description of the action, shown in the undo toast (e.g. "Ajout aux favoris")
+ * @param {Array<{type: string, key?: string}>} targets - Data touched by the mutation (see TARGETS)
+ * @param {Function} mutate - The mutation
+ * @returns {*} The return value of the mutation
+ */
+export function trackAction(label, targets, mutate) {
+    const changes = targets.map(({ type, key = null }) => ({ type, key, before: TARGETS[type].read(key) }));
+    const result = mutate();
+
+    changes.forEach(change => {
+        change.after = TARGETS[change.type].read(change.key);
+    });
+    const effective = changes.filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+
+    if (effective.length) {
+        const action = {
+            id: `action_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            label,
+            date: new Date().toISOString(),
+            changes: effective
+        };
+        const log = getLog();
+        log.undo.push(action);
+        log.redo = [];
+        saveLog(log);
+        notifyLogChanged('record', action);
+    }
+
+    return result;
+}
+
+/**
+ * Writes one side (before or after) of every change of an action.
+ * @param {Object} action - The action
+ * @param {string} side - 'before' (undo) or 'after' (redo)
+ */
+function applyAction(action, side) {
+    const changes = side === 'before' ? [...action.changes].reverse() : action.changes;
+    changes.forEach(change => {
+        const target = TARGETS[change.type];
+        if (!target) return;
+        target.write(change.key, change[side]);
+        target.notify(change.key, change[side]);
+    });
+}
+
+/**
+ * Undoes the last action.
+ * @returns {Object|null} The undone action, or null if there is nothing to undo
+ */
+export function undoAction() {
+    const log = getLog();
+    const action = log.undo.pop();
+    if (!action) return null;
+
+    applyAction(action, 'before');
+    log.redo.push(action);
+    saveLog(log);
+    notifyLogChanged('undo', action);
+    return action;
+}
+
+/**
+ * Undoes a given action, even if other actions were recorded since (e.g. the undo of a view that
+ * keeps its own stack of actions). Only the last action can be redone afterwards: redoing an older
+ * one would overwrite the changes made after it.
+ * @param {string} actionId - ID of the action
+ * @returns {Object|null} The undone action, or null if it is no longer in the undo history
+ */
+export function undoActionById(actionId) {
+    const log = getLog();
+    const index = log.undo.findIndex(action => action.id === actionId);
+    if (index === -1) return null;
+
+    const [action] = log.undo.splice(index, 1);
+    applyAction(action, 'before');
+    if (index === log.undo.length) log.redo.push(action);
+    saveLog(log);
+    notifyLogChanged('undo', action);
+    return action;
+}
+
+/**
+ * Redoes the last undone action.
+ * @returns {Object|null} The redone action, or null if there is nothing to redo
+ */
+export function redoAction() {
+    const log = getLog();
+    const action = log.redo.pop();
+    if (!action) return null;
+
+    applyAction(action, 'after');
+    log.undo.push(action);
+    saveLog(log);
+    notifyLogChanged('redo', action);
+    return action;
+}
+
+/**
+ * Checks whether an action can be undone.
+ * @returns {boolean} True if the undo history is not empty
+ */
+export function canUndo() {
+    return getLog().undo.length > 0;
+}
+
+/**
+ * Checks whether an action can be redone.
+ * @returns {boolean} True if the redo history is not empty
+ */
+export function canRedo() {
+    return getLog().redo.length > 0;
+}
+
+/**
+ * Gets the recorded actions, most recent first.
+ * @returns {Array<Object>} Actions { id, label, date, changes }
+ */
+export function getActionHistory() {
+    return getLog().undo.slice().reverse();
+}
+
+/**
+ * Clears the whole history.
+ */
+export function clearActionLog() {
+    saveLog({ undo: [], redo: [] });
+}
@@ -154,7 +154,7 @@ export async function generateCoverLetter(job, options = {}) {
             success: true,
             letter: letter.trim(),
             jobId: job.numerooffreforem || job.id,
-            jobTitle: job.libelleoffre || job.title,
+            jobTitle: job.titreoffre || job.libelleoffre || job.title,
             company: job.employeur?.denomination || job.nomemployeur,
             style: style,
             generatedAt: new Date().toISOString()
@@ -7,10 +7,26 @@ import { generateContent, parseJsonResponse, GeminiError, hasApiKey, canMakeRequ
 import { getProfile } from './cv-profile.js';
 import { getUserLocation } from './state.js';
 import { getDistance, showToast } from './utils.js';
+import { detectWorkMode, WORK_MODES } from './work-mode.js';
+import { getCachedCommute, formatCommute } from './commute.js';
+import { findLocality, findLocalityInText, normalizePlaceName } from './gazetteer.js';
+import { findSkill, isKnownSkill, normalizeSkillText, describeSkillMatch } from './skills-thesaurus.js';
+import { getCachedSkillSimilarities } from './skill-embeddings.js';
 
 // Storage pour les scores calculés
 const SCORES_STORAGE = 'forem_matching_scores';
 
+// Points selon la préférence de télétravail du profil (lignes) et le mode détecté dans l'offre (colonnes)
+const WORK_MODE_POINTS = {
+    remote: { remote: 10, hybrid: 5, onsite: -10 },
+    hybrid: { remote: 6, hybrid: 8, onsite: -5 },
+    onsite: { remote: -5, hybrid: 0, onsite: 5 }
+};
+
+// Similarité minimale (embeddings) entre une compétence et une phrase de l'offre, et part de la compétence comptée
+export const SEMANTIC_THRESHOLD = 0.6;
+const SEMANTIC_WEIGHT = 0.7;
+
 // DEBUG: Exposer des fonctions pour analyser le scoring dans la console
 window.debugScoring = function() {
     const profile = getProfile();
@@ -26,6 +42,7 @@ window.debugScoring = function() {
     console.log('  - Location:', profile.location);
     console.log('  - Languages:', profile.languages?.map(l => l.name).join(', '));
     console.log('  - Experience:', profile.totalExperienceYears, 'ans');
+    console.log('  - Télétravail:', profile.remotePreference || 'indifférent');
     
     return profile;
 };
@@ -245,7 +262,7 @@ export function calculateLocalScore(profile, job) {
     
     let score = 0; // Commence à 0, pas 50
     const matchingKeywords = [];
-    const fuzzyMatches = []; // Matches approximatifs via Levenshtein
+    const fuzzyMatches = []; // Matches approximatifs: thésaurus, Levenshtein, sens proche
     const details = {};
     
     // Collecter TOUT le texte disponible de l'offre (utiliser tous les champs)
@@ -279,28 +296,44 @@ export function calculateLocalScore(profile, job) {
     const jobWords = extractWords(jobText);
     const titleWords = extractWords(jobTitle);
     
+    // Texte normalisé pour le thésaurus (sans accents, termes entiers)
+    const skillText = normalizeSkillText(jobText);
+    const skillTitle = normalizeSkillText(jobTitle);
+    
     // 1. Match des compétences (max 45 points)
     if (profile.skills && profile.skills.length > 0) {
         let matched = 0;
         let titleMatched = 0;
+        let thesaurusMatches = 0;
+        let semanticMatches = 0;
+        // Similarités calculées en arrière-plan par le modèle local (si activé)
+        const similarities = getCachedSkillSimilarities(profile, job) || {};
         
         profile.skills.forEach(skill => {
             const skillLower = skill.name.toLowerCase();
             const skillWords = skillLower.split(/[\s\-\/]+/).filter(w => w.length >= 2);
+            // Compétence du thésaurus: toutes ses variantes sont connues, pas de sous-mots ni de Levenshtein
+            const isKnown = isKnownSkill(skill.name);
             
             let isMatch = false;
             let isTitleMatch = false;
+            let weight = 1;
             
-            // 1a. Match exact (contient le mot entier)
-            if (jobText.includes(skillLower)) {
+            // 1a. Thésaurus: nom, synonymes, acronymes, variantes FR/NL/EN, compétence parente ou enfant
+            //     (termes entiers, les mentions niées comme "pas de Java" sont ignorées)
+            const thesaurusMatch = findSkill(skill.name, skillText);
+            if (thesaurusMatch) {
                 isMatch = true;
-                if (jobTitle.includes(skillLower)) {
-                    isTitleMatch = true;
+                weight = thesaurusMatch.weight;
+                isTitleMatch = findSkill(skill.name, skillTitle)?.relation === 'same';
+                if (thesaurusMatch.relation !== 'same' || thesaurusMatch.term !== normalizeSkillText(skill.name)) {
+                    thesaurusMatches++;
+                    fuzzyMatches.push(describeSkillMatch(skill.name, thesaurusMatch));
                 }
             }
             
             // 1b. Match des sous-mots de la compétence
-            if (!isMatch) {
+            if (!isMatch && !isKnown) {
                 for (const word of skillWords) {
                     if (word.length >= 3 && jobText.includes(word)) {
                         isMatch = true;
@@ -313,7 +346,7 @@ export function calculateLocalScore(profile, job) {
             }
             
             // 1c. Match fuzzy avec Levenshtein (seuil 0.75 = 75% similarité)
-            if (!isMatch) {
+            if (!isMatch && !isKnown) {
                 for (const word of skillWords) {
                     if (word.length >= 4) { // Seulement pour les mots de 4+ caractères
                         const fuzzyResult = findBestMatch(word, jobWords, 0.75);
@@ -332,8 +365,16 @@ export function calculateLocalScore(profile, job) {
                 }
             }
             
+            // 1d. Similarité sémantique avec une phrase de l'offre (embeddings locaux)
+            if (!isMatch && similarities[skill.name] >= SEMANTIC_THRESHOLD) {
+                isMatch = true;
+                weight = SEMANTIC_WEIGHT;
+                semanticMatches++;
+                fuzzyMatches.push(`${skill.name} ~ sens proche (${Math.round(similarities[skill.name] * 100)}%)`);
+            }
+            
             if (isMatch) {
-                matched++;
+                matched += weight;
                 matchingKeywords.push(skill.name);
                 if (isTitleMatch) {
                     titleMatched++;
@@ -381,6 +422,8 @@ export function calculateLocalScore(profile, job) {
         details.skillsMatched = Math.round(matched);
         details.titleMatches = titleMatched;
         details.fuzzyMatches = fuzzyMatches;
+        details.thesaurusMatches = thesaurusMatches;
+        details.semanticMatches = semanticMatches;
     }
     
     // 2. Match du headline/métier (max 15 points)
@@ -389,10 +432,16 @@ export function calculateLocalScore(profile, job) {
         let headlineMatches = 0;
         
         headlineWords.forEach(word => {
+            const variant = isKnownSkill(word) ? findSkill(word, skillText) : null;
             // Match exact
             if (jobTitle.includes(word) || jobText.includes(word)) {
                 headlineMatches++;
             }
+            // Variante du thésaurus ("comptable" → "boekhouder", "accountant")
+            else if (variant?.relation === 'same') {
+                headlineMatches++;
+                fuzzyMatches.push(`headline: ${describeSkillMatch(word, variant)}`);
+            }
             // Match fuzzy
             else if (word.length >= 4) {
                 const fuzzyResult = findBestMatch(word, jobWords, 0.75);
@@ -439,13 +488,27 @@ export function calculateLocalScore(profile, job) {
         details.keywordTitleMatches = keywordTitleMatches;
     }
     
-    // 4. Localisation (max 15 points) - Basé sur la distance géographique
+    // 4. Localisation (max 15 points) - Basé sur le temps de trajet, sinon la distance géographique
     const userLocation = getUserLocation();
-    const jobGeo = job.lieuxtravailgeo?.[0];
-    
-    if (userLocation && jobGeo && jobGeo.lat && jobGeo.lon) {
+    const commute = getCachedCommute(userLocation, job);
+    // Sans coordonnées, les localités du CV et de l'offre sont cherchées dans le répertoire des communes belges
+    const jobLocation = job.localiteaffichage || job.lieuxtravaillocalite?.[0] || '';
+    const profilePlace = profile.location ? findLocality(profile.location) : null;
+    const origin = userLocation || profilePlace;
+    const jobGeo = job.lieuxtravailgeo?.[0]?.lat && job.lieuxtravailgeo[0].lon ? job.lieuxtravailgeo[0] : findLocalityInText(jobLocation);
+    
+    if (commute) {
+        // Temps de trajet estimé selon le mode de transport choisi
+        details.commuteMinutes = commute.minutes;
+        details.commute = formatCommute(commute);
+        const steps = [[20, 15, 'très proche'], [35, 12, 'proche'], [50, 8, 'accessible'], [70, 5, 'éloigné'], [90, 2, 'lointain']];
+        const step = steps.find(([maxMinutes]) => commute.minutes <= maxMinutes);
+        score += step ? step[1] : 0;
+        details.locationPoints = step ? step[1] : 0;
+        details.locationMatch = step ? step[2] : 'très lointain';
+    } else if (origin && jobGeo) {
         // Calcul de la distance réelle en km
-        const distanceKm = parseFloat(getDistance(userLocation.lat, userLocation.lon, jobGeo.lat, jobGeo.lon));
+        const distanceKm = parseFloat(getDistance(origin.lat, origin.lon, jobGeo.lat, jobGeo.lon));
         details.distanceKm = distanceKm;
         
         // Attribution des points selon la distance
@@ -467,35 +530,12 @@ export function calculateLocalScore(profile, job) {
         } else {
             details.locationMatch = 'très lointain';
         }
-    } else {
-        // Fallback: match par nom de ville si pas de géolocalisation
-        const jobLocation = (job.localiteaffichage || job.lieuxtravaillocalite?.[0] || '').toLowerCase();
-        if (profile.location && jobLocation) {
-            const profileLoc = profile.location.toLowerCase();
-            
-            const cities = ['bruxelles', 'brussels', 'liège', 'liege', 'namur', 'charleroi', 'mons', 
-                            'tournai', 'arlon', 'bruges', 'gand', 'ghent', 'anvers', 'antwerpen', 
-                            'leuven', 'louvain', 'hasselt', 'wavre', 'nivelles', 'ottignies'];
-            
-            for (const city of cities) {
-                if (profileLoc.includes(city) && jobLocation.includes(city)) {
-                    score += 10;
-                    details.locationMatch = 'même ville';
-                    break;
-                }
-            }
-            
-            if (!details.locationMatch) {
-                const regions = ['wallonie', 'flandre', 'bruxelles', 'hainaut', 'liège', 'namur', 
-                                'luxembourg', 'brabant', 'limbourg', 'anvers'];
-                for (const region of regions) {
-                    if (profileLoc.includes(region) && jobLocation.includes(region)) {
-                        score += 5;
-                        details.locationMatch = 'même région';
-                        break;
-                    }
-                }
-            }
+    } else if (profilePlace && jobLocation) {
+        // Fallback: localité de l'offre inconnue, match par province ou région citée ("Province de Hainaut", "Wallonie")
+        const area = ` ${normalizePlaceName(jobLocation)} `;
+        if ([profilePlace.province, profilePlace.region].some(name => area.includes(` ${normalizePlaceName(name)} `))) {
+            score += 5;
+            details.locationMatch = 'même région';
         }
     }
     
@@ -535,6 +575,15 @@ export function calculateLocalScore(profile, job) {
         }
     }
     
+    // 7. Télétravail (-10 à +10 points) - selon la préférence du profil
+    const workModePoints = WORK_MODE_POINTS[profile.remotePreference];
+    const workMode = detectWorkMode(job);
+    if (workModePoints && workMode) {
+        score += workModePoints[workMode.mode];
+        details.workMode = WORK_MODES[workMode.mode].label;
+        details.workModePoints = workModePoints[workMode.mode];
+    }
+    
     // Normaliser entre 10 et 95 (jamais 0% ni 100% pour le score local)
     score = Math.min(95, Math.max(10, Math.round(score)));
     
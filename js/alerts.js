@@ -5,6 +5,8 @@
 
 import { getAllJobStates } from './bookmarks.js';
 import { getUpcomingDates } from './notes.js';
+import { listSavedSearches, getSavedSearchUrl } from './saved-searches.js';
+import { getJobSummary, getJobLink } from './job-snapshots.js';
 
 const ALERTS_STORAGE_KEY = 'forem_alerts_dismissed';
 
@@ -77,6 +79,7 @@ export function getActiveAlerts() {
                 message = 'Suivi prévu demain';
             }
             
+            const job = getJobSummary(item.jobId);
             alerts.push({
                 id: alertId,
                 type: 'follow-up',
@@ -84,9 +87,9 @@ export function getActiveAlerts() {
                 icon,
                 color,
                 title: message,
-                message: item.detailedStatus || 'N\'oubliez pas votre suivi',
+                message: `${job.title}${job.expired ? ' (expirée)' : ''} — ${item.detailedStatus || 'N\'oubliez pas votre suivi'}`,
                 actionLabel: 'Voir',
-                actionUrl: 'index.html',
+                actionUrl: getJobLink(item.jobId),
                 date: item.customDate
             });
         }
@@ -98,12 +101,13 @@ export function getActiveAlerts() {
     twoWeeksAgo.setDate(twoWeeksAgo.getDate() - 14);
     
     Object.entries(states).forEach(([jobId, state]) => {
-        if (state.bookmarked && !state.applied) {
-            const bookmarkDate = new Date(state.date);
+        if (state.bookmarked) {
+            const bookmarkDate = new Date(state.history[state.history.length - 1]?.date || state.date);
             if (bookmarkDate < twoWeeksAgo) {
                 const alertId = `stale-bookmark-${jobId}`;
                 if (!isAlertDismissed(alertId)) {
                     const daysSince = Math.floor((new Date() - bookmarkDate) / (1000 * 60 * 60 * 24));
+                    const job = getJobSummary(jobId);
                     alerts.push({
                         id: alertId,
                         type: 'stale-bookmark',
@@ -111,9 +115,9 @@ export function getActiveAlerts() {
                         icon: 'clock',
                         color: 'yellow',
                         title: 'Offre en attente',
-                        message: `Marquée à consulter il y a ${daysSince} jours. Toujours intéressante?`,
+                        message: `${job.title}${job.expired ? ' (expirée)' : ''} — marquée à consulter il y a ${daysSince} jours. Toujours intéressante?`,
                         actionLabel: 'Réviser',
-                        actionUrl: 'index.html'
+                        actionUrl: getJobLink(jobId)
                     });
                 }
             }
@@ -124,7 +128,7 @@ export function getActiveAlerts() {
     const allStates = Object.values(states);
     if (allStates.length > 0) {
         const latestAction = Math.max(...allStates.map(s => {
-            const dates = [s.date, s.appliedDate, s.ignoredDate].filter(Boolean);
+            const dates = [s.date, ...s.history.map(h => h.date)].filter(Boolean);
             return dates.length > 0 ? Math.max(...dates.map(d => new Date(d).getTime())) : 0;
         }));
         
@@ -148,6 +152,28 @@ export function getActiveAlerts() {
         }
     }
     
+    // Check new offers found by background checks of saved searches
+    listSavedSearches().forEach(search => {
+        const count = search.newIds?.length || 0;
+        if (!count) return;
+        
+        // A different set of new offers produces a new alert
+        const alertId = `new-offers-${search.id}-${search.newIds[0]}-${count}`;
+        if (!isAlertDismissed(alertId)) {
+            alerts.push({
+                id: alertId,
+                type: 'new-offers',
+                urgency: 'medium',
+                icon: 'sparkles',
+                color: 'blue',
+                title: `${count} nouvelle${count > 1 ? 's' : ''} offre${count > 1 ? 's' : ''} pour « ${search.name} »`,
+                message: `Vérifié le ${new Date(search.lastCheckedAt).toLocaleString('fr-BE', { dateStyle: 'short', timeStyle: 'short' })}`,
+                actionLabel: 'Voir',
+                actionUrl: getSavedSearchUrl(search)
+            });
+        }
+    });
+    
     // Sort by urgency
     const urgencyOrder = { critical: 0, high: 1, medium: 2, low: 3 };
     alerts.sort((a, b) => urgencyOrder[a.urgency] - urgencyOrder[b.urgency]);
@@ -155,21 +181,37 @@ export function getActiveAlerts() {
     return alerts;
 }
 
+/** Timer hiding the toast (reset by each new toast) */
+let toastTimer = null;
+
 /**
  * Shows a toast notification.
  * @param {string} message - The message to display
  * @param {string} type - The type (success, warning, error, info)
  * @param {number} duration - Duration in milliseconds (default 3000)
+ * @param {Object} [action] - Optional button in the toast { label, onClick } (e.g. "Annuler")
  */
-export function showToast(message, type = 'info', duration = 3000) {
+export function showToast(message, type = 'info', duration = 3000, action = null) {
     const toast = document.getElementById('toast');
     if (!toast) return;
     
     const toastMsg = document.getElementById('toastMsg');
     const toastIcon = toast.querySelector('i');
+    const toastAction = document.getElementById('toastAction');
     
     toastMsg.textContent = message;
     
+    if (toastAction) {
+        toastAction.classList.toggle('hidden', !action);
+        toastAction.textContent = action ? action.label : '';
+        toastAction.onclick = action
+            ? () => {
+                toast.style.transform = 'translateY(200%)';
+                action.onClick();
+            }
+            : null;
+    }
+    
     // Update colors based on type
     toast.className = 'fixed bottom-6 right-6 text-white px-6 py-4 rounded-xl shadow-2xl transform translate-y-24 transition-transform duration-300 z-[100] flex items-center gap-4 max-w-sm';
     
@@ -205,7 +247,8 @@ export function showToast(message, type = 'info', duration = 3000) {
     toast.style.transform = 'translateY(0)';
     
     // Hide after duration
-    setTimeout(() => {
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => {
         toast.style.transform = 'translateY(200%)';
     }, duration);
 }
@@ -5,18 +5,32 @@
  */
 import { initIcons, showToast as utilShowToast } from './utils.js';
 import { loadFacets } from './facets.js';
-import { handleSearch, handleCustomSearch, copyUrl, exportDebugJson, importBookmarksFromFile } from './search.js';
-import { triggerGeo, manualCitySearch, initializeLocation } from './geolocation.js';
-import { restoreStateFromUrl } from './url-state.js';
-import { closeJobModal, handleBookmarkToggle, handleAppliedToggle, handleIgnoredToggle, saveNote, deleteNote, addJobTagFromDropdown, removeJobTag, openTagManagement, closeTagManagement, createNewTag, deleteCustomTag, openCoverLetterModal, closeCoverLetterModal, selectLetterStyle, generateLetter, toggleLetterEdit, regenerateLetter, copyLetter, saveLetter, showLetterOptions, exportLetterPDF } from './job-modal.js';
+import { loadCategoryTree, initCategoryPicker, toggleCategoryPicker, toggleCategoryNode, toggleCategorySelection, setCategoryPreset, filterCategoryTree } from './category-picker.js';
+import { handleSearch, handleCustomSearch, copyUrl, countExcludedOffers, exportDebugJson, importBookmarksFromFile } from './search.js';
+import { triggerGeo, manualCitySearch, initializeLocation, updateDistanceUI } from './geolocation.js';
+import { addOrigin, getOrigin, selectOrigin, getSelectedOriginId, renderOriginSelect } from './origins.js';
+import { geocodeLocality, searchLocalities, formatLocality } from './gazetteer.js';
+import { restoreStateFromUrl, updateUrlParams } from './url-state.js';
+import { openJobModal, closeJobModal, handleBookmarkToggle, handleAppliedToggle, handleIgnoredToggle, handleStageChange, saveNote, deleteNote, addJobTagFromDropdown, removeJobTag, openTagManagement, closeTagManagement, createNewTag, deleteCustomTag, openCoverLetterModal, closeCoverLetterModal, selectLetterStyle, generateLetter, toggleLetterEdit, regenerateLetter, copyLetter, saveLetter, showLetterOptions, exportLetterPDF } from './job-modal.js';
 import { renderResults } from './renderer.js';
-import { saveCurrentSearch, loadSavedSearch, deleteSavedSearch, listSavedSearches, renameSavedSearch, updateSavedSearchParams } from './saved-searches.js';
+import { areExclusionsRevealed, setExclusionsRevealed } from './exclusions.js';
+import { getCommuteSettings, saveCommuteSettings } from './commute.js';
+import { setResultsView as showResultsView, setTileSource, startZoneDrawing as startMapZoneDrawing, finishZoneDrawing, cancelZoneDrawing } from './map-view.js';
+import { initSearchZones, addSearchZone, removeSearchZone as removeZone } from './search-zones.js';
+import { undoAction, redoAction } from './action-log.js';
+import { openTriage, closeTriage, runTriageAction, applyTriageTag } from './triage.js';
+import { selectAllVisible, clearSelection, bookmarkSelection, ignoreSelection, tagSelection, scoreSelection, exportSelection, generateLettersForSelection } from './selection.js';
+import { getPipelineStages } from './bookmarks.js';
+import { saveCurrentSearch, loadSavedSearch, deleteSavedSearch, listSavedSearches, renameSavedSearch, updateSavedSearchParams, countNewOffers, setSavedSearchFrequency } from './saved-searches.js';
+import { initSavedSearchPolling, checkSavedSearches, enableSavedSearchNotifications } from './saved-search-polling.js';
+import { WATCH_FREQUENCIES, DEFAULT_WATCH_FREQUENCY } from './search-watch.js';
 import { getActiveAlerts, dismissAlert, showToast } from './alerts.js';
 import { getProfile, getAllProfiles, getActiveProfileId, setActiveProfile } from './cv-profile.js';
 import { saveProfile } from './cv-storage.js';
 import { scoreJobWithAi, scoreBatchWithAi, isAiScoringAvailable, getStoredScore } from './ai-matching.js';
-import { getRawData } from './state.js';
+import { getRawData, getUserLocation } from './state.js';
 import { getRemainingRequests, getUsageStats } from './gemini-config.js';
+import { goToPage, loadMoreResults, fetchAllResults, setInfiniteScroll } from './pagination.js';
 
 /**
  * Initializes the application.
@@ -25,7 +39,10 @@ import { getRemainingRequests, getUsageStats } from './gemini-config.js';
  */
 async function init() {
     initIcons();
-    await loadFacets();
+    initCategoryPicker();
+    initSearchZones();
+    initLocalityAutocomplete();
+    await Promise.all([loadFacets(), loadCategoryTree()]);
     
     // Initialize location: CV > GPS > Manual
     await initializeLocation();
@@ -33,8 +50,93 @@ async function init() {
     // Initialize profile selector
     initProfileSelector();
     
+    // Fill the pipeline stage filter (before restoring it from the URL)
+    initStageFilter();
+    
+    // Transport mode of the commute estimates (kept between sessions)
+    document.getElementById('commuteMode').value = getCommuteSettings().mode;
+    
     restoreStateFromUrl(handleSearch);
     checkAndDisplayAlerts();
+    
+    // Undo/redo of tracking actions: toast button and Ctrl+Z / Ctrl+Y
+    initActionHistory();
+    
+    // Open an offer referenced by ID (links from the dashboard, alerts, letters...)
+    const linkedJobId = new URLSearchParams(window.location.search).get('job');
+    if (linkedJobId) {
+        openJobModal({ numerooffreforem: linkedJobId });
+    }
+    
+    // Check saved searches for new offers (background sync where supported)
+    initSavedSearchPolling(() => {
+        checkAndDisplayAlerts();
+        refreshSavedSearchesDropdown();
+    });
+}
+
+/**
+ * Suggests Belgian localities (name and postcode) while typing in the city inputs.
+ */
+function initLocalityAutocomplete() {
+    const suggestions = document.getElementById('localitySuggestions');
+    ['cityInput', 'zoneCityInput'].forEach(id => {
+        document.getElementById(id)?.addEventListener('input', (e) => {
+            suggestions.innerHTML = searchLocalities(e.target.value)
+                .map(locality => `<option value="${formatLocality(locality)}">${locality.province}</option>`)
+                .join('');
+        });
+    });
+}
+
+/**
+ * Shows a toast with an undo (or redo) button after each tracking action,
+ * and binds Ctrl+Z (undo) and Ctrl+Y / Ctrl+Shift+Z (redo) outside of text fields.
+ */
+function initActionHistory() {
+    window.addEventListener('actionLogChanged', (event) => {
+        const { reason, action } = event.detail;
+        if (reason === 'record') {
+            showToast(action.label, 'info', 5000, { label: 'Annuler', onClick: handleUndo });
+        } else if (reason === 'undo') {
+            showToast(`Annulé : ${action.label}`, 'info', 5000, { label: 'Rétablir', onClick: handleRedo });
+        } else {
+            showToast(`Rétabli : ${action.label}`, 'info', 5000, { label: 'Annuler', onClick: handleUndo });
+        }
+    });
+    
+    document.addEventListener('keydown', (e) => {
+        if (e.defaultPrevented || !(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const target = e.target;
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable) return;
+        
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            handleUndo();
+        } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+            e.preventDefault();
+            handleRedo();
+        }
+    });
+}
+
+/**
+ * Undoes the last tracking action.
+ */
+function handleUndo() {
+    if (!undoAction()) {
+        showToast('Rien à annuler', 'warning', 2000);
+    }
+}
+
+/**
+ * Redoes the last undone tracking action.
+ */
+function handleRedo() {
+    if (!redoAction()) {
+        showToast('Rien à rétablir', 'warning', 2000);
+    }
 }
 
 /**
@@ -143,12 +245,117 @@ function handleDistanceChange(s) {
     if (s.value) triggerGeo(handleSearch); 
 }
 
+/**
+ * Handles changes to the commute transport mode.
+ * Saves the mode and re-renders results (estimates for the new mode are computed in the background).
+ * @param {HTMLSelectElement} s - The transport mode select element
+ */
+function handleCommuteModeChange(s) {
+    saveCommuteSettings({ mode: s.value });
+    const lastResults = window.lastSearchResults;
+    if (lastResults) {
+        renderResults(lastResults);
+    }
+}
+
+/**
+ * Switches the results between the list and the map, and keeps the choice in the URL.
+ * @param {string} view - 'list' or 'map'
+ */
+function setResultsView(view) {
+    showResultsView(view);
+    updateUrlParams(true);
+}
+
+/**
+ * Adds a circle zone around the city typed in the search form, then searches again.
+ * @returns {Promise<void>}
+ */
+async function addZoneAroundCity() {
+    const input = document.getElementById('zoneCityInput');
+    const cityName = input.value.trim();
+    if (!cityName) return;
+    try {
+        const city = await geocodeLocality(cityName);
+        if (!city) {
+            showToast('Ville introuvable', 'error', 2000);
+            return;
+        }
+        addSearchZone({ type: 'circle', lat: city.lat, lon: city.lon, radius: parseInt(document.getElementById('zoneRadius').value), name: city.name });
+        input.value = '';
+        handleSearch();
+    } catch (e) {
+        // geocodeLocality throws when its Nominatim fallback fails (HTTP error, network)
+        console.error('Zone city search error:', e);
+        showToast('Service de géocodage indisponible', 'error', 2000);
+    }
+}
+
+/**
+ * Removes a search zone, then searches again.
+ * @param {number} index - Position of the zone
+ */
+function removeSearchZone(index) {
+    removeZone(index);
+    handleSearch();
+}
+
+/**
+ * Shows the map and starts drawing a search zone; the search runs again once it is added.
+ * @param {string} mode - 'circle' or 'polygon'
+ */
+function startZoneDrawing(mode) {
+    setResultsView('map');
+    startMapZoneDrawing(mode, () => handleSearch());
+}
+
 /**
  * Handles manual city search submission.
  * Wrapper function that calls manualCitySearch with search callback.
  */
 function handleManualCitySearch() {
-    manualCitySearch(handleSearch);
+    manualCitySearch(() => {
+        // The typed city replaces the selected origin
+        renderOriginSelect();
+        handleSearch();
+    });
+}
+
+/**
+ * Runs the search from the selected origin, or from the detected location.
+ * @param {HTMLSelectElement} select - The origin selector
+ */
+function handleOriginChange(select) {
+    const location = selectOrigin(select.value);
+    document.getElementById('gpsInfo').classList.toggle('hidden', !location);
+    if (location) document.getElementById('gpsCoords').textContent = `📍 ${location.name}`;
+    updateDistanceUI();
+    handleSearch();
+}
+
+/**
+ * Saves the current location as a named origin of the active profile, and selects it.
+ */
+function saveCurrentOrigin() {
+    const location = getUserLocation();
+    if (!getProfile()) {
+        showToast('Importez un CV pour enregistrer des lieux de départ', 'warning');
+        return;
+    }
+    if (!location) {
+        showToast('Aucune position à enregistrer : utilisez le GPS ou saisissez une ville', 'warning');
+        return;
+    }
+
+    const name = prompt('Nom du lieu de départ (ex : Maison, Travail, École) :', location.source === 'origin' ? '' : location.name || '');
+    if (!name?.trim()) return;
+
+    const origin = addOrigin({ name, place: location.name, lat: location.lat, lon: location.lon });
+    selectOrigin(origin.id);
+    renderOriginSelect();
+    document.getElementById('gpsCoords').textContent = `📍 ${origin.name}`;
+    updateUrlParams(true);
+    showToast(`Lieu de départ "${origin.name}" enregistré`, 'success', 3000);
 }
 
 /**
@@ -174,6 +381,14 @@ function handleScoreFilterChange() {
     }
 }
 
+/**
+ * Shows or hides the offers excluded by the exclusion rules, then searches again.
+ */
+function toggleExclusionReveal() {
+    setExclusionsRevealed(!areExclusionsRevealed());
+    handleSearch();
+}
+
 /**
  * Handles saving the current search configuration.
  * Opens a modal to enter the search name.
@@ -261,8 +476,12 @@ function handleManageSavedSearches() {
                     <div class="text-xs text-slate-500 flex items-center gap-2">
                         <span>Utilisée: ${new Date(search.lastUsed).toLocaleDateString('fr-BE')}</span>
                         ${profileName ? `<span class="px-1.5 py-0.5 bg-emerald-100 text-emerald-700 rounded text-[10px]">${profileName}</span>` : ''}
+                        ${search.newIds?.length ? `<span class="px-1.5 py-0.5 bg-sky-100 text-sky-700 rounded text-[10px] font-semibold">${search.newIds.length} nouvelle${search.newIds.length > 1 ? 's' : ''}</span>` : ''}
                     </div>
                 </div>
+                <select onchange="window.setSavedSearchFrequencyFromModal('${search.id}', this.value)" class="px-2 py-1.5 bg-white border border-slate-300 rounded text-xs text-slate-600" title="Fréquence de vérification des nouvelles offres">
+                    ${WATCH_FREQUENCIES.map(f => `<option value="${f.hours}" ${(search.checkFrequency ?? DEFAULT_WATCH_FREQUENCY) === f.hours ? 'selected' : ''}>${f.label}</option>`).join('')}
+                </select>
                 <button onclick="window.loadSavedSearch('${search.id}')" class="px-3 py-1.5 bg-blue-500 hover:bg-blue-600 text-white rounded text-sm font-medium transition-all" title="Charger cette recherche">
                     Charger
                 </button>
@@ -336,6 +555,46 @@ function updateSavedSearchFromModal(searchId) {
     }
 }
 
+/**
+ * Sets the background check frequency of a saved search from the modal.
+ */
+function setSavedSearchFrequencyFromModal(searchId, hours) {
+    setSavedSearchFrequency(searchId, parseInt(hours));
+    showToast('Fréquence de vérification mise à jour', 'success', 2000);
+}
+
+/**
+ * Checks every saved search for new offers right away.
+ */
+async function checkSavedSearchesNow() {
+    showToast('Vérification des recherches...', 'info', 2000);
+    const total = await checkSavedSearches({ force: true });
+    checkAndDisplayAlerts();
+    refreshSavedSearchesDropdown();
+    handleManageSavedSearches(); // Refresh modal
+    showToast(total ? `${total} nouvelle${total > 1 ? 's' : ''} offre${total > 1 ? 's' : ''} trouvée${total > 1 ? 's' : ''}` : 'Aucune nouvelle offre', 'success', 3000);
+}
+
+/**
+ * Enables system notifications for new offers of saved searches.
+ */
+async function handleEnableNotifications() {
+    const granted = await enableSavedSearchNotifications();
+    showToast(granted ? 'Notifications activées' : 'Notifications refusées par le navigateur', granted ? 'success' : 'warning', 3000);
+}
+
+/**
+ * Fills the pipeline stage filter with the configured stages.
+ */
+function initStageFilter() {
+    const select = document.getElementById('stageFilter');
+    if (!select) return;
+    
+    select.innerHTML = '<option value="all">Toutes</option>' + getPipelineStages()
+        .map(stage => `<option value="${stage.id}">${stage.label}</option>`)
+        .join('');
+}
+
 /**
  * Initializes the profile selector in the search page.
  */
@@ -388,6 +647,10 @@ function handleProfileSwitch(profileId) {
     setActiveProfile(profileId);
     updateProfileDisplay();
     
+    // Origins belong to the profile: go back to the detected location if the selected one is not in this one
+    if (!getOrigin(getSelectedOriginId())) selectOrigin('');
+    renderOriginSelect();
+    
     // Trigger a new search with the new profile
     showToast('Profil changé - Relancez la recherche pour mettre à jour les scores', 'info', 3000);
     initIcons();
@@ -405,14 +668,23 @@ function refreshSavedSearchesDropdown() {
     
     // Show profile name in search list if multiple profiles exist
     const showProfile = profiles.length > 1;
+    const getLabel = (s) => {
+        const profileName = showProfile && s.profileId ? 
+            profiles.find(p => p.id === s.profileId)?.name || '' : '';
+        return profileName ? `${s.name} [${profileName}]` : s.name;
+    };
     
     dropdown.innerHTML = '<option value="">Recherches sauvegardées...</option>' +
-        searches.map(s => {
-            const profileName = showProfile && s.profileId ? 
-                profiles.find(p => p.id === s.profileId)?.name || '' : '';
-            const label = profileName ? `${s.name} [${profileName}]` : s.name;
-            return `<option value="${s.id}">${label}</option>`;
-        }).join('');
+        searches.map(s => `<option value="${s.id}">${getLabel(s)}</option>`).join('');
+    
+    // Add the number of offers not seen on the last run, once known
+    searches.forEach(async s => {
+        const count = await countNewOffers(s);
+        const option = dropdown.querySelector(`option[value="${s.id}"]`);
+        if (count && option) {
+            option.textContent = `${getLabel(s)} (${count} nouvelle${count > 1 ? 's' : ''})`;
+        }
+    });
 }
 
 // Expose functions to window for HTML event handlers
@@ -481,7 +753,7 @@ function openScoreModal(scoreData, jobData) {
     // Fuzzy matches (local) ou missing skills (AI)
     if (scoreData.fuzzyMatches && scoreData.fuzzyMatches.length > 0) {
         fuzzySection.classList.remove('hidden');
-        document.querySelector('#scoreModalFuzzySection h4').innerHTML = '<i data-lucide="search" class="h-4 w-4 text-amber-600"></i> Correspondances approximatives (Levenshtein)';
+        document.querySelector('#scoreModalFuzzySection h4').innerHTML = '<i data-lucide="search" class="h-4 w-4 text-amber-600"></i> Correspondances approximatives (synonymes, Levenshtein, sens proche)';
         fuzzyEl.innerHTML = scoreData.fuzzyMatches.map(fm => 
             `<span class="px-2 py-1 bg-amber-100 text-amber-700 rounded text-xs font-medium">${fm}</span>`
         ).join('');
@@ -598,8 +870,14 @@ function openScoreModal(scoreData, jobData) {
         }
     }
     
-    // Distance/Localisation (max 15pts)
-    if (details.distanceKm !== undefined) {
+    // Trajet/Distance/Localisation (max 15pts)
+    if (details.commuteMinutes !== undefined) {
+        const commuteColor = details.commuteMinutes <= 35 ? 'text-emerald-600' : details.commuteMinutes <= 50 ? 'text-blue-600' : 'text-amber-600';
+        detailsHtml += `<div class="flex justify-between items-center">
+            <span class="text-slate-600">Trajet:</span>
+            <span class="font-medium ${commuteColor}">${details.commute} (${details.locationMatch}) <span class="text-emerald-600">+${details.locationPoints}pts</span></span>
+        </div>`;
+    } else if (details.distanceKm !== undefined) {
         let locPts = 0;
         const d = details.distanceKm;
         if (d <= 10) locPts = 15;
@@ -640,12 +918,33 @@ function openScoreModal(scoreData, jobData) {
         </div>`;
     }
     
+    // Télétravail (-10 à +10pts, selon la préférence du profil)
+    if (details.workMode) {
+        const workPts = details.workModePoints;
+        detailsHtml += `<div class="flex justify-between items-center">
+            <span class="text-slate-600">Télétravail:</span>
+            <span class="font-medium">${details.workMode} ${workPts !== 0 ? `<span class="${workPts > 0 ? 'text-emerald-600' : 'text-red-600'}">${workPts > 0 ? '+' : ''}${workPts}pts</span>` : ''}</span>
+        </div>`;
+    }
+    
     // Matches fuzzy
     if (details.fuzzyMatches && details.fuzzyMatches.length > 0) {
         detailsHtml += `<div class="flex justify-between items-center text-sm border-t border-slate-100 pt-1 mt-1">
             <span class="text-slate-500">Matches approximatifs:</span>
-            <span class="font-medium text-amber-600">${details.fuzzyMatches.length} (Levenshtein)</span>
+            <span class="font-medium text-amber-600">${details.fuzzyMatches.length}</span>
         </div>`;
+        if (details.thesaurusMatches) {
+            detailsHtml += `<div class="flex justify-between items-center text-sm">
+                <span class="text-slate-500 pl-4">↳ dont par le thésaurus:</span>
+                <span class="font-medium">${details.thesaurusMatches}</span>
+            </div>`;
+        }
+        if (details.semanticMatches) {
+            detailsHtml += `<div class="flex justify-between items-center text-sm">
+                <span class="text-slate-500 pl-4">↳ dont par le sens (modèle local):</span>
+                <span class="font-medium">${details.semanticMatches}</span>
+            </div>`;
+        }
     }
     
     if (details.noData) {
@@ -875,8 +1174,9 @@ function getScoreColor(score) {
 /**
  * Score visible jobs with AI
  * Scores all currently displayed jobs using Gemini AI
+ * @param {string[]|null} [onlyJobIds=null] - Restrict scoring to these jobs (e.g. the selection)
  */
-async function scoreVisibleJobsWithAI() {
+async function scoreVisibleJobsWithAI(onlyJobIds = null) {
     const profile = getProfile();
     if (!profile) {
         showToast('Veuillez d\'abord configurer votre profil CV', 'error', 3000);
@@ -904,13 +1204,14 @@ async function scoreVisibleJobsWithAI() {
     const jobsToScore = rawData.results.filter(job => {
         const jobId = job.numerooffreforem;
         if (!visibleJobIds.has(jobId)) return false;
+        if (onlyJobIds && !onlyJobIds.includes(jobId)) return false;
         
         const existing = getStoredScore(jobId);
         return !existing || !existing.isAiScore;
     });
     
     if (jobsToScore.length === 0) {
-        showToast('Toutes les offres visibles ont déjà un score IA', 'info', 2000);
+        showToast(onlyJobIds ? 'Toutes les offres sélectionnées ont déjà un score IA' : 'Toutes les offres visibles ont déjà un score IA', 'info', 2000);
         return;
     }
     
@@ -1051,21 +1352,55 @@ function updateAiScoreButton() {
 // Export for use after render
 window.updateAiScoreButton = updateAiScoreButton;
 window.scoreVisibleJobsWithAI = scoreVisibleJobsWithAI;
+window.openTriage = openTriage;
+window.closeTriage = closeTriage;
+window.runTriageAction = runTriageAction;
+window.applyTriageTag = applyTriageTag;
+window.selectAllVisible = selectAllVisible;
+window.clearSelection = clearSelection;
+window.bookmarkSelection = bookmarkSelection;
+window.ignoreSelection = ignoreSelection;
+window.tagSelection = tagSelection;
+window.scoreSelection = scoreSelection;
+window.exportSelection = exportSelection;
+window.generateLettersForSelection = generateLettersForSelection;
 
 window.handleSearch = handleSearch;
 window.handleCustomSearch = handleCustomSearch;
 window.handleSortChange = handleSortChange;
 window.handleDistanceChange = handleDistanceChange;
+window.handleCommuteModeChange = handleCommuteModeChange;
+window.setResultsView = setResultsView;
+window.setTileSource = setTileSource;
+window.addZoneAroundCity = addZoneAroundCity;
+window.removeSearchZone = removeSearchZone;
+window.startZoneDrawing = startZoneDrawing;
+window.finishZoneDrawing = finishZoneDrawing;
+window.cancelZoneDrawing = cancelZoneDrawing;
 window.handleStatusFilterChange = handleStatusFilterChange;
 window.handleScoreFilterChange = handleScoreFilterChange;
+window.toggleExclusionReveal = toggleExclusionReveal;
+window.countExcludedOffers = countExcludedOffers;
 window.manualCitySearch = handleManualCitySearch;
+window.handleOriginChange = handleOriginChange;
+window.saveCurrentOrigin = saveCurrentOrigin;
 window.copyUrl = copyUrl;
+window.toggleCategoryPicker = toggleCategoryPicker;
+window.toggleCategoryNode = toggleCategoryNode;
+window.toggleCategorySelection = toggleCategorySelection;
+window.setCategoryPreset = setCategoryPreset;
+window.filterCategoryTree = filterCategoryTree;
+window.goToPage = goToPage;
+window.loadMoreResults = loadMoreResults;
+window.fetchAllResults = fetchAllResults;
+window.setInfiniteScroll = setInfiniteScroll;
 window.exportDebugJson = exportDebugJson;
 window.importBookmarksFromFile = importBookmarksFromFile;
 window.closeJobModal = closeJobModal;
 window.handleBookmarkToggle = handleBookmarkToggle;
 window.handleAppliedToggle = handleAppliedToggle;
 window.handleIgnoredToggle = handleIgnoredToggle;
+window.handleStageChange = handleStageChange;
 window.handleSaveCurrentSearch = handleSaveCurrentSearch;
 window.handleLoadSavedSearch = handleLoadSavedSearch;
 window.handleManageSavedSearches = handleManageSavedSearches;
@@ -1077,6 +1412,9 @@ window.deleteSavedSearchFromModal = deleteSavedSearchFromModal;
 window.renameSavedSearchFromModal = renameSavedSearchFromModal;
 window.updateSavedSearchFromModal = updateSavedSearchFromModal;
 window.loadSavedSearch = loadSavedSearch;
+window.setSavedSearchFrequencyFromModal = setSavedSearchFrequencyFromModal;
+window.checkSavedSearchesNow = checkSavedSearchesNow;
+window.enableSavedSearchNotifications = handleEnableNotifications;
 window.saveNote = saveNote;
 window.deleteNote = deleteNote;
 window.addJobTagFromDropdown = addJobTagFromDropdown;
@@ -0,0 +1,395 @@
+/**
+ * Applications Module
+ * "Mes candidatures" page: every tracked or noted offer, independently of the current search.
+ * Rows are built from the job states, notes and local snapshots, checked against the live dataset on load.
+ */
+import { initIcons, showToast, downloadCsv } from './utils.js';
+import { getJobSnapshot, getJobSummary, refreshJobSnapshots, getJobLink } from './job-snapshots.js';
+import { getAllJobStates, getPipelineStages, getPipelineStage, setJobStage, removeJobState, getStageIcon, STAGE_COLORS } from './bookmarks.js';
+import { getAllJobsWithNotes, getJobNote } from './notes.js';
+import { listTags, getJobTags, addTagToJob, TAG_COLORS } from './tags.js';
+import { getStoredScore, calculateLocalScore, getScoreColor } from './ai-matching.js';
+import { getProfile } from './cv-profile.js';
+import { trackAction } from './action-log.js';
+
+/**
+ * Row comparators, by sort key.
+ * Rows without a value (no follow-up date, no score) always go last.
+ */
+const SORTERS = {
+    status: (a, b) => new Date(b.stageDate || 0) - new Date(a.stageDate || 0),
+    followup: (a, b) => compareNullable(a.followUpDate && new Date(a.followUpDate).getTime(), b.followUpDate && new Date(b.followUpDate).getTime()),
+    score: (a, b) => compareNullable(a.score === null ? null : -a.score, b.score === null ? null : -b.score),
+    employer: (a, b) => (a.employer || '~').localeCompare(b.employer || '~', 'fr', { sensitivity: 'base' })
+};
+
+/** IDs of the selected rows */
+const selectedIds = new Set();
+
+/** Rows currently displayed (after filtering and sorting) */
+let visibleRows = [];
+
+/**
+ * Compares two optional numbers ascending, empty values last.
+ * @param {number|null} a - First value
+ * @param {number|null} b - Second value
+ * @returns {number} Sort order
+ */
+function compareNullable(a, b) {
+    const emptyA = a === null || a === undefined || a === '';
+    const emptyB = b === null || b === undefined || b === '';
+    if (emptyA && emptyB) return 0;
+    if (emptyA) return 1;
+    if (emptyB) return -1;
+    return a - b;
+}
+
+/**
+ * Initializes the page.
+ * @returns {Promise<void>}
+ */
+async function init() {
+    initIcons();
+    initFilters();
+    renderApplications();
+
+    await refreshJobSnapshots(getApplicationIds());
+    renderApplications();
+
+    // Keep in sync with changes made in other tabs
+    window.addEventListener('storage', (e) => {
+        if (['forem_job_states', 'forem_pipeline_stages', 'forem_job_notes', 'forem_custom_tags', 'forem_job_tags', 'forem_job_snapshots'].includes(e.key)) {
+            initBulkControls();
+            renderApplications();
+        }
+    });
+}
+
+/**
+ * Fills the filter and bulk action controls and applies the URL parameters (?stage=, ?noted=true).
+ */
+function initFilters() {
+    const params = new URLSearchParams(window.location.search);
+    const stageFilter = document.getElementById('appStageFilter');
+
+    stageFilter.innerHTML = '<option value="">Toutes les étapes</option>' +
+        getPipelineStages().map(stage => `<option value="${stage.id}">${stage.label}</option>`).join('');
+    if (params.get('stage')) stageFilter.value = params.get('stage');
+    if (params.get('noted') === 'true') document.getElementById('appNotedOnly').checked = true;
+    if (params.get('sort') && SORTERS[params.get('sort')]) document.getElementById('appSort').value = params.get('sort');
+
+    ['appSearch', 'appStageFilter', 'appSort', 'appNotedOnly', 'appShowIgnored'].forEach(id => {
+        const el = document.getElementById(id);
+        el.addEventListener(el.tagName === 'INPUT' && el.type === 'text' ? 'input' : 'change', renderApplications);
+    });
+
+    document.getElementById('appSelectAll').addEventListener('change', (e) => {
+        visibleRows.forEach(row => e.target.checked ? selectedIds.add(row.jobId) : selectedIds.delete(row.jobId));
+        renderApplications();
+    });
+
+    initBulkControls();
+}
+
+/**
+ * Fills the bulk "move to stage" and "add tag" selects.
+ */
+function initBulkControls() {
+    document.getElementById('bulkStageSelect').innerHTML = '<option value="">Déplacer vers...</option>' +
+        getPipelineStages().map(stage => `<option value="${stage.id}">${stage.label}</option>`).join('');
+
+    const tags = listTags();
+    document.getElementById('bulkTagSelect').innerHTML = tags.length
+        ? '<option value="">Ajouter un tag...</option>' + tags.map(tag => `<option value="${tag.id}">${tag.name}</option>`).join('')
+        : '<option value="">Aucun tag créé</option>';
+}
+
+/**
+ * Gets the IDs of every tracked or noted offer.
+ * Offers only in the initial stage without any history are not tracked.
+ * @returns {string[]} Array of job IDs
+ */
+function getApplicationIds() {
+    const states = getAllJobStates();
+    const ids = new Set(Object.keys(states).filter(id => states[id].stageInfo.kind !== 'new' || states[id].history.length > 0));
+    getAllJobsWithNotes().forEach(note => ids.add(note.jobId));
+    return [...ids];
+}
+
+/**
+ * Builds the data of every row.
+ * @returns {Object[]} Rows { jobId, summary, state, stage, stageDate, note, followUpDate, score, isAiScore, employer, tags }
+ */
+function buildRows() {
+    const states = getAllJobStates();
+    const stages = getPipelineStages();
+    const profile = getProfile();
+
+    return getApplicationIds().map(jobId => {
+        const state = states[jobId] || null;
+        const stage = state ? state.stageInfo : getPipelineStage(stages[0].id, stages);
+        const note = getJobNote(jobId);
+        const summary = getJobSummary(jobId);
+        const record = getJobSnapshot(jobId)?.record;
+
+        // Keep AI scores whatever their age; fall back to the local scorer on the snapshot
+        const stored = getStoredScore(jobId, Infinity);
+        const local = !stored && profile && record ? calculateLocalScore(profile, record) : null;
+        const scoreData = stored || local;
+
+        return {
+            jobId,
+            summary,
+            state,
+            stage,
+            stageDate: state ? (state.history[state.history.length - 1]?.date || state.date) : note.updatedAt,
+            note,
+            followUpDate: note.customDate || null,
+            score: scoreData ? scoreData.score : null,
+            isAiScore: !!stored,
+            employer: summary.employer,
+            tags: getJobTags(jobId)
+        };
+    });
+}
+
+/**
+ * Filters and sorts the rows according to the toolbar.
+ * @param {Object[]} rows - All rows
+ * @returns {Object[]} Displayed rows
+ */
+function filterRows(rows) {
+    const query = document.getElementById('appSearch').value.trim().toLowerCase();
+    const stageId = document.getElementById('appStageFilter').value;
+    const notedOnly = document.getElementById('appNotedOnly').checked;
+    const showIgnored = document.getElementById('appShowIgnored').checked;
+    const sort = document.getElementById('appSort').value;
+
+    return rows
+        .filter(row => {
+            if (stageId && row.stage.id !== stageId) return false;
+            if (!stageId && !showIgnored && row.stage.kind === 'ignored') return false;
+            if (notedOnly && !row.note.updatedAt) return false;
+            if (query) {
+                const haystack = [row.summary.title, row.employer, row.summary.city, row.note.text, row.note.detailedStatus, ...row.tags.map(t => t.name)]
+                    .join(' ').toLowerCase();
+                if (!haystack.includes(query)) return false;
+            }
+            return true;
+        })
+        .sort(SORTERS[sort] || SORTERS.status);
+}
+
+/**
+ * Renders the table and the bulk action bar.
+ */
+function renderApplications() {
+    const rows = buildRows();
+    visibleRows = filterRows(rows);
+
+    // Forget selected rows that are no longer tracked
+    const allIds = new Set(rows.map(row => row.jobId));
+    [...selectedIds].forEach(id => { if (!allIds.has(id)) selectedIds.delete(id); });
+
+    document.getElementById('appCount').textContent = `${visibleRows.length} / ${rows.length} offre${rows.length > 1 ? 's' : ''}`;
+
+    const body = document.getElementById('applicationsBody');
+    if (visibleRows.length === 0) {
+        body.innerHTML = `
+            <tr>
+                <td colspan="7" class="px-4 py-10 text-center text-slate-400">
+                    ${rows.length === 0
+                        ? 'Aucune candidature suivie pour le moment. Ajoutez des offres aux favoris ou prenez des notes depuis la recherche.'
+                        : 'Aucune offre ne correspond aux filtres.'}
+                </td>
+            </tr>
+        `;
+    } else {
+        body.innerHTML = visibleRows.map(renderRow).join('');
+        attachRowHandlers(body);
+    }
+
+    updateBulkBar();
+    initIcons();
+}
+
+/**
+ * Renders a table row.
+ * @param {Object} row - Row data
+ * @returns {string} Row HTML
+ */
+function renderRow(row) {
+    const { jobId, summary, stage, note } = row;
+    const colors = STAGE_COLORS[stage.color] || STAGE_COLORS.slate;
+    const followUp = row.followUpDate ? new Date(row.followUpDate) : null;
+    const isOverdue = followUp && followUp < new Date(new Date().toDateString());
+
+    const tagChips = row.tags.map(tag =>
+        `<span class="px-1.5 py-0.5 ${TAG_COLORS[tag.color] || 'bg-slate-100 text-slate-700 border-slate-200'} rounded border text-[10px] font-medium">${tag.name}</span>`
+    ).join('');
+
+    let scoreCell = '<span class="text-slate-300">—</span>';
+    if (row.score !== null) {
+        const scoreColors = getScoreColor(row.score);
+        scoreCell = `<span class="px-2 py-0.5 rounded border text-xs font-bold ${scoreColors.bg} ${scoreColors.text} ${scoreColors.border}" title="${row.isAiScore ? 'Score IA' : 'Score local'}">${row.score}%</span>`;
+    }
+
+    return `
+        <tr class="application-row border-b border-slate-100 hover:bg-slate-50 ${selectedIds.has(jobId) ? 'bg-blue-50' : ''}" data-job-id="${jobId}">
+            <td class="px-3 py-3 align-top">
+                <input type="checkbox" class="app-select rounded border-slate-300 text-blue-600" ${selectedIds.has(jobId) ? 'checked' : ''}>
+            </td>
+            <td class="px-3 py-3 align-top">
+                <a href="${getJobLink(jobId)}" class="font-semibold text-slate-800 hover:text-blue-600">${summary.title}</a>
+                ${summary.expired ? '<span class="ml-1 px-1.5 py-0.5 bg-slate-200 text-slate-600 rounded text-[10px] font-semibold align-middle">Expirée</span>' : ''}
+                ${summary.city ? `<div class="text-xs text-slate-500 mt-0.5 flex items-center gap-1"><i data-lucide="map-pin" class="h-3 w-3"></i> ${summary.city}</div>` : ''}
+                ${tagChips ? `<div class="flex flex-wrap gap-1 mt-1">${tagChips}</div>` : ''}
+            </td>
+            <td class="px-3 py-3 align-top text-sm text-slate-600">${row.employer || '<span class="text-slate-400">Confidentiel</span>'}</td>
+            <td class="px-3 py-3 align-top">
+                <span class="inline-flex items-center gap-1 px-2 py-0.5 rounded border text-xs font-semibold ${colors.badge}">
+                    <i data-lucide="${getStageIcon(stage)}" class="h-3 w-3"></i> ${stage.label}
+                </span>
+                ${row.stageDate ? `<div class="text-[10px] text-slate-400 mt-1">depuis le ${new Date(row.stageDate).toLocaleDateString('fr-BE')}</div>` : ''}
+            </td>
+            <td class="px-3 py-3 align-top text-xs">
+                ${followUp ? `<div class="flex items-center gap-1 ${isOverdue ? 'text-red-600 font-semibold' : 'text-slate-600'}"><i data-lucide="calendar" class="h-3 w-3"></i> ${followUp.toLocaleDateString('fr-BE')}</div>` : '<span class="text-slate-300">—</span>'}
+                ${note.detailedStatus ? `<div class="text-purple-700 mt-1">${note.detailedStatus}</div>` : ''}
+            </td>
+            <td class="px-3 py-3 align-top">${scoreCell}</td>
+            <td class="px-3 py-3 align-top text-right">
+                ${summary.url ? `<a href="${summary.url}" target="_blank" class="p-1 text-slate-400 hover:text-blue-600 inline-block" title="Voir l'offre sur Le Forem"><i data-lucide="external-link" class="h-4 w-4"></i></a>` : ''}
+            </td>
+        </tr>
+    `;
+}
+
+/**
+ * Attaches the selection handlers of the rows.
+ * @param {HTMLElement} body - The table body
+ */
+function attachRowHandlers(body) {
+    body.querySelectorAll('.application-row').forEach(tr => {
+        tr.querySelector('.app-select').addEventListener('change', (e) => {
+            const jobId = tr.dataset.jobId;
+            if (e.target.checked) {
+                selectedIds.add(jobId);
+            } else {
+                selectedIds.delete(jobId);
+            }
+            tr.classList.toggle('bg-blue-50', e.target.checked);
+            updateBulkBar();
+        });
+    });
+}
+
+/**
+ * Updates the selection counter, the "select all" checkbox and the bulk action buttons.
+ */
+function updateBulkBar() {
+    const count = selectedIds.size;
+    const visibleSelected = visibleRows.filter(row => selectedIds.has(row.jobId)).length;
+    const selectAll = document.getElementById('appSelectAll');
+
+    selectAll.checked = visibleRows.length > 0 && visibleSelected === visibleRows.length;
+    selectAll.indeterminate = visibleSelected > 0 && visibleSelected < visibleRows.length;
+
+    document.getElementById('bulkCount').textContent = count
+        ? `${count} sélectionnée${count > 1 ? 's' : ''}`
+        : 'Aucune sélection';
+    document.querySelectorAll('.bulk-action').forEach(el => { el.disabled = count === 0; });
+}
+
+/**
+ * Gets the action history targets of the selected offers.
+ * @param {string} type - Target type ('jobState' or 'jobTags')
+ * @returns {Array<Object>} Targets for trackAction
+ */
+function getSelectionTargets(type) {
+    return [...selectedIds].map(jobId => ({ type, key: jobId }));
+}
+
+/**
+ * Moves the selected offers to the stage chosen in the bulk select (one entry of the action history).
+ */
+function bulkMoveToStage() {
+    const select = document.getElementById('bulkStageSelect');
+    if (!select.value || selectedIds.size === 0) return;
+
+    const stage = getPipelineStage(select.value);
+    const label = `${selectedIds.size} offre(s) déplacée(s) vers « ${stage.label} »`;
+    trackAction(label, getSelectionTargets('jobState'), () => {
+        selectedIds.forEach(jobId => setJobStage(jobId, select.value));
+    });
+    showToast(label);
+    select.value = '';
+    renderApplications();
+}
+
+/**
+ * Adds the tag chosen in the bulk select to the selected offers (one entry of the action history).
+ */
+function bulkAddTag() {
+    const select = document.getElementById('bulkTagSelect');
+    if (!select.value || selectedIds.size === 0) return;
+
+    const label = `Tag ajouté à ${selectedIds.size} offre(s)`;
+    trackAction(label, getSelectionTargets('jobTags'), () => {
+        selectedIds.forEach(jobId => addTagToJob(jobId, select.value));
+    });
+    showToast(label);
+    select.value = '';
+    renderApplications();
+}
+
+/**
+ * Stops tracking the selected offers (stage and history are removed, notes are kept),
+ * as one entry of the action history.
+ */
+function bulkRemove() {
+    if (selectedIds.size === 0) return;
+    if (!confirm(`Retirer ${selectedIds.size} offre(s) du suivi ? L'étape et l'historique seront supprimés, les notes sont conservées.`)) return;
+
+    const label = `${selectedIds.size} offre(s) retirée(s) du suivi`;
+    trackAction(label, getSelectionTargets('jobState'), () => {
+        selectedIds.forEach(jobId => removeJobState(jobId));
+    });
+    showToast(label);
+    selectedIds.clear();
+    renderApplications();
+}
+
+/**
+ * Exports the selected offers (or all displayed ones when nothing is selected) as CSV.
+ */
+function exportCsv() {
+    const rows = selectedIds.size
+        ? visibleRows.filter(row => selectedIds.has(row.jobId))
+        : visibleRows;
+    if (rows.length === 0) return;
+
+    const header = ['Numéro', 'Titre', 'Employeur', 'Lieu', 'Étape', 'Depuis le', 'Relance', 'Statut détaillé', 'Score', 'Tags', 'Expirée', 'Lien'];
+    downloadCsv(`forem-candidatures-${new Date().toISOString().split('T')[0]}.csv`, header, rows.map(row => [
+        row.jobId,
+        row.summary.title,
+        row.employer,
+        row.summary.city,
+        row.stage.label,
+        row.stageDate ? row.stageDate.split('T')[0] : '',
+        row.followUpDate ? row.followUpDate.split('T')[0] : '',
+        row.note.detailedStatus,
+        row.score,
+        row.tags.map(t => t.name).join(', '),
+        row.summary.expired ? 'oui' : 'non',
+        row.summary.url || ''
+    ]));
+}
+
+// Expose functions to window for HTML onclick handlers
+window.bulkMoveToStage = bulkMoveToStage;
+window.bulkAddTag = bulkAddTag;
+window.bulkRemove = bulkRemove;
+window.exportApplicationsCsv = exportCsv;
+
+// Initialize applications page when DOM is ready
+init();
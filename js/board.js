@@ -0,0 +1,207 @@
+/**
+ * Board Module
+ * Kanban view of tracked offers: one column per pipeline stage, cards moved by drag-and-drop.
+ * Offers are shown from their local snapshots, checked against the live dataset on load.
+ */
+import { initIcons } from './utils.js';
+import { getJobSnapshot, isSnapshotExpired, refreshJobSnapshots, getJobLink } from './job-snapshots.js';
+import { getAllJobStates, getPipelineStages, getPipelineStage, setJobStage, getStageIcon, STAGE_COLORS } from './bookmarks.js';
+import { getJobNote, hasNote } from './notes.js';
+import { getJobTags, TAG_COLORS } from './tags.js';
+import { trackAction } from './action-log.js';
+
+/** Maximum length of the note preview on a card */
+const NOTE_PREVIEW_LENGTH = 120;
+
+/** ID of the card being dragged */
+let draggedJobId = null;
+
+/**
+ * Initializes the board.
+ * @returns {Promise<void>}
+ */
+async function init() {
+    initIcons();
+    renderBoard();
+    await refreshJobSnapshots(getTrackedJobIds());
+    renderBoard();
+
+    // Keep in sync with changes made in other tabs
+    window.addEventListener('storage', (e) => {
+        if (['forem_job_states', 'forem_pipeline_stages', 'forem_job_notes', 'forem_job_tags', 'forem_job_snapshots'].includes(e.key)) {
+            renderBoard();
+        }
+    });
+}
+
+/**
+ * Gets the IDs of the offers shown on the board.
+ * Offers only in the initial stage without any history are not tracked.
+ * @returns {string[]} Array of job IDs
+ */
+function getTrackedJobIds() {
+    const states = getAllJobStates();
+    return Object.keys(states).filter(id => states[id].stageInfo.kind !== 'new' || states[id].history.length > 0);
+}
+
+/**
+ * Renders every column of the board.
+ */
+function renderBoard() {
+    const board = document.getElementById('board');
+    const stages = getPipelineStages();
+    const states = getAllJobStates();
+    const trackedIds = getTrackedJobIds();
+
+    document.getElementById('boardCount').textContent = `${trackedIds.length} offre${trackedIds.length > 1 ? 's' : ''} suivie${trackedIds.length > 1 ? 's' : ''}`;
+
+    board.innerHTML = stages.map(stage => {
+        const jobIds = trackedIds
+            .filter(id => states[id].stage === stage.id)
+            .sort((a, b) => new Date(getStageDate(states[b])) - new Date(getStageDate(states[a])));
+        const colors = STAGE_COLORS[stage.color] || STAGE_COLORS.slate;
+
+        return `
+            <section class="board-column flex-shrink-0 w-72 bg-slate-50 rounded-xl border border-slate-200 flex flex-col max-h-[calc(100vh-12rem)]" data-stage-id="${stage.id}">
+                <header class="flex items-center justify-between gap-2 px-3 py-2 border-b border-slate-200">
+                    <span class="flex items-center gap-2 px-2 py-0.5 rounded border text-sm font-semibold ${colors.badge}">
+                        <i data-lucide="${getStageIcon(stage)}" class="h-4 w-4"></i>
+                        ${stage.label}
+                    </span>
+                    <span class="text-xs font-bold text-slate-500">${jobIds.length}</span>
+                </header>
+                <div class="board-column-body flex-1 overflow-y-auto p-2 space-y-2 min-h-[6rem]">
+                    ${jobIds.map(id => renderCard(id, states[id], stages)).join('')}
+                </div>
+            </section>
+        `;
+    }).join('');
+
+    attachDragHandlers(board);
+    initIcons();
+}
+
+/**
+ * Gets the date a job entered its current stage.
+ * @param {Object} state - The job state
+ * @returns {string} ISO date
+ */
+function getStageDate(state) {
+    return state.history[state.history.length - 1]?.date || state.date;
+}
+
+/**
+ * Renders a board card.
+ * @param {string} jobId - The job ID
+ * @param {Object} state - The job state
+ * @param {Object[]} stages - Pipeline stages
+ * @returns {string} Card HTML
+ */
+function renderCard(jobId, state, stages) {
+    const snapshot = getJobSnapshot(jobId);
+    const job = snapshot?.record;
+    const expired = isSnapshotExpired(snapshot);
+    const title = job?.titreoffre || `Offre ${jobId}`;
+    const company = job?.nomemployeur || 'Confidentiel';
+    const city = job?.lieuxtravaillocalite?.[0] || '';
+    const stageDate = new Date(getStageDate(state)).toLocaleDateString('fr-BE');
+
+    // Note preview
+    let notePreview = '';
+    if (hasNote(jobId)) {
+        const note = getJobNote(jobId);
+        const text = note.text.length > NOTE_PREVIEW_LENGTH ? `${note.text.slice(0, NOTE_PREVIEW_LENGTH)}…` : note.text;
+        notePreview = `
+            <div class="mt-2 p-2 bg-purple-50 border border-purple-100 rounded text-xs text-purple-800 space-y-1">
+                ${note.detailedStatus ? `<div class="font-semibold">${note.detailedStatus}</div>` : ''}
+                ${note.customDate ? `<div class="flex items-center gap-1"><i data-lucide="calendar" class="h-3 w-3"></i> ${new Date(note.customDate).toLocaleDateString('fr-BE')}</div>` : ''}
+                ${text ? `<div class="text-purple-700 whitespace-pre-line">${text}</div>` : ''}
+            </div>
+        `;
+    }
+
+    // Tag chips
+    const tagChips = getJobTags(jobId).map(tag =>
+        `<span class="px-1.5 py-0.5 ${TAG_COLORS[tag.color] || 'bg-slate-100 text-slate-700 border-slate-200'} rounded border text-[10px] font-medium">${tag.name}</span>`
+    ).join('');
+
+    return `
+        <article class="board-card bg-white rounded-lg border border-slate-200 p-3 shadow-sm hover:shadow-md transition-shadow cursor-grab active:cursor-grabbing" draggable="true" data-job-id="${jobId}">
+            <h3 class="font-semibold text-sm text-slate-800 leading-snug">
+                <a href="${getJobLink(jobId)}" class="hover:text-blue-600">${title}</a>
+                ${expired ? '<span class="ml-1 px-1.5 py-0.5 bg-slate-200 text-slate-600 rounded text-[10px] font-semibold align-middle">Expirée</span>' : ''}
+            </h3>
+            <div class="text-xs text-slate-500 mt-1 flex items-center gap-1">
+                <i data-lucide="building-2" class="h-3 w-3"></i> ${company}
+                ${city ? `<span class="text-slate-300">|</span><i data-lucide="map-pin" class="h-3 w-3"></i> ${city}` : ''}
+            </div>
+            ${tagChips ? `<div class="flex flex-wrap gap-1 mt-2">${tagChips}</div>` : ''}
+            ${notePreview}
+            <footer class="flex items-center justify-between gap-2 mt-2 pt-2 border-t border-slate-100">
+                <span class="text-[10px] text-slate-400" title="Date d'entrée dans l'étape">depuis le ${stageDate}</span>
+                <div class="flex items-center gap-1">
+                    <select class="board-move text-[10px] text-slate-500 bg-transparent border border-slate-200 rounded px-1 py-0.5" title="Déplacer vers une autre étape">
+                        ${stages.map(s => `<option value="${s.id}" ${s.id === state.stage ? 'selected' : ''}>${s.label}</option>`).join('')}
+                    </select>
+                    ${job?.url ? `<a href="${job.url}" target="_blank" class="p-1 text-slate-400 hover:text-blue-600" title="Voir l'offre sur Le Forem"><i data-lucide="external-link" class="h-3 w-3"></i></a>` : ''}
+                </div>
+            </footer>
+        </article>
+    `;
+}
+
+/**
+ * Moves a job to another stage (recorded in the action history) and re-renders the board.
+ * @param {string} jobId - The job ID
+ * @param {string} stageId - Target stage ID
+ */
+function moveJob(jobId, stageId) {
+    const stage = getPipelineStage(stageId);
+    trackAction(`Étape « ${stage?.label || stageId} »`, [{ type: 'jobState', key: jobId }], () => setJobStage(jobId, stageId));
+    renderBoard();
+}
+
+/**
+ * Attaches drag-and-drop and move handlers to the board.
+ * @param {HTMLElement} board - The board element
+ */
+function attachDragHandlers(board) {
+    board.querySelectorAll('.board-card').forEach(card => {
+        card.addEventListener('dragstart', (e) => {
+            draggedJobId = card.dataset.jobId;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', draggedJobId);
+            card.classList.add('opacity-50');
+        });
+        card.addEventListener('dragend', () => {
+            draggedJobId = null;
+            card.classList.remove('opacity-50');
+        });
+        card.querySelector('.board-move')?.addEventListener('change', (e) => {
+            moveJob(card.dataset.jobId, e.target.value);
+        });
+    });
+
+    board.querySelectorAll('.board-column').forEach(column => {
+        column.addEventListener('dragover', (e) => {
+            if (!draggedJobId) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            column.classList.add('ring-2', 'ring-blue-400');
+        });
+        column.addEventListener('dragleave', (e) => {
+            if (!column.contains(e.relatedTarget)) {
+                column.classList.remove('ring-2', 'ring-blue-400');
+            }
+        });
+        column.addEventListener('drop', (e) => {
+            e.preventDefault();
+            column.classList.remove('ring-2', 'ring-blue-400');
+            const jobId = e.dataTransfer.getData('text/plain') || draggedJobId;
+            if (jobId) moveJob(jobId, column.dataset.stageId);
+        });
+    });
+}
+
+// Initialize board when DOM is ready
+init();
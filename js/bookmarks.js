@@ -1,18 +1,237 @@
 /**
  * Bookmarks Module
- * Manages job tracking states (watchlist and application status) in localStorage.
+ * Manages job tracking states in localStorage as an application pipeline:
+ * each job sits in one user-configurable stage (discovered → to review → applied →
+ * interview → offer → rejected/withdrawn, or ignored) with a timestamped transition history.
+ * The legacy bookmarked/applied/ignored flags are derived from the stage kind.
  */
 
 const STORAGE_KEY = 'forem_job_states';
+const STAGES_STORAGE_KEY = 'forem_pipeline_stages';
+
+/**
+ * Stage kinds give stages their meaning for filters, toggles and statistics.
+ * Labels are shown in the pipeline settings.
+ */
+export const STAGE_KINDS = {
+    new: 'Nouvelle (non suivie)',
+    saved: 'À consulter (favori)',
+    applied: 'Candidature en cours',
+    closed: 'Candidature clôturée',
+    ignored: 'Ignorée'
+};
+
+/** Kinds that must keep at least one stage (used by the bookmark/applied/ignored toggles) */
+const REQUIRED_KINDS = ['new', 'saved', 'applied', 'ignored'];
+
+/** Default icon per stage kind, for stages created by the user */
+const KIND_ICONS = {
+    new: 'inbox',
+    saved: 'bookmark-check',
+    applied: 'send',
+    closed: 'archive',
+    ignored: 'eye-off'
+};
+
+/** Tailwind classes and chart color of each stage color */
+export const STAGE_COLORS = {
+    slate: { badge: 'bg-slate-100 text-slate-700 border-slate-200', solid: 'bg-slate-500', chart: 'rgb(100, 116, 139)' },
+    amber: { badge: 'bg-amber-100 text-amber-700 border-amber-200', solid: 'bg-amber-500', chart: 'rgb(245, 158, 11)' },
+    green: { badge: 'bg-green-100 text-green-700 border-green-200', solid: 'bg-green-500', chart: 'rgb(34, 197, 94)' },
+    blue: { badge: 'bg-blue-100 text-blue-700 border-blue-200', solid: 'bg-blue-500', chart: 'rgb(59, 130, 246)' },
+    violet: { badge: 'bg-violet-100 text-violet-700 border-violet-200', solid: 'bg-violet-500', chart: 'rgb(139, 92, 246)' },
+    emerald: { badge: 'bg-emerald-100 text-emerald-700 border-emerald-200', solid: 'bg-emerald-500', chart: 'rgb(16, 185, 129)' },
+    orange: { badge: 'bg-orange-100 text-orange-700 border-orange-200', solid: 'bg-orange-500', chart: 'rgb(249, 115, 22)' },
+    pink: { badge: 'bg-pink-100 text-pink-700 border-pink-200', solid: 'bg-pink-500', chart: 'rgb(236, 72, 153)' },
+    red: { badge: 'bg-red-100 text-red-700 border-red-200', solid: 'bg-red-500', chart: 'rgb(239, 68, 68)' }
+};
+
+/** Default pipeline, in display order */
+export const DEFAULT_PIPELINE_STAGES = [
+    { id: 'discovered', label: 'Découverte', kind: 'new', color: 'slate', icon: 'inbox' },
+    { id: 'to_review', label: 'À consulter', kind: 'saved', color: 'amber', icon: 'bookmark-check' },
+    { id: 'applied', label: 'Postulé', kind: 'applied', color: 'green', icon: 'check-circle-2' },
+    { id: 'interview', label: 'Entretien', kind: 'applied', color: 'blue', icon: 'calendar-check' },
+    { id: 'offer', label: 'Offre reçue', kind: 'applied', color: 'emerald', icon: 'trophy' },
+    { id: 'rejected', label: 'Refusé', kind: 'closed', color: 'red', icon: 'thumbs-down' },
+    { id: 'withdrawn', label: 'Abandonné', kind: 'closed', color: 'slate', icon: 'undo-2' },
+    { id: 'ignored', label: 'Ignorée', kind: 'ignored', color: 'red', icon: 'eye-off' }
+];
+
+/**
+ * Toggle definitions: the stage kind a toggle moves to, the kinds in which the
+ * toggle is considered active, and the kinds it may revert to when switched off.
+ */
+const TOGGLES = {
+    bookmarked: { kind: 'saved', active: ['saved'], revertTo: ['new'] },
+    applied: { kind: 'applied', active: ['applied', 'closed'], revertTo: ['new', 'saved'] },
+    ignored: { kind: 'ignored', active: ['ignored'], revertTo: ['new', 'saved', 'applied', 'closed'] }
+};
+
+/**
+ * Gets the configured pipeline stages.
+ * @returns {Object[]} Stages { id, label, kind, color, icon } in display order
+ */
+export function getPipelineStages() {
+    try {
+        const data = localStorage.getItem(STAGES_STORAGE_KEY);
+        const stages = data ? JSON.parse(data) : null;
+        return Array.isArray(stages) && stages.length ? stages : DEFAULT_PIPELINE_STAGES;
+    } catch (e) {
+        console.error('Error reading pipeline stages:', e);
+        return DEFAULT_PIPELINE_STAGES;
+    }
+}
+
+/**
+ * Gets a stage by ID.
+ * @param {string} stageId - The stage ID
+ * @param {Object[]} [stages] - Stages to search (defaults to the configured ones)
+ * @returns {Object|null} The stage, or null if it does not exist
+ */
+export function getPipelineStage(stageId, stages = getPipelineStages()) {
+    return stages.find(s => s.id === stageId) || null;
+}
+
+/**
+ * Gets the icon of a stage (its own, or the default icon of its kind).
+ * @param {Object} stage - The stage
+ * @returns {string} Lucide icon name
+ */
+export function getStageIcon(stage) {
+    return stage.icon || KIND_ICONS[stage.kind] || 'circle';
+}
+
+/**
+ * Gets the first stage of a kind.
+ * @param {string} kind - The stage kind
+ * @param {Object[]} [stages] - Stages to search
+ * @returns {Object} The stage (falls back to the first stage)
+ */
+function getFirstStageOfKind(kind, stages = getPipelineStages()) {
+    return stages.find(s => s.kind === kind) || stages[0];
+}
+
+/**
+ * Gets the initial stage, where untracked jobs implicitly sit.
+ * @returns {Object} The first stage of kind 'new'
+ */
+export function getInitialStage() {
+    return getFirstStageOfKind('new');
+}
+
+/**
+ * Validates and saves the pipeline stages.
+ * Jobs in removed stages move to the first remaining stage of the same kind.
+ * @param {Object[]} stages - Stages { id?, label, kind, color, icon? } in display order
+ * @returns {Object[]} The saved stages
+ */
+export function savePipelineStages(stages) {
+    if (!Array.isArray(stages) || stages.length === 0) {
+        throw new Error('Le pipeline doit contenir au moins une étape');
+    }
+
+    const usedIds = new Set();
+    const normalized = stages.map(stage => {
+        const label = (stage.label || '').trim();
+        if (!label) throw new Error('Chaque étape doit avoir un nom');
+        if (!STAGE_KINDS[stage.kind]) throw new Error(`Type d'étape inconnu: ${stage.kind}`);
+
+        let id = stage.id || label.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'stage';
+        while (usedIds.has(id)) id = `${id}_${usedIds.size}`;
+        usedIds.add(id);
+
+        return {
+            id,
+            label,
+            kind: stage.kind,
+            color: STAGE_COLORS[stage.color] ? stage.color : 'slate',
+            icon: stage.icon || KIND_ICONS[stage.kind]
+        };
+    });
+
+    const missing = REQUIRED_KINDS.filter(kind => !normalized.some(s => s.kind === kind));
+    if (missing.length) {
+        throw new Error(`Le pipeline doit garder au moins une étape de type: ${missing.map(k => STAGE_KINDS[k]).join(', ')}`);
+    }
+
+    // Move jobs out of removed stages
+    const previousStages = getPipelineStages();
+    const states = getJobStates();
+    let moved = false;
+    Object.values(states).forEach(state => {
+        if (getPipelineStage(state.stage, normalized)) return;
+        const oldKind = getPipelineStage(state.stage, previousStages)?.kind || 'new';
+        recordTransition(state, getFirstStageOfKind(oldKind, normalized).id);
+        moved = true;
+    });
+    if (moved) saveJobStates(states);
+
+    try {
+        localStorage.setItem(STAGES_STORAGE_KEY, JSON.stringify(normalized));
+    } catch (e) {
+        console.error('Error saving pipeline stages:', e);
+    }
+    return normalized;
+}
+
+/**
+ * Restores the default pipeline stages.
+ * @returns {Object[]} The default stages
+ */
+export function resetPipelineStages() {
+    return savePipelineStages(DEFAULT_PIPELINE_STAGES);
+}
+
+/**
+ * Converts a legacy { bookmarked, applied, ignored } state into a pipeline state.
+ * Applied wins over bookmarked, which wins over ignored; the history is rebuilt from the stored dates.
+ * @param {Object} legacy - Legacy job state
+ * @param {Object[]} [stages] - Pipeline stages
+ * @returns {Object} Pipeline state { stage, history, date }
+ */
+function migrateLegacyState(legacy, stages = getPipelineStages()) {
+    const fallbackDate = legacy.date || new Date().toISOString();
+    const history = [];
+
+    if (legacy.bookmarked || (legacy.applied && legacy.bookmarkedDate)) {
+        history.push({ stage: getFirstStageOfKind('saved', stages).id, date: legacy.bookmarkedDate || fallbackDate });
+    }
+    if (legacy.applied) {
+        history.push({ stage: getFirstStageOfKind('applied', stages).id, date: legacy.appliedDate || fallbackDate });
+    } else if (legacy.ignored && !legacy.bookmarked) {
+        history.push({ stage: getFirstStageOfKind('ignored', stages).id, date: legacy.ignoredDate || fallbackDate });
+    }
+    history.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    const kind = legacy.applied ? 'applied' : legacy.bookmarked ? 'saved' : legacy.ignored ? 'ignored' : 'new';
+    const stage = getFirstStageOfKind(kind, stages).id;
+    if (history[history.length - 1]?.stage !== stage) {
+        history.push({ stage, date: fallbackDate });
+    }
+
+    return { stage, history, date: fallbackDate };
+}
 
 /**
  * Gets all saved job states from localStorage.
- * @returns {Object} Object mapping job IDs to their states
+ * Legacy boolean states are migrated to pipeline states on first read.
+ * @returns {Object} Object mapping job IDs to their pipeline states
  */
 function getJobStates() {
     try {
         const data = localStorage.getItem(STORAGE_KEY);
-        return data ? JSON.parse(data) : {};
+        const states = data ? JSON.parse(data) : {};
+
+        const legacyIds = Object.keys(states).filter(id => !states[id].stage);
+        if (legacyIds.length) {
+            const stages = getPipelineStages();
+            legacyIds.forEach(id => {
+                states[id] = migrateLegacyState(states[id], stages);
+            });
+            saveJobStates(states);
+        }
+        return states;
     } catch (e) {
         console.error('Error reading job states:', e);
         return {};
@@ -31,41 +250,170 @@ function saveJobStates(states) {
     }
 }
 
+/**
+ * Creates the state of a job that was never tracked.
+ * @returns {Object} Pipeline state in the initial stage
+ */
+function createState() {
+    return { stage: getInitialStage().id, history: [], date: new Date().toISOString() };
+}
+
+/**
+ * Moves a state to a stage and appends the transition to its history.
+ * @param {Object} state - The pipeline state (mutated)
+ * @param {string} stageId - Target stage ID
+ */
+function recordTransition(state, stageId) {
+    state.history = state.history || [];
+    state.history.push({ stage: stageId, from: state.stage, date: new Date().toISOString() });
+    state.stage = stageId;
+}
+
+/**
+ * Gets the date a job first entered a stage of one of the given kinds.
+ * @param {Object[]} history - Transition history
+ * @param {string[]} kinds - Stage kinds
+ * @param {Object[]} stages - Pipeline stages
+ * @returns {string|null} ISO date or null
+ */
+function getFirstEntryDate(history, kinds, stages) {
+    const entry = (history || []).find(h => kinds.includes(getPipelineStage(h.stage, stages)?.kind));
+    return entry ? entry.date : null;
+}
+
+/**
+ * Adds the stage object and the derived legacy fields to a stored state.
+ * @param {Object} state - Stored pipeline state
+ * @param {Object[]} [stages] - Pipeline stages
+ * @returns {Object} State { stage, stageInfo, history, date, bookmarked, applied, ignored, bookmarkedDate, appliedDate, ignoredDate }
+ */
+function describeState(state, stages = getPipelineStages()) {
+    const stageInfo = getPipelineStage(state.stage, stages) || getFirstStageOfKind('new', stages);
+    const isActive = toggle => TOGGLES[toggle].active.includes(stageInfo.kind);
+
+    return {
+        ...state,
+        stage: stageInfo.id,
+        stageInfo,
+        history: state.history || [],
+        bookmarked: isActive('bookmarked'),
+        applied: isActive('applied'),
+        ignored: isActive('ignored'),
+        bookmarkedDate: getFirstEntryDate(state.history, TOGGLES.bookmarked.active, stages),
+        appliedDate: getFirstEntryDate(state.history, TOGGLES.applied.active, stages),
+        ignoredDate: getFirstEntryDate(state.history, TOGGLES.ignored.active, stages)
+    };
+}
+
 /**
  * Gets the state of a specific job.
  * @param {string} jobId - The job numerooffreforem
- * @returns {Object} Job state object { bookmarked, applied, ignored, date }
+ * @returns {Object} Job state object { stage, stageInfo, history, bookmarked, applied, ignored, date }
  */
 export function getJobState(jobId) {
     const states = getJobStates();
-    return states[jobId] || { bookmarked: false, applied: false, ignored: false };
+    return describeState(states[jobId] || { stage: getInitialStage().id, history: [] });
 }
 
 /**
- * Toggles the bookmarked (watchlist) state of a job.
+ * Moves a job to a pipeline stage, recording the transition with a timestamp.
  * @param {string} jobId - The job numerooffreforem
- * @returns {boolean} New bookmarked state
+ * @param {string} stageId - Target stage ID
+ * @returns {Object} The new job state (see getJobState)
  */
-export function toggleBookmark(jobId) {
+export function setJobStage(jobId, stageId) {
+    const stages = getPipelineStages();
+    if (!getPipelineStage(stageId, stages)) {
+        throw new Error(`Étape inconnue: ${stageId}`);
+    }
+
     const states = getJobStates();
-    const currentState = states[jobId] || { bookmarked: false, applied: false, ignored: false };
-    
-    const wasBookmarked = currentState.bookmarked;
-    currentState.bookmarked = !wasBookmarked;
-    
-    // Only set date when bookmarking, not when removing
-    if (!wasBookmarked) {
-        currentState.bookmarkedDate = new Date().toISOString();
-    }
-    // Keep legacy 'date' field for backward compatibility
-    if (!currentState.date) {
-        currentState.date = new Date().toISOString();
-    }
-    
+    const currentState = states[jobId] || createState();
+
+    if (currentState.stage !== stageId) {
+        recordTransition(currentState, stageId);
+        states[jobId] = currentState;
+        saveJobStates(states);
+    }
+
+    return describeState(currentState, stages);
+}
+
+/**
+ * Stops tracking a job: removes its state and transition history.
+ * @param {string} jobId - The job numerooffreforem
+ */
+export function removeJobState(jobId) {
+    const states = getJobStates();
+    if (!states[jobId]) return;
+    delete states[jobId];
+    saveJobStates(states);
+}
+
+/**
+ * Gets a copy of the stored state of a job, to be restored later with restoreJobState (undo).
+ * @param {string} jobId - The job numerooffreforem
+ * @returns {Object|null} Stored state { stage, history, date }, or null if the job was never tracked
+ */
+export function getStoredJobState(jobId) {
+    const state = getJobStates()[jobId];
+    return state ? JSON.parse(JSON.stringify(state)) : null;
+}
+
+/**
+ * Puts back a state read with getStoredJobState, history included.
+ * @param {string} jobId - The job numerooffreforem
+ * @param {Object|null} storedState - The state to restore (null stops tracking the job)
+ */
+export function restoreJobState(jobId, storedState) {
+    const states = getJobStates();
+    if (storedState) {
+        states[jobId] = storedState;
+    } else {
+        delete states[jobId];
+    }
+    saveJobStates(states);
+}
+
+/**
+ * Toggles one of the legacy flags by moving the job through the pipeline.
+ * Switching on moves to the first stage of the toggle's kind; switching off returns to
+ * the latest stage of the history the toggle may revert to (or the initial stage).
+ * @param {string} jobId - The job numerooffreforem
+ * @param {string} toggle - 'bookmarked', 'applied' or 'ignored'
+ * @returns {boolean} New flag state
+ */
+function toggleFlag(jobId, toggle) {
+    const stages = getPipelineStages();
+    const { kind, active, revertTo } = TOGGLES[toggle];
+    const states = getJobStates();
+    const currentState = states[jobId] || createState();
+    const currentKind = (getPipelineStage(currentState.stage, stages) || getFirstStageOfKind('new', stages)).kind;
+
+    let target;
+    if (active.includes(currentKind)) {
+        const previous = [...(currentState.history || [])].reverse()
+            .map(h => getPipelineStage(h.stage, stages))
+            .find(stage => stage && revertTo.includes(stage.kind));
+        target = previous || getFirstStageOfKind('new', stages);
+    } else {
+        target = getFirstStageOfKind(kind, stages);
+    }
+
+    recordTransition(currentState, target.id);
     states[jobId] = currentState;
     saveJobStates(states);
-    
-    return currentState.bookmarked;
+
+    return active.includes(target.kind);
+}
+
+/**
+ * Toggles the bookmarked (watchlist) state of a job.
+ * @param {string} jobId - The job numerooffreforem
+ * @returns {boolean} New bookmarked state
+ */
+export function toggleBookmark(jobId) {
+    return toggleFlag(jobId, 'bookmarked');
 }
 
 /**
@@ -74,21 +422,7 @@ export function toggleBookmark(jobId) {
  * @returns {boolean} New applied state
  */
 export function toggleApplied(jobId) {
-    const states = getJobStates();
-    const currentState = states[jobId] || { bookmarked: false, applied: false, ignored: false };
-    
-    const wasApplied = currentState.applied;
-    currentState.applied = !wasApplied;
-    
-    // Only set date when marking as applied, not when removing
-    if (!wasApplied) {
-        currentState.appliedDate = new Date().toISOString();
-    }
-    
-    states[jobId] = currentState;
-    saveJobStates(states);
-    
-    return currentState.applied;
+    return toggleFlag(jobId, 'applied');
 }
 
 /**
@@ -97,21 +431,18 @@ export function toggleApplied(jobId) {
  * @returns {boolean} New ignored state
  */
 export function toggleIgnored(jobId) {
+    return toggleFlag(jobId, 'ignored');
+}
+
+/**
+ * Gets the IDs of jobs whose stage kind is one of the given kinds.
+ * @param {string[]} kinds - Stage kinds
+ * @returns {string[]} Array of job IDs
+ */
+function getJobsByKinds(kinds) {
+    const stages = getPipelineStages();
     const states = getJobStates();
-    const currentState = states[jobId] || { bookmarked: false, applied: false, ignored: false };
-    
-    const wasIgnored = currentState.ignored;
-    currentState.ignored = !wasIgnored;
-    
-    // Only set date when ignoring, not when removing
-    if (!wasIgnored) {
-        currentState.ignoredDate = new Date().toISOString();
-    }
-    
-    states[jobId] = currentState;
-    saveJobStates(states);
-    
-    return currentState.ignored;
+    return Object.keys(states).filter(id => kinds.includes(describeState(states[id], stages).stageInfo.kind));
 }
 
 /**
@@ -119,8 +450,7 @@ export function toggleIgnored(jobId) {
  * @returns {string[]} Array of bookmarked job IDs
  */
 export function getBookmarkedJobs() {
-    const states = getJobStates();
-    return Object.keys(states).filter(id => states[id].bookmarked);
+    return getJobsByKinds(TOGGLES.bookmarked.active);
 }
 
 /**
@@ -128,8 +458,7 @@ export function getBookmarkedJobs() {
  * @returns {string[]} Array of applied job IDs
  */
 export function getAppliedJobs() {
-    const states = getJobStates();
-    return Object.keys(states).filter(id => states[id].applied);
+    return getJobsByKinds(TOGGLES.applied.active);
 }
 
 /**
@@ -137,31 +466,46 @@ export function getAppliedJobs() {
  * @returns {string[]} Array of ignored job IDs
  */
 export function getIgnoredJobs() {
-    const states = getJobStates();
-    return Object.keys(states).filter(id => states[id].ignored);
+    return getJobsByKinds(TOGGLES.ignored.active);
+}
+
+/**
+ * Counts jobs per pipeline stage.
+ * @returns {Object} Object mapping stage IDs to job counts (every configured stage is present)
+ */
+export function getStageCounts() {
+    const stages = getPipelineStages();
+    const counts = Object.fromEntries(stages.map(s => [s.id, 0]));
+    Object.values(getJobStates()).forEach(state => {
+        counts[describeState(state, stages).stage]++;
+    });
+    return counts;
 }
 
 /**
  * Gets statistics about tracked jobs.
- * @returns {Object} Statistics object
+ * @returns {Object} Statistics object { total, bookmarked, applied, ignored, byStage }
  */
 export function getStats() {
-    const states = getJobStates();
-    const allIds = Object.keys(states);
-    
+    const states = Object.values(getAllJobStates());
+
     return {
-        total: allIds.length,
-        bookmarked: allIds.filter(id => states[id].bookmarked).length,
-        applied: allIds.filter(id => states[id].applied).length
+        total: states.filter(s => s.stageInfo.kind !== 'new').length,
+        bookmarked: states.filter(s => s.bookmarked).length,
+        applied: states.filter(s => s.applied).length,
+        ignored: states.filter(s => s.ignored).length,
+        byStage: getStageCounts()
     };
 }
 
 /**
  * Gets all job states.
- * @returns {Object} All job states mapping
+ * @returns {Object} All job states mapping (see getJobState)
  */
 export function getAllJobStates() {
-    return getJobStates();
+    const stages = getPipelineStages();
+    const states = getJobStates();
+    return Object.fromEntries(Object.entries(states).map(([id, state]) => [id, describeState(state, stages)]));
 }
 
 /**
@@ -177,49 +521,56 @@ export function clearAllStates() {
 /**
  * Imports bookmark data from an exported JSON file.
  * Merges imported data with existing data (keeps existing + adds new).
+ * Accepts both pipeline states and legacy boolean states (older exports).
  * @param {Object} importedBookmarks - The bookmarks object from the export file
+ * @param {Object[]} [importedStages] - The pipeline stages from the export file, unknown ones are appended
  * @returns {Object} Statistics about the import
  */
-export function importBookmarks(importedBookmarks) {
+export function importBookmarks(importedBookmarks, importedStages) {
     if (!importedBookmarks || typeof importedBookmarks !== 'object') {
         throw new Error('Format de données invalide');
     }
-    
+
+    // Add the stages used by the export that do not exist here
+    let stages = getPipelineStages();
+    if (Array.isArray(importedStages)) {
+        const unknown = importedStages.filter(s => s && s.id && !getPipelineStage(s.id, stages));
+        if (unknown.length) stages = savePipelineStages([...stages, ...unknown]);
+    }
+
     // Get existing data
     const existingStates = getJobStates();
-    
+
     // Count what we're importing
     let newCount = 0;
     let updatedCount = 0;
-    
+
     // Merge imported data with existing
     Object.keys(importedBookmarks).forEach(jobId => {
         const importedState = importedBookmarks[jobId];
-        
+
         // Validate imported state structure
-        if (typeof importedState !== 'object') return;
-        
+        if (!importedState || typeof importedState !== 'object') return;
+
         if (existingStates[jobId]) {
             updatedCount++;
         } else {
             newCount++;
         }
-        
-        // Merge with existing or create new, preserving all fields
-        existingStates[jobId] = {
-            bookmarked: importedState.bookmarked || false,
-            applied: importedState.applied || false,
-            ignored: importedState.ignored || false,
-            date: importedState.date || new Date().toISOString(),
-            bookmarkedDate: importedState.bookmarkedDate || null,
-            appliedDate: importedState.appliedDate || null,
-            ignoredDate: importedState.ignoredDate || null
-        };
+
+        // Merge with existing or create new
+        existingStates[jobId] = importedState.stage
+            ? {
+                stage: getPipelineStage(importedState.stage, stages) ? importedState.stage : getFirstStageOfKind('new', stages).id,
+                history: Array.isArray(importedState.history) ? importedState.history : [],
+                date: importedState.date || new Date().toISOString()
+            }
+            : migrateLegacyState(importedState, stages);
     });
-    
+
     // Save merged data
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(existingStates));
-    
+    saveJobStates(existingStates);
+
     return {
         newCount,
         updatedCount,
@@ -0,0 +1,374 @@
+/**
+ * Category Picker Module
+ * Searchable, hierarchical picker of ROME/DIMECO job codes (domain → subdomain → code)
+ * built from the facets endpoint. Selected code prefixes are stored, comma-separated,
+ * in the hidden #categoryFilter input read by buildQuery and the URL state.
+ */
+import { FACETS_URL, EXPORTS_URL } from './config.js';
+import { initIcons } from './utils.js';
+
+const INPUT_ID = 'categoryFilter';
+
+/** Prefix lengths of the tree levels: domain (M), subdomain (M18), code (M1805) */
+const LEVELS = [1, 3, 5];
+
+/** ROME domain labels (first letter of the code) */
+const ROME_DOMAINS = {
+    A: 'Agriculture, pêche, espaces verts, soins aux animaux',
+    B: 'Arts et façonnage d\'ouvrages d\'art',
+    C: 'Banque, assurance, immobilier',
+    D: 'Commerce, vente et grande distribution',
+    E: 'Communication, média et multimédia',
+    F: 'Construction, bâtiment et travaux publics',
+    G: 'Hôtellerie-restauration, tourisme, loisirs',
+    H: 'Industrie',
+    I: 'Installation et maintenance',
+    J: 'Santé',
+    K: 'Services à la personne et à la collectivité',
+    L: 'Spectacle',
+    M: 'Support à l\'entreprise',
+    N: 'Transport et logistique'
+};
+
+/** Shortcuts kept from the former fixed select */
+const PRESETS = [
+    { value: 'M1805', label: '💻 Dev & Programmation' },
+    { value: 'M18', label: '🌐 Tout l\'IT & Télécom' },
+    { value: 'M', label: '📊 Gestion & Management' }
+];
+
+/** Root of the code tree: { code, label, count, children: Map } */
+let tree = null;
+let expanded = new Set();
+let searchTerm = '';
+
+/**
+ * Normalizes a string for accent- and case-insensitive matching.
+ * @param {string} str - The string to normalize
+ * @returns {string} Normalized string
+ */
+const normalize = (str) => (str || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/**
+ * Gets the selected code prefixes from the hidden input.
+ * @returns {string[]} Selected prefixes (empty = all sectors)
+ */
+export function getSelectedCategories() {
+    const value = document.getElementById(INPUT_ID)?.value || '';
+    return value.split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Stores the selected code prefixes in the hidden input and refreshes the picker.
+ * Prefixes already covered by a selected ancestor are dropped.
+ * @param {string[]} prefixes - Code prefixes to select
+ */
+export function setSelectedCategories(prefixes) {
+    const unique = [...new Set(prefixes)];
+    const normalized = unique.filter(p => !unique.some(other => other !== p && p.startsWith(other)));
+    const input = document.getElementById(INPUT_ID);
+    if (input) input.value = normalized.join(',');
+    renderCategoryPicker();
+}
+
+/**
+ * Gets or creates a child node of the tree.
+ * @param {Object} parent - Parent node
+ * @param {string} code - Code prefix of the child
+ * @returns {Object} Child node
+ */
+function getOrCreateNode(parent, code) {
+    if (!parent.children.has(code)) {
+        parent.children.set(code, { code, label: '', count: 0, children: new Map() });
+    }
+    return parent.children.get(code);
+}
+
+/**
+ * Builds the code tree from facet values, aggregating counts on every level.
+ * @param {Object[]} facetValues - Facet entries { name, count } for metiercodedimeco
+ * @param {Object<string, string>} labels - Map of full codes to job labels
+ * @returns {Object} Root node
+ */
+function buildTree(facetValues, labels) {
+    const root = { code: '', label: '', count: 0, children: new Map() };
+
+    facetValues.forEach(({ name, count }) => {
+        const code = String(name).trim().toUpperCase();
+        if (!code) return;
+
+        let node = root;
+        root.count += count;
+        const prefixes = LEVELS.filter(len => len < code.length).map(len => code.slice(0, len));
+        [...prefixes, code].forEach(prefix => {
+            node = getOrCreateNode(node, prefix);
+            node.count += count;
+        });
+        node.label = labels[code] || node.label;
+    });
+
+    root.children.forEach((domain, letter) => {
+        domain.label = ROME_DOMAINS[letter] || '';
+    });
+    return root;
+}
+
+/**
+ * Fetches code labels (metier) grouped by code through the exports endpoint.
+ * Labels are optional: on failure the picker shows codes only.
+ * @returns {Promise<Object<string, string>>} Map of full codes to job labels
+ */
+async function fetchCodeLabels() {
+    try {
+        const params = new URLSearchParams({
+            select: 'metiercodedimeco, metier',
+            group_by: 'metiercodedimeco, metier'
+        });
+        const response = await fetch(`${EXPORTS_URL}?${params.toString()}`);
+        if (!response.ok) throw new Error(response.status);
+        const rows = await response.json();
+
+        const labels = {};
+        rows.forEach(row => {
+            const code = String(row.metiercodedimeco || '').toUpperCase();
+            if (code && row.metier && !labels[code]) labels[code] = row.metier;
+        });
+        return labels;
+    } catch (e) {
+        console.warn('Category labels unavailable:', e);
+        return {};
+    }
+}
+
+/**
+ * Loads the ROME/DIMECO code tree (counts from the facets endpoint) and renders the picker.
+ * @returns {Promise<void>}
+ */
+export async function loadCategoryTree() {
+    try {
+        const [response, labels] = await Promise.all([
+            fetch(`${FACETS_URL}?facet=metiercodedimeco&timezone=Europe/Brussels`),
+            fetchCodeLabels()
+        ]);
+        if (!response.ok) throw new Error("Erreur codes métier");
+        const data = await response.json();
+
+        const facetData = data.facets.find(f => f.name === 'metiercodedimeco');
+        tree = buildTree(facetData?.facets || [], labels);
+    } catch (e) {
+        console.error("Category Facet Error:", e);
+        tree = null;
+    }
+
+    // Expand the path to the current selection
+    getSelectedCategories().forEach(code => {
+        LEVELS.filter(len => len < code.length).forEach(len => expanded.add(code.slice(0, len)));
+    });
+    renderCategoryPicker();
+}
+
+/**
+ * Checks whether a node or one of its descendants matches the search term.
+ * @param {Object} node - Tree node
+ * @param {string} term - Normalized search term
+ * @returns {boolean} True if the node or a descendant matches
+ */
+function matchesSearch(node, term) {
+    if (!term) return true;
+    if (normalize(node.code).startsWith(term) || normalize(node.label).includes(term)) return true;
+    return [...node.children.values()].some(child => matchesSearch(child, term));
+}
+
+/**
+ * Builds the display label of a node.
+ * @param {Object} node - Tree node
+ * @returns {string} Label text
+ */
+function getNodeLabel(node) {
+    if (node.label) return node.label;
+    if (node.children.size) return `${node.children.size} sous-catégorie${node.children.size > 1 ? 's' : ''}`;
+    return '';
+}
+
+/**
+ * Renders tree nodes as nested list items.
+ * @param {Object} node - Parent node
+ * @param {number} depth - Nesting depth
+ * @param {string[]} selected - Selected prefixes
+ * @returns {string} HTML string
+ */
+function renderNodes(node, depth, selected) {
+    const term = normalize(searchTerm);
+
+    return [...node.children.values()]
+        .filter(child => matchesSearch(child, term))
+        .sort((a, b) => a.code.localeCompare(b.code))
+        .map(child => {
+            const isSelected = selected.includes(child.code);
+            const coveredByParent = selected.some(p => p !== child.code && child.code.startsWith(p));
+            const hasChildren = child.children.size > 0;
+            const isOpen = hasChildren && (expanded.has(child.code) || (term && !normalize(child.code).startsWith(term)));
+
+            return `
+                <li>
+                    <div class="flex items-center gap-1.5 py-0.5 hover:bg-slate-50 rounded" style="padding-left: ${depth * 14}px">
+                        ${hasChildren
+                            ? `<button type="button" onclick="window.toggleCategoryNode('${child.code}')" class="p-0.5 text-slate-400 hover:text-slate-700">
+                                   <i data-lucide="${isOpen ? 'chevron-down' : 'chevron-right'}" class="h-3 w-3"></i>
+                               </button>`
+                            : '<span class="w-4"></span>'}
+                        <input type="checkbox" id="cat_${child.code}" value="${child.code}"
+                               ${isSelected || coveredByParent ? 'checked' : ''} ${coveredByParent ? 'disabled' : ''}
+                               onchange="window.toggleCategorySelection('${child.code}', this.checked)"
+                               class="rounded border-slate-300 text-blue-600 focus:ring-blue-500 cursor-pointer">
+                        <label for="cat_${child.code}" class="flex-1 text-xs text-slate-700 cursor-pointer select-none truncate">
+                            <span class="font-mono font-semibold">${child.code}</span>
+                            <span class="${child.label ? '' : 'text-slate-400 italic'}">${getNodeLabel(child)}</span>
+                        </label>
+                        <span class="text-[10px] text-slate-400 pr-1">${child.count}</span>
+                    </div>
+                    ${isOpen ? `<ul>${renderNodes(child, depth + 1, selected)}</ul>` : ''}
+                </li>
+            `;
+        }).join('');
+}
+
+/**
+ * Updates the summary shown on the picker button.
+ * @param {string[]} selected - Selected prefixes
+ */
+function renderSummary(selected) {
+    const summary = document.getElementById('categorySummary');
+    if (!summary) return;
+
+    if (!selected.length) {
+        summary.textContent = '🌍 Tous les secteurs';
+    } else if (selected.length === 1) {
+        const preset = PRESETS.find(p => p.value === selected[0]);
+        const node = findNode(selected[0]);
+        summary.textContent = preset ? `${preset.label} (${selected[0]}*)` : `${selected[0]}* ${node?.label || ''}`.trim();
+    } else {
+        summary.textContent = `${selected.length} secteurs : ${selected.join(', ')}`;
+    }
+}
+
+/**
+ * Finds a node by its code prefix.
+ * @param {string} code - Code prefix
+ * @returns {Object|null} Tree node or null if not found
+ */
+function findNode(code) {
+    if (!tree) return null;
+    let node = tree;
+    for (const prefix of [...LEVELS.filter(len => len < code.length).map(len => code.slice(0, len)), code]) {
+        node = node.children.get(prefix);
+        if (!node) return null;
+    }
+    return node;
+}
+
+/**
+ * Renders the picker: summary, presets, selected chips and the filtered tree.
+ */
+export function renderCategoryPicker() {
+    const selected = getSelectedCategories();
+    renderSummary(selected);
+
+    const container = document.getElementById('categoryTree');
+    if (!container) return;
+
+    if (!tree) {
+        container.innerHTML = `<div class="text-slate-400 text-xs text-center py-4">Codes métier indisponibles</div>`;
+        return;
+    }
+
+    const presets = document.getElementById('categoryPresets');
+    if (presets) {
+        presets.innerHTML = PRESETS.map(p => `
+            <button type="button" onclick="window.setCategoryPreset('${p.value}')"
+                    class="px-2 py-0.5 rounded-full text-[11px] border ${selected.length === 1 && selected[0] === p.value ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-slate-600 border-slate-300 hover:bg-slate-100'}">
+                ${p.label}
+            </button>
+        `).join('') + `
+            <button type="button" onclick="window.setCategoryPreset('')"
+                    class="px-2 py-0.5 rounded-full text-[11px] border ${!selected.length ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-slate-600 border-slate-300 hover:bg-slate-100'}">
+                🌍 Tous
+            </button>
+        `;
+    }
+
+    const html = renderNodes(tree, 0, selected);
+    container.innerHTML = html
+        ? `<ul>${html}</ul>`
+        : `<div class="text-slate-400 text-xs text-center py-4">Aucun code ne correspond</div>`;
+    initIcons();
+}
+
+/**
+ * Opens or closes the picker panel.
+ * @param {boolean} [force] - Open (true) or close (false); toggles when omitted
+ */
+export function toggleCategoryPicker(force) {
+    const panel = document.getElementById('categoryPanel');
+    if (!panel) return;
+    const open = force ?? panel.classList.contains('hidden');
+    panel.classList.toggle('hidden', !open);
+    if (open) {
+        renderCategoryPicker();
+        document.getElementById('categorySearch')?.focus();
+    }
+}
+
+/**
+ * Expands or collapses a tree node.
+ * @param {string} code - Code prefix of the node
+ */
+export function toggleCategoryNode(code) {
+    if (expanded.has(code)) expanded.delete(code);
+    else expanded.add(code);
+    renderCategoryPicker();
+}
+
+/**
+ * Adds or removes a code prefix from the selection.
+ * @param {string} code - Code prefix
+ * @param {boolean} checked - Whether the prefix is selected
+ */
+export function toggleCategorySelection(code, checked) {
+    const selected = getSelectedCategories();
+    setSelectedCategories(checked
+        ? [...selected.filter(p => !p.startsWith(code)), code]
+        : selected.filter(p => p !== code));
+}
+
+/**
+ * Replaces the selection with a single preset (empty string = all sectors).
+ * @param {string} value - Code prefix or empty string
+ */
+export function setCategoryPreset(value) {
+    setSelectedCategories(value ? [value] : []);
+}
+
+/**
+ * Filters the tree with the search box value.
+ * @param {string} value - Search text (code prefix or label)
+ */
+export function filterCategoryTree(value) {
+    searchTerm = value.trim();
+    renderCategoryPicker();
+}
+
+/**
+ * Wires the picker: re-renders when the hidden input is changed programmatically
+ * (URL restore, custom query sync) and closes the panel on outside clicks.
+ */
+export function initCategoryPicker() {
+    document.getElementById(INPUT_ID)?.addEventListener('change', renderCategoryPicker);
+
+    document.addEventListener('click', (e) => {
+        const picker = document.getElementById('categoryPicker');
+        if (picker && !e.composedPath().includes(picker)) toggleCategoryPicker(false);
+    });
+
+    renderCategoryPicker();
+}
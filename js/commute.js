@@ -0,0 +1,322 @@
+/**
+ * Commute Module
+ * Estimates the travel time between the user location and the offers, by transport mode.
+ * Estimates come from a routing provider (a local estimate from the straight-line distance
+ * by default, or a routing service), and are cached per (mode, origin, job location).
+ * Rendering reads the cache synchronously; missing estimates are computed in the background.
+ */
+import { getDistance } from './utils.js';
+
+const COMMUTE_CACHE_KEY = 'forem_commute_cache';
+const COMMUTE_SETTINGS_KEY = 'forem_commute_settings';
+
+/** Number of cached estimates kept (the oldest are dropped) */
+const MAX_CACHE_ENTRIES = 2000;
+
+/** Cached estimates expire after 30 days (timetables and roads change) */
+const CACHE_TTL = 30 * 24 * 60 * 60 * 1000;
+
+/** The public OSRM server allows one request per second */
+const OSRM_MIN_INTERVAL = 1000;
+
+/** Routes asked to OSRM per pass: the next ones are asked once these are shown */
+const OSRM_BATCH_SIZE = 20;
+
+/**
+ * Transport modes.
+ * The local estimate uses a detour factor (road or rail distance / straight line),
+ * an average speed and a fixed time (parking, walking to the station, waiting).
+ */
+export const COMMUTE_MODES = {
+    car: { label: 'Voiture', phrase: 'en voiture', icon: 'car', detour: 1.2, speed: 75, fixed: 5 },
+    transit: { label: 'Transports en commun', phrase: 'en transports en commun', icon: 'bus-front', detour: 1.3, speed: 65, fixed: 20 },
+    bike: { label: 'Vélo', phrase: 'à vélo', icon: 'bike', detour: 1.2, speed: 15, fixed: 2 }
+};
+
+const DEFAULT_SETTINGS = { mode: 'transit', provider: 'local' };
+
+/**
+ * Local estimate from the straight-line distance: no network, always available.
+ * @type {Object}
+ */
+const localProvider = {
+    label: 'Estimation locale',
+    async estimate(origin, destination, mode) {
+        const { detour, speed, fixed } = COMMUTE_MODES[mode];
+        const km = parseFloat(getDistance(origin.lat, origin.lon, destination.lat, destination.lon)) * detour;
+        return { minutes: Math.round(fixed + km / speed * 60), km: Math.round(km) };
+    }
+};
+
+/** End of the last queued OSRM request, to space the next one */
+let osrmQueue = Promise.resolve();
+
+/**
+ * Fetches an OSRM URL, one request at a time and at most one per second.
+ * @param {string} url - Route URL
+ * @returns {Promise<Response>} The response
+ */
+function fetchOsrm(url) {
+    const request = osrmQueue.then(() => fetch(url));
+    osrmQueue = request
+        .catch(() => {})
+        .then(() => new Promise(resolve => setTimeout(resolve, OSRM_MIN_INTERVAL)));
+    return request;
+}
+
+/**
+ * Routing by the public OSRM server (road network) for car and bike;
+ * public transport is not routed by OSRM and uses the local estimate.
+ * Requests are queued (see fetchOsrm), and a pass only routes a batch of offers.
+ * @type {Object}
+ */
+const osrmProvider = {
+    label: 'OSRM (réseau routier)',
+    batchSize: OSRM_BATCH_SIZE,
+    async estimate(origin, destination, mode) {
+        if (mode === 'transit') return localProvider.estimate(origin, destination, mode);
+
+        const profile = mode === 'bike' ? 'bike' : 'driving';
+        const url = `https://router.project-osrm.org/route/v1/${profile}/${origin.lon},${origin.lat};${destination.lon},${destination.lat}?overview=false`;
+        const response = await fetchOsrm(url);
+        if (!response.ok) throw new Error(`OSRM HTTP ${response.status}`);
+        const data = await response.json();
+        const route = data.routes?.[0];
+        if (!route) throw new Error('OSRM: aucun itinéraire');
+        return { minutes: Math.round(route.duration / 60), km: Math.round(route.distance / 1000) };
+    }
+};
+
+/**
+ * Routing providers by ID: { label, estimate(origin, destination, mode) → Promise<{ minutes, km }> },
+ * with an optional batchSize (number of routes asked per pass)
+ */
+const providers = {
+    local: localProvider,
+    osrm: osrmProvider
+};
+
+/** Estimates being computed, by cache key (a job shown twice is only routed once) */
+const pending = new Map();
+
+/** Routes the provider failed on during this session (not asked again until reload) */
+const failed = new Set();
+
+/** In-memory copy of the cache: read for every card, so it is parsed once */
+let cacheCopy = null;
+
+/**
+ * Gets the commute settings from localStorage.
+ * @returns {Object} Settings { mode, provider }
+ */
+export function getCommuteSettings() {
+    try {
+        const data = localStorage.getItem(COMMUTE_SETTINGS_KEY);
+        return { ...DEFAULT_SETTINGS, ...(data ? JSON.parse(data) : {}) };
+    } catch (e) {
+        console.error('Error reading commute settings:', e);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+/**
+ * Saves commute settings to localStorage.
+ * @param {Object} updates - Settings to change ({ mode } and/or { provider })
+ * @throws {Error} If the mode or the provider is unknown
+ */
+export function saveCommuteSettings(updates) {
+    if (updates.mode && !COMMUTE_MODES[updates.mode]) throw new Error(`Mode de transport inconnu: ${updates.mode}`);
+    if (updates.provider && !providers[updates.provider]) throw new Error(`Calcul d'itinéraire inconnu: ${updates.provider}`);
+    try {
+        localStorage.setItem(COMMUTE_SETTINGS_KEY, JSON.stringify({ ...getCommuteSettings(), ...updates }));
+    } catch (e) {
+        console.error('Error saving commute settings:', e);
+    }
+}
+
+/**
+ * Registers a routing provider (e.g. a public transport planner, or a stand-in in tests).
+ * @param {string} id - Provider ID, used in the settings
+ * @param {Object} provider - { label, estimate(origin, destination, mode) → Promise<{ minutes, km }> }
+ */
+export function registerRoutingProvider(id, provider) {
+    providers[id] = provider;
+}
+
+/**
+ * Lists the routing providers.
+ * @returns {Object[]} Providers { id, label }
+ */
+export function listRoutingProviders() {
+    return Object.entries(providers).map(([id, { label }]) => ({ id, label }));
+}
+
+/**
+ * Gets the cached estimates from localStorage.
+ * @returns {Object} Object mapping cache keys to { minutes, km, at }
+ */
+function getCache() {
+    if (cacheCopy) return cacheCopy;
+    try {
+        const data = localStorage.getItem(COMMUTE_CACHE_KEY);
+        cacheCopy = data ? JSON.parse(data) : {};
+        return cacheCopy;
+    } catch (e) {
+        console.error('Error reading commute cache:', e);
+        return {};
+    }
+}
+
+/**
+ * Saves the cached estimates to localStorage, keeping the most recent ones.
+ * The estimates of the offers being shown are never dropped, even above the limit:
+ * dropping them would make the next render estimate them again, endlessly.
+ * @param {Object} cache - Object mapping cache keys to estimates
+ * @param {Set<string>} [keep] - Cache keys to keep whatever their age
+ */
+function saveCache(cache, keep = new Set()) {
+    try {
+        const entries = Object.entries(cache);
+        const others = entries.filter(([key]) => !keep.has(key));
+        const room = Math.max(0, MAX_CACHE_ENTRIES - (entries.length - others.length));
+        const kept = entries.length > MAX_CACHE_ENTRIES
+            ? Object.fromEntries([
+                ...entries.filter(([key]) => keep.has(key)),
+                ...others.sort(([, a], [, b]) => b.at - a.at).slice(0, room)
+            ])
+            : cache;
+        cacheCopy = kept;
+        localStorage.setItem(COMMUTE_CACHE_KEY, JSON.stringify(kept));
+    } catch (e) {
+        console.error('Error saving commute cache:', e);
+    }
+}
+
+/**
+ * Builds the cache key of a trip. Coordinates are rounded to about 100 m,
+ * so a slightly different GPS position reuses the estimates.
+ * @param {string} provider - Provider ID
+ * @param {string} mode - Transport mode
+ * @param {Object} origin - { lat, lon }
+ * @param {Object} destination - { lat, lon }
+ * @returns {string} Cache key
+ */
+function getCacheKey(provider, mode, origin, destination) {
+    const point = ({ lat, lon }) => `${Number(lat).toFixed(3)},${Number(lon).toFixed(3)}`;
+    return `${provider}|${mode}|${point(origin)}|${point(destination)}`;
+}
+
+/**
+ * Gets the location of an offer.
+ * @param {Object} job - The job record
+ * @returns {Object|null} { lat, lon } of the first work place, or null
+ */
+function getJobPoint(job) {
+    const geo = job.lieuxtravailgeo?.[0];
+    return geo && geo.lat && geo.lon ? geo : null;
+}
+
+/**
+ * Gets a cached estimate if it has not expired.
+ * @param {Object} cache - Object mapping cache keys to estimates
+ * @param {string} key - Cache key
+ * @returns {Object|null} { minutes, km, at } or null
+ */
+function getFreshEntry(cache, key) {
+    const cached = cache[key];
+    return cached && Date.now() - cached.at <= CACHE_TTL ? cached : null;
+}
+
+/**
+ * Gets the cached commute of an offer, for the current mode and provider.
+ * When the provider could not route it, the local estimate is used.
+ * @param {Object} origin - User location { lat, lon }
+ * @param {Object} job - The job record
+ * @returns {Object|null} { minutes, km, mode } or null when not estimated yet (or no location)
+ */
+export function getCachedCommute(origin, job) {
+    const destination = getJobPoint(job);
+    if (!origin || !destination) return null;
+
+    const { mode, provider } = getCommuteSettings();
+    const cache = getCache();
+    const cached = getFreshEntry(cache, getCacheKey(provider, mode, origin, destination))
+        || getFreshEntry(cache, getCacheKey('local', mode, origin, destination));
+    if (!cached) return null;
+    return { minutes: cached.minutes, km: cached.km, mode };
+}
+
+/**
+ * Computes the commute of the offers not estimated yet from each origin, for the current mode and provider.
+ * When the provider fails, the local estimate is cached under the local provider (shown meanwhile),
+ * and the route is not asked again during the session.
+ * @param {Object[]} origins - Locations { lat, lon } (user location, named origins)
+ * @param {Object[]} jobs - Job records
+ * @returns {Promise<number>} Number of offers and origins that gained an estimate
+ */
+export async function estimateCommutes(origins, jobs) {
+    if (!origins.length) return 0;
+
+    const { mode, provider } = getCommuteSettings();
+    const routing = providers[provider] || localProvider;
+    const cache = getCache();
+    const needed = new Set();
+    const trips = new Map();
+    origins.forEach(origin => jobs.forEach(job => {
+        const destination = getJobPoint(job);
+        if (!destination) return;
+        const key = getCacheKey(provider, mode, origin, destination);
+        const localKey = getCacheKey('local', mode, origin, destination);
+        needed.add(key).add(localKey);
+        if (!getFreshEntry(cache, key) && !pending.has(key) && !failed.has(key)) {
+            trips.set(key, { origin, destination, localKey });
+        }
+    }));
+    if (trips.size === 0) return 0;
+
+    const batch = [...trips].slice(0, routing.batchSize || trips.size);
+    const estimates = await Promise.all(batch.map(([key, { origin, destination, localKey }]) => {
+        const promise = routing.estimate(origin, destination, mode)
+            .then(estimate => [key, estimate])
+            .catch(async e => {
+                console.warn('[Commute] Routing failed, using the local estimate:', e.message);
+                failed.add(key);
+                return [localKey, await localProvider.estimate(origin, destination, mode)];
+            })
+            .finally(() => pending.delete(key));
+        pending.set(key, promise);
+        return promise;
+    }));
+
+    const updated = getCache();
+    const now = Date.now();
+    let gained = 0;
+    estimates.forEach(([key, { minutes, km }]) => {
+        // A local fallback only counts when the offer had no estimate at all
+        if (!getFreshEntry(updated, key)) gained++;
+        updated[key] = { minutes, km, at: now };
+    });
+    saveCache(updated, needed);
+    return gained;
+}
+
+/**
+ * Formats a commute for a card: "≈ 35 min en transports en commun", "≈ 1 h 10 en voiture".
+ * @param {Object} commute - Commute from getCachedCommute
+ * @returns {string} Label
+ */
+export function formatCommute(commute) {
+    const { minutes, mode } = commute;
+    const duration = minutes < 60
+        ? `${minutes} min`
+        : `${Math.floor(minutes / 60)} h${minutes % 60 ? ` ${String(minutes % 60).padStart(2, '0')}` : ''}`;
+    return `≈ ${duration} ${COMMUTE_MODES[mode].phrase}`;
+}
+
+/**
+ * Clears the cached estimates (e.g. after changing the provider).
+ */
+export function clearCommuteCache() {
+    cacheCopy = null;
+    localStorage.removeItem(COMMUTE_CACHE_KEY);
+}
@@ -3,7 +3,7 @@
  * Usage: <nav-bar current="index"></nav-bar>
  * 
  * Attributes:
- * - current: The current page identifier (index, profile, letters, dashboard, aide, settings)
+ * - current: The current page identifier (index, applications, board, profile, letters, dashboard, aide, settings)
  */
 class NavBar extends HTMLElement {
     constructor() {
@@ -54,6 +54,9 @@ class NavBar extends HTMLElement {
     getNavItems() {
         return [
             { id: 'index', href: 'index.html', icon: 'search', label: 'Rechercher', color: 'blue' },
+            { id: 'applications', href: 'applications.html', icon: 'list-checks', label: 'Candidatures', color: 'sky' },
+            { id: 'board', href: 'board.html', icon: 'kanban', label: 'Tableau', color: 'teal' },
+            { id: 'employers', href: 'employers.html', icon: 'building-2', label: 'Employeurs', color: 'orange' },
             { id: 'profile', href: 'profile.html', icon: 'user-circle', label: 'Profil', color: 'emerald' },
             { id: 'letters', href: 'letters.html', icon: 'file-pen', label: 'Lettres', color: 'violet' },
             { id: 'dashboard', href: 'dashboard.html', icon: 'bar-chart-3', label: 'Dashboard', color: 'purple' },
@@ -70,7 +73,10 @@ class NavBar extends HTMLElement {
             violet: { bg: 'bg-violet-600', hover: 'hover:bg-violet-700' },
             purple: { bg: 'bg-purple-600', hover: 'hover:bg-purple-700' },
             amber: { bg: 'bg-amber-500', hover: 'hover:bg-amber-600' },
-            indigo: { bg: 'bg-indigo-600', hover: 'hover:bg-indigo-700' }
+            indigo: { bg: 'bg-indigo-600', hover: 'hover:bg-indigo-700' },
+            teal: { bg: 'bg-teal-600', hover: 'hover:bg-teal-700' },
+            sky: { bg: 'bg-sky-600', hover: 'hover:bg-sky-700' },
+            orange: { bg: 'bg-orange-600', hover: 'hover:bg-orange-700' }
         };
         
         const colors = colorMap[item.color];
@@ -123,6 +129,12 @@ class NavBar extends HTMLElement {
                 .nav-btn-amber:hover { background: #d97706; }
                 .nav-btn-indigo { background: #4f46e5; color: white; }
                 .nav-btn-indigo:hover { background: #4338ca; }
+                .nav-btn-teal { background: #0d9488; color: white; }
+                .nav-btn-teal:hover { background: #0f766e; }
+                .nav-btn-sky { background: #0284c7; color: white; }
+                .nav-btn-sky:hover { background: #0369a1; }
+                .nav-btn-orange { background: #ea580c; color: white; }
+                .nav-btn-orange:hover { background: #c2410c; }
                 .nav-btn-white { background: white; color: #334155; border: 1px solid #cbd5e1; }
                 .nav-btn-white:hover { background: #f8fafc; }
                 .nav-btn.current { 
@@ -134,6 +146,9 @@ class NavBar extends HTMLElement {
                 .nav-btn-purple.current { box-shadow: 0 0 0 2px white, 0 0 0 4px #a855f7; }
                 .nav-btn-amber.current { box-shadow: 0 0 0 2px white, 0 0 0 4px #fbbf24; }
                 .nav-btn-indigo.current { box-shadow: 0 0 0 2px white, 0 0 0 4px #6366f1; }
+                .nav-btn-teal.current { box-shadow: 0 0 0 2px white, 0 0 0 4px #14b8a6; }
+                .nav-btn-sky.current { box-shadow: 0 0 0 2px white, 0 0 0 4px #0ea5e9; }
+                .nav-btn-orange.current { box-shadow: 0 0 0 2px white, 0 0 0 4px #f97316; }
                 
                 /* Dropdown styles */
                 .dropdown {
@@ -342,6 +357,9 @@ class NavBar extends HTMLElement {
             'download': '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" x2="12" y1="15" y2="3"/></svg>',
             'upload': '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="17 8 12 3 7 8"/><line x1="12" x2="12" y1="3" y2="15"/></svg>',
             'folder-sync': '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M9 20H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h3.9a2 2 0 0 1 1.69.9l.81 1.2a2 2 0 0 0 1.67.9H20a2 2 0 0 1 2 2v1"/><path d="M12 10v4h4"/><path d="m12 14 1.5-1.5c.9-.9 2.2-1.5 3.5-1.5s2.6.6 3.5 1.5c.4.4.8 1 1 1.5"/><path d="M22 22v-4h-4"/><path d="m22 18-1.5 1.5c-.9.9-2.1 1.5-3.5 1.5s-2.6-.6-3.5-1.5c-.4-.4-.8-1-1-1.5"/></svg>',
+            'list-checks': '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="m3 17 2 2 4-4"/><path d="m3 7 2 2 4-4"/><path d="M13 6h8"/><path d="M13 12h8"/><path d="M13 18h8"/></svg>',
+            'kanban': '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M6 5v11"/><path d="M12 5v6"/><path d="M18 5v14"/></svg>',
+            'building-2': '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M6 22V4a2 2 0 0 1 2-2h8a2 2 0 0 1 2 2v18Z"/><path d="M6 12H4a2 2 0 0 0-2 2v6a2 2 0 0 0 2 2h2"/><path d="M18 9h2a2 2 0 0 1 2 2v9a2 2 0 0 1-2 2h-2"/><path d="M10 6h4"/><path d="M10 10h4"/><path d="M10 14h4"/><path d="M10 18h4"/></svg>',
             'chevron-down': '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="m6 9 6 6 6-6"/></svg>'
         };
         return icons[name] || '';
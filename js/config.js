@@ -26,3 +26,21 @@ export const BASE_URL = `${API_HOST}/catalog/datasets/${DATASET_ID}/records`;
  * @type {string}
  */
 export const FACETS_URL = `${API_HOST}/catalog/datasets/${DATASET_ID}/facets`;
+
+/** 
+ * Complete URL for exporting aggregated records (no pagination limit)
+ * @type {string}
+ */
+export const EXPORTS_URL = `${API_HOST}/catalog/datasets/${DATASET_ID}/exports/json`;
+
+/** 
+ * Maximum number of records the API returns per request
+ * @type {number}
+ */
+export const MAX_PAGE_SIZE = 100;
+
+/** 
+ * API ceiling for paginated access: offset + limit must stay below this value
+ * @type {number}
+ */
+export const MAX_RECORDS_WINDOW = 10000;
@@ -36,6 +36,10 @@ export function processCV(jsonString) {
     // Extraire le profil normalisé
     const profile = extractProfile(cvData);
     
+    // Conserver les lieux de départ saisis à la main (absents du CV)
+    const origins = getProfile()?.origins;
+    if (origins) profile.origins = origins;
+    
     // Sauvegarder le profil
     saveProfile(profile);
     
@@ -251,7 +255,7 @@ export function updateProfile(updates) {
     if (!profile) return false;
     
     // Mettre à jour les champs autorisés
-    const allowedFields = ['name', 'headline', 'email', 'phone', 'location', 'summary', 'totalExperienceYears', 'educationLevel'];
+    const allowedFields = ['name', 'headline', 'email', 'phone', 'location', 'summary', 'totalExperienceYears', 'educationLevel', 'remotePreference'];
     
     for (const field of allowedFields) {
         if (updates[field] !== undefined) {
@@ -3,8 +3,9 @@
  * Displays statistics, charts, and insights about job search activity.
  */
 import { initIcons } from './utils.js';
-import { getAllJobStates } from './bookmarks.js';
+import { getAllJobStates, getPipelineStages, getStageCounts, getStageIcon, STAGE_COLORS } from './bookmarks.js';
 import { getAllJobsWithNotes, getUpcomingDates } from './notes.js';
+import { getJobSummary, getJobLink, refreshJobSnapshots } from './job-snapshots.js';
 
 // Chart instances for cleanup
 let activityChartInstance = null;
@@ -16,9 +17,17 @@ let statusChartInstance = null;
 async function init() {
     initIcons();
     loadStatistics();
+    loadPipelineStages();
     loadCharts();
     loadUpcomingFollowUps();
     generateInsights();
+    
+    // Check the followed-up offers against the live dataset (expired indicator)
+    const followedUpIds = getUpcomingDates(7).map(item => item.jobId);
+    if (followedUpIds.length > 0) {
+        await refreshJobSnapshots(followedUpIds);
+        loadUpcomingFollowUps();
+    }
 }
 
 /**
@@ -33,7 +42,7 @@ function loadStatistics() {
     let appliedCount = 0;
     
     Object.values(states).forEach(state => {
-        if (state.bookmarked || state.applied || state.ignored) {
+        if (state.stageInfo.kind !== 'new') {
             totalJobs++;
         }
         if (state.bookmarked) bookmarkedCount++;
@@ -46,6 +55,30 @@ function loadStatistics() {
     document.getElementById('notedJobs').textContent = notedJobs.length;
 }
 
+/**
+ * Displays the number of jobs in each pipeline stage.
+ */
+function loadPipelineStages() {
+    const container = document.getElementById('pipelineStages');
+    if (!container) return;
+    
+    const counts = getStageCounts();
+    container.innerHTML = getPipelineStages().map(stage => {
+        const colors = (STAGE_COLORS[stage.color] || STAGE_COLORS.slate).badge;
+        return `
+            <a href="index.html?stage=${encodeURIComponent(stage.id)}" class="flex-1 min-w-[120px] flex items-center justify-between gap-3 px-4 py-3 rounded-lg border ${colors} hover:shadow-sm transition-all">
+                <span class="flex items-center gap-2 text-sm font-medium">
+                    <i data-lucide="${getStageIcon(stage)}" class="h-4 w-4"></i>
+                    ${stage.label}
+                </span>
+                <span class="text-xl font-bold">${counts[stage.id] || 0}</span>
+            </a>
+        `;
+    }).join('');
+    
+    initIcons();
+}
+
 /**
  * Loads and displays charts.
  */
@@ -81,14 +114,14 @@ function createActivityChart() {
     const today = new Date().toISOString().split('T')[0];
     
     Object.entries(states).forEach(([jobId, state]) => {
-        // Use bookmarkedDate if available, fallback to date, then to today
-        if (state.bookmarked) {
+        // Count the first entry into a watchlist/application stage (even if the job moved on since)
+        if (state.bookmarkedDate) {
             const dateStr = state.bookmarkedDate || state.date;
             const dayKey = dateStr ? new Date(dateStr).toISOString().split('T')[0] : today;
             bookmarksByDay[dayKey] = (bookmarksByDay[dayKey] || 0) + 1;
             console.log(`Bookmark ${jobId}: date=${dateStr}, dayKey=${dayKey}`);
         }
-        if (state.applied) {
+        if (state.appliedDate) {
             const dateStr = state.appliedDate;
             const dayKey = dateStr ? new Date(dateStr).toISOString().split('T')[0] : today;
             appliedByDay[dayKey] = (appliedByDay[dayKey] || 0) + 1;
@@ -186,24 +219,10 @@ function createActivityChart() {
  */
 function createStatusChart() {
     const ctx = document.getElementById('statusChart');
-    const states = getAllJobStates();
+    const counts = getStageCounts();
     
-    let bookmarkedCount = 0;
-    let appliedCount = 0;
-    let ignoredCount = 0;
-    let bothCount = 0;
-    
-    Object.values(states).forEach(state => {
-        if (state.bookmarked && state.applied) {
-            bothCount++;
-        } else if (state.bookmarked) {
-            bookmarkedCount++;
-        } else if (state.applied) {
-            appliedCount++;
-        } else if (state.ignored) {
-            ignoredCount++;
-        }
-    });
+    // Untracked jobs ('new' stages) are left out of the distribution
+    const stages = getPipelineStages().filter(stage => stage.kind !== 'new');
     
     // Destroy existing chart if present
     if (statusChartInstance) {
@@ -213,15 +232,10 @@ function createStatusChart() {
     statusChartInstance = new Chart(ctx, {
         type: 'doughnut',
         data: {
-            labels: ['À consulter', 'Postulées', 'Consultées + Postulées', 'Ignorées'],
+            labels: stages.map(stage => stage.label),
             datasets: [{
-                data: [bookmarkedCount, appliedCount, bothCount, ignoredCount],
-                backgroundColor: [
-                    'rgb(245, 158, 11)',
-                    'rgb(34, 197, 94)',
-                    'rgb(59, 130, 246)',
-                    'rgb(239, 68, 68)'
-                ],
+                data: stages.map(stage => counts[stage.id] || 0),
+                backgroundColor: stages.map(stage => (STAGE_COLORS[stage.color] || STAGE_COLORS.slate).chart),
                 borderWidth: 2,
                 borderColor: '#fff'
             }]
@@ -262,6 +276,8 @@ function loadUpcomingFollowUps() {
         today.setHours(0, 0, 0, 0);
         const daysUntil = Math.ceil((date - today) / (1000 * 60 * 60 * 24));
         
+        const job = getJobSummary(item.jobId);
+        
         let urgencyColor = 'bg-green-100 text-green-700 border-green-200';
         if (daysUntil <= 1) urgencyColor = 'bg-red-100 text-red-700 border-red-200';
         else if (daysUntil <= 3) urgencyColor = 'bg-orange-100 text-orange-700 border-orange-200';
@@ -277,10 +293,14 @@ function loadUpcomingFollowUps() {
                 </div>
                 <div class="flex-1 min-w-0">
                     <div class="font-semibold text-slate-800">${date.toLocaleDateString('fr-BE', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</div>
+                    <div class="text-sm text-slate-700 mt-1 flex items-center gap-2 min-w-0">
+                        <span class="truncate">${job.title}${job.employer ? ` · ${job.employer}` : ''}</span>
+                        ${job.expired ? '<span class="flex-shrink-0 px-1.5 py-0.5 bg-slate-200 text-slate-600 rounded text-[10px] font-semibold">Expirée</span>' : ''}
+                    </div>
                     ${item.detailedStatus ? `<div class="text-sm text-slate-600 mt-1">${item.detailedStatus}</div>` : ''}
                     ${item.text ? `<div class="text-xs text-slate-500 mt-1 truncate">${item.text}</div>` : ''}
                 </div>
-                <a href="index.html" class="px-3 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg text-sm font-medium transition-all">
+                <a href="${getJobLink(item.jobId)}" class="px-3 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg text-sm font-medium transition-all">
                     Voir
                 </a>
             </div>
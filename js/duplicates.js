@@ -0,0 +1,289 @@
+/**
+ * Duplicates Module
+ * Detects offers published several times (agency reposts, one offer per locality,
+ * renewed offers with a new numerooffreforem) and groups them into clusters.
+ * Tracking state is shared within a cluster, so an offer already applied to
+ * through one of its copies is not applied to twice.
+ */
+import { getJobState, getAllJobStates } from './bookmarks.js';
+import { getAllJobSnapshots } from './job-snapshots.js';
+import { getEmployerKey } from './employer-index.js';
+
+/** Words ignored when comparing titles and descriptions */
+const STOPWORDS = new Set([
+    'les', 'des', 'une', 'pour', 'avec', 'dans', 'sur', 'par', 'aux', 'est', 'qui', 'que', 'vous', 'nous', 'votre', 'vos', 'nos',
+    'het', 'een', 'van', 'voor', 'met', 'die', 'wij', 'jij', 'and', 'the', 'for', 'with', 'you', 'our', 'your'
+]);
+
+/** Gender markers and filler found in offer titles: "(H/F)", "M/F/X", "h/f/x"... */
+const TITLE_NOISE = /\(?\b[hmfx]\s*\/\s*[hmfvx](\s*\/\s*[hmfvx])?\b\)?/gi;
+
+/** Minimum number of words for a description to be compared */
+const MIN_DESCRIPTION_WORDS = 20;
+
+/** Two offers with less similar titles and descriptions are never duplicates (see isDuplicate) */
+const MIN_TITLE_SIMILARITY = 0.6;
+const MIN_DESCRIPTION_SIMILARITY = 0.85;
+
+/** Rank of each stage kind: the most advanced state of a cluster applies to all its offers */
+const KIND_RANK = { new: 0, ignored: 1, saved: 2, closed: 3, applied: 4 };
+
+/** Clusters of the last clustering, by job ID (for views opened from the results, like the job modal) */
+let lastClustersByJob = new Map();
+
+/** Fingerprints by job record: the results are clustered again on every render */
+const fingerprints = new WeakMap();
+
+/**
+ * Normalizes a text for comparison: lowercase, no accents, no punctuation.
+ * @param {string} text - The text
+ * @returns {string} Normalized text
+ */
+export function normalizeText(text) {
+    return (text || '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(TITLE_NOISE, ' ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Splits a text into its significant words.
+ * @param {string} text - The text
+ * @returns {Set<string>} Normalized words (stopwords and 1-2 letter words removed)
+ */
+function getWords(text) {
+    return new Set(normalizeText(text).split(' ').filter(w => w.length > 2 && !STOPWORDS.has(w)));
+}
+
+/**
+ * Computes the Jaccard similarity of two word sets.
+ * @param {Set<string>} a - First set
+ * @param {Set<string>} b - Second set
+ * @returns {number} Similarity between 0 and 1 (0 when a set is empty)
+ */
+function jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let common = 0;
+    a.forEach(w => { if (b.has(w)) common++; });
+    return common / (a.size + b.size - common);
+}
+
+/**
+ * Extracts what is compared between offers.
+ * @param {Object} job - The job record
+ * @returns {Object} { title, employer, localities, description }
+ */
+function getFingerprint(job) {
+    if (fingerprints.has(job)) return fingerprints.get(job);
+    const description = getWords([job.descriptionoffre, job.competencesrequises].filter(Boolean).join(' '));
+    const fingerprint = {
+        title: getWords(job.titreoffre),
+        employer: getEmployerKey(job.nomemployeur) || '',
+        localities: new Set((job.lieuxtravaillocalite || []).map(normalizeText)),
+        description: description.size >= MIN_DESCRIPTION_WORDS ? description : null
+    };
+    fingerprints.set(job, fingerprint);
+    return fingerprint;
+}
+
+/**
+ * Gets the words of a set of which any set similar enough shares at least one (prefix filtering):
+ * words ordered from the rarest, a set with a Jaccard similarity of at least `threshold` shares
+ * one of the first |words| - ⌈threshold × |words|⌉ + 1.
+ * @param {Set<string>} words - Word set
+ * @param {number} threshold - Minimum Jaccard similarity
+ * @param {Function} rank - Rank of a word (number of offers using it)
+ * @returns {string[]} Prefix words
+ */
+function getPrefix(words, threshold, rank) {
+    const sorted = [...words].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+    return sorted.slice(0, sorted.length - Math.ceil(threshold * sorted.length - 1e-9) + 1);
+}
+
+/**
+ * Indexes fingerprints by the rare words of their title and description, so that an offer is
+ * only compared with the offers sharing one of them instead of the whole list.
+ * @param {Object[]} list - Fingerprints
+ * @returns {Function} Gets the indexes in the list of the possible duplicates of a fingerprint
+ */
+function createCandidateIndex(list) {
+    const frequency = new Map();
+    const count = (words) => words.forEach(word => frequency.set(word, (frequency.get(word) || 0) + 1));
+    list.forEach(fingerprint => {
+        count(fingerprint.title);
+        if (fingerprint.description) count(fingerprint.description);
+    });
+    const rank = (word) => frequency.get(word) || 0;
+
+    const getBucketKeys = (fingerprint) => [
+        ...getPrefix(fingerprint.title, MIN_TITLE_SIMILARITY, rank).map(word => `t:${word}`),
+        ...(fingerprint.description ? getPrefix(fingerprint.description, MIN_DESCRIPTION_SIMILARITY, rank) : []).map(word => `d:${word}`)
+    ];
+
+    const buckets = new Map();
+    list.forEach((fingerprint, i) => getBucketKeys(fingerprint).forEach(key => {
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(i);
+    }));
+
+    return (fingerprint) => {
+        const candidates = new Set();
+        getBucketKeys(fingerprint).forEach(key => (buckets.get(key) || []).forEach(i => candidates.add(i)));
+        return candidates;
+    };
+}
+
+/**
+ * Decides whether two offers are the same position.
+ * - same title and same employer (renewed offer, one offer per locality);
+ * - close title and close description (agency repost under another employer name);
+ * - nearly identical description;
+ * - same title and locality with a related description (anonymous employer).
+ * @param {Object} a - Fingerprint of the first offer
+ * @param {Object} b - Fingerprint of the second offer
+ * @returns {boolean} True if the offers are duplicates
+ */
+function isDuplicate(a, b) {
+    const titleSimilarity = jaccard(a.title, b.title);
+    const descriptionSimilarity = a.description && b.description ? jaccard(a.description, b.description) : null;
+    const sameEmployer = a.employer && a.employer === b.employer;
+    const sharedLocality = [...a.localities].some(l => b.localities.has(l));
+
+    if (titleSimilarity >= 0.8 && sameEmployer) return true;
+    if (descriptionSimilarity === null) return false;
+    if (titleSimilarity >= MIN_TITLE_SIMILARITY && descriptionSimilarity >= 0.6) return true;
+    if (descriptionSimilarity >= MIN_DESCRIPTION_SIMILARITY) return true;
+    return titleSimilarity >= 0.8 && sharedLocality && descriptionSimilarity >= 0.4;
+}
+
+/**
+ * Gets the rank of a job state (see KIND_RANK).
+ * @param {Object} state - Job state from getJobState
+ * @returns {number} Rank
+ */
+function getStateRank(state) {
+    return KIND_RANK[state.stageInfo.kind] ?? 0;
+}
+
+/**
+ * Groups offers into clusters of duplicates.
+ * Offers of the list are also compared to the tracked offers that are no longer in it
+ * (local snapshots), so a renewed offer inherits the state of the one it replaces.
+ * @param {Object[]} jobs - Job records (search results)
+ * @returns {Object[]} Clusters in the order of their first offer:
+ *   { id, jobs, representative, state, trackedJobId, trackedRecord }
+ *   - jobs: the offers of the list, representative first
+ *   - representative: the offer displayed for the cluster (most advanced, else most recent)
+ *   - state: the most advanced job state of the cluster (used for filters)
+ *   - trackedJobId / trackedRecord: the offer carrying that state (may be outside the list), null if untracked
+ */
+export function clusterJobs(jobs) {
+    const list = jobs.map(getFingerprint);
+    const getCandidates = createCandidateIndex(list);
+    const parent = jobs.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+    list.forEach((fingerprint, i) => getCandidates(fingerprint).forEach(j => {
+        if (j > i && find(i) !== find(j) && isDuplicate(fingerprint, list[j])) {
+            parent[find(j)] = find(i);
+        }
+    }));
+
+    const groups = new Map();
+    jobs.forEach((job, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(i);
+    });
+
+    // Tracked copies outside the list, by cluster root
+    const trackedCopies = new Map();
+    getTrackedSnapshots(new Set(jobs.map(job => job.numerooffreforem))).forEach(entry => {
+        const roots = new Set([...getCandidates(entry.fingerprint)]
+            .filter(i => isDuplicate(list[i], entry.fingerprint))
+            .map(find));
+        roots.forEach(root => {
+            if (!trackedCopies.has(root)) trackedCopies.set(root, []);
+            trackedCopies.get(root).push(entry);
+        });
+    });
+
+    const clusters = [...groups].map(([root, indexes]) => buildCluster(
+        indexes.map(i => jobs[i]),
+        trackedCopies.get(root) || []
+    ));
+
+    lastClustersByJob = new Map();
+    clusters.forEach(cluster => cluster.jobs.forEach(job => lastClustersByJob.set(job.numerooffreforem, cluster)));
+    return clusters;
+}
+
+/**
+ * Gets the tracked offers (not 'new') that have a snapshot and are not in the given list.
+ * The snapshots are read once for all the offers.
+ * @param {Set<string>} excludedIds - Job IDs of the list
+ * @returns {Object[]} { jobId, state, record, fingerprint }
+ */
+function getTrackedSnapshots(excludedIds) {
+    const snapshots = getAllJobSnapshots();
+    return Object.entries(getAllJobStates())
+        .filter(([jobId, state]) => !excludedIds.has(jobId) && state.stageInfo.kind !== 'new')
+        .map(([jobId, state]) => ({ jobId, state, record: snapshots[jobId]?.record }))
+        .filter(entry => entry.record)
+        .map(entry => ({ ...entry, fingerprint: getFingerprint(entry.record) }));
+}
+
+/**
+ * Builds a cluster from its offers.
+ * @param {Object[]} jobs - Offers of the cluster
+ * @param {Object[]} trackedCopies - Tracked offers outside the list that duplicate one of them (see getTrackedSnapshots)
+ * @returns {Object} Cluster (see clusterJobs)
+ */
+function buildCluster(jobs, trackedCopies) {
+    const members = jobs.map(job => ({ job, state: getJobState(job.numerooffreforem) }));
+
+    // Most advanced first, then most recent
+    members.sort((a, b) => getStateRank(b.state) - getStateRank(a.state)
+        || (b.job.datedebutdiffusion || '').localeCompare(a.job.datedebutdiffusion || ''));
+
+    let tracked = getStateRank(members[0].state) > 0
+        ? { jobId: members[0].job.numerooffreforem, state: members[0].state, record: members[0].job }
+        : null;
+
+    // A previous copy of the offer, tracked but no longer in the list
+    trackedCopies.forEach(entry => {
+        if (!tracked || getStateRank(entry.state) > getStateRank(tracked.state)) tracked = entry;
+    });
+
+    return {
+        id: members[0].job.numerooffreforem,
+        jobs: members.map(m => m.job),
+        representative: members[0].job,
+        state: tracked ? tracked.state : members[0].state,
+        trackedJobId: tracked ? tracked.jobId : null,
+        trackedRecord: tracked ? tracked.record : null
+    };
+}
+
+/**
+ * Gets the cluster of an offer, from the last clustering of the results.
+ * @param {string} jobId - The job ID
+ * @returns {Object|null} The cluster (see clusterJobs), or null if the offer was not clustered
+ */
+export function getJobCluster(jobId) {
+    return lastClustersByJob.get(jobId) || null;
+}
+
+/**
+ * Gets the similar offer through which the position is already tracked, when it is not the offer itself.
+ * @param {string} jobId - The job ID
+ * @returns {Object|null} { jobId, record, state } of the tracked copy, or null
+ */
+export function getTrackedDuplicate(jobId) {
+    const cluster = getJobCluster(jobId);
+    if (!cluster || !cluster.trackedJobId || cluster.trackedJobId === jobId) return null;
+    if (getStateRank(getJobState(jobId)) >= getStateRank(cluster.state)) return null;
+    return { jobId: cluster.trackedJobId, record: cluster.trackedRecord, state: cluster.state };
+}
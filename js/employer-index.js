@@ -0,0 +1,327 @@
+/**
+ * Employer Index Module
+ * Remembers the employers of the offers seen in search results, with their offers,
+ * the contact persons and a free note per employer. Employers are identified by their
+ * normalized name (accents, case, punctuation and legal forms ignored).
+ */
+import { BASE_URL } from './config.js';
+import { cachedFetchJson } from './response-cache.js';
+import { getAllJobSnapshots, isSnapshotExpired } from './job-snapshots.js';
+
+const EMPLOYERS_STORAGE_KEY = 'forem_employers';
+
+/** Number of offers kept per employer (the oldest seen are dropped) */
+const MAX_OFFERS_PER_EMPLOYER = 20;
+
+/**
+ * Number of employers kept (those seen least recently are dropped, unless they have contacts or a note).
+ * With the offers cap, the index stays around 1.5 MB at most, well within the localStorage quota.
+ */
+const MAX_EMPLOYERS = 300;
+
+/** Job records already recorded: the results are rendered again on every filter change */
+const recordedJobs = new WeakSet();
+
+/** Employer names that say nothing about the actual employer */
+const ANONYMOUS_EMPLOYERS = new Set(['confidentiel', 'anonyme', 'employeur anonyme', 'non communique']);
+
+/** Legal forms ignored when comparing names ("ACME SA" and "Acme s.a." are the same employer) */
+const LEGAL_FORMS = new Set(['sa', 'srl', 'sprl', 'scrl', 'sc', 'scs', 'snc', 'asbl', 'nv', 'bv', 'bvba', 'cvba', 'vzw', 'sas', 'sarl', 'ltd', 'gmbh']);
+
+/**
+ * Gets all indexed employers from localStorage.
+ * @returns {Object} Object mapping employer keys to { name, offers, contacts, note, noteUpdatedAt }
+ */
+function getEmployers() {
+    try {
+        const data = localStorage.getItem(EMPLOYERS_STORAGE_KEY);
+        return data ? JSON.parse(data) : {};
+    } catch (e) {
+        console.error('Error reading employers:', e);
+        return {};
+    }
+}
+
+/**
+ * Saves all indexed employers to localStorage.
+ * @param {Object} employers - Object mapping employer keys to employers
+ * @throws {Error} If the employers could not be saved (storage full), so the note or contact being
+ *   saved is not silently lost
+ */
+function saveEmployers(employers) {
+    try {
+        localStorage.setItem(EMPLOYERS_STORAGE_KEY, JSON.stringify(employers));
+    } catch (e) {
+        console.error('Error saving employers:', e);
+        throw new Error("Enregistrement impossible : l'espace de stockage du navigateur est plein");
+    }
+}
+
+/**
+ * Gets the key identifying an employer from its name.
+ * @param {string} name - Employer name (nomemployeur)
+ * @returns {string|null} Normalized name, or null for a missing or anonymous employer
+ */
+export function getEmployerKey(name) {
+    const key = (name || '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\./g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .split(' ')
+        .filter(word => word && !LEGAL_FORMS.has(word))
+        .join(' ');
+    return key && !ANONYMOUS_EMPLOYERS.has(key) ? key : null;
+}
+
+/**
+ * Gets the link to the page of an employer.
+ * @param {string} name - Employer name
+ * @returns {string|null} URL of employers.html for this employer, or null for an anonymous employer
+ */
+export function getEmployerLink(name) {
+    const key = getEmployerKey(name);
+    return key ? `employers.html?employer=${encodeURIComponent(key)}` : null;
+}
+
+/**
+ * Creates an empty employer entry.
+ * @param {string} name - Display name
+ * @returns {Object} Employer { name, offers, contacts, note, noteUpdatedAt }
+ */
+function createEmployer(name) {
+    return { name, offers: {}, contacts: [], note: '', noteUpdatedAt: null };
+}
+
+/**
+ * Gets when an employer was last seen in search results.
+ * @param {Object} employer - Employer entry
+ * @returns {string} ISO date of its most recently seen offer, or '' if none
+ */
+function getLastSeenAt(employer) {
+    return Object.values(employer.offers).reduce((latest, offer) => (offer.lastSeenAt > latest ? offer.lastSeenAt : latest), '');
+}
+
+/**
+ * Records the offers of search results in the index of their employer.
+ * Offers already recorded during this visit are skipped, so only new results are written.
+ * @param {Object[]} jobs - Job records (search results)
+ */
+export function recordSeenOffers(jobs) {
+    const fresh = (jobs || []).filter(job => !recordedJobs.has(job));
+    if (fresh.length === 0) return;
+    fresh.forEach(job => recordedJobs.add(job));
+
+    const employers = getEmployers();
+    const now = new Date().toISOString();
+
+    fresh.forEach(job => {
+        const key = getEmployerKey(job.nomemployeur);
+        if (!key || !job.numerooffreforem) return;
+
+        const employer = employers[key] || (employers[key] = createEmployer(job.nomemployeur));
+        const existing = employer.offers[job.numerooffreforem];
+        employer.offers[job.numerooffreforem] = {
+            title: job.titreoffre || '',
+            city: job.lieuxtravaillocalite?.[0] || '',
+            publishedAt: job.datedebutdiffusion || null,
+            endsAt: job.datefindiffusion || null,
+            firstSeenAt: existing?.firstSeenAt || now,
+            lastSeenAt: now
+        };
+    });
+
+    // Keep the most recently seen offers of each employer (also trims indexes saved with a higher cap)
+    Object.keys(employers).forEach(key => {
+        const offers = Object.entries(employers[key].offers);
+        if (offers.length <= MAX_OFFERS_PER_EMPLOYER) return;
+        offers.sort(([, a], [, b]) => b.lastSeenAt.localeCompare(a.lastSeenAt));
+        employers[key].offers = Object.fromEntries(offers.slice(0, MAX_OFFERS_PER_EMPLOYER));
+    });
+
+    // Keep the most recently seen employers, and every employer with contacts or a note
+    const entries = Object.entries(employers);
+    if (entries.length > MAX_EMPLOYERS) {
+        const isKept = ([, employer]) => employer.contacts.length > 0 || employer.note;
+        const others = entries.filter(entry => !isKept(entry))
+            .sort(([, a], [, b]) => getLastSeenAt(b).localeCompare(getLastSeenAt(a)));
+        const room = Math.max(0, MAX_EMPLOYERS - (entries.length - others.length));
+        others.slice(room).forEach(([key]) => delete employers[key]);
+    }
+
+    try {
+        saveEmployers(employers);
+    } catch (e) {
+        // Background indexing (already logged): the offers are recorded again on the next rendering
+        fresh.forEach(job => recordedJobs.delete(job));
+    }
+}
+
+/**
+ * Gets the snapshotted offers (tracked offers) of every employer.
+ * @returns {Object} Object mapping employer keys to { name, offers: Object mapping job IDs to snapshots }
+ */
+function getSnapshotsByEmployer() {
+    const byEmployer = {};
+    Object.entries(getAllJobSnapshots()).forEach(([jobId, snapshot]) => {
+        const name = snapshot.record?.nomemployeur;
+        const key = getEmployerKey(name);
+        if (!key) return;
+        if (!byEmployer[key]) byEmployer[key] = { name, offers: {} };
+        byEmployer[key].offers[jobId] = snapshot;
+    });
+    return byEmployer;
+}
+
+/**
+ * Lists the known employers: those seen in search results and those of tracked offers.
+ * @returns {Object[]} Employers { key, name, offerIds, contactCount, hasNote, lastSeenAt }
+ */
+export function listEmployers() {
+    const employers = getEmployers();
+    const snapshots = getSnapshotsByEmployer();
+    const keys = new Set([...Object.keys(employers), ...Object.keys(snapshots)]);
+
+    return [...keys].map(key => {
+        const indexed = employers[key] || createEmployer(snapshots[key].name);
+        const offerIds = new Set([...Object.keys(indexed.offers), ...Object.keys(snapshots[key]?.offers || {})]);
+        const seenDates = Object.values(indexed.offers).map(offer => offer.lastSeenAt);
+        return {
+            key,
+            name: indexed.name,
+            offerIds: [...offerIds],
+            contactCount: indexed.contacts.length,
+            hasNote: !!indexed.note,
+            lastSeenAt: seenDates.sort().pop() || null
+        };
+    });
+}
+
+/**
+ * Gets an employer with every offer known for it (seen in results or snapshotted).
+ * @param {string} key - Employer key (see getEmployerKey)
+ * @returns {Object|null} { key, name, offers, contacts, note, noteUpdatedAt }, offers being
+ *   { jobId, title, city, publishedAt, endsAt, lastSeenAt, expired, hasSnapshot } newest first;
+ *   null if the employer is unknown
+ */
+export function getEmployer(key) {
+    const indexed = getEmployers()[key];
+    const snapshotted = getSnapshotsByEmployer()[key];
+    if (!indexed && !snapshotted) return null;
+
+    const employer = indexed || createEmployer(snapshotted.name);
+    const offers = { ...employer.offers };
+    Object.entries(snapshotted?.offers || {}).forEach(([jobId, snapshot]) => {
+        const record = snapshot.record;
+        offers[jobId] = {
+            title: record.titreoffre || offers[jobId]?.title || '',
+            city: record.lieuxtravaillocalite?.[0] || offers[jobId]?.city || '',
+            publishedAt: record.datedebutdiffusion || offers[jobId]?.publishedAt || null,
+            endsAt: record.datefindiffusion || offers[jobId]?.endsAt || null,
+            lastSeenAt: snapshot.lastSeenAt || offers[jobId]?.lastSeenAt || null,
+            expired: isSnapshotExpired(snapshot),
+            hasSnapshot: true
+        };
+    });
+
+    return {
+        key,
+        name: employer.name,
+        contacts: employer.contacts,
+        note: employer.note,
+        noteUpdatedAt: employer.noteUpdatedAt,
+        offers: Object.entries(offers)
+            .map(([jobId, offer]) => ({
+                jobId,
+                expired: !!offer.endsAt && new Date(offer.endsAt) < new Date(new Date().toDateString()),
+                hasSnapshot: false,
+                ...offer
+            }))
+            .sort((a, b) => (b.publishedAt || '').localeCompare(a.publishedAt || ''))
+    };
+}
+
+/**
+ * Gets the stored entry of an employer, creating it when needed.
+ * @param {Object} employers - All employers
+ * @param {string} key - Employer key
+ * @param {string} name - Display name, used when the entry is created
+ * @returns {Object} The employer entry
+ */
+function getOrCreate(employers, key, name) {
+    if (!employers[key]) employers[key] = createEmployer(name);
+    return employers[key];
+}
+
+/**
+ * Saves the free note of an employer.
+ * @param {string} key - Employer key
+ * @param {string} name - Display name
+ * @param {string} text - Note text (empty to clear it)
+ * @throws {Error} If the note could not be saved
+ */
+export function saveEmployerNote(key, name, text) {
+    const employers = getEmployers();
+    const employer = getOrCreate(employers, key, name);
+    employer.note = text.trim();
+    employer.noteUpdatedAt = employer.note ? new Date().toISOString() : null;
+    saveEmployers(employers);
+}
+
+/**
+ * Adds a contact person to an employer.
+ * @param {string} key - Employer key
+ * @param {string} name - Display name of the employer
+ * @param {Object} contact - { name, role, email, phone }
+ * @returns {Object} The created contact (with its id)
+ * @throws {Error} If the contact has no name, or could not be saved
+ */
+export function addEmployerContact(key, name, contact) {
+    if (!contact.name || !contact.name.trim()) {
+        throw new Error('Le nom du contact est requis');
+    }
+
+    const employers = getEmployers();
+    const employer = getOrCreate(employers, key, name);
+    const created = {
+        id: `contact_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        name: contact.name.trim(),
+        role: (contact.role || '').trim(),
+        email: (contact.email || '').trim(),
+        phone: (contact.phone || '').trim(),
+        createdAt: new Date().toISOString()
+    };
+    employer.contacts.push(created);
+    saveEmployers(employers);
+    return created;
+}
+
+/**
+ * Deletes a contact person of an employer.
+ * @param {string} key - Employer key
+ * @param {string} contactId - The contact ID
+ * @throws {Error} If the change could not be saved
+ */
+export function deleteEmployerContact(key, contactId) {
+    const employers = getEmployers();
+    if (!employers[key]) return;
+    employers[key].contacts = employers[key].contacts.filter(contact => contact.id !== contactId);
+    saveEmployers(employers);
+}
+
+/**
+ * Fetches the offers of an employer currently published on the dataset, through the response cache.
+ * The exact employer name is used, as written in its offers.
+ * @param {string} name - Employer name (nomemployeur)
+ * @returns {Promise<Object[]>} Job records, newest first
+ */
+export async function fetchLiveEmployerOffers(name) {
+    const params = new URLSearchParams({
+        where: `nomemployeur="${name.replace(/"/g, '\\"')}"`,
+        order_by: 'datedebutdiffusion desc',
+        limit: '100'
+    });
+    const { data } = await cachedFetchJson(`${BASE_URL}?${params.toString()}`);
+    return data.results || [];
+}
@@ -0,0 +1,401 @@
+/**
+ * Employers Module
+ * "Employeurs" page: directory of the employers seen in searches and tracked offers,
+ * and per-employer view (?employer=<key>) with their offers, our applications, notes,
+ * contact persons and posting frequency.
+ */
+import { initIcons, showToast } from './utils.js';
+import { getJobLink } from './job-snapshots.js';
+import { getAllJobStates, getStageIcon, STAGE_COLORS } from './bookmarks.js';
+import { getJobNote } from './notes.js';
+import {
+    listEmployers,
+    getEmployer,
+    recordSeenOffers,
+    saveEmployerNote,
+    addEmployerContact,
+    deleteEmployerContact,
+    fetchLiveEmployerOffers
+} from './employer-index.js';
+
+/** Number of months shown in the posting frequency chart */
+const FREQUENCY_MONTHS = 12;
+
+/** Stage kinds counted as applications */
+const APPLICATION_KINDS = ['applied', 'closed'];
+
+/** Directory comparators, by sort key */
+const SORTERS = {
+    offers: (a, b) => b.offerIds.length - a.offerIds.length,
+    applications: (a, b) => b.applicationCount - a.applicationCount || b.trackedCount - a.trackedCount,
+    recent: (a, b) => (b.lastSeenAt || '').localeCompare(a.lastSeenAt || ''),
+    name: (a, b) => a.name.localeCompare(b.name, 'fr', { sensitivity: 'base' })
+};
+
+/** Key of the displayed employer (employer view) */
+let currentKey = null;
+
+/** IDs of the offers of the displayed employer currently published */
+let liveIds = null;
+
+/** Posting frequency chart instance */
+let frequencyChartInstance = null;
+
+/**
+ * Initializes the page: directory, or employer view when ?employer= is set.
+ * @returns {Promise<void>}
+ */
+async function init() {
+    initIcons();
+    currentKey = new URLSearchParams(window.location.search).get('employer');
+
+    if (currentKey) {
+        await initEmployerView();
+    } else {
+        initDirectory();
+    }
+
+    // Keep in sync with changes made in other tabs
+    window.addEventListener('storage', (e) => {
+        if (['forem_employers', 'forem_job_states', 'forem_job_notes', 'forem_job_snapshots'].includes(e.key)) {
+            currentKey ? renderEmployer() : renderDirectory();
+        }
+    });
+}
+
+// ==================== DIRECTORY ====================
+
+/**
+ * Shows the directory and attaches its toolbar handlers.
+ */
+function initDirectory() {
+    document.getElementById('directoryView').classList.remove('hidden');
+    ['employerSearch', 'employerSort', 'employerTrackedOnly'].forEach(id => {
+        const el = document.getElementById(id);
+        el.addEventListener(el.type === 'text' ? 'input' : 'change', renderDirectory);
+    });
+    renderDirectory();
+}
+
+/**
+ * Renders the directory table.
+ */
+function renderDirectory() {
+    const states = getAllJobStates();
+    const query = document.getElementById('employerSearch').value.trim().toLowerCase();
+    const trackedOnly = document.getElementById('employerTrackedOnly').checked;
+    const sort = document.getElementById('employerSort').value;
+
+    const employers = listEmployers().map(employer => {
+        const kinds = employer.offerIds.map(id => states[id]?.stageInfo.kind).filter(kind => kind && kind !== 'new');
+        return {
+            ...employer,
+            trackedCount: kinds.filter(kind => kind !== 'ignored').length,
+            applicationCount: kinds.filter(kind => APPLICATION_KINDS.includes(kind)).length
+        };
+    });
+    const visible = employers
+        .filter(employer => !query || employer.name.toLowerCase().includes(query))
+        .filter(employer => !trackedOnly || employer.trackedCount > 0)
+        .sort(SORTERS[sort] || SORTERS.offers);
+
+    document.getElementById('employerCount').textContent = `${visible.length} / ${employers.length} employeur${employers.length > 1 ? 's' : ''}`;
+
+    const body = document.getElementById('employersBody');
+    if (visible.length === 0) {
+        body.innerHTML = `
+            <tr>
+                <td colspan="6" class="px-4 py-10 text-center text-slate-400">
+                    ${employers.length === 0
+                        ? 'Aucun employeur pour le moment. Lancez une recherche : les employeurs des offres affichées apparaîtront ici.'
+                        : 'Aucun employeur ne correspond aux filtres.'}
+                </td>
+            </tr>
+        `;
+    } else {
+        body.innerHTML = visible.map(employer => `
+            <tr class="border-b border-slate-100 hover:bg-slate-50">
+                <td class="px-3 py-3">
+                    <a href="employers.html?employer=${encodeURIComponent(employer.key)}" class="font-semibold text-slate-800 hover:text-orange-600">${employer.name}</a>
+                    ${employer.hasNote ? '<i data-lucide="file-edit" class="h-3 w-3 text-purple-500 inline ml-1" title="Note"></i>' : ''}
+                </td>
+                <td class="px-3 py-3 text-sm text-slate-600">${employer.offerIds.length}</td>
+                <td class="px-3 py-3 text-sm text-slate-600">${employer.trackedCount || '<span class="text-slate-300">—</span>'}</td>
+                <td class="px-3 py-3 text-sm ${employer.applicationCount ? 'text-green-700 font-semibold' : 'text-slate-300'}">${employer.applicationCount || '—'}</td>
+                <td class="px-3 py-3 text-sm text-slate-600">${employer.contactCount || '<span class="text-slate-300">—</span>'}</td>
+                <td class="px-3 py-3 text-xs text-slate-500">${employer.lastSeenAt ? new Date(employer.lastSeenAt).toLocaleDateString('fr-BE') : '—'}</td>
+            </tr>
+        `).join('');
+    }
+    initIcons();
+}
+
+// ==================== EMPLOYER VIEW ====================
+
+/**
+ * Shows the employer view, then completes it with the offers currently published.
+ * @returns {Promise<void>}
+ */
+async function initEmployerView() {
+    const employer = getEmployer(currentKey);
+    if (!employer) {
+        document.getElementById('employerNotFound').classList.remove('hidden');
+        return;
+    }
+
+    document.getElementById('employerView').classList.remove('hidden');
+    document.title = `${employer.name} - Forem Explorer`;
+    document.getElementById('employerNote').value = employer.note;
+    document.getElementById('contactForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        addContactFromForm();
+    });
+    renderEmployer();
+
+    const liveStatus = document.getElementById('liveStatus');
+    liveStatus.innerHTML = '<div class="loader loader-sm"></div> Recherche des offres en ligne...';
+    try {
+        const liveOffers = await fetchLiveEmployerOffers(employer.name);
+        recordSeenOffers(liveOffers);
+        liveIds = new Set(liveOffers.map(job => job.numerooffreforem));
+        liveStatus.textContent = '';
+    } catch (error) {
+        console.error('Error fetching employer offers:', error);
+        liveStatus.textContent = 'Offres en ligne indisponibles (hors connexion ?)';
+    }
+    renderEmployer();
+}
+
+/**
+ * Renders every section of the employer view.
+ */
+function renderEmployer() {
+    const employer = getEmployer(currentKey);
+    if (!employer) return;
+
+    const states = getAllJobStates();
+    const offers = employer.offers.map(offer => ({
+        ...offer,
+        state: states[offer.jobId] || null,
+        note: getJobNote(offer.jobId),
+        live: liveIds ? liveIds.has(offer.jobId) : null
+    }));
+    const applications = offers.filter(offer => offer.state && APPLICATION_KINDS.includes(offer.state.stageInfo.kind));
+    const liveCount = offers.filter(offer => offer.live).length;
+
+    document.getElementById('employerName').innerHTML = `<i data-lucide="building-2" class="h-6 w-6 text-orange-600"></i> ${employer.name}`;
+    document.getElementById('employerSummary').textContent = [
+        `${offers.length} offre${offers.length > 1 ? 's' : ''} connue${offers.length > 1 ? 's' : ''}`,
+        liveIds ? `${liveCount} en ligne` : null,
+        `${applications.length} candidature${applications.length > 1 ? 's' : ''}`,
+        employer.contacts.length ? `${employer.contacts.length} contact${employer.contacts.length > 1 ? 's' : ''}` : null
+    ].filter(Boolean).join(' · ');
+
+    renderOffers(offers);
+    renderOfferNotes(offers);
+    renderContacts(employer.contacts);
+    renderFrequencyChart(offers);
+    updateNoteInfo(employer);
+    initIcons();
+}
+
+/**
+ * Renders the offers table.
+ * @param {Object[]} offers - Offers of the employer, with their state, note and live flag
+ *   (expiry comes from the end of publication date or the snapshot only)
+ */
+function renderOffers(offers) {
+    const body = document.getElementById('employerOffersBody');
+    if (offers.length === 0) {
+        body.innerHTML = '<tr><td colspan="4" class="px-4 py-8 text-center text-slate-400">Aucune offre connue.</td></tr>';
+        return;
+    }
+
+    body.innerHTML = offers.map(offer => {
+        let status;
+        if (offer.live) {
+            status = '<span class="px-2 py-0.5 bg-green-100 text-green-700 rounded text-xs font-semibold">En ligne</span>';
+        } else if (offer.expired) {
+            // Not being among the live offers proves nothing: they are the 100 newest under one name variant
+            status = '<span class="px-2 py-0.5 bg-slate-200 text-slate-600 rounded text-xs font-semibold">Expirée</span>';
+        } else {
+            status = `<span class="text-xs text-slate-500">Vue le ${offer.lastSeenAt ? new Date(offer.lastSeenAt).toLocaleDateString('fr-BE') : '?'}</span>`;
+        }
+
+        const stage = offer.state && offer.state.stageInfo.kind !== 'new' ? offer.state.stageInfo : null;
+        const stageBadge = stage
+            ? `<span class="inline-flex items-center gap-1 px-2 py-0.5 rounded border text-xs font-semibold ${(STAGE_COLORS[stage.color] || STAGE_COLORS.slate).badge}">
+                    <i data-lucide="${getStageIcon(stage)}" class="h-3 w-3"></i> ${stage.label}
+               </span>`
+            : '<span class="text-slate-300">—</span>';
+
+        return `
+            <tr class="border-b border-slate-100 hover:bg-slate-50">
+                <td class="px-3 py-3">
+                    <a href="${getJobLink(offer.jobId)}" class="font-semibold text-slate-800 hover:text-orange-600">${offer.title || `Offre ${offer.jobId}`}</a>
+                    ${offer.note.updatedAt ? '<i data-lucide="file-edit" class="h-3 w-3 text-purple-500 inline ml-1" title="Note"></i>' : ''}
+                    ${offer.city ? `<div class="text-xs text-slate-500 mt-0.5 flex items-center gap-1"><i data-lucide="map-pin" class="h-3 w-3"></i> ${offer.city}</div>` : ''}
+                </td>
+                <td class="px-3 py-3 text-xs text-slate-500">${offer.publishedAt ? new Date(offer.publishedAt).toLocaleDateString('fr-BE') : '—'}</td>
+                <td class="px-3 py-3">${status}</td>
+                <td class="px-3 py-3">${stageBadge}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * Renders the notes taken on the offers of the employer.
+ * @param {Object[]} offers - Offers of the employer, with their note
+ */
+function renderOfferNotes(offers) {
+    const noted = offers.filter(offer => offer.note.updatedAt);
+    document.getElementById('offerNotes').innerHTML = noted.map(offer => `
+        <a href="${getJobLink(offer.jobId)}" class="block p-2 bg-purple-50 border border-purple-100 rounded-lg hover:border-purple-300">
+            <div class="text-xs font-semibold text-purple-800 truncate">${offer.title || `Offre ${offer.jobId}`}</div>
+            ${offer.note.detailedStatus ? `<div class="text-xs text-purple-700">${offer.note.detailedStatus}</div>` : ''}
+            ${offer.note.text ? `<div class="text-xs text-slate-600 mt-1 line-clamp-3 whitespace-pre-wrap">${offer.note.text}</div>` : ''}
+        </a>
+    `).join('');
+}
+
+/**
+ * Shows when the employer note was last saved.
+ * @param {Object} employer - The employer (see getEmployer)
+ */
+function updateNoteInfo(employer) {
+    document.getElementById('employerNoteInfo').textContent = employer.noteUpdatedAt
+        ? `Modifiée le ${new Date(employer.noteUpdatedAt).toLocaleDateString('fr-BE')}`
+        : '';
+}
+
+/**
+ * Renders the contact persons.
+ * @param {Object[]} contacts - Contacts { id, name, role, email, phone }
+ */
+function renderContacts(contacts) {
+    const list = document.getElementById('contactsList');
+    if (contacts.length === 0) {
+        list.innerHTML = '<p class="text-xs text-slate-400">Aucun contact enregistré.</p>';
+        return;
+    }
+
+    list.innerHTML = contacts.map(contact => `
+        <div class="p-2 bg-slate-50 border border-slate-200 rounded-lg flex items-start justify-between gap-2">
+            <div class="min-w-0 text-xs text-slate-600">
+                <div class="font-semibold text-slate-800 text-sm">${contact.name}</div>
+                ${contact.role ? `<div>${contact.role}</div>` : ''}
+                ${contact.email ? `<a href="mailto:${contact.email}" class="flex items-center gap-1 text-sky-700 hover:underline truncate"><i data-lucide="mail" class="h-3 w-3"></i> ${contact.email}</a>` : ''}
+                ${contact.phone ? `<a href="tel:${contact.phone}" class="flex items-center gap-1 text-sky-700 hover:underline"><i data-lucide="phone" class="h-3 w-3"></i> ${contact.phone}</a>` : ''}
+            </div>
+            <button onclick="deleteContact('${contact.id}')" class="p-1 text-slate-400 hover:text-red-600" title="Supprimer le contact">
+                <i data-lucide="trash-2" class="h-4 w-4"></i>
+            </button>
+        </div>
+    `).join('');
+}
+
+/**
+ * Renders the number of offers published per month over the last months.
+ * @param {Object[]} offers - Offers of the employer
+ */
+function renderFrequencyChart(offers) {
+    const canvas = document.getElementById('frequencyChart');
+    if (!canvas || typeof Chart === 'undefined') return;
+
+    const months = [];
+    const now = new Date();
+    for (let i = FREQUENCY_MONTHS - 1; i >= 0; i--) {
+        const date = new Date(now.getFullYear(), now.getMonth() - i, 1);
+        months.push({
+            key: `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`,
+            label: date.toLocaleDateString('fr-BE', { month: 'short', year: '2-digit' })
+        });
+    }
+    const counts = Object.fromEntries(months.map(month => [month.key, 0]));
+    offers.forEach(offer => {
+        const key = (offer.publishedAt || '').slice(0, 7);
+        if (key in counts) counts[key]++;
+    });
+
+    if (frequencyChartInstance) frequencyChartInstance.destroy();
+    frequencyChartInstance = new Chart(canvas.getContext('2d'), {
+        type: 'bar',
+        data: {
+            labels: months.map(month => month.label),
+            datasets: [{
+                label: 'Offres publiées',
+                data: months.map(month => counts[month.key]),
+                backgroundColor: 'rgba(234, 88, 12, 0.7)',
+                borderRadius: 4
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: { legend: { display: false } },
+            scales: { y: { beginAtZero: true, ticks: { precision: 0 } } }
+        }
+    });
+}
+
+/**
+ * Saves the employer note from the textarea.
+ */
+function saveEmployerNoteFromForm() {
+    const employer = getEmployer(currentKey);
+    if (!employer) return;
+    try {
+        saveEmployerNote(currentKey, employer.name, document.getElementById('employerNote').value);
+    } catch (error) {
+        showToast(error.message, 'error');
+        return;
+    }
+    updateNoteInfo(getEmployer(currentKey));
+    showToast('Note enregistrée');
+}
+
+/**
+ * Adds a contact from the contact form.
+ */
+function addContactFromForm() {
+    const employer = getEmployer(currentKey);
+    if (!employer) return;
+
+    try {
+        addEmployerContact(currentKey, employer.name, {
+            name: document.getElementById('contactName').value,
+            role: document.getElementById('contactRole').value,
+            email: document.getElementById('contactEmail').value,
+            phone: document.getElementById('contactPhone').value
+        });
+    } catch (error) {
+        showToast(error.message, 'error');
+        return;
+    }
+    document.getElementById('contactForm').reset();
+    showToast('Contact ajouté');
+    renderEmployer();
+}
+
+/**
+ * Deletes a contact after confirmation.
+ * @param {string} contactId - The contact ID
+ */
+function deleteContact(contactId) {
+    if (!confirm('Supprimer ce contact ?')) return;
+    try {
+        deleteEmployerContact(currentKey, contactId);
+    } catch (error) {
+        showToast(error.message, 'error');
+        return;
+    }
+    renderEmployer();
+}
+
+// Expose functions to window for HTML onclick handlers
+window.saveEmployerNoteFromForm = saveEmployerNoteFromForm;
+window.deleteContact = deleteContact;
+
+// Initialize employers page when DOM is ready
+init();
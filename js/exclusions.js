@@ -0,0 +1,253 @@
+/**
+ * Exclusions Module
+ * Persistent exclusion rules: employers, interim agencies and title keywords whose offers are hidden.
+ * Rules are compiled into a NOT condition added to the API query when it is fetched (never stored
+ * in the search URL), and always applied again to the results, so offers from cached or custom
+ * queries are hidden too.
+ * Hidden offers can be revealed for the current session.
+ */
+import { getEmployerKey } from './employer-index.js';
+
+const EXCLUSIONS_STORAGE_KEY = 'forem_exclusion_rules';
+
+/**
+ * Rule types: label and API field searched by the compiled condition.
+ * Employer names are not searched by the query: ODSQL search() matches by prefix ("Accent" would
+ * hide Accenture), while employers must match whole words, so they are only applied to the results.
+ */
+export const EXCLUSION_TYPES = {
+    employers: { label: 'Employeurs', field: null },
+    agencies: { label: 'Agences intérim', field: null },
+    titleKeywords: { label: 'Mots-clés du titre', field: 'titreoffre' }
+};
+
+/** Interim agencies active in Wallonia, offered as a one-click list in the settings */
+export const COMMON_AGENCIES = [
+    'Randstad', 'Adecco', 'Manpower', 'Start People', 'Tempo-Team', 'Accent', 'Synergie',
+    'Unique', 'Daoust', 'Trace', 'Agilitas', 'Axis', 'Solvus', 'Covebo', 'Jobat Interim'
+];
+
+/** Maximum number of rules compiled into the query (the others are only applied to the results) */
+const MAX_QUERY_RULES = 20;
+
+/** True when the excluded offers are shown anyway (current session only) */
+let revealed = false;
+
+/** Offers of the current search hidden by the query condition (null until counted), and by the results filter */
+let queryHiddenCount = 0;
+let resultsHiddenCount = 0;
+
+/**
+ * Gets the exclusion rules from localStorage.
+ * @returns {Object} Rules { employers: string[], agencies: string[], titleKeywords: string[] }
+ */
+export function getExclusionRules() {
+    try {
+        const data = localStorage.getItem(EXCLUSIONS_STORAGE_KEY);
+        const rules = data ? JSON.parse(data) : {};
+        return Object.fromEntries(Object.keys(EXCLUSION_TYPES).map(type => [type, rules[type] || []]));
+    } catch (e) {
+        console.error('Error reading exclusion rules:', e);
+        return { employers: [], agencies: [], titleKeywords: [] };
+    }
+}
+
+/**
+ * Saves the exclusion rules to localStorage.
+ * @param {Object} rules - Rules { employers, agencies, titleKeywords }
+ */
+function saveExclusionRules(rules) {
+    try {
+        localStorage.setItem(EXCLUSIONS_STORAGE_KEY, JSON.stringify(rules));
+    } catch (e) {
+        console.error('Error saving exclusion rules:', e);
+    }
+}
+
+/**
+ * Normalizes a text for matching: lowercase, no accents, words separated by single spaces.
+ * @param {string} text - The text
+ * @returns {string} Normalized text
+ */
+function normalize(text) {
+    return (text || '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Adds exclusion rules (duplicates are ignored).
+ * @param {string} type - Rule type (key of EXCLUSION_TYPES)
+ * @param {string|string[]} values - Value(s) to exclude
+ * @returns {number} Number of rules added
+ * @throws {Error} If the type is unknown
+ */
+export function addExclusionRules(type, values) {
+    if (!EXCLUSION_TYPES[type]) throw new Error(`Type d'exclusion inconnu: ${type}`);
+
+    const rules = getExclusionRules();
+    const existing = new Set(rules[type].map(normalize));
+    let added = 0;
+    [].concat(values).map(value => value.trim()).forEach(value => {
+        if (!normalize(value) || existing.has(normalize(value))) return;
+        rules[type].push(value);
+        existing.add(normalize(value));
+        added++;
+    });
+
+    if (added) saveExclusionRules(rules);
+    return added;
+}
+
+/**
+ * Removes an exclusion rule.
+ * @param {string} type - Rule type (key of EXCLUSION_TYPES)
+ * @param {string} value - The excluded value
+ */
+export function removeExclusionRule(type, value) {
+    const rules = getExclusionRules();
+    if (!rules[type]) return;
+    rules[type] = rules[type].filter(rule => rule !== value);
+    saveExclusionRules(rules);
+}
+
+/**
+ * Counts the exclusion rules.
+ * @returns {number} Number of rules of all types
+ */
+export function countExclusionRules() {
+    return Object.values(getExclusionRules()).reduce((sum, values) => sum + values.length, 0);
+}
+
+/**
+ * Builds the query condition excluding the offers matched by the rules.
+ * Only title keywords are compiled: ODSQL search() matches words by prefix, like matchExclusionRule.
+ * @param {Object} [options]
+ * @param {boolean} [options.ignoreReveal=false] - Build the condition even if the offers are revealed
+ * @returns {string|null} ODSQL condition, or null when there is no rule or the offers are revealed
+ */
+export function buildExclusionCondition({ ignoreReveal = false } = {}) {
+    if (revealed && !ignoreReveal) return null;
+
+    const rules = getExclusionRules();
+    const searches = Object.entries(EXCLUSION_TYPES)
+        .filter(([, { field }]) => field)
+        .flatMap(([type, { field }]) => rules[type].map(value => ({ field, value: value.trim() })))
+        .filter(({ value }) => normalize(value).length >= 2)
+        .slice(0, MAX_QUERY_RULES)
+        .map(({ field, value }) => `search(${field}, "${value.replace(/"/g, '\\"')}")`);
+
+    return searches.length ? `NOT (${searches.join(' OR ')})` : null;
+}
+
+/**
+ * Adds the exclusion condition to the where clause of an API URL, right before it is fetched.
+ * @param {string} apiUrl - API records URL
+ * @param {Object} [options] - Options of buildExclusionCondition
+ * @returns {string} URL with the exclusion condition, or the URL unchanged when there is none
+ */
+export function applyExclusionCondition(apiUrl, options) {
+    const exclusion = buildExclusionCondition(options);
+    if (!exclusion) return apiUrl;
+
+    const url = new URL(apiUrl);
+    const where = url.searchParams.get('where');
+    url.searchParams.set('where', where ? `(${where}) AND (${exclusion})` : exclusion);
+    return url.toString();
+}
+
+/**
+ * Checks whether a top-level condition of a where clause is the exclusion condition,
+ * so it is not read back as keywords when syncing the form from a query
+ * (URLs saved before the condition was added at fetch time still contain it).
+ * @param {string} condition - Top-level condition (as wrapped by buildQuery)
+ * @returns {boolean} True if it is the current exclusion condition
+ */
+export function isExclusionCondition(condition) {
+    const exclusion = buildExclusionCondition();
+    return !!exclusion && (condition === exclusion || condition === `(${exclusion})`);
+}
+
+/**
+ * Finds the rule excluding an offer.
+ * Employer and agency rules match whole words of the employer name (legal forms ignored),
+ * keyword rules match title words starting with the keyword ("stag" matches "stagiaire").
+ * @param {Object} job - The job record
+ * @returns {Object|null} { type, value } of the first matching rule, or null
+ */
+export function matchExclusionRule(job) {
+    const rules = getExclusionRules();
+    const employer = ` ${getEmployerKey(job.nomemployeur) || ''} `;
+    const title = ` ${normalize(job.titreoffre)}`;
+
+    for (const type of ['employers', 'agencies']) {
+        const value = rules[type].find(rule => {
+            const key = getEmployerKey(rule);
+            return key && employer.includes(` ${key} `);
+        });
+        if (value) return { type, value };
+    }
+
+    const keyword = rules.titleKeywords.find(rule => normalize(rule) && title.includes(` ${normalize(rule)}`));
+    return keyword ? { type: 'titleKeywords', value: keyword } : null;
+}
+
+/**
+ * Checks whether the excluded offers are currently shown.
+ * @returns {boolean} True if revealed
+ */
+export function areExclusionsRevealed() {
+    return revealed;
+}
+
+/**
+ * Shows or hides the excluded offers for the current session.
+ * @param {boolean} value - True to show them
+ */
+export function setExclusionsRevealed(value) {
+    revealed = value;
+    updateExclusionInfo();
+}
+
+/**
+ * Records how many offers of the search the query condition removed.
+ * @param {number|null} count - Number of offers, or null when not counted yet
+ */
+export function setQueryHiddenCount(count) {
+    queryHiddenCount = count;
+    updateExclusionInfo();
+}
+
+/**
+ * Records how many offers of the results the rules filtered out.
+ * @param {number} count - Number of offers
+ */
+export function setResultsHiddenCount(count) {
+    resultsHiddenCount = count;
+    updateExclusionInfo();
+}
+
+/**
+ * Updates the "N offres masquées par vos règles" counter of the status bar, with its reveal button.
+ */
+function updateExclusionInfo() {
+    const info = document.getElementById('exclusionInfo');
+    if (!info) return;
+
+    const counted = queryHiddenCount !== null;
+    const hidden = (queryHiddenCount || 0) + resultsHiddenCount;
+    const revealButton = `<button onclick="window.toggleExclusionReveal()" class="text-blue-600 hover:underline">Afficher</button>`;
+    if (revealed) {
+        info.innerHTML = `Règles d'exclusion désactivées · <button onclick="window.toggleExclusionReveal()" class="text-blue-600 hover:underline">Réactiver</button>`;
+    } else if (!counted) {
+        // Counting the offers removed by the query costs one more request: only on demand
+        const countButton = `<button onclick="window.countExcludedOffers()" class="text-blue-600 hover:underline">Compter</button>`;
+        const label = hidden > 0 ? `Au moins ${hidden} offre${hidden > 1 ? 's' : ''} masquée${hidden > 1 ? 's' : ''}` : 'Offres masquées';
+        info.innerHTML = `${label} par vos règles · ${countButton} · ${revealButton}`;
+    } else if (hidden > 0) {
+        info.innerHTML = `${hidden} offre${hidden > 1 ? 's' : ''} masquée${hidden > 1 ? 's' : ''} par vos règles · ${revealButton}`;
+    }
+    info.classList.toggle('hidden', !revealed && counted && hidden === 0);
+}
@@ -0,0 +1,401 @@
+/**
+ * Gazetteer Data
+ * Belgian localities bundled with the app for offline geocoding: every commune of Brussels and
+ * Wallonia, frequent sections (Gosselies, Jambes, Louvain-la-Neuve...) and the main Flemish towns.
+ * Flanders is only partly covered (about 70 of its communes): the others are found through the
+ * Nominatim fallback of gazetteer.js, when it is enabled.
+ * One locality per line: "postcode|name|lat|lon|province|other names" (other names separated by "/").
+ * Coordinates are those of the town center, rounded to about 100 m.
+ */
+
+/** Provinces by code: name and region */
+export const PROVINCES = {
+    BRU: { name: 'Bruxelles-Capitale', region: 'Bruxelles' },
+    BW: { name: 'Brabant wallon', region: 'Wallonie' },
+    HT: { name: 'Hainaut', region: 'Wallonie' },
+    LG: { name: 'Liège', region: 'Wallonie' },
+    LX: { name: 'Luxembourg', region: 'Wallonie' },
+    NA: { name: 'Namur', region: 'Wallonie' },
+    VB: { name: 'Brabant flamand', region: 'Flandre' },
+    AN: { name: 'Anvers', region: 'Flandre' },
+    LI: { name: 'Limbourg', region: 'Flandre' },
+    OV: { name: 'Flandre orientale', region: 'Flandre' },
+    WV: { name: 'Flandre occidentale', region: 'Flandre' }
+};
+
+export const LOCALITIES = `
+1000|Bruxelles|50.8467|4.3525|BRU|Brussel/Brussels/Bruxelles-Ville
+1020|Laeken|50.8800|4.3500|BRU|Laken
+1120|Neder-Over-Heembeek|50.9000|4.3900|BRU|
+1130|Haren|50.8900|4.4200|BRU|
+1030|Schaerbeek|50.8676|4.3737|BRU|Schaarbeek
+1040|Etterbeek|50.8360|4.3890|BRU|
+1050|Ixelles|50.8275|4.3697|BRU|Elsene
+1060|Saint-Gilles|50.8270|4.3460|BRU|Sint-Gillis
+1070|Anderlecht|50.8365|4.3075|BRU|
+1080|Molenbeek-Saint-Jean|50.8550|4.3300|BRU|Sint-Jans-Molenbeek/Molenbeek
+1081|Koekelberg|50.8620|4.3290|BRU|
+1082|Berchem-Sainte-Agathe|50.8640|4.2920|BRU|Sint-Agatha-Berchem
+1083|Ganshoren|50.8710|4.3090|BRU|
+1090|Jette|50.8770|4.3250|BRU|
+1140|Evere|50.8700|4.4020|BRU|
+1150|Woluwe-Saint-Pierre|50.8290|4.4320|BRU|Sint-Pieters-Woluwe
+1160|Auderghem|50.8160|4.4270|BRU|Oudergem
+1170|Watermael-Boitsfort|50.7990|4.4150|BRU|Watermaal-Bosvoorde
+1180|Uccle|50.8030|4.3370|BRU|Ukkel
+1190|Forest|50.8110|4.3240|BRU|Vorst
+1200|Woluwe-Saint-Lambert|50.8430|4.4290|BRU|Sint-Lambrechts-Woluwe
+1210|Saint-Josse-ten-Noode|50.8540|4.3730|BRU|Sint-Joost-ten-Node
+1300|Wavre|50.7170|4.6010|BW|Waver
+1310|La Hulpe|50.7310|4.4850|BW|Terhulpen
+1315|Incourt|50.6920|4.7990|BW|
+1320|Beauvechain|50.7820|4.7700|BW|Bevekom
+1325|Chaumont-Gistoux|50.6870|4.7200|BW|
+1330|Rixensart|50.7120|4.5290|BW|
+1340|Ottignies-Louvain-la-Neuve|50.6680|4.5690|BW|Ottignies
+1348|Louvain-la-Neuve|50.6690|4.6130|BW|LLN
+1350|Orp-Jauche|50.6830|4.9560|BW|
+1357|Hélécine|50.7440|5.0130|BW|
+1360|Perwez|50.6240|4.8140|BW|
+1367|Ramillies|50.6350|4.9040|BW|
+1370|Jodoigne|50.7230|4.8700|BW|Geldenaken
+1380|Lasne|50.6860|4.4850|BW|
+1390|Grez-Doiceau|50.7390|4.6990|BW|Graven
+1400|Nivelles|50.5980|4.3280|BW|Nijvel
+1410|Waterloo|50.7150|4.3990|BW|
+1420|Braine-l'Alleud|50.6840|4.3690|BW|Eigenbrakel
+1430|Rebecq|50.6640|4.1330|BW|
+1435|Mont-Saint-Guibert|50.6340|4.6110|BW|
+1440|Braine-le-Château|50.6800|4.2720|BW|
+1450|Chastre|50.6080|4.6410|BW|
+1457|Walhain|50.6240|4.6960|BW|
+1460|Ittre|50.6430|4.2640|BW|
+1470|Genappe|50.6120|4.4510|BW|Genepiën
+1480|Tubize|50.6930|4.2050|BW|Tubeke
+1490|Court-Saint-Étienne|50.6350|4.5680|BW|
+1495|Villers-la-Ville|50.5860|4.5290|BW|
+7000|Mons|50.4542|3.9523|HT|Bergen
+7012|Jemappes|50.4530|3.8860|HT|
+7033|Cuesmes|50.4370|3.9230|HT|
+7020|Nimy|50.4700|3.9530|HT|
+6000|Charleroi|50.4108|4.4446|HT|
+6001|Marcinelle|50.3900|4.4400|HT|
+6010|Couillet|50.3920|4.4650|HT|
+6030|Marchienne-au-Pont|50.4100|4.3950|HT|
+6040|Jumet|50.4400|4.4300|HT|
+6041|Gosselies|50.4700|4.4330|HT|
+6060|Gilly|50.4240|4.4850|HT|
+6061|Montignies-sur-Sambre|50.4070|4.4870|HT|
+7500|Tournai|50.6056|3.3880|HT|Doornik
+7100|La Louvière|50.4800|4.1870|HT|
+7110|Houdeng-Goegnies|50.4850|4.1570|HT|Houdeng
+7170|Manage|50.5040|4.2350|HT|
+7700|Mouscron|50.7440|3.2140|HT|Moeskroen
+7130|Binche|50.4110|4.1650|HT|
+7800|Ath|50.6290|3.7780|HT|Aat
+7060|Soignies|50.5790|4.0700|HT|Zinnik
+7850|Enghien|50.6930|4.0400|HT|Edingen
+7860|Lessines|50.7110|3.8350|HT|Lessen
+7780|Comines-Warneton|50.7700|3.0030|HT|Komen-Waasten/Comines
+6200|Châtelet|50.4050|4.5250|HT|
+6220|Fleurus|50.4830|4.5500|HT|
+6140|Fontaine-l'Évêque|50.4100|4.3230|HT|
+6180|Courcelles|50.4630|4.3740|HT|
+6240|Farciennes|50.4280|4.5520|HT|
+6250|Aiseau-Presles|50.4100|4.5850|HT|
+6230|Pont-à-Celles|50.5050|4.3620|HT|
+6210|Les Bons Villers|50.5200|4.4500|HT|Frasnes-lez-Gosselies
+6110|Montigny-le-Tilleul|50.3800|4.3750|HT|
+6120|Ham-sur-Heure-Nalinnes|50.3220|4.3890|HT|
+6280|Gerpinnes|50.3370|4.5270|HT|
+7160|Chapelle-lez-Herlaimont|50.4710|4.2820|HT|
+7180|Seneffe|50.5310|4.2630|HT|
+7140|Morlanwelz|50.4560|4.2480|HT|
+6150|Anderlues|50.4070|4.2710|HT|
+7120|Estinnes|50.4090|4.1040|HT|
+6560|Erquelinnes|50.3070|4.1110|HT|
+6567|Merbes-le-Château|50.3240|4.1640|HT|
+6540|Lobbes|50.3520|4.2640|HT|
+6530|Thuin|50.3400|4.2860|HT|
+6500|Beaumont|50.2370|4.2390|HT|
+6470|Sivry-Rance|50.1640|4.2750|HT|
+6440|Froidchapelle|50.1500|4.3280|HT|
+6460|Chimay|50.0490|4.3160|HT|
+6590|Momignies|50.0290|4.1650|HT|
+7040|Quévy|50.3620|3.9340|HT|
+7080|Frameries|50.4080|3.8960|HT|
+7340|Colfontaine|50.4120|3.8540|HT|
+7390|Quaregnon|50.4390|3.8650|HT|
+7300|Boussu|50.4340|3.7950|HT|
+7330|Saint-Ghislain|50.4480|3.8190|HT|
+7350|Hensies|50.4330|3.6820|HT|
+7380|Quiévrain|50.4060|3.6840|HT|
+7387|Honnelles|50.3700|3.7260|HT|
+7370|Dour|50.3960|3.7780|HT|
+7050|Jurbise|50.5300|3.9090|HT|
+7870|Lens|50.5590|3.9040|HT|
+7940|Brugelette|50.5950|3.8530|HT|
+7950|Chièvres|50.5870|3.8070|HT|
+7970|Belœil|50.5490|3.7350|HT|Beloeil
+7320|Bernissart|50.4740|3.6510|HT|
+7600|Péruwelz|50.5100|3.5910|HT|
+7900|Leuze-en-Hainaut|50.6000|3.6180|HT|
+7640|Antoing|50.5680|3.4480|HT|
+7620|Brunehaut|50.5100|3.3890|HT|
+7610|Rumes|50.5540|3.3040|HT|
+7740|Pecq|50.6860|3.3390|HT|
+7730|Estaimpuis|50.7040|3.2680|HT|
+7760|Celles|50.7110|3.4580|HT|
+7750|Mont-de-l'Enclus|50.7460|3.4890|HT|
+7910|Frasnes-lez-Anvaing|50.6710|3.6030|HT|
+7890|Ellezelles|50.7370|3.6790|HT|
+7880|Flobecq|50.7370|3.7370|HT|Vloesberg
+7830|Silly|50.6480|3.9240|HT|Opzullik
+7190|Écaussinnes|50.5650|4.1800|HT|
+7090|Braine-le-Comte|50.6090|4.1420|HT|'s-Gravenbrakel
+7070|Le Rœulx|50.5030|4.1120|HT|Le Roeulx
+4000|Liège|50.6326|5.5797|LG|Luik/Lüttich/Liege
+4020|Bressoux|50.6400|5.6000|LG|
+4030|Grivegnée|50.6200|5.6100|LG|
+4031|Angleur|50.6100|5.5900|LG|
+4032|Chênée|50.6100|5.6200|LG|
+4020|Jupille-sur-Meuse|50.6450|5.6300|LG|Jupille
+4100|Seraing|50.5830|5.5000|LG|
+4101|Jemeppe-sur-Meuse|50.6200|5.4950|LG|
+4102|Ougrée|50.6000|5.5350|LG|
+4040|Herstal|50.6620|5.6280|LG|
+4800|Verviers|50.5890|5.8640|LG|
+4500|Huy|50.5190|5.2330|LG|Hoei
+4300|Waremme|50.6970|5.2550|LG|Borgworm
+4430|Ans|50.6610|5.5200|LG|
+4400|Flémalle|50.6030|5.4570|LG|
+4420|Saint-Nicolas|50.6290|5.5350|LG|
+4460|Grâce-Hollogne|50.6400|5.4800|LG|
+4050|Chaudfontaine|50.5850|5.6350|LG|
+4130|Esneux|50.5340|5.5680|LG|
+4120|Neupré|50.5470|5.4850|LG|
+4610|Beyne-Heusay|50.6230|5.6580|LG|
+4620|Fléron|50.6160|5.6810|LG|
+4630|Soumagne|50.6190|5.7400|LG|
+4670|Blegny|50.6700|5.7240|LG|
+4600|Visé|50.7370|5.6990|LG|Wezet
+4680|Oupeye|50.7080|5.6440|LG|
+4607|Dalhem|50.7130|5.7270|LG|
+4690|Bassenge|50.7590|5.6100|LG|Bitsingen
+4450|Juprelle|50.7090|5.5310|LG|
+4340|Awans|50.6670|5.4620|LG|
+4367|Crisnée|50.7170|5.3970|LG|
+4347|Fexhe-le-Haut-Clocher|50.6650|5.4000|LG|
+4360|Oreye|50.7260|5.3520|LG|Oerle
+4257|Berloz|50.7010|5.2160|LG|
+4250|Geer|50.6700|5.1730|LG|
+4280|Hannut|50.6710|5.0790|LG|Hannuit
+4287|Lincent|50.7130|5.0360|LG|Lijsem
+4260|Braives|50.6320|5.1470|LG|
+4219|Wasseiges|50.6220|5.0070|LG|
+4357|Donceel|50.6480|5.3230|LG|
+4317|Faimes|50.6640|5.2630|LG|
+4350|Remicourt|50.6810|5.3260|LG|
+4537|Verlaine|50.6070|5.3160|LG|
+4530|Villers-le-Bouillet|50.5770|5.2570|LG|
+4520|Wanze|50.5390|5.2090|LG|
+4218|Héron|50.5470|5.0970|LG|
+4210|Burdinne|50.5860|5.0770|LG|
+4540|Amay|50.5490|5.3180|LG|
+4480|Engis|50.5820|5.4000|LG|
+4470|Saint-Georges-sur-Meuse|50.6000|5.3580|LG|
+4577|Modave|50.4470|5.2940|LG|
+4570|Marchin|50.4670|5.2430|LG|
+4557|Tinlot|50.4750|5.3780|LG|
+4550|Nandrin|50.5070|5.4190|LG|
+4560|Clavier|50.4010|5.3570|LG|
+4590|Ouffet|50.4390|5.4640|LG|
+4160|Anthisnes|50.4810|5.5210|LG|
+4170|Comblain-au-Pont|50.4750|5.5770|LG|
+4180|Hamoir|50.4280|5.5330|LG|
+4190|Ferrières|50.4010|5.6060|LG|
+4140|Sprimont|50.5040|5.6620|LG|
+4920|Aywaille|50.4730|5.6760|LG|
+4870|Trooz|50.5700|5.6860|LG|
+4860|Pepinster|50.5670|5.8060|LG|
+4910|Theux|50.5330|5.8130|LG|
+4900|Spa|50.4920|5.8640|LG|
+4845|Jalhay|50.5590|5.9660|LG|
+4987|Stoumont|50.4060|5.8080|LG|
+4990|Lierneux|50.2860|5.7910|LG|
+4970|Stavelot|50.3940|5.9300|LG|
+4980|Trois-Ponts|50.3720|5.8710|LG|
+4960|Malmedy|50.4260|6.0280|LG|
+4950|Waimes|50.4140|6.1120|LG|Weismes
+4820|Dison|50.6100|5.8520|LG|
+4650|Herve|50.6400|5.7940|LG|
+4890|Thimister-Clermont|50.6590|5.8660|LG|
+4840|Welkenraedt|50.6610|5.9700|LG|
+4837|Baelen|50.6310|5.9730|LG|
+4830|Limbourg|50.6120|5.9410|LG|Limburg
+4850|Plombières|50.7370|5.9590|LG|Blieberg
+4880|Aubel|50.7030|5.8590|LG|
+4877|Olne|50.5900|5.7470|LG|
+4700|Eupen|50.6280|6.0360|LG|Néau
+4720|Kelmis|50.7160|6.0110|LG|La Calamine
+4710|Lontzen|50.6810|6.0070|LG|
+4730|Raeren|50.6730|6.1150|LG|
+4750|Bütgenbach|50.4250|6.2040|LG|Butgenbach
+4760|Büllingen|50.4080|6.2560|LG|Bullange
+4770|Amel|50.3530|6.1730|LG|Amblève
+4780|Sankt Vith|50.2830|6.1270|LG|Saint-Vith/St. Vith
+4790|Burg-Reuland|50.1990|6.1400|LG|
+6700|Arlon|49.6833|5.8167|LX|Aarlen
+6600|Bastogne|50.0000|5.7160|LX|Bastenaken
+6900|Marche-en-Famenne|50.2270|5.3440|LX|
+6800|Libramont-Chevigny|49.9200|5.3800|LX|Libramont
+6840|Neufchâteau|49.8410|5.4350|LX|
+6760|Virton|49.5680|5.5320|LX|
+6830|Bouillon|49.7940|5.0670|LX|
+6940|Durbuy|50.3530|5.4560|LX|
+6990|Hotton|50.2680|5.4460|LX|
+6980|La Roche-en-Ardenne|50.1830|5.5750|LX|
+6660|Houffalize|50.1330|5.7900|LX|
+6690|Vielsalm|50.2840|5.9150|LX|
+6670|Gouvy|50.1880|5.9450|LX|
+6960|Manhay|50.2920|5.6760|LX|
+6997|Érezée|50.2920|5.5580|LX|
+6987|Rendeux|50.2340|5.5030|LX|
+6950|Nassogne|50.1280|5.3430|LX|
+6970|Tenneville|50.0960|5.5290|LX|
+6680|Sainte-Ode|50.0160|5.5290|LX|
+6687|Bertogne|50.0830|5.6680|LX|
+6640|Vaux-sur-Sûre|49.9110|5.5770|LX|
+6637|Fauvillers|49.8510|5.6640|LX|
+6630|Martelange|49.8320|5.7380|LX|
+6860|Léglise|49.8010|5.5370|LX|
+6720|Habay|49.7240|5.6460|LX|
+6717|Attert|49.7490|5.7860|LX|
+6740|Étalle|49.6750|5.6000|LX|
+6747|Saint-Léger|49.6140|5.6550|LX|
+6730|Tintigny|49.6830|5.5140|LX|
+6810|Chiny|49.7390|5.3410|LX|
+6820|Florenville|49.6990|5.3070|LX|
+6887|Herbeumont|49.7810|5.2370|LX|
+6880|Bertrix|49.8540|5.2530|LX|
+6850|Paliseul|49.9030|5.1340|LX|
+6929|Daverdisse|50.0210|5.1200|LX|
+6920|Wellin|50.0810|5.1130|LX|
+6927|Tellin|50.0800|5.2150|LX|
+6890|Libin|49.9810|5.2560|LX|
+6870|Saint-Hubert|50.0260|5.3740|LX|
+6769|Meix-devant-Virton|49.6050|5.4810|LX|
+6767|Rouvroy|49.5370|5.4910|LX|
+6750|Musson|49.5590|5.7050|LX|
+6790|Aubange|49.5680|5.8050|LX|
+6780|Messancy|49.5930|5.8180|LX|
+5000|Namur|50.4669|4.8675|NA|Namen
+5100|Jambes|50.4570|4.8780|NA|
+5300|Andenne|50.4890|5.0940|NA|
+5330|Assesse|50.3690|5.0220|NA|
+5537|Anhée|50.3100|4.8810|NA|
+5570|Beauraing|50.1100|4.9560|NA|
+5555|Bièvre|49.9420|5.0160|NA|
+5630|Cerfontaine|50.1720|4.4110|NA|
+5590|Ciney|50.2960|5.1000|NA|
+5660|Couvin|50.0520|4.4950|NA|
+5500|Dinant|50.2610|4.9120|NA|
+5680|Doische|50.1340|4.7450|NA|
+5310|Éghezée|50.5900|4.9110|NA|
+5380|Fernelmont|50.5510|4.9990|NA|
+5150|Floreffe|50.4360|4.7620|NA|
+5620|Florennes|50.2510|4.6060|NA|
+5070|Fosses-la-Ville|50.3950|4.6960|NA|
+5575|Gedinne|49.9800|4.9360|NA|
+5030|Gembloux|50.5610|4.6990|NA|
+5340|Gesves|50.4020|5.0750|NA|
+5360|Hamois|50.3400|5.1570|NA|
+5540|Hastière|50.2180|4.8280|NA|
+5370|Havelange|50.3840|5.2390|NA|
+5560|Houyet|50.1880|5.0060|NA|
+5190|Jemeppe-sur-Sambre|50.4610|4.6650|NA|
+5080|La Bruyère|50.5330|4.8030|NA|
+5640|Mettet|50.3210|4.6600|NA|
+5350|Ohey|50.4360|5.1240|NA|
+5520|Onhaye|50.2420|4.8370|NA|
+5600|Philippeville|50.1960|4.5440|NA|
+5170|Profondeville|50.3750|4.8680|NA|
+5580|Rochefort|50.1630|5.2210|NA|
+5060|Sambreville|50.4350|4.6200|NA|Tamines/Auvelais
+5140|Sombreffe|50.5300|4.6010|NA|
+5377|Somme-Leuze|50.3350|5.3680|NA|
+5670|Viroinval|50.0760|4.5980|NA|
+5550|Vresse-sur-Semois|49.8700|4.9310|NA|
+5650|Walcourt|50.2540|4.4330|NA|
+5530|Yvoir|50.3280|4.8800|NA|
+3000|Leuven|50.8798|4.7005|VB|Louvain
+1800|Vilvoorde|50.9280|4.4290|VB|Vilvorde
+1500|Halle|50.7340|4.2350|VB|Hal
+3300|Tienen|50.8070|4.9380|VB|Tirlemont
+1930|Zaventem|50.8830|4.4730|VB|
+1700|Dilbeek|50.8480|4.2600|VB|
+1730|Asse|50.9100|4.1980|VB|
+3200|Aarschot|50.9870|4.8370|VB|
+3290|Diest|50.9890|5.0510|VB|
+1850|Grimbergen|50.9350|4.3720|VB|
+1830|Machelen|50.9110|4.4380|VB|
+1780|Wemmel|50.9090|4.3060|VB|
+3090|Overijse|50.7740|4.5380|VB|
+3080|Tervuren|50.8240|4.5140|VB|
+3400|Landen|50.7530|5.0820|VB|
+1640|Sint-Genesius-Rode|50.7500|4.3570|VB|Rhode-Saint-Genèse
+1630|Linkebeek|50.7680|4.3370|VB|
+1950|Kraainem|50.8620|4.4690|VB|
+1970|Wezembeek-Oppem|50.8400|4.4940|VB|
+1620|Drogenbos|50.7870|4.3170|VB|
+2000|Antwerpen|51.2194|4.4025|AN|Anvers/Antwerp
+2800|Mechelen|51.0257|4.4776|AN|Malines
+2300|Turnhout|51.3227|4.9447|AN|
+2500|Lier|51.1310|4.5700|AN|Lierre
+2440|Geel|51.1620|4.9900|AN|
+2400|Mol|51.1910|5.1160|AN|
+2200|Herentals|51.1770|4.8360|AN|
+2850|Boom|51.0880|4.3660|AN|
+2640|Mortsel|51.1700|4.4560|AN|
+2930|Brasschaat|51.2910|4.4920|AN|
+2900|Schoten|51.2520|4.5020|AN|
+2950|Kapellen|51.3130|4.4330|AN|
+2220|Heist-op-den-Berg|51.0750|4.7280|AN|
+2830|Willebroek|51.0600|4.3600|AN|
+3500|Hasselt|50.9307|5.3325|LI|
+3600|Genk|50.9650|5.5000|LI|
+3800|Sint-Truiden|50.8160|5.1860|LI|Saint-Trond
+3700|Tongeren|50.7800|5.4640|LI|Tongres
+3630|Maasmechelen|50.9650|5.6940|LI|
+3920|Lommel|51.2300|5.3130|LI|
+3580|Beringen|51.0490|5.2260|LI|
+3740|Bilzen|50.8730|5.5180|LI|
+3790|Voeren|50.7580|5.7890|LI|Fourons
+9000|Gent|51.0543|3.7174|OV|Gand/Ghent
+9300|Aalst|50.9380|4.0400|OV|Alost
+9100|Sint-Niklaas|51.1650|4.1430|OV|Saint-Nicolas-Waes
+9200|Dendermonde|51.0280|4.1010|OV|Termonde
+9700|Oudenaarde|50.8450|3.6050|OV|Audenarde
+9600|Ronse|50.7450|3.6000|OV|Renaix
+9500|Geraardsbergen|50.7730|3.8820|OV|Grammont
+9400|Ninove|50.8280|4.0250|OV|
+9900|Eeklo|51.1850|3.5640|OV|
+9160|Lokeren|51.1030|3.9930|OV|
+9620|Zottegem|50.8690|3.8100|OV|
+9230|Wetteren|51.0010|3.8830|OV|
+9690|Kluisbergen|50.7730|3.5140|OV|
+8000|Brugge|51.2093|3.2247|WV|Bruges
+8500|Kortrijk|50.8270|3.2650|WV|Courtrai
+8400|Oostende|51.2300|2.9200|WV|Ostende/Ostend
+8800|Roeselare|50.9470|3.1230|WV|Roulers
+8900|Ieper|50.8510|2.8850|WV|Ypres
+8930|Menen|50.7960|3.1220|WV|Menin
+8790|Waregem|50.8890|3.4260|WV|
+8700|Tielt|50.9990|3.3270|WV|
+8970|Poperinge|50.8550|2.7260|WV|
+8300|Knokke-Heist|51.3500|3.2650|WV|Knokke
+8940|Wervik|50.7800|3.0400|WV|Wervicq
+8587|Spiere-Helkijn|50.7260|3.3580|WV|Espierres-Helchin
+8950|Heuvelland|50.7880|2.8200|WV|
+8957|Mesen|50.7640|2.8980|WV|Messines
+`;
@@ -0,0 +1,201 @@
+/**
+ * Gazetteer Module
+ * Offline geocoding of Belgian localities from the bundled gazetteer (gazetteer-data.js):
+ * CV location, manual city input with autocomplete, and the locations of the offers
+ * for the local scorer. Nominatim (OpenStreetMap) is only queried as an optional fallback
+ * for localities missing from the gazetteer (most Flemish communes, see gazetteer-data.js).
+ */
+import { LOCALITIES, PROVINCES } from './gazetteer-data.js';
+
+const GEOCODING_SETTINGS_KEY = 'forem_geocoding_settings';
+
+const DEFAULT_SETTINGS = { nominatimFallback: true };
+
+/** Parts of a location that are not the locality ("Tournai, Belgique") */
+const COUNTRY_NAMES = new Set(['be', 'bel', 'belgique', 'belgie', 'belgium', 'belgien']);
+
+/** Parsed gazetteer: localities, and lookups by normalized name and by postcode */
+let localities = null;
+let byName = null;
+let byPostcode = null;
+
+/** Names sorted from the longest, to find "la louviere" before "louviere" in a text */
+let sortedNames = null;
+
+/** Localities found in offer location texts, by text */
+const textCache = new Map();
+
+/**
+ * Normalizes a place name for matching: lowercase, no accents, "st"/"ste" spelled out,
+ * hyphens and apostrophes replaced by spaces.
+ * @param {string} text - The place name
+ * @returns {string} Normalized name ("Braine-l'Alleud" → "braine l alleud")
+ */
+export function normalizePlaceName(text) {
+    return (text || '')
+        .replace(/œ/g, 'oe').replace(/Œ/g, 'Oe')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .replace(/\bste\b/g, 'sainte')
+        .replace(/\bst\b/g, 'saint')
+        .trim();
+}
+
+/**
+ * Parses the bundled gazetteer on first use.
+ */
+function loadGazetteer() {
+    if (localities) return;
+
+    localities = LOCALITIES.trim().split('\n').map(line => {
+        const [postcode, name, lat, lon, province, otherNames] = line.split('|');
+        return {
+            postcode,
+            name,
+            lat: parseFloat(lat),
+            lon: parseFloat(lon),
+            province: PROVINCES[province].name,
+            region: PROVINCES[province].region,
+            names: [name, ...(otherNames ? otherNames.split('/') : [])].map(normalizePlaceName)
+        };
+    });
+
+    byName = new Map();
+    byPostcode = new Map();
+    localities.forEach(locality => {
+        locality.names.forEach(name => { if (!byName.has(name)) byName.set(name, locality); });
+        if (!byPostcode.has(locality.postcode)) byPostcode.set(locality.postcode, locality);
+    });
+    sortedNames = [...byName.keys()].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Gets the public fields of a gazetteer locality.
+ * @param {Object} locality - Parsed locality
+ * @returns {Object} { name, postcode, lat, lon, province, region }
+ */
+function toResult({ name, postcode, lat, lon, province, region }) {
+    return { name, postcode, lat, lon, province, region };
+}
+
+/**
+ * Finds a locality from a user-typed or CV location: "Namur", "5000", "4000 Liège",
+ * "Tournai, BE", "Namur (5000)".
+ * @param {string} query - The location
+ * @returns {Object|null} { name, postcode, lat, lon, province, region }, or null if unknown
+ */
+export function findLocality(query) {
+    if (!query) return null;
+    loadGazetteer();
+
+    const postcode = query.match(/\b(\d{4})\b/)?.[1];
+    const parts = [query, ...query.split(/[,();/]/)]
+        .map(part => normalizePlaceName(part.replace(/\b\d{4}\b/g, '')))
+        .filter(part => part && !COUNTRY_NAMES.has(part));
+
+    const named = parts.map(part => byName.get(part)).find(Boolean);
+    if (named && (!postcode || named.postcode === postcode || !byPostcode.has(postcode))) return toResult(named);
+    if (postcode && byPostcode.has(postcode)) return toResult(byPostcode.get(postcode));
+    return named ? toResult(named) : null;
+}
+
+/**
+ * Finds the locality mentioned in the location of an offer ("LIEGE", "Gosselies (Charleroi)",
+ * "BRUXELLES 1"), looking for any known name among its words.
+ * @param {string} text - Location text of the offer
+ * @returns {Object|null} { name, postcode, lat, lon, province, region }, or null if none is found
+ */
+export function findLocalityInText(text) {
+    if (!text) return null;
+    if (textCache.has(text)) return textCache.get(text);
+
+    let found = findLocality(text);
+    if (!found) {
+        const words = ` ${normalizePlaceName(text)} `;
+        const name = sortedNames.find(candidate => words.includes(` ${candidate} `));
+        found = name ? toResult(byName.get(name)) : null;
+    }
+    textCache.set(text, found);
+    return found;
+}
+
+/**
+ * Lists the localities starting with the typed text (name, other names or postcode), for autocomplete.
+ * @param {string} prefix - Typed text
+ * @param {number} [limit=8] - Maximum number of localities
+ * @returns {Object[]} Localities { name, postcode, lat, lon, province, region }
+ */
+export function searchLocalities(prefix, limit = 8) {
+    const typed = normalizePlaceName(prefix);
+    if (!typed) return [];
+    loadGazetteer();
+
+    return localities
+        .filter(locality => locality.postcode.startsWith(typed) || locality.names.some(name => name.startsWith(typed)))
+        .sort((a, b) => (b.names[0] === typed) - (a.names[0] === typed) || a.name.length - b.name.length)
+        .slice(0, limit)
+        .map(toResult);
+}
+
+/**
+ * Formats a locality for suggestions and labels: "Namur (5000)".
+ * @param {Object} locality - Locality from the gazetteer
+ * @returns {string} Label
+ */
+export function formatLocality(locality) {
+    return `${locality.name} (${locality.postcode})`;
+}
+
+/**
+ * Gets the geocoding settings from localStorage.
+ * @returns {Object} Settings { nominatimFallback }
+ */
+export function getGeocodingSettings() {
+    try {
+        const data = localStorage.getItem(GEOCODING_SETTINGS_KEY);
+        return { ...DEFAULT_SETTINGS, ...(data ? JSON.parse(data) : {}) };
+    } catch (e) {
+        console.error('Error reading geocoding settings:', e);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+/**
+ * Saves geocoding settings to localStorage.
+ * @param {Object} updates - Settings to change ({ nominatimFallback })
+ */
+export function saveGeocodingSettings(updates) {
+    try {
+        localStorage.setItem(GEOCODING_SETTINGS_KEY, JSON.stringify({ ...getGeocodingSettings(), ...updates }));
+    } catch (e) {
+        console.error('Error saving geocoding settings:', e);
+    }
+}
+
+/**
+ * Geocodes a Belgian location: from the gazetteer, else from Nominatim when the fallback is enabled.
+ * @param {string} query - The location (name, postcode, or both)
+ * @returns {Promise<Object|null>} { lat, lon, name, postcode, province, region, source: 'gazetteer'|'nominatim' },
+ *   or null if not found
+ * @throws {Error} If Nominatim cannot be reached or answers with an error
+ */
+export async function geocodeLocality(query) {
+    const locality = findLocality(query);
+    if (locality) return { ...locality, source: 'gazetteer' };
+    if (!getGeocodingSettings().nominatimFallback) return null;
+
+    const response = await fetch(`https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(query)}&countrycodes=be&limit=1`);
+    if (!response.ok) throw new Error(`Nominatim HTTP ${response.status}`);
+    const data = await response.json();
+    if (!data.length) return null;
+    return {
+        lat: parseFloat(data[0].lat),
+        lon: parseFloat(data[0].lon),
+        name: data[0].name || data[0].display_name.split(',')[0] || query,
+        postcode: null,
+        province: null,
+        region: null,
+        source: 'nominatim'
+    };
+}
@@ -6,10 +6,11 @@
 import { showToast } from './utils.js';
 import { setUserLocation, getUserLocation } from './state.js';
 import { getProfile } from './cv-profile.js';
+import { geocodeLocality } from './gazetteer.js';
 
 /**
  * Updates the distance filter UI visibility based on whether user location is available.
- * Shows the distance filter container if location is set, hides it otherwise.
+ * Shows the distance and commute filter containers if location is set, hides them otherwise.
  */
 export function updateDistanceUI() {
     const distContainer = document.getElementById('distanceContainer');
@@ -19,6 +20,7 @@ export function updateDistanceUI() {
     } else {
         distContainer.classList.add('hidden');
     }
+    document.getElementById('commuteContainer')?.classList.toggle('hidden', !userLocation);
 }
 
 /**
@@ -82,7 +84,7 @@ function tryGPS() {
 
 /**
  * Geocodes the profile location from CV if available.
- * Uses OpenStreetMap Nominatim API to convert city name to coordinates.
+ * Uses the bundled gazetteer of Belgian localities (Nominatim as an optional fallback).
  * @returns {Promise<boolean>} True if location was successfully geocoded
  */
 export async function geocodeProfileLocation() {
@@ -91,7 +93,7 @@ export async function geocodeProfileLocation() {
         return false;
     }
     
-    // Extract city name from location (e.g., "Tournai, BE" -> "Tournai")
+    // Extract city name from location (e.g., "Tournai, BE" -> "Tournai"); postcodes are understood too
     const locationParts = profile.location.split(',');
     const cityName = locationParts[0].trim();
     
@@ -101,14 +103,13 @@ export async function geocodeProfileLocation() {
     
     try {
         console.log(`[Geolocation] Geocoding profile location: "${cityName}"`);
-        const response = await fetch(`https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(cityName)}&countrycodes=be&limit=1`);
-        const data = await response.json();
+        const place = await geocodeLocality(cityName);
         
-        if (data.length > 0) {
+        if (place) {
             const coords = { 
-                lat: parseFloat(data[0].lat), 
-                lon: parseFloat(data[0].lon), 
-                name: data[0].display_name.split(',')[0] || cityName,
+                lat: place.lat, 
+                lon: place.lon, 
+                name: place.name,
                 source: 'cv-profile'
             };
             setUserLocation(coords);
@@ -171,8 +172,8 @@ export function fallbackManual() {
 }
 
 /**
- * Searches for a city using OpenStreetMap Nominatim API and sets user location.
- * Queries cities within Belgium (countrycodes=be) and takes the first result.
+ * Searches for a city (name or postcode) and sets user location.
+ * Looks it up in the bundled gazetteer of Belgian localities, then in Nominatim when the fallback is enabled.
  * @param {Function} [onSuccess] - Optional callback function to execute after successful location detection
  * @returns {Promise<void>}
  * @example
@@ -182,18 +183,19 @@ export async function manualCitySearch(onSuccess) {
     const q = document.getElementById('cityInput').value;
     if (!q) return;
     try {
-        const r = await fetch(`https://nominatim.openstreetmap.org/search?format=json&q=${q}&countrycodes=be&limit=1`);
-        const d = await r.json();
-        if (d.length) {
-            setUserLocation({ lat: parseFloat(d[0].lat), lon: parseFloat(d[0].lon), name: d[0].name });
+        const place = await geocodeLocality(q);
+        if (place) {
+            setUserLocation({ lat: place.lat, lon: place.lon, name: place.name });
             document.getElementById('gpsInfo').classList.remove('hidden');
-            document.getElementById('gpsCoords').textContent = `📍 ${d[0].name}`;
+            document.getElementById('gpsCoords').textContent = `📍 ${place.name}`;
             updateDistanceUI();
             if (onSuccess) onSuccess();
         } else {
             showToast("Ville introuvable", true);
         }
-    } catch (e) { 
-        showToast("Erreur", true); 
+    } catch (e) {
+        // Only the Nominatim fallback can fail: the gazetteer is bundled
+        console.error('City search error:', e);
+        showToast("Service de géocodage indisponible", true);
     }
 }
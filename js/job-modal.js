@@ -4,9 +4,16 @@
  */
 import { initIcons } from './utils.js';
 import { BASE_URL } from './config.js';
-import { getJobState, toggleBookmark, toggleApplied, toggleIgnored } from './bookmarks.js';
+import { cachedFetchJson, formatCachedAt, JOB_DETAILS_CACHE_TTL } from './response-cache.js';
+import { getJobState, toggleBookmark, toggleApplied, toggleIgnored, setJobStage, getPipelineStages, getPipelineStage } from './bookmarks.js';
 import { getJobNote, saveJobNote, deleteJobNote } from './notes.js';
-import { getJobTags, listTags, addTagToJob, removeTagFromJob, createTag, deleteTag, getJobsByTag } from './tags.js';
+import { saveJobSnapshot, getJobSnapshot, isSnapshotExpired } from './job-snapshots.js';
+import { getJobTags, listTags, addTagToJob, removeTagFromJob, createTag, deleteTag, getJobsByTag, TAG_COLORS } from './tags.js';
+import { trackAction } from './action-log.js';
+import { getTrackedDuplicate } from './duplicates.js';
+import { getEmployerLink } from './employer-index.js';
+import { parseSalary, formatSalary, describeSalary } from './salary.js';
+import { detectWorkMode, WORK_MODES } from './work-mode.js';
 import { 
     generateCoverLetter, 
     isLetterGenerationAvailable, 
@@ -20,6 +27,8 @@ import {
 let currentJobId = null;
 // Store current job data for cover letter generation
 let currentJobData = null;
+// Whether the current job data comes from a local snapshot (offer not reachable)
+let currentJobFromSnapshot = false;
 // Current selected letter style
 let selectedLetterStyle = 'balanced';
 // Current generated letter
@@ -28,15 +37,54 @@ let currentGeneratedLetter = null;
 let letterEditMode = false;
 
 /**
- * Fetches full job details from the API by record ID.
+ * Fetches full job details from the API by record ID, through the response cache.
  * @param {string} recordId - The record ID
- * @returns {Promise<Object>} The complete job record
+ * @param {Function} [onRevalidate] - Called with the fresh record when a cached one was outdated
+ * @returns {Promise<{data: Object, cachedAt: number|null}>} The complete job record and its cache date
+ * @throws {Error} With `notFound` set when the API has no record for the offer
  */
-async function fetchJobDetails(recordId) {
+export async function fetchJobDetails(recordId, onRevalidate) {
     const url = `${BASE_URL}/${recordId}?timezone=Europe/Brussels`;
-    const response = await fetch(url);
-    if (!response.ok) throw new Error('Failed to fetch job details');
-    return await response.json();
+    try {
+        return await cachedFetchJson(url, { ttl: JOB_DETAILS_CACHE_TTL, onRevalidate });
+    } catch (e) {
+        const error = new Error('Failed to fetch job details');
+        error.notFound = e.message === '404';
+        throw error;
+    }
+}
+
+/**
+ * Shows when the displayed job details were cached.
+ * @param {number|null} cachedAt - Timestamp of the cache entry, null for a network response
+ */
+function updateModalCacheInfo(cachedAt) {
+    const info = document.getElementById('modalCacheInfo');
+    if (!info) return;
+    info.textContent = cachedAt ? `⚡ en cache (${formatCachedAt(cachedAt)})` : '';
+    info.classList.toggle('hidden', !cachedAt);
+}
+
+/**
+ * Shows why the displayed offer is not the live record: expired, or details unavailable
+ * (network or API error), with the date of the local snapshot used instead.
+ * @param {Object|null} fallback - { snapshot, expired } for a fallback display, null for a live record
+ */
+function updateModalExpiredInfo(fallback) {
+    const info = document.getElementById('modalExpiredInfo');
+    if (!info) return;
+    const copy = fallback?.snapshot ? ` · copie du ${new Date(fallback.snapshot.lastSeenAt).toLocaleDateString('fr-BE')}` : '';
+    info.textContent = fallback
+        ? `${fallback.expired ? 'Offre expirée' : 'Détails indisponibles'}${copy}`
+        : '';
+    info.classList.toggle('hidden', !fallback);
+}
+
+/**
+ * Stores a snapshot of the displayed offer, so it survives its removal from the dataset.
+ */
+function snapshotCurrentJob() {
+    if (currentJobData && !currentJobFromSnapshot) saveJobSnapshot(currentJobData);
 }
 
 /**
@@ -55,12 +103,30 @@ export async function openJobModal(job) {
     try {
         // Fetch complete job details using numerooffreforem as the record ID
         const recordId = job.numerooffreforem || job._id;
-        const fullJob = await fetchJobDetails(recordId);
+        const { data: fullJob, cachedAt } = await fetchJobDetails(recordId, (freshJob) => {
+            // Refresh only if the same offer is still open and the user isn't typing in it
+            const isEditing = modal.contains(document.activeElement) && ['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement.tagName);
+            if (modal.classList.contains('hidden') || currentJobId !== freshJob.numerooffreforem || isEditing) return;
+            populateModal(freshJob);
+            updateModalCacheInfo(null);
+        });
+        currentJobFromSnapshot = false;
         populateModal(fullJob);
+        updateModalCacheInfo(cachedAt);
+        updateModalExpiredInfo(null);
+        
+        // Keep the snapshot of a tracked offer up to date
+        if (getJobSnapshot(recordId)) saveJobSnapshot(fullJob);
     } catch (error) {
         console.error('Error fetching job details:', error);
-        // Fall back to the data we have
-        populateModal(job);
+        // Fall back to the local snapshot (expired offer), then to the data we have
+        const snapshot = getJobSnapshot(job.numerooffreforem);
+        currentJobFromSnapshot = !!snapshot;
+        populateModal(snapshot ? { ...snapshot.record, ...job } : job);
+        updateModalCacheInfo(null);
+        // Expired only when the API has no record for it, or the snapshot says so
+        const expired = !!error.notFound || (!!snapshot && isSnapshotExpired(snapshot));
+        updateModalExpiredInfo({ snapshot, expired });
     }
 }
 
@@ -81,10 +147,13 @@ function populateModal(job) {
     // Set title
     document.getElementById('modalTitle').textContent = job.titreoffre || "Sans titre";
     
-    // Set company
+    // Set company (links to the employer page)
+    const employerLink = getEmployerLink(job.nomemployeur);
     document.getElementById('modalCompany').innerHTML = `
         <i data-lucide="building-2" class="h-4 w-4"></i>
-        ${job.nomemployeur || "Confidentiel"}
+        ${employerLink
+            ? `<a href="${employerLink}" class="hover:text-orange-600 hover:underline" title="Voir l'historique de cet employeur">${job.nomemployeur}</a>`
+            : job.nomemployeur || "Confidentiel"}
     `;
     
     // Set location
@@ -148,11 +217,26 @@ function populateModal(job) {
     if (job.niveauxetudes && job.niveauxetudes[0]) {
         badges.push(`<span class="px-3 py-1 bg-orange-100 text-orange-700 rounded-full text-sm font-medium">${job.niveauxetudes[0]}</span>`);
     }
+    const salary = parseSalary(job);
+    if (salary) {
+        badges.push(`<span class="px-3 py-1 bg-emerald-100 text-emerald-700 rounded-full text-sm font-medium" title="${describeSalary(salary).replace(/"/g, '&quot;')}"><i data-lucide="banknote" class="h-3 w-3 inline"></i> ${formatSalary(salary)}</span>`);
+    }
+    const workMode = detectWorkMode(job);
+    if (workMode) {
+        const { label, icon, classes } = WORK_MODES[workMode.mode];
+        badges.push(`<span class="px-3 py-1 ${classes} border rounded-full text-sm font-medium" title="« ${workMode.signal} »"><i data-lucide="${icon}" class="h-3 w-3 inline"></i> ${label}</span>`);
+    }
     if (job.langues && job.langues.length) {
         job.langues.forEach(lang => {
             badges.push(`<span class="px-3 py-1 bg-green-100 text-green-700 rounded-full text-sm font-medium"><i data-lucide="globe" class="h-3 w-3 inline"></i> ${lang}</span>`);
         });
     }
+    // Position already tracked through a similar offer (repost, other locality)
+    const duplicate = getTrackedDuplicate(job.numerooffreforem);
+    if (duplicate) {
+        const title = duplicate.record?.titreoffre || `Offre ${duplicate.jobId}`;
+        badges.unshift(`<span class="px-3 py-1 bg-amber-100 text-amber-800 rounded-full text-sm font-semibold" title="${title}"><i data-lucide="copy-check" class="h-3 w-3 inline"></i> ${duplicate.state.stageInfo.label} via une offre similaire (${duplicate.jobId})</span>`);
+    }
     document.getElementById('modalBadges').innerHTML = badges.join('');
     
     // Set description section - show ALL text fields dynamically
@@ -269,10 +353,7 @@ function populateModal(job) {
     document.getElementById('modalExternalLink').href = job.url || '#';
     
     // Update button states based on saved state
-    const state = getJobState(currentJobId);
-    updateBookmarkButton(state.bookmarked);
-    updateAppliedButton(state.applied);
-    updateIgnoredButton(state.ignored);
+    updateStateControls();
     
     // Load and display note
     loadNoteIntoModal(currentJobId);
@@ -291,6 +372,44 @@ export function closeJobModal() {
     currentJobId = null;
 }
 
+/**
+ * Updates the toggle buttons, the stage selector and the stage history from the current job state.
+ */
+function updateStateControls() {
+    const state = getJobState(currentJobId);
+    updateBookmarkButton(state.bookmarked);
+    updateAppliedButton(state.applied);
+    updateIgnoredButton(state.ignored);
+    updateStageControls(state);
+}
+
+/**
+ * Updates the pipeline stage selector and the transition history.
+ * @param {Object} state - The job state from getJobState
+ */
+function updateStageControls(state) {
+    const select = document.getElementById('modalStageSelect');
+    if (select) {
+        select.innerHTML = getPipelineStages().map(stage => `
+            <option value="${stage.id}" ${stage.id === state.stage ? 'selected' : ''}>${stage.label}</option>
+        `).join('');
+    }
+    
+    const historyList = document.getElementById('modalStageHistoryList');
+    if (!historyList) return;
+    
+    if (state.history.length === 0) {
+        historyList.innerHTML = '<li class="text-slate-400 italic">Aucun changement d\'étape</li>';
+        return;
+    }
+    
+    historyList.innerHTML = [...state.history].reverse().map(entry => {
+        const label = getPipelineStage(entry.stage)?.label || entry.stage;
+        const date = new Date(entry.date).toLocaleString('fr-BE', { dateStyle: 'short', timeStyle: 'short' });
+        return `<li class="flex justify-between gap-2"><span class="font-medium text-slate-700">${label}</span><span class="text-slate-400">${date}</span></li>`;
+    }).join('');
+}
+
 /**
  * Updates the bookmark button appearance based on state.
  * @param {boolean} isBookmarked - Whether the job is bookmarked
@@ -377,8 +496,10 @@ function updateIgnoredButton(isIgnored) {
  */
 export function handleBookmarkToggle() {
     if (!currentJobId) return;
-    const newState = toggleBookmark(currentJobId);
-    updateBookmarkButton(newState);
+    const label = getJobState(currentJobId).bookmarked ? 'Retrait des favoris' : 'Ajout aux favoris';
+    const newState = trackAction(label, [{ type: 'jobState', key: currentJobId }], () => toggleBookmark(currentJobId));
+    snapshotCurrentJob();
+    updateStateControls();
     
     // Update the result card if visible
     window.dispatchEvent(new CustomEvent('jobStateChanged', { 
@@ -391,8 +512,10 @@ export function handleBookmarkToggle() {
  */
 export function handleAppliedToggle() {
     if (!currentJobId) return;
-    const newState = toggleApplied(currentJobId);
-    updateAppliedButton(newState);
+    const label = getJobState(currentJobId).applied ? 'Candidature annulée' : 'Marquée comme postulée';
+    const newState = trackAction(label, [{ type: 'jobState', key: currentJobId }], () => toggleApplied(currentJobId));
+    snapshotCurrentJob();
+    updateStateControls();
     
     // Update the result card if visible
     window.dispatchEvent(new CustomEvent('jobStateChanged', { 
@@ -405,8 +528,9 @@ export function handleAppliedToggle() {
  */
 export function handleIgnoredToggle() {
     if (!currentJobId) return;
-    const newState = toggleIgnored(currentJobId);
-    updateIgnoredButton(newState);
+    const label = getJobState(currentJobId).ignored ? 'Offre réaffichée' : 'Offre ignorée';
+    const newState = trackAction(label, [{ type: 'jobState', key: currentJobId }], () => toggleIgnored(currentJobId));
+    updateStateControls();
     
     // Update the result card if visible
     window.dispatchEvent(new CustomEvent('jobStateChanged', { 
@@ -414,6 +538,23 @@ export function handleIgnoredToggle() {
     }));
 }
 
+/**
+ * Handles a pipeline stage change from the stage selector.
+ * @param {string} stageId - The selected stage ID
+ */
+export function handleStageChange(stageId) {
+    if (!currentJobId) return;
+    const stage = getPipelineStage(stageId);
+    trackAction(`Étape « ${stage?.label || stageId} »`, [{ type: 'jobState', key: currentJobId }], () => setJobStage(currentJobId, stageId));
+    snapshotCurrentJob();
+    updateStateControls();
+    
+    // Update the result card if visible
+    window.dispatchEvent(new CustomEvent('jobStateChanged', { 
+        detail: { jobId: currentJobId, type: 'stage', value: stageId }
+    }));
+}
+
 /**
  * Loads note data into the modal form.
  * @param {string} jobId - The job ID
@@ -436,18 +577,8 @@ function loadNoteIntoModal(jobId) {
  */
 function displayJobTags(tags) {
     const container = document.getElementById('noteTagsList');
-    const colorMap = {
-        red: 'bg-red-100 text-red-700 border-red-200',
-        blue: 'bg-blue-100 text-blue-700 border-blue-200',
-        green: 'bg-green-100 text-green-700 border-green-200',
-        purple: 'bg-purple-100 text-purple-700 border-purple-200',
-        orange: 'bg-orange-100 text-orange-700 border-orange-200',
-        pink: 'bg-pink-100 text-pink-700 border-pink-200',
-        yellow: 'bg-yellow-100 text-yellow-700 border-yellow-200'
-    };
-    
     container.innerHTML = tags.map(tag => `
-        <span class="inline-flex items-center gap-1 px-2 py-1 ${colorMap[tag.color] || 'bg-slate-100 text-slate-700 border-slate-200'} rounded text-xs font-medium border">
+        <span class="inline-flex items-center gap-1 px-2 py-1 ${TAG_COLORS[tag.color] || 'bg-slate-100 text-slate-700 border-slate-200'} rounded text-xs font-medium border">
             ${tag.name}
             <button onclick="window.removeJobTag('${tag.id}')" class="hover:opacity-70">
                 <i data-lucide="x" class="h-3 w-3"></i>
@@ -494,6 +625,7 @@ export function saveNote() {
         customDate: date,
         tags: [] // Tags are now managed separately
     });
+    snapshotCurrentJob();
     
     // Show confirmation
     const btn = event.target;
@@ -518,7 +650,8 @@ export function deleteNote() {
     
     if (!confirm('Supprimer cette note ?')) return;
     
-    deleteJobNote(currentJobId);
+    const jobId = currentJobId;
+    trackAction('Suppression de la note', [{ type: 'note', key: jobId }], () => deleteJobNote(jobId));
     
     // Clear form
     document.getElementById('noteText').value = '';
@@ -538,6 +671,7 @@ export function addJobTagFromDropdown() {
     if (!tagId) return;
     
     addTagToJob(currentJobId, tagId);
+    snapshotCurrentJob();
     
     // Reload tags display
     const jobTags = getJobTags(currentJobId);
@@ -556,7 +690,8 @@ export function addJobTagFromDropdown() {
 export function removeJobTag(tagId) {
     if (!currentJobId) return;
     
-    removeTagFromJob(currentJobId, tagId);
+    const jobId = currentJobId;
+    trackAction('Retrait du tag', [{ type: 'jobTags', key: jobId }], () => removeTagFromJob(jobId, tagId));
     
     // Reload tags display
     const jobTags = getJobTags(currentJobId);
@@ -651,7 +786,9 @@ export function createNewTag() {
 export function deleteCustomTag(tagId) {
     if (!confirm('Supprimer ce tag ? Il sera retiré de toutes les offres.')) return;
     
-    deleteTag(tagId);
+    // The tag is also removed from every job: record their tags too, so undo puts them back
+    const targets = [{ type: 'tagList' }, ...getJobsByTag(tagId).map(jobId => ({ type: 'jobTags', key: jobId }))];
+    trackAction('Suppression du tag', targets, () => deleteTag(tagId));
     refreshTagManagementList();
     
     // Reload current job tags if modal is open
@@ -661,6 +798,19 @@ export function deleteCustomTag(tagId) {
     }
 }
 
+// Refresh the open modal after an undo/redo
+window.addEventListener('actionLogChanged', (event) => {
+    if (event.detail.reason === 'record') return;
+    
+    if (!document.getElementById('tagManagementModal')?.classList.contains('hidden')) {
+        refreshTagManagementList();
+    }
+    if (!currentJobId || document.getElementById('jobModal').classList.contains('hidden')) return;
+    
+    updateStateControls();
+    loadNoteIntoModal(currentJobId);
+});
+
 // Close modal on escape key
 document.addEventListener('keydown', (e) => {
     if (e.key === 'Escape') {
@@ -977,6 +1127,8 @@ export function saveLetter() {
     const id = saveLetterToStorage(currentGeneratedLetter);
     
     if (id) {
+        snapshotCurrentJob();
+
         // Show feedback
         const btn = event.target.closest('button');
         if (btn) {
@@ -0,0 +1,227 @@
+/**
+ * Job Snapshots Module
+ * Keeps a local copy of the records of tracked offers (bookmarked, applied, noted...),
+ * so they can still be displayed once the offer has left the OpenDataSoft dataset.
+ */
+import { BASE_URL } from './config.js';
+
+const SNAPSHOTS_STORAGE_KEY = 'forem_job_snapshots';
+
+/** Number of offers checked per API call (OR-ed ID conditions) */
+const REFRESH_BATCH_SIZE = 50;
+
+/** Maximum length kept for long text fields (descriptions) */
+const MAX_TEXT_LENGTH = 10000;
+
+/** Last snapshots read or saved, with their serialized form: the store is only parsed again when it changed */
+let cache = { data: null, snapshots: {} };
+
+/**
+ * Gets all snapshots from localStorage.
+ * Unchanged records keep their identity between reads (per-record caches can be kept in WeakMaps).
+ * @returns {Object} Object mapping job IDs to snapshots { record, savedAt, lastSeenAt, expired }
+ */
+function getSnapshots() {
+    try {
+        const data = localStorage.getItem(SNAPSHOTS_STORAGE_KEY);
+        if (data !== cache.data) cache = { data, snapshots: data ? JSON.parse(data) : {} };
+        return cache.snapshots;
+    } catch (e) {
+        console.error('Error reading job snapshots:', e);
+        return {};
+    }
+}
+
+/**
+ * Saves all snapshots to localStorage.
+ * @param {Object} snapshots - Object mapping job IDs to snapshots
+ */
+function saveSnapshots(snapshots) {
+    try {
+        const data = JSON.stringify(snapshots);
+        localStorage.setItem(SNAPSHOTS_STORAGE_KEY, data);
+        cache = { data, snapshots };
+    } catch (e) {
+        console.error('Error saving job snapshots:', e);
+        cache = { data: null, snapshots: {} }; // Read the stored snapshots again
+    }
+}
+
+/**
+ * Copies a record for storage: drops technical fields and truncates long texts.
+ * @param {Object} job - The job record
+ * @returns {Object} The record to store
+ */
+function toStoredRecord(job) {
+    const record = {};
+    Object.entries(job).forEach(([key, value]) => {
+        if (key.startsWith('_') || value === null || value === undefined) return;
+        record[key] = typeof value === 'string' && value.length > MAX_TEXT_LENGTH
+            ? value.slice(0, MAX_TEXT_LENGTH)
+            : value;
+    });
+    return record;
+}
+
+/**
+ * Stores (or refreshes) the snapshot of an offer.
+ * A partial record (e.g. a search result) never overwrites fields of a more complete one.
+ * @param {Object} job - The job record (must have numerooffreforem)
+ * @returns {Object|null} The snapshot, or null if the record has no ID
+ */
+export function saveJobSnapshot(job) {
+    const jobId = job?.numerooffreforem;
+    if (!jobId) return null;
+
+    const snapshots = getSnapshots();
+    const existing = snapshots[jobId];
+    const now = new Date().toISOString();
+
+    snapshots[jobId] = {
+        record: { ...(existing?.record || {}), ...toStoredRecord(job) },
+        savedAt: existing?.savedAt || now,
+        lastSeenAt: now,
+        expired: false
+    };
+    saveSnapshots(snapshots);
+
+    return snapshots[jobId];
+}
+
+/**
+ * Gets the snapshot of an offer.
+ * @param {string} jobId - The job ID
+ * @returns {Object|null} Snapshot { record, savedAt, lastSeenAt, expired } or null
+ */
+export function getJobSnapshot(jobId) {
+    return getSnapshots()[jobId] || null;
+}
+
+/**
+ * Gets all snapshots.
+ * @returns {Object} Object mapping job IDs to snapshots
+ */
+export function getAllJobSnapshots() {
+    return getSnapshots();
+}
+
+/**
+ * Deletes the snapshot of an offer.
+ * @param {string} jobId - The job ID
+ */
+export function deleteJobSnapshot(jobId) {
+    const snapshots = getSnapshots();
+    if (!snapshots[jobId]) return;
+    delete snapshots[jobId];
+    saveSnapshots(snapshots);
+}
+
+/**
+ * Checks whether a snapshotted offer is expired: gone from the dataset, or past its end of diffusion.
+ * @param {Object|null} snapshot - The snapshot
+ * @returns {boolean} True if the offer is no longer published
+ */
+export function isSnapshotExpired(snapshot) {
+    if (!snapshot) return false;
+    if (snapshot.expired) return true;
+    const end = snapshot.record?.datefindiffusion;
+    return !!end && new Date(end) < new Date(new Date().toDateString());
+}
+
+/**
+ * Gets display information about an offer referenced by ID.
+ * @param {string} jobId - The job ID
+ * @returns {Object} { jobId, title, employer, city, url, expired, hasSnapshot }
+ */
+export function getJobSummary(jobId) {
+    const snapshot = getJobSnapshot(jobId);
+    const record = snapshot?.record || {};
+
+    return {
+        jobId,
+        title: record.titreoffre || `Offre ${jobId}`,
+        employer: record.nomemployeur || '',
+        city: record.lieuxtravaillocalite?.[0] || '',
+        url: record.url || null,
+        expired: isSnapshotExpired(snapshot),
+        hasSnapshot: !!snapshot
+    };
+}
+
+/**
+ * Gets the link that opens an offer in the search page.
+ * @param {string} jobId - The job ID
+ * @returns {string} URL of index.html opening the offer detail
+ */
+export function getJobLink(jobId) {
+    return `index.html?job=${encodeURIComponent(jobId)}`;
+}
+
+/**
+ * Refreshes the snapshots of offers still present in search results.
+ * Only offers that already have a snapshot are updated.
+ * @param {Object[]} jobs - Job records (search results)
+ */
+export function refreshSnapshotsFromResults(jobs) {
+    const snapshots = getSnapshots();
+    const now = new Date().toISOString();
+    let changed = false;
+
+    (jobs || []).forEach(job => {
+        const snapshot = snapshots[job.numerooffreforem];
+        if (!snapshot) return;
+        snapshot.record = { ...snapshot.record, ...toStoredRecord(job) };
+        snapshot.lastSeenAt = now;
+        snapshot.expired = false;
+        changed = true;
+    });
+
+    if (changed) saveSnapshots(snapshots);
+}
+
+/**
+ * Checks offers against the live dataset: refreshes the snapshots of published offers
+ * and flags the others as expired.
+ * @param {string[]} jobIds - Job IDs to check
+ * @returns {Promise<Map<string, Object|null>>} Live record per job ID (null when gone)
+ */
+export async function refreshJobSnapshots(jobIds) {
+    const live = new Map();
+
+    for (let i = 0; i < jobIds.length; i += REFRESH_BATCH_SIZE) {
+        const batch = jobIds.slice(i, i + REFRESH_BATCH_SIZE);
+        const where = batch.map(id => `numerooffreforem="${String(id).replace(/"/g, '')}"`).join(' OR ');
+        const url = `${BASE_URL}?where=${encodeURIComponent(where)}&limit=${batch.length}&timezone=Europe/Brussels`;
+
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(response.status);
+            const data = await response.json();
+            (data.results || []).forEach(job => live.set(job.numerooffreforem, job));
+            batch.forEach(id => {
+                if (!live.has(id)) live.set(id, null);
+            });
+        } catch (e) {
+            // Network failure: leave the snapshots untouched
+            console.error('Error checking tracked offers:', e);
+        }
+    }
+
+    const snapshots = getSnapshots();
+    const now = new Date().toISOString();
+    live.forEach((job, jobId) => {
+        if (job) {
+            snapshots[jobId] = {
+                record: { ...(snapshots[jobId]?.record || {}), ...toStoredRecord(job) },
+                savedAt: snapshots[jobId]?.savedAt || now,
+                lastSeenAt: now,
+                expired: false
+            };
+        } else if (snapshots[jobId]) {
+            snapshots[jobId].expired = true;
+        }
+    });
+    saveSnapshots(snapshots);
+
+    return live;
+}
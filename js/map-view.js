@@ -0,0 +1,455 @@
+/**
+ * Map View Module
+ * Shows the search results on a map (Leaflet, loaded when the map is first shown): clustered markers,
+ * the user location with the distance radius, and markers colored by tracking stage or score.
+ * The tile source can be swapped, including for an offline grid that needs no network.
+ * Search zones are shown on the map and can be drawn on it (circles and polygons).
+ */
+import { getUserLocation } from './state.js';
+import { openJobModal } from './job-modal.js';
+import { getJobState, STAGE_COLORS } from './bookmarks.js';
+import { getStoredScore, calculateLocalScore } from './ai-matching.js';
+import { getProfile } from './cv-profile.js';
+import { getSearchZones, addSearchZone } from './search-zones.js';
+
+const MAP_SETTINGS_KEY = 'forem_map_settings';
+
+/** Center and zoom shown when there is nothing to fit (Wallonia) */
+const DEFAULT_CENTER = [50.45, 4.85];
+const DEFAULT_ZOOM = 8;
+
+/** Marker colors of the untracked offers, by score (same thresholds as getScoreColor), and without a profile */
+const SCORE_COLORS = [[85, 'rgb(16, 185, 129)'], [60, 'rgb(245, 158, 11)'], [40, 'rgb(249, 115, 22)'], [0, 'rgb(239, 68, 68)']];
+const DEFAULT_MARKER_COLOR = 'rgb(59, 130, 246)';
+
+/** Style of the search zones, and radius of a circle when the form has none */
+const ZONE_STYLE = { color: '#9333ea', weight: 2, dashArray: '6 4', fillOpacity: 0.08 };
+const DEFAULT_ZONE_RADIUS = 20;
+
+/** Leaflet and its marker clustering plugin, loaded in this order when the map is first shown */
+const LEAFLET_SCRIPTS = [
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+    'https://unpkg.com/leaflet.markercluster@1.5.3/dist/leaflet.markercluster.js'
+];
+const LEAFLET_STYLES = [
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.css',
+    'https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.Default.css'
+];
+
+/**
+ * Tile sources: { label, create() → Leaflet layer }.
+ * Other sources (a local tile server, a cached set) can be added with registerTileSource.
+ */
+const tileSources = {
+    osm: {
+        label: 'OpenStreetMap',
+        create: () => L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+            maxZoom: 18,
+            attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+        })
+    },
+    offline: {
+        label: 'Hors ligne (grille)',
+        create: createOfflineLayer
+    }
+};
+
+/** Loading of Leaflet, shared by the calls made meanwhile */
+let leafletLoading = null;
+
+let map = null;
+let tileLayer = null;
+let markersLayer = null;
+let userLayer = null;
+let zonesLayer = null;
+let currentView = 'list';
+
+/** Zone being drawn: mode ('circle' or 'polygon'), clicked points, outline, and callback once added */
+let drawMode = null;
+let draftPoints = [];
+let draftLayer = null;
+let onZoneAdded = null;
+
+/** Offers of the last rendering, drawn when the map is shown */
+let lastJobs = [];
+
+/** IDs of the offers the map was last fitted to (the view is kept while they do not change) */
+let fittedKey = '';
+
+/**
+ * Gets the map settings from localStorage.
+ * @returns {Object} Settings { tiles }
+ */
+function getMapSettings() {
+    try {
+        const data = localStorage.getItem(MAP_SETTINGS_KEY);
+        return { tiles: 'osm', ...(data ? JSON.parse(data) : {}) };
+    } catch (e) {
+        console.error('Error reading map settings:', e);
+        return { tiles: 'osm' };
+    }
+}
+
+/**
+ * Saves the map settings to localStorage.
+ * @param {Object} settings - Settings { tiles }
+ */
+function saveMapSettings(settings) {
+    try {
+        localStorage.setItem(MAP_SETTINGS_KEY, JSON.stringify(settings));
+    } catch (e) {
+        console.error('Error saving map settings:', e);
+    }
+}
+
+/**
+ * Creates the offline tile layer: a plain grid drawn locally, with the tile coordinates.
+ * @returns {Object} Leaflet grid layer
+ */
+function createOfflineLayer() {
+    const OfflineGrid = L.GridLayer.extend({
+        createTile(coords) {
+            const tile = document.createElement('canvas');
+            const size = this.getTileSize();
+            tile.width = size.x;
+            tile.height = size.y;
+            const ctx = tile.getContext('2d');
+            ctx.fillStyle = '#f1f5f9';
+            ctx.fillRect(0, 0, size.x, size.y);
+            ctx.strokeStyle = '#cbd5e1';
+            ctx.strokeRect(0, 0, size.x, size.y);
+            ctx.fillStyle = '#94a3b8';
+            ctx.font = '11px sans-serif';
+            ctx.fillText(`${coords.z}/${coords.x}/${coords.y}`, 6, 16);
+            return tile;
+        }
+    });
+    return new OfflineGrid({ maxZoom: 18, attribution: 'Fond de carte hors ligne' });
+}
+
+/**
+ * Registers a tile source (e.g. a self-hosted tile server).
+ * @param {string} id - Source ID, saved in the settings
+ * @param {Object} source - { label, create() → Leaflet layer }
+ */
+export function registerTileSource(id, source) {
+    tileSources[id] = source;
+}
+
+/**
+ * Adds a script to the page.
+ * @param {string} src - Script URL
+ * @returns {Promise<void>} Resolved once the script has run
+ */
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = () => resolve();
+        script.onerror = () => {
+            script.remove();
+            reject(new Error(`Failed to load ${src}`));
+        };
+        document.head.appendChild(script);
+    });
+}
+
+/**
+ * Loads Leaflet and its plugin on first use, so the pages that never show the map don't wait for it.
+ * @returns {Promise<void>}
+ */
+function loadLeaflet() {
+    if (!leafletLoading) {
+        LEAFLET_STYLES.forEach(href => {
+            if (document.querySelector(`link[href="${href}"]`)) return;
+            const link = document.createElement('link');
+            link.rel = 'stylesheet';
+            link.href = href;
+            document.head.appendChild(link);
+        });
+        leafletLoading = LEAFLET_SCRIPTS
+            .reduce((loading, src) => loading.then(() => loadScript(src)), Promise.resolve())
+            .catch(e => {
+                // Allow a new attempt (network back)
+                leafletLoading = null;
+                throw e;
+            });
+    }
+    return leafletLoading;
+}
+
+/**
+ * Creates the map on first display, once Leaflet is loaded.
+ * @returns {Promise<boolean>} False if Leaflet could not be loaded (offline without cache)
+ */
+async function ensureMap() {
+    if (map) return true;
+    const container = document.getElementById('resultsMap');
+    try {
+        await loadLeaflet();
+    } catch (e) {
+        console.error('Error loading Leaflet:', e);
+        container.innerHTML = `
+            <div class="h-full flex items-center justify-center text-slate-500 text-sm">La bibliothèque de cartes n'a pas pu être chargée.</div>
+        `;
+        return false;
+    }
+    // Created by another call while Leaflet was loading
+    if (map) return true;
+
+    container.innerHTML = '';
+    map = L.map(container).setView(DEFAULT_CENTER, DEFAULT_ZOOM);
+    markersLayer = L.markerClusterGroup
+        ? L.markerClusterGroup({ showCoverageOnHover: false, maxClusterRadius: 40 })
+        : L.layerGroup();
+    markersLayer.addTo(map);
+    userLayer = L.layerGroup().addTo(map);
+    zonesLayer = L.layerGroup().addTo(map);
+    applyTileSource(getMapSettings().tiles);
+    renderTileSourceSelect();
+
+    map.on('click', handleMapClick);
+    map.on('dblclick', () => { if (drawMode === 'polygon') finishZoneDrawing(); });
+    document.getElementById('zoneFilter')?.addEventListener('change', drawZones);
+    drawZones();
+    return true;
+}
+
+/**
+ * Shows a tile source on the map.
+ * @param {string} id - Source ID (falls back to OpenStreetMap when unknown)
+ */
+function applyTileSource(id) {
+    if (tileLayer) map.removeLayer(tileLayer);
+    tileLayer = (tileSources[id] || tileSources.osm).create().addTo(map);
+}
+
+/**
+ * Fills the tile source select of the map toolbar.
+ */
+function renderTileSourceSelect() {
+    const select = document.getElementById('mapTileSource');
+    if (!select) return;
+    const { tiles } = getMapSettings();
+    select.innerHTML = Object.entries(tileSources)
+        .map(([id, { label }]) => `<option value="${id}" ${id === tiles ? 'selected' : ''}>${label}</option>`)
+        .join('');
+}
+
+/**
+ * Changes the tile source of the map and remembers it.
+ * @param {string} id - Source ID
+ */
+export function setTileSource(id) {
+    saveMapSettings({ ...getMapSettings(), tiles: id });
+    if (map) applyTileSource(id);
+}
+
+/**
+ * Gets the marker color of an offer: its pipeline stage when tracked, else its score.
+ * @param {Object} job - The job record
+ * @param {Object|null} profile - The CV profile
+ * @returns {string} CSS color
+ */
+function getMarkerColor(job, profile) {
+    const state = getJobState(job.numerooffreforem);
+    if (state.stageInfo.kind !== 'new') {
+        return (STAGE_COLORS[state.stageInfo.color] || STAGE_COLORS.slate).chart;
+    }
+    if (!profile) return DEFAULT_MARKER_COLOR;
+    const score = (getStoredScore(job.numerooffreforem) || calculateLocalScore(profile, job))?.score || 0;
+    return SCORE_COLORS.find(([min]) => score >= min)[1];
+}
+
+/**
+ * Draws the search zones on the map.
+ */
+function drawZones() {
+    if (!zonesLayer) return;
+    zonesLayer.clearLayers();
+    getSearchZones().forEach(zone => {
+        const layer = zone.type === 'circle'
+            ? L.circle([zone.lat, zone.lon], { ...ZONE_STYLE, radius: zone.radius * 1000 })
+            : L.polygon(zone.points, ZONE_STYLE);
+        layer.addTo(zonesLayer);
+    });
+}
+
+/**
+ * Shows or hides the drawing bar of the map, with the instructions of the current mode.
+ */
+function updateDrawBar() {
+    const bar = document.getElementById('zoneDrawBar');
+    if (!bar) return;
+    bar.classList.toggle('hidden', !drawMode);
+    document.getElementById('zoneDrawHint').textContent = drawMode === 'circle'
+        ? `Cliquez sur le centre de la zone (rayon : ${getZoneRadius()} km).`
+        : `Cliquez les sommets de la zone (${draftPoints.length} point${draftPoints.length > 1 ? 's' : ''}), puis double-cliquez ou « Terminer ».`;
+    document.getElementById('zoneDrawFinish')?.classList.toggle('hidden', drawMode !== 'polygon');
+    document.getElementById('resultsMap').style.cursor = drawMode ? 'crosshair' : '';
+}
+
+/**
+ * Gets the radius of a new circle zone from the search form.
+ * @returns {number} Radius in kilometers
+ */
+function getZoneRadius() {
+    return parseInt(document.getElementById('zoneRadius')?.value) || DEFAULT_ZONE_RADIUS;
+}
+
+/**
+ * Starts drawing a search zone on the map.
+ * @param {string} mode - 'circle' (one click on the center) or 'polygon' (one click per vertex)
+ * @param {Function} [onAdded] - Called once the zone is added (e.g. to search again)
+ */
+export async function startZoneDrawing(mode, onAdded) {
+    if (!(await ensureMap())) return;
+    drawMode = mode === 'circle' ? 'circle' : 'polygon';
+    draftPoints = [];
+    onZoneAdded = onAdded || null;
+    map.doubleClickZoom.disable();
+    updateDrawBar();
+}
+
+/**
+ * Stops drawing, without adding the zone being drawn.
+ */
+export function cancelZoneDrawing() {
+    drawMode = null;
+    draftPoints = [];
+    if (draftLayer) map.removeLayer(draftLayer);
+    draftLayer = null;
+    map?.doubleClickZoom.enable();
+    updateDrawBar();
+}
+
+/**
+ * Adds the polygon being drawn as a search zone (at least 3 distinct points).
+ */
+export function finishZoneDrawing() {
+    // The two clicks of a double click add the same point twice
+    const points = draftPoints.filter((point, i) => i === 0 || point[0] !== draftPoints[i - 1][0] || point[1] !== draftPoints[i - 1][1]);
+    if (points.length < 3) return;
+    addZone({ type: 'polygon', points });
+}
+
+/**
+ * Adds a drawn zone to the search and ends the drawing.
+ * @param {Object} zone - Zone from the drawing
+ */
+function addZone(zone) {
+    const callback = onZoneAdded;
+    cancelZoneDrawing();
+    addSearchZone(zone);
+    if (callback) callback();
+}
+
+/**
+ * Handles a click on the map while drawing a zone.
+ * @param {Object} e - Leaflet mouse event
+ */
+function handleMapClick(e) {
+    if (!drawMode) return;
+    const point = [e.latlng.lat, e.latlng.lng];
+    if (drawMode === 'circle') {
+        addZone({ type: 'circle', lat: point[0], lon: point[1], radius: getZoneRadius(), name: '' });
+        return;
+    }
+    draftPoints.push(point);
+    if (draftLayer) map.removeLayer(draftLayer);
+    draftLayer = L.polyline(draftPoints, { ...ZONE_STYLE, dashArray: null }).addTo(map);
+    updateDrawBar();
+}
+
+/**
+ * Draws the offers and the user location on the map.
+ * @returns {Promise<void>}
+ */
+async function drawMap() {
+    if (!(await ensureMap())) return;
+
+    const profile = getProfile();
+    markersLayer.clearLayers();
+    const points = [];
+    lastJobs.forEach(job => {
+        const geo = job.lieuxtravailgeo?.[0];
+        if (!geo || !geo.lat || !geo.lon) return;
+
+        const tracked = getJobState(job.numerooffreforem).stageInfo.kind !== 'new';
+        const color = getMarkerColor(job, profile);
+        const marker = L.circleMarker([geo.lat, geo.lon], {
+            radius: tracked ? 9 : 7,
+            color: tracked ? '#1e293b' : '#ffffff',
+            weight: 2,
+            fillColor: color,
+            fillOpacity: 0.9
+        });
+        const place = job.lieuxtravaillocalite?.[0] || '';
+        marker.bindTooltip(`<strong>${job.titreoffre || 'Sans titre'}</strong><br>${job.nomemployeur || 'Confidentiel'}${place ? ` · ${place}` : ''}`);
+        marker.on('click', () => openJobModal(job));
+        markersLayer.addLayer(marker);
+        points.push([geo.lat, geo.lon]);
+    });
+
+    // User location and distance radius
+    userLayer.clearLayers();
+    const userLocation = getUserLocation();
+    if (userLocation) {
+        L.circleMarker([userLocation.lat, userLocation.lon], { radius: 6, color: '#ffffff', weight: 2, fillColor: '#0f172a', fillOpacity: 1 })
+            .bindTooltip(`📍 ${userLocation.name || 'Ma position'}`)
+            .addTo(userLayer);
+        const distance = parseInt(document.getElementById('distanceFilter')?.value || '0');
+        if (distance) {
+            L.circle([userLocation.lat, userLocation.lon], { radius: distance * 1000, color: '#2563eb', weight: 1, fillOpacity: 0.05 }).addTo(userLayer);
+        }
+        points.push([userLocation.lat, userLocation.lon]);
+    }
+
+    // Fit the view when the offers change, keep it on a re-rendering (status filters, tracking)
+    const key = lastJobs.map(job => job.numerooffreforem).join(',');
+    if (key !== fittedKey && points.length) {
+        map.fitBounds(points, { padding: [30, 30], maxZoom: 12 });
+        fittedKey = key;
+    }
+
+    const unlocated = lastJobs.length - (points.length - (userLocation ? 1 : 0));
+    const info = document.getElementById('mapInfo');
+    if (info) info.textContent = unlocated > 0 ? `${unlocated} offre${unlocated > 1 ? 's' : ''} sans localisation` : '';
+}
+
+/**
+ * Updates the offers shown on the map (called with every rendering of the results).
+ * @param {Object[]} jobs - Displayed job records
+ */
+export function updateResultsMap(jobs) {
+    lastJobs = jobs;
+    if (currentView === 'map') drawMap();
+}
+
+/**
+ * Gets the current results view.
+ * @returns {string} 'list' or 'map'
+ */
+export function getResultsView() {
+    return currentView;
+}
+
+/**
+ * Switches the results between the list of cards and the map.
+ * @param {string} view - 'list' or 'map'
+ */
+export function setResultsView(view) {
+    currentView = view === 'map' ? 'map' : 'list';
+    const isMap = currentView === 'map';
+    document.getElementById('resultsGrid').classList.toggle('hidden', isMap);
+    document.getElementById('mapContainer').classList.toggle('hidden', !isMap);
+    document.getElementById('viewListBtn')?.classList.toggle('view-active', !isMap);
+    document.getElementById('viewMapBtn')?.classList.toggle('view-active', isMap);
+
+    if (isMap) {
+        // Leaflet measures its container, which was hidden until now
+        map?.invalidateSize();
+        drawMap();
+    }
+}
@@ -98,6 +98,36 @@ export function deleteJobNote(jobId) {
     }));
 }
 
+/**
+ * Gets a copy of the stored note of a job, to be restored later with restoreJobNote (undo).
+ * @param {string} jobId - The job ID
+ * @returns {Object|null} Stored note, or null if the job has none
+ */
+export function getStoredJobNote(jobId) {
+    const note = getAllNotes()[jobId];
+    return note ? { ...note, tags: [...(note.tags || [])] } : null;
+}
+
+/**
+ * Puts back a note read with getStoredJobNote, dates included.
+ * @param {string} jobId - The job ID
+ * @param {Object|null} note - The note to restore (null deletes the note)
+ */
+export function restoreJobNote(jobId, note) {
+    const notes = getAllNotes();
+    if (note) {
+        notes[jobId] = note;
+    } else {
+        delete notes[jobId];
+    }
+    saveAllNotes(notes);
+    
+    // Dispatch event for UI updates
+    window.dispatchEvent(new CustomEvent('jobNoteChanged', {
+        detail: { jobId, note }
+    }));
+}
+
 /**
  * Checks if a job has a note.
  * @param {string} jobId - The job ID
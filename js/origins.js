@@ -0,0 +1,98 @@
+/**
+ * Origins Module
+ * Named starting points of the active profile (home, partner's workplace, kids' school).
+ * The search runs from the selected origin (distance filter, proximity sort, commute, map),
+ * and each card shows the distance to every origin to weigh the trade-offs.
+ * Origins are stored in the profile, so each profile has its own.
+ */
+import { getProfile, saveProfile } from './cv-storage.js';
+import { getUserLocation, setUserLocation } from './state.js';
+
+/** Location detected at startup (CV, GPS or manual), restored when no origin is selected */
+let detectedLocation = null;
+
+/**
+ * Gets the origins of the active profile.
+ * @returns {Object[]} Origins { id, name, place, lat, lon }
+ */
+export function getOrigins() {
+    return getProfile()?.origins || [];
+}
+
+/**
+ * Gets an origin of the active profile by ID.
+ * @param {string} id - Origin ID
+ * @returns {Object|null} The origin, or null if unknown
+ */
+export function getOrigin(id) {
+    return getOrigins().find(origin => origin.id === id) || null;
+}
+
+/**
+ * Adds an origin to the active profile.
+ * @param {Object} origin - { name, place, lat, lon } (place: locality shown next to the name)
+ * @returns {Object} The saved origin, with its ID
+ * @throws {Error} If there is no active profile
+ */
+export function addOrigin({ name, place, lat, lon }) {
+    const profile = getProfile();
+    if (!profile) throw new Error('Aucun profil actif');
+
+    const origin = {
+        id: 'origin_' + Date.now() + '_' + Math.random().toString(36).substr(2, 5),
+        name: name.trim(),
+        place: place || '',
+        lat,
+        lon
+    };
+    profile.origins = [...(profile.origins || []), origin];
+    saveProfile(profile);
+    return origin;
+}
+
+/**
+ * Removes an origin from the active profile.
+ * @param {string} id - Origin ID
+ */
+export function removeOrigin(id) {
+    const profile = getProfile();
+    if (!profile?.origins) return;
+    profile.origins = profile.origins.filter(origin => origin.id !== id);
+    saveProfile(profile);
+}
+
+/**
+ * Starts the search from an origin, or from the detected location.
+ * @param {string} id - Origin ID, or '' for the detected location
+ * @returns {Object|null} The new user location
+ */
+export function selectOrigin(id) {
+    const current = getUserLocation();
+    if (current?.source !== 'origin') detectedLocation = current;
+
+    const origin = id ? getOrigin(id) : null;
+    setUserLocation(origin
+        ? { lat: origin.lat, lon: origin.lon, name: origin.name, source: 'origin', originId: origin.id }
+        : detectedLocation);
+    return getUserLocation();
+}
+
+/**
+ * Gets the ID of the origin the search runs from.
+ * @returns {string} Origin ID, or '' when it runs from the detected location
+ */
+export function getSelectedOriginId() {
+    return getUserLocation()?.originId || '';
+}
+
+/**
+ * Fills the origin selector of the search form.
+ */
+export function renderOriginSelect() {
+    const select = document.getElementById('originSelect');
+    if (!select) return;
+    const selected = getSelectedOriginId();
+    select.innerHTML = `<option value="">📍 Position détectée</option>` + getOrigins()
+        .map(origin => `<option value="${origin.id}" ${origin.id === selected ? 'selected' : ''}>${origin.name}</option>`)
+        .join('');
+}
@@ -0,0 +1,348 @@
+/**
+ * Pagination Module
+ * Walks the API result set with `offset`: page controls, "load more" / infinite scroll,
+ * and a bounded "fetch all" mode. Loaded pages are merged into the application state.
+ */
+import { MAX_PAGE_SIZE, MAX_RECORDS_WINDOW } from './config.js';
+import { getRawData, setRawData, appendRawData, getFullUrl, getCurrentPage, setCurrentPage } from './state.js';
+import { renderResults } from './renderer.js';
+import { updateUrlParams } from './url-state.js';
+import { initIcons, showToast } from './utils.js';
+import { cachedFetchJson } from './response-cache.js';
+import { applyExclusionCondition } from './exclusions.js';
+
+const INFINITE_SCROLL_KEY = 'forem_infinite_scroll';
+
+/** Above this many records, "fetch all" asks for confirmation first */
+const FETCH_ALL_CONFIRM_THRESHOLD = 1000;
+
+let isPageLoading = false;
+let fetchAllCancelled = false;
+let scrollObserver = null;
+
+/**
+ * Gets the page size of the current search (its `limit` parameter).
+ * @returns {number} Number of records per page
+ */
+export function getPageSize() {
+    try {
+        const limit = parseInt(new URL(getFullUrl()).searchParams.get('limit'));
+        return Math.min(limit || 10, MAX_PAGE_SIZE);
+    } catch (e) {
+        return 10;
+    }
+}
+
+/**
+ * Gets the offset of the first record of a page, clamped to the API window.
+ * @param {number} page - Page number (1-based)
+ * @param {number} [pageSize] - Number of records per page
+ * @returns {number} Record offset
+ */
+export function getPageOffset(page, pageSize = getPageSize()) {
+    const offset = (Math.max(1, page) - 1) * pageSize;
+    return Math.max(0, Math.min(offset, MAX_RECORDS_WINDOW - pageSize));
+}
+
+/**
+ * Builds the API URL for a slice of the current search, with the exclusion rules.
+ * @param {number} offset - Offset of the first record
+ * @param {number} limit - Number of records
+ * @param {string} [baseUrl] - Search URL without offset (defaults to the current search)
+ * @returns {string} Complete API URL
+ */
+export function buildPageUrl(offset, limit, baseUrl = getFullUrl()) {
+    const url = new URL(baseUrl);
+    url.searchParams.set('limit', limit);
+    if (offset > 0) url.searchParams.set('offset', offset);
+    else url.searchParams.delete('offset');
+    return applyExclusionCondition(url.toString());
+}
+
+/**
+ * Fetches a slice of the current search from the API (through the response cache).
+ * @param {number} offset - Offset of the first record
+ * @param {number} limit - Number of records
+ * @returns {Promise<Object>} Raw API response data
+ */
+async function fetchPage(offset, limit) {
+    const { data } = await cachedFetchJson(buildPageUrl(offset, limit));
+    return data;
+}
+
+/**
+ * Captures the current search before a page is fetched. A new search started meanwhile (other URL,
+ * or the same one run again, which replaces the results) makes the page stale: it is dropped.
+ * @returns {Object} { isCurrent() → boolean, update() to accept the results after appending a page }
+ */
+function captureSearch() {
+    const url = getFullUrl();
+    let data = getRawData();
+    return {
+        isCurrent: () => getFullUrl() === url && getRawData() === data,
+        update: () => { data = getRawData(); }
+    };
+}
+
+/**
+ * Gets the number of records that can be reached from the current start page.
+ * Bounded both by the result count and by the API offset ceiling.
+ * @returns {number} Number of reachable records
+ */
+function getReachableCount() {
+    const data = getRawData();
+    if (!data) return 0;
+    const startOffset = getPageOffset(getCurrentPage());
+    return Math.max(0, Math.min(data.total_count, MAX_RECORDS_WINDOW) - startOffset);
+}
+
+/**
+ * Checks whether more records can be appended to the loaded results.
+ * @returns {boolean} True if another page can be fetched
+ */
+export function hasMoreResults() {
+    const data = getRawData();
+    return !!data && data.results.length < getReachableCount();
+}
+
+/**
+ * Re-renders the result cards and pagination bar from the merged state.
+ */
+function refreshDisplay() {
+    const data = getRawData();
+    window.lastSearchResults = data;
+    document.getElementById('resultsCount').textContent = `${data.total_count} résultats`;
+    renderResults(data);
+    renderPagination();
+}
+
+/**
+ * Replaces the loaded results with a single page.
+ * @param {number} page - Page number (1-based)
+ * @returns {Promise<void>}
+ */
+export async function goToPage(page) {
+    if (isPageLoading || !getFullUrl()) return;
+    isPageLoading = true;
+
+    const pageSize = getPageSize();
+    setCurrentPage(page);
+    updateUrlParams(true);
+    const search = captureSearch();
+
+    try {
+        const data = await fetchPage(getPageOffset(getCurrentPage(), pageSize), pageSize);
+        if (!search.isCurrent()) return;
+        setRawData(data);
+        refreshDisplay();
+        document.getElementById('statusBar')?.scrollIntoView({ behavior: 'smooth' });
+    } catch (err) {
+        showToast(`Erreur de chargement de la page (${err.message})`, true);
+    } finally {
+        isPageLoading = false;
+    }
+}
+
+/**
+ * Fetches the next page and appends it to the loaded results.
+ * Used by the "load more" button and by infinite scroll.
+ * @returns {Promise<void>}
+ */
+export async function loadMoreResults() {
+    if (isPageLoading || !hasMoreResults()) return;
+    isPageLoading = true;
+    renderPagination();
+    const search = captureSearch();
+
+    try {
+        const pageSize = getPageSize();
+        const loaded = getRawData().results.length;
+        const limit = Math.min(pageSize, getReachableCount() - loaded);
+        const data = await fetchPage(getPageOffset(getCurrentPage(), pageSize) + loaded, limit);
+        if (search.isCurrent()) {
+            appendRawData(data);
+            search.update();
+        }
+    } catch (err) {
+        if (search.isCurrent()) showToast(`Erreur de chargement (${err.message})`, true);
+    } finally {
+        isPageLoading = false;
+        // A new search renders its own results
+        if (search.isCurrent()) {
+            refreshDisplay();
+            // Re-observe so a sentinel that is still on screen triggers the next page
+            if (isInfiniteScrollEnabled()) initInfiniteScroll();
+        }
+    }
+}
+
+/**
+ * Fetches every remaining record of the current search, up to the API ceiling.
+ * Pages are requested sequentially at the maximum page size; calling it again
+ * while running cancels the walk after the current request.
+ * @returns {Promise<void>}
+ */
+export async function fetchAllResults() {
+    if (isPageLoading) {
+        fetchAllCancelled = true;
+        return;
+    }
+    if (!hasMoreResults()) return;
+
+    const remaining = getReachableCount() - getRawData().results.length;
+    if (remaining > FETCH_ALL_CONFIRM_THRESHOLD &&
+        !confirm(`Charger ${remaining} offres supplémentaires (${Math.ceil(remaining / MAX_PAGE_SIZE)} requêtes) ?`)) {
+        return;
+    }
+
+    isPageLoading = true;
+    fetchAllCancelled = false;
+    const startOffset = getPageOffset(getCurrentPage());
+    const search = captureSearch();
+
+    try {
+        while (!fetchAllCancelled && hasMoreResults()) {
+            const loaded = getRawData().results.length;
+            const limit = Math.min(MAX_PAGE_SIZE, getReachableCount() - loaded);
+            const data = await fetchPage(startOffset + loaded, limit);
+            if (!search.isCurrent()) return;
+            const merged = appendRawData(data);
+            search.update();
+            // Stop when a page brings nothing new (end of data or shifting results)
+            if (merged.results.length === loaded) break;
+            updateFetchAllProgress(getRawData().results.length, getReachableCount());
+        }
+        if (getRawData().total_count > MAX_RECORDS_WINDOW) {
+            showToast(`Limite de l'API atteinte : ${MAX_RECORDS_WINDOW} offres maximum`);
+        }
+    } catch (err) {
+        if (search.isCurrent()) showToast(`Erreur de chargement (${err.message})`, true);
+    } finally {
+        isPageLoading = false;
+        fetchAllCancelled = false;
+        // A new search renders its own results
+        if (search.isCurrent()) refreshDisplay();
+    }
+}
+
+/**
+ * Shows the progress of a "fetch all" walk in the pagination bar.
+ * @param {number} loaded - Number of records loaded so far
+ * @param {number} total - Number of reachable records
+ */
+function updateFetchAllProgress(loaded, total) {
+    const btn = document.getElementById('btnFetchAll');
+    if (btn) btn.textContent = `Arrêter (${loaded}/${total})`;
+}
+
+/**
+ * Checks whether infinite scroll is enabled.
+ * @returns {boolean} True if enabled
+ */
+export function isInfiniteScrollEnabled() {
+    return localStorage.getItem(INFINITE_SCROLL_KEY) === 'true';
+}
+
+/**
+ * Enables or disables infinite scroll and persists the preference.
+ * @param {boolean} enabled - Whether infinite scroll should be active
+ */
+export function setInfiniteScroll(enabled) {
+    localStorage.setItem(INFINITE_SCROLL_KEY, enabled ? 'true' : 'false');
+    initInfiniteScroll();
+}
+
+/**
+ * Starts or stops observing the sentinel below the results grid.
+ * When visible and infinite scroll is enabled, the next page is appended.
+ */
+export function initInfiniteScroll() {
+    const sentinel = document.getElementById('scrollSentinel');
+    if (!sentinel || !('IntersectionObserver' in window)) return;
+
+    if (scrollObserver) {
+        scrollObserver.disconnect();
+        scrollObserver = null;
+    }
+    if (!isInfiniteScrollEnabled()) return;
+
+    scrollObserver = new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) loadMoreResults();
+    }, { rootMargin: '400px' });
+    scrollObserver.observe(sentinel);
+}
+
+/**
+ * Computes the page numbers to display around the loaded range.
+ * @param {number} first - First loaded page
+ * @param {number} last - Last loaded page
+ * @param {number} total - Total number of pages
+ * @returns {(number|string)[]} Page numbers, with '…' for gaps
+ */
+function getVisiblePages(first, last, total) {
+    const pages = new Set([1, total]);
+    for (let p = first - 2; p <= last + 2; p++) {
+        if (p >= 1 && p <= total) pages.add(p);
+    }
+
+    const sorted = [...pages].sort((a, b) => a - b);
+    return sorted.flatMap((p, i) => (i > 0 && p - sorted[i - 1] > 1) ? ['…', p] : [p]);
+}
+
+/**
+ * Renders the pagination bar below the results grid.
+ * Shows the loaded range, page buttons, "load more", "fetch all" and the infinite scroll toggle.
+ */
+export function renderPagination() {
+    const bar = document.getElementById('paginationBar');
+    if (!bar) return;
+
+    const data = getRawData();
+    if (!data || !data.total_count) {
+        bar.classList.add('hidden');
+        bar.innerHTML = '';
+        return;
+    }
+
+    const pageSize = getPageSize();
+    const loaded = data.results.length;
+    const startOffset = getPageOffset(getCurrentPage(), pageSize);
+    const firstPage = Math.floor(startOffset / pageSize) + 1;
+    const lastPage = firstPage + Math.max(0, Math.ceil(loaded / pageSize) - 1);
+    const totalPages = Math.ceil(Math.min(data.total_count, MAX_RECORDS_WINDOW) / pageSize);
+    const moreAvailable = hasMoreResults();
+
+    const pageButtons = totalPages > 1 ? getVisiblePages(firstPage, lastPage, totalPages).map(p => {
+        if (p === '…') return `<span class="px-1 text-slate-400">…</span>`;
+        const isLoaded = p >= firstPage && p <= lastPage;
+        return `<button type="button" onclick="window.goToPage(${p})" ${isPageLoading ? 'disabled' : ''}
+                    class="min-w-[2rem] px-2 py-1 rounded-md text-xs font-medium border transition-colors ${isLoaded ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-slate-600 border-slate-300 hover:bg-slate-100'}">${p}</button>`;
+    }).join('') : '';
+
+    bar.classList.remove('hidden');
+    bar.innerHTML = `
+        <span class="text-slate-600">
+            Offres <strong>${startOffset + 1}–${startOffset + loaded}</strong> sur <strong>${data.total_count}</strong>
+            ${data.total_count > MAX_RECORDS_WINDOW ? `<span class="text-xs text-amber-600">(API limitée à ${MAX_RECORDS_WINDOW})</span>` : ''}
+        </span>
+        <div class="flex flex-wrap items-center gap-1">
+            ${firstPage > 1 ? `<button type="button" onclick="window.goToPage(${firstPage - 1})" class="px-2 py-1 rounded-md border border-slate-300 bg-white hover:bg-slate-100" title="Page précédente"><i data-lucide="chevron-left" class="h-3 w-3"></i></button>` : ''}
+            ${pageButtons}
+            ${lastPage < totalPages ? `<button type="button" onclick="window.goToPage(${lastPage + 1})" class="px-2 py-1 rounded-md border border-slate-300 bg-white hover:bg-slate-100" title="Page suivante"><i data-lucide="chevron-right" class="h-3 w-3"></i></button>` : ''}
+        </div>
+        <div class="flex flex-wrap items-center gap-2">
+            ${moreAvailable ? `
+                <button type="button" onclick="window.loadMoreResults()" ${isPageLoading ? 'disabled' : ''} class="px-3 py-1.5 rounded-lg text-xs font-medium bg-slate-100 hover:bg-slate-200 text-slate-700 disabled:opacity-50">
+                    ${isPageLoading ? 'Chargement...' : 'Charger plus'}
+                </button>
+                <button type="button" id="btnFetchAll" onclick="window.fetchAllResults()" class="px-3 py-1.5 rounded-lg text-xs font-medium bg-blue-50 hover:bg-blue-100 text-blue-700">
+                    Tout charger
+                </button>` : ''}
+            <label class="flex items-center gap-1 text-xs text-slate-500 cursor-pointer">
+                <input type="checkbox" ${isInfiniteScrollEnabled() ? 'checked' : ''} onchange="window.setInfiniteScroll(this.checked)" class="rounded text-blue-600">
+                Défilement infini
+            </label>
+        </div>
+    `;
+    initIcons();
+}
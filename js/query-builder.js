@@ -3,20 +3,27 @@
  * Constructs search queries for the FOREM job search API and syncs UI state with URL parameters.
  */
 import { getUserLocation } from './state.js';
+import { isExclusionCondition } from './exclusions.js';
+import { parseZones, serializeZones, buildZoneCondition, parseZoneCondition } from './search-zones.js';
 
 /** Map of logical filter names to their DOM element IDs */
 const FILTER_IDS = {
     keywords: 'keywords',
+    scope: 'searchScopeFilter',
     category: 'categoryFilter',
     limit: 'limitFilter',
     sort: 'sortFilter',
     distance: 'distanceFilter',
+    zones: 'zoneFilter',
     regime: 'regimeFilter',
     education: 'educationFilter',
     date: 'dateFilter',
     endDate: 'endDateFilter'
 };
 
+/** Sorts applied to the loaded results only (by score, salary, work mode): the API returns the most recent first */
+const CLIENT_SORTS = ['score_desc', 'salary_desc', 'remote_desc'];
+
 /** Map of checkbox input names to their corresponding API field names */
 const CHECKBOX_GROUPS = {
     loc: 'lieuxtravailregion',
@@ -24,8 +31,28 @@ const CHECKBOX_GROUPS = {
     lang: 'langues'
 };
 
-/** Fields to search within for keyword queries */
-const SEARCH_FIELDS = ['titreoffre', 'metier'];
+/**
+ * Keyword search scopes, mapped to the fields searched for unprefixed terms.
+ * 'full' also covers the offer body, so skills only mentioned in the description are found.
+ */
+export const SEARCH_SCOPES = {
+    title: ['titreoffre'],
+    title_metier: ['titreoffre', 'metier'],
+    full: ['titreoffre', 'metier', 'descriptionoffre', 'competencesrequises']
+};
+
+/** Scope used when none is selected (historical behaviour) */
+export const DEFAULT_SEARCH_SCOPE = 'title_metier';
+
+/** Default fields to search within for keyword queries */
+const SEARCH_FIELDS = SEARCH_SCOPES[DEFAULT_SEARCH_SCOPE];
+
+/**
+ * Gets the fields searched for a scope name, falling back to the default scope.
+ * @param {string} scope - Scope name (key of SEARCH_SCOPES)
+ * @returns {string[]} API field names
+ */
+const getScopeFields = (scope) => SEARCH_SCOPES[scope] || SEARCH_FIELDS;
 
 /**
  * Gets the trimmed value of an element by ID.
@@ -65,35 +92,146 @@ const getCheckedValues = (name) =>
  */
 const createGeoPoint = (location) => `geom'POINT(${location.lon} ${location.lat})'`;
 
+/** Field prefixes accepted in the keyword query language, mapped to API field names */
+const FIELD_PREFIXES = {
+    titre: 'titreoffre',
+    employeur: 'nomemployeur',
+    metier: 'metier'
+};
+
+/** Boolean operators recognized in keyword queries (must be uppercase) */
+const KEYWORD_OPERATORS = ['AND', 'OR', 'NOT'];
+
+/**
+ * Splits a keyword query into tokens.
+ * Produces parentheses, operators, '-' negation markers, field prefixes, words and quoted phrases.
+ * @param {string} input - The raw keyword string from user input
+ * @returns {Object[]} Array of tokens { type, value }
+ */
+function tokenizeKeywords(input) {
+    const prefixes = Object.keys(FIELD_PREFIXES).join('|');
+    const regex = new RegExp(`\\s*(?:(\\()|(\\))|(-)(?=["(\\wÀ-ɏ])|(${prefixes}):(?=\\S)|"([^"]*)"?|([^\\s()"]+))`, 'giy');
+    const tokens = [];
+    let match;
+
+    while ((match = regex.exec(input))) {
+        const [, open, close, minus, prefix, phrase, word] = match;
+        if (open) tokens.push({ type: 'open' });
+        else if (close) tokens.push({ type: 'close' });
+        else if (minus) tokens.push({ type: 'not' });
+        else if (prefix) tokens.push({ type: 'field', value: FIELD_PREFIXES[prefix.toLowerCase()] });
+        else if (phrase !== undefined) tokens.push({ type: 'phrase', value: phrase });
+        else if (KEYWORD_OPERATORS.includes(word)) tokens.push({ type: word.toLowerCase() });
+        else tokens.push({ type: 'word', value: word });
+    }
+
+    return tokens;
+}
+
 /**
- * Parses keyword string into positive and negative search terms.
- * Handles quoted phrases and negation with '-' prefix.
+ * Parses a keyword query into an AST.
+ *
+ * Grammar (lowest to highest precedence):
+ *   sequence := or+              (juxtaposed expressions, legacy semantics)
+ *   or       := and ("OR" and)*
+ *   and      := unary ("AND" unary)*
+ *   unary    := ("NOT" | "-") unary | primary
+ *   primary  := field? ( "(" sequence ")" | word | "phrase" )
+ *
+ * Juxtaposed expressions keep the historical behaviour: positive items are
+ * OR-ed together, negated items are AND-ed with that group.
+ * The parser is lenient: stray parentheses and dangling operators are ignored.
+ *
  * @param {string} keywords - The raw keyword string from user input
- * @returns {{positive: string[], negative: string[]}} Object containing arrays of positive and negative terms
+ * @returns {Object|null} AST node ({type: 'and'|'or', operands}, {type: 'not', operand},
+ *   {type: 'term', value, fields}) or null if the query is empty
  * @example
- * parseKeywordTerms('developer -manager "full time"')
- * // Returns: { positive: ['developer', 'full time'], negative: ['manager'] }
+ * parseKeywordQuery('(react OR vue) AND NOT titre:stage')
+ * // Returns: { type: 'and', operands: [
+ * //   { type: 'or', operands: [{ type: 'term', value: 'react', fields: null }, ...] },
+ * //   { type: 'not', operand: { type: 'term', value: 'stage', fields: ['titreoffre'] } }
+ * // ] }
  */
-function parseKeywordTerms(keywords) {
-    const regex = /-?"[^"]+"|[^\s]+/g;
-    const terms = keywords.match(regex) || [];
-    const positive = [], negative = [];
-    
-    terms.forEach(term => {
-        const isNegative = term.startsWith('-');
-        term = isNegative ? term.substring(1) : term;
-        
-        if (term.startsWith('"') && term.endsWith('"')) {
-            term = term.slice(1, -1);
+export function parseKeywordQuery(keywords) {
+    const tokens = tokenizeKeywords(keywords || '');
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const isOperand = (token) => token && ['open', 'not', 'field', 'word', 'phrase'].includes(token.type);
+
+    const combine = (type, operands) => {
+        const nodes = operands.filter(Boolean);
+        if (nodes.length <= 1) return nodes[0] || null;
+        // Flatten nested nodes of the same type
+        return { type, operands: nodes.flatMap(n => n.type === type ? n.operands : [n]) };
+    };
+
+    function parseSequence(fields) {
+        const positive = [], negative = [];
+        while (pos < tokens.length && peek().type !== 'close') {
+            if (!isOperand(peek())) { pos++; continue; }
+            const node = parseOr(fields);
+            if (node) (node.type === 'not' ? negative : positive).push(node);
         }
-        
-        term = unescapeQuotes(term).trim();
-        if (term) {
-            (isNegative ? negative : positive).push(term);
+        return combine('and', [combine('or', positive), ...negative]);
+    }
+
+    function parseOr(fields) {
+        const operands = [parseAnd(fields)];
+        while (peek()?.type === 'or') {
+            pos++;
+            if (isOperand(peek())) operands.push(parseAnd(fields));
         }
-    });
-    
-    return { positive, negative };
+        return combine('or', operands);
+    }
+
+    function parseAnd(fields) {
+        const operands = [parseUnary(fields)];
+        while (peek()?.type === 'and') {
+            pos++;
+            if (isOperand(peek())) operands.push(parseUnary(fields));
+        }
+        return combine('and', operands);
+    }
+
+    function parseUnary(fields) {
+        if (peek()?.type === 'not') {
+            pos++;
+            if (!isOperand(peek())) return null;
+            const operand = parseUnary(fields);
+            if (!operand) return null;
+            // Double negation cancels out
+            return operand.type === 'not' ? operand.operand : { type: 'not', operand };
+        }
+        return parsePrimary(fields);
+    }
+
+    function parsePrimary(fields) {
+        const token = tokens[pos++];
+        if (!token) return null;
+
+        if (token.type === 'field') {
+            return isOperand(peek()) && peek().type !== 'field' ? parsePrimary([token.value]) : null;
+        }
+        if (token.type === 'open') {
+            const node = parseSequence(fields);
+            if (peek()?.type === 'close') pos++;
+            return node;
+        }
+        if (token.type === 'word' || token.type === 'phrase') {
+            const value = unescapeQuotes(token.value).trim();
+            return value ? { type: 'term', value, fields } : null;
+        }
+        return null;
+    }
+
+    let ast = parseSequence(null);
+    // Unbalanced closing parentheses: skip them and keep parsing
+    while (pos < tokens.length) {
+        pos++;
+        ast = combine('and', [ast, parseSequence(null)]);
+    }
+    return ast;
 }
 
 /**
@@ -110,26 +248,39 @@ function buildSearchCondition(term, fields = SEARCH_FIELDS) {
     return `(${fields.map(field => `search(${field}, ${quotedTerm})`).join(' OR ')})`;
 }
 
+/**
+ * Compiles a keyword AST node into an ODSQL condition.
+ * @param {Object} node - AST node from parseKeywordQuery
+ * @param {string[]} [defaultFields] - Fields searched by terms without a field prefix
+ * @returns {string} API query condition string
+ */
+function compileKeywordNode(node, defaultFields = SEARCH_FIELDS) {
+    switch (node.type) {
+        case 'term':
+            return buildSearchCondition(node.value, node.fields || defaultFields);
+        case 'not':
+            return `NOT ${compileKeywordNode(node.operand, defaultFields)}`;
+        case 'and':
+        case 'or':
+            return `(${node.operands.map(o => compileKeywordNode(o, defaultFields)).join(` ${node.type.toUpperCase()} `)})`;
+        default:
+            return '';
+    }
+}
+
 /**
  * Builds an array of search conditions from keyword input.
- * Handles both positive terms (must match) and negative terms (must not match).
+ * Top-level AND operands are returned as separate conditions.
  * @param {string} keywords - The raw keyword string
+ * @param {string} [scope] - Search scope name (key of SEARCH_SCOPES)
  * @returns {string[]} Array of API query condition strings
  */
-function buildKeywordConditions(keywords) {
-    const { positive, negative } = parseKeywordTerms(keywords);
-    const conditions = [];
-    
-    if (positive.length) {
-        const posConditions = positive.map(term => buildSearchCondition(term)).join(' OR ');
-        conditions.push(`(${posConditions})`);
-    }
-    
-    negative.forEach(term => {
-        conditions.push(`NOT ${buildSearchCondition(term)}`);
-    });
-    
-    return conditions;
+function buildKeywordConditions(keywords, scope = DEFAULT_SEARCH_SCOPE) {
+    const ast = parseKeywordQuery(keywords);
+    if (!ast) return [];
+
+    const operands = ast.type === 'and' ? ast.operands : [ast];
+    return operands.map(node => compileKeywordNode(node, getScopeFields(scope)));
 }
 
 /**
@@ -145,6 +296,18 @@ function buildMultiValueCondition(values, field) {
     return `(${conditions})`;
 }
 
+/**
+ * Builds a job category condition from comma-separated ROME/DIMECO code prefixes (OR logic).
+ * @param {string} categories - Comma-separated code prefixes (e.g. "M1805,K21")
+ * @returns {string|null} API query condition string or null if no prefix
+ */
+function buildCategoryCondition(categories) {
+    const prefixes = categories.split(',').map(c => c.trim()).filter(Boolean);
+    if (!prefixes.length) return null;
+
+    return prefixes.map(prefix => `startswith(metiercodedimeco, "${escapeQuotes(prefix)}")`).join(' OR ');
+}
+
 /**
  * Builds a date filter condition for jobs published within the last N days.
  * @param {string|number} daysAgo - Number of days to look back
@@ -186,15 +349,20 @@ function buildDistanceCondition(distance, location) {
 /**
  * Builds a complete query parameter object from the current UI filter state.
  * Reads all filter values from the DOM and constructs an API-compatible URLSearchParams object.
+ * Search zones (circles and drawn polygons) are added as one condition: the offer lies in any of them.
+ * The exclusion rules are not part of the query: they are added when fetching (see applyExclusionCondition),
+ * so they are never stored in the search URL nor read back as keywords.
  * @returns {URLSearchParams} Query parameters ready for API request
  */
 export function buildQuery() {
     const filters = {
         keywords: getElementValue(FILTER_IDS.keywords),
+        scope: getElementValue(FILTER_IDS.scope),
         category: getElementValue(FILTER_IDS.category),
         limit: getElementValue(FILTER_IDS.limit),
         sort: getElementValue(FILTER_IDS.sort),
         distance: getElementValue(FILTER_IDS.distance),
+        zones: getElementValue(FILTER_IDS.zones),
         regime: getElementValue(FILTER_IDS.regime),
         education: getElementValue(FILTER_IDS.education),
         date: getElementValue(FILTER_IDS.date),
@@ -211,13 +379,12 @@ export function buildQuery() {
     const conditions = [];
 
     // Category condition
-    if (filters.category) {
-        conditions.push(`startswith(metiercodedimeco, "${filters.category}")`);
-    }
+    const categoryCondition = buildCategoryCondition(filters.category);
+    if (categoryCondition) conditions.push(categoryCondition);
 
     // Keyword conditions
     if (filters.keywords) {
-        conditions.push(...buildKeywordConditions(filters.keywords));
+        conditions.push(...buildKeywordConditions(filters.keywords, filters.scope));
     }
 
     // Date condition (start date)
@@ -245,6 +412,10 @@ export function buildQuery() {
     const distanceCondition = buildDistanceCondition(filters.distance, userLocation);
     if (distanceCondition) conditions.push(distanceCondition);
 
+    // Search zones condition
+    const zoneCondition = buildZoneCondition(parseZones(filters.zones));
+    if (zoneCondition) conditions.push(zoneCondition);
+
     // Build final query
     const where = conditions.length ? conditions.map(c => `(${c})`).join(' AND ') : '';
     const params = new URLSearchParams({ 
@@ -256,7 +427,8 @@ export function buildQuery() {
     if (filters.sort === 'geo_distance' && userLocation) {
         params.append('order_by', `distance(lieuxtravailgeo, ${createGeoPoint(userLocation)})`);
     } else {
-        params.append('order_by', filters.sort === 'geo_distance' ? 'datedebutdiffusion desc' : filters.sort);
+        const defaultOrder = filters.sort === 'geo_distance' || CLIENT_SORTS.includes(filters.sort);
+        params.append('order_by', defaultOrder ? 'datedebutdiffusion desc' : filters.sort);
     }
 
     if (where) params.append('where', where);
@@ -268,7 +440,6 @@ export function buildQuery() {
  * Maps filter IDs to their corresponding regex patterns.
  */
 const SIMPLE_FILTERS = [
-    { id: FILTER_IDS.category, pattern: /startswith\(metiercodedimeco, "([^"]+)"\)/ },
     { id: FILTER_IDS.regime, pattern: /regimetravail:"([^"]+)"/ },
     { id: FILTER_IDS.education, pattern: /niveauxetudes:"([^"]+)"/ },
     { id: FILTER_IDS.distance, pattern: /distance\(lieuxtravailgeo, geom'POINT\([^)]+\)', ([0-9]+)km\)/ }
@@ -305,6 +476,16 @@ function extractSimpleFilters(whereClause) {
     });
 }
 
+/**
+ * Extracts the selected job categories from a where clause and notifies the category picker.
+ * @param {string} whereClause - The API where clause string
+ */
+function extractCategoryFilter(whereClause) {
+    const prefixes = [...whereClause.matchAll(/startswith\(metiercodedimeco, "([^"]+)"\)/g)].map(m => unescapeQuotes(m[1]));
+    setElementValue(FILTER_IDS.category, prefixes.join(','));
+    document.getElementById(FILTER_IDS.category)?.dispatchEvent(new Event('change'));
+}
+
 /**
  * Extracts and sets the date filter value from a where clause.
  * Converts the date condition back to the closest matching preset (7, 14, or 30 days).
@@ -369,44 +550,231 @@ function extractCheckboxFilters(whereClause) {
 }
 
 /**
- * Extracts and sets keyword filter values from a where clause.
- * Reconstructs both positive and negative search terms with proper quoting.
+ * Extracts the search zones from a where clause and notifies the zone chips.
  * @param {string} whereClause - The API where clause string
+ * @returns {string} The where clause without the zone condition, so its circles are not read as the distance filter
  */
-function extractKeywords(whereClause) {
-    const keywords = [];
-    
-    // Extract negative keywords
-    const negativeMatches = whereClause.matchAll(/NOT \(search\(titreoffre, "([^"]+)"\)/g);
-    for (const match of negativeMatches) {
-        let term = unescapeQuotes(match[1]);
-        if (term.includes(' ')) term = `"${term}"`;
-        keywords.push(`-${term}`);
+function extractZones(whereClause) {
+    const conditions = splitTopLevelConditions(whereClause);
+    const index = conditions.findIndex(condition => parseZoneCondition(condition));
+    const zones = index >= 0 ? parseZoneCondition(conditions[index]) : [];
+    // The query has no city names: keep those of the same circles in the form
+    const named = parseZones(getElementValue(FILTER_IDS.zones)).filter(zone => zone.name);
+    zones.forEach(zone => {
+        const same = named.find(n => zone.type === 'circle' && n.lat === zone.lat && n.lon === zone.lon && n.radius === zone.radius);
+        if (same) zone.name = same.name;
+    });
+    setElementValue(FILTER_IDS.zones, serializeZones(zones));
+    document.getElementById(FILTER_IDS.zones)?.dispatchEvent(new Event('change'));
+    return index >= 0 ? conditions.filter((_, i) => i !== index).join(' AND ') : whereClause;
+}
+
+/**
+ * Splits a where clause into its top-level AND operands.
+ * Respects parentheses and quoted strings.
+ * @param {string} whereClause - The API where clause string
+ * @returns {string[]} Array of top-level conditions
+ */
+function splitTopLevelConditions(whereClause) {
+    const parts = [];
+    let depth = 0, inString = null, start = 0;
+
+    for (let i = 0; i < whereClause.length; i++) {
+        const char = whereClause[i];
+        if (inString) {
+            if (char === '\\') i++;
+            else if (char === inString) inString = null;
+        } else if (char === '"' || char === "'") {
+            inString = char;
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')') {
+            depth--;
+        } else if (depth === 0 && whereClause.startsWith(' AND ', i)) {
+            parts.push(whereClause.slice(start, i));
+            start = i + 5;
+            i += 4;
+        }
     }
-    
-    // Extract positive keywords
-    const positiveMatches = whereClause.matchAll(/search\(titreoffre, "([^"]+)"\)/g);
-    for (const match of positiveMatches) {
-        const term = unescapeQuotes(match[1]);
-        // Skip if it's actually a negative keyword
-        if (!whereClause.includes(`NOT (search(titreoffre, "${escapeQuotes(term)}"`)) {
-            keywords.push(term.includes(' ') ? `"${term}"` : term);
+    parts.push(whereClause.slice(start));
+
+    return parts.map(p => p.trim()).filter(Boolean);
+}
+
+/**
+ * Parses an ODSQL condition made only of search() calls and boolean operators into a keyword AST.
+ * @param {string} condition - A single top-level condition
+ * @returns {Object|null} AST node or null if the condition is not a keyword condition
+ */
+function parseSearchCondition(condition) {
+    const regex = /\s*(?:(\()|(\))|(AND|OR|NOT)\b|search\((\w+), "((?:[^"\\]|\\.)*)"\))/y;
+    const tokens = [];
+    let match;
+
+    while (regex.lastIndex < condition.length) {
+        match = regex.exec(condition);
+        if (!match) {
+            if (/^\s*$/.test(condition.slice(regex.lastIndex))) break;
+            return null;
         }
+        const [, open, close, operator, field, term] = match;
+        if (open) tokens.push({ type: 'open' });
+        else if (close) tokens.push({ type: 'close' });
+        else if (operator) tokens.push({ type: operator.toLowerCase() });
+        else tokens.push({ type: 'term', value: unescapeQuotes(term), fields: [field] });
     }
-    
-    if (keywords.length) {
-        setElementValue(FILTER_IDS.keywords, [...new Set(keywords)].join(' '));
+    if (!tokens.some(t => t.type === 'term')) return null;
+
+    let pos = 0;
+    const parseBinary = (type, parseNext) => () => {
+        const operands = [parseNext()];
+        while (tokens[pos]?.type === type) {
+            pos++;
+            operands.push(parseNext());
+        }
+        return operands.length > 1 ? { type, operands } : operands[0];
+    };
+    const parseAnd = parseBinary('and', () => parseOperand());
+    const parseExpression = parseBinary('or', parseAnd);
+    const parseOperand = () => {
+        const token = tokens[pos++];
+        if (token?.type === 'not') return { type: 'not', operand: parseOperand() };
+        if (token?.type === 'open') {
+            const node = parseExpression();
+            pos++;
+            return node;
+        }
+        if (token?.type === 'term') return { ...token };
+        throw new Error('Unexpected token in keyword condition');
+    };
+
+    try {
+        const ast = parseExpression();
+        if (pos !== tokens.length) throw new Error('Unexpected trailing tokens in keyword condition');
+        return mergeFieldAlternatives(ast);
+    } catch (e) {
+        return null;
     }
 }
 
+/**
+ * Collapses "search(a, x) OR search(b, x)" groups produced by buildSearchCondition
+ * back into a single term searched in several fields.
+ * @param {Object} node - AST node
+ * @returns {Object} Simplified AST node
+ */
+function mergeFieldAlternatives(node) {
+    if (node.type === 'not') return { type: 'not', operand: mergeFieldAlternatives(node.operand) };
+    if (node.type !== 'and' && node.type !== 'or') return node;
+
+    const operands = node.operands.map(mergeFieldAlternatives);
+    const isSameTerm = operands.every(o => o.type === 'term' && o.value === operands[0].value);
+    if (node.type === 'or' && isSameTerm) {
+        return { type: 'term', value: operands[0].value, fields: operands.flatMap(o => o.fields) };
+    }
+    return { type: node.type, operands };
+}
+
+/**
+ * Checks whether two field lists contain the same fields, in any order.
+ * @param {string[]} a - First field list
+ * @param {string[]} b - Second field list
+ * @returns {boolean} True if both lists cover the same fields
+ */
+const sameFields = (a, b) => a.length === b.length && a.every(f => b.includes(f));
+
+/**
+ * Serializes a keyword AST back into the query language accepted by parseKeywordQuery.
+ * @param {Object} node - AST node
+ * @param {string} [parent] - Type of the parent node, used to decide on parentheses
+ * @param {string[]} [defaultFields] - Fields searched by terms without a field prefix
+ * @returns {string} Keyword query string
+ */
+function stringifyKeywordNode(node, parent, defaultFields = SEARCH_FIELDS) {
+    if (node.type === 'term') {
+        const fields = node.fields || defaultFields;
+        const isDefault = sameFields(fields, defaultFields);
+        const needsQuotes = /[\s()"]/.test(node.value) || KEYWORD_OPERATORS.includes(node.value) || node.value.startsWith('-');
+        const text = needsQuotes ? `"${node.value}"` : node.value;
+        if (isDefault) return text;
+
+        const prefixes = fields.map(f => Object.keys(FIELD_PREFIXES).find(p => FIELD_PREFIXES[p] === f));
+        if (prefixes.length === 1 && prefixes[0]) return `${prefixes[0]}:${text}`;
+        // Single field without a shorthand (hand-written query): searched with the scope fields
+        if (fields.length === 1) return text;
+        // Field combination without a shorthand: spell it out as alternatives
+        return stringifyKeywordNode({
+            type: 'or',
+            operands: fields.map(f => ({ type: 'term', value: node.value, fields: [f] }))
+        }, parent, defaultFields);
+    }
+
+    if (node.type === 'not') {
+        return `NOT ${stringifyKeywordNode(node.operand, 'not', defaultFields)}`;
+    }
+
+    const text = node.operands.map(o => stringifyKeywordNode(o, node.type, defaultFields)).join(` ${node.type.toUpperCase()} `);
+    const needsParens = parent === 'not' || (parent === 'and' && node.type === 'or');
+    return needsParens ? `(${text})` : text;
+}
+
+/**
+ * Serializes a keyword AST, using the compact legacy syntax ("java -senior -lead")
+ * when the query is a single term plus exclusions.
+ * @param {Object} ast - Root AST node
+ * @param {string[]} [defaultFields] - Fields searched by terms without a field prefix
+ * @returns {string} Keyword query string
+ */
+function stringifyKeywordQuery(ast, defaultFields = SEARCH_FIELDS) {
+    const operands = ast.type === 'and' ? ast.operands : [ast];
+    const positive = operands.filter(o => o.type !== 'not');
+    const negative = operands.filter(o => o.type === 'not');
+
+    if (positive.length <= 1 && positive.every(o => o.type === 'term')) {
+        return [
+            ...positive.map(o => stringifyKeywordNode(o, undefined, defaultFields)),
+            ...negative.map(o => `-${stringifyKeywordNode(o.operand, 'not', defaultFields)}`)
+        ].join(' ');
+    }
+    return stringifyKeywordNode(ast, undefined, defaultFields);
+}
+
+/**
+ * Extracts and sets the keyword filter from a where clause.
+ * Every top-level condition made only of search() calls is decompiled back
+ * into the keyword query language, so buildQuery and parseAndSyncUI round-trip.
+ * The query does not tell which scope it was built with: terms on other fields than the
+ * given scope are written with their field prefix.
+ * @param {string} whereClause - The API where clause string
+ * @param {string} scope - Search scope name (key of SEARCH_SCOPES)
+ */
+function extractKeywords(whereClause, scope) {
+    const nodes = splitTopLevelConditions(whereClause)
+        .filter(condition => !isExclusionCondition(condition))
+        .map(parseSearchCondition)
+        .filter(Boolean);
+
+    setElementValue(FILTER_IDS.scope, scope);
+    if (!nodes.length) {
+        setElementValue(FILTER_IDS.keywords, "");
+        return;
+    }
+
+    const ast = nodes.length === 1 ? nodes[0] : { type: 'and', operands: nodes.flatMap(n => n.type === 'and' ? n.operands : [n]) };
+    setElementValue(FILTER_IDS.keywords, stringifyKeywordQuery(ast, getScopeFields(scope)));
+}
+
 /**
  * Parses a URL query string and syncs all UI filter elements to match.
  * This enables deep linking and browser back/forward navigation.
+ * The search scope is not part of the API query: it is kept in the `scope` parameter of the
+ * page URL (see updateUrlParams), restored with the other filters.
  * @param {string} urlString - The URL or query string to parse
+ * @param {string} [scope] - Search scope the keywords were built with (defaults to the selected one)
  * @example
  * parseAndSyncUI('?limit=10&where=regimetravail:"full-time"')
  */
-export function parseAndSyncUI(urlString) {
+export function parseAndSyncUI(urlString, scope = getElementValue(FILTER_IDS.scope)) {
     try {
         const dummyBase = "http://d";
         const fullUrl = urlString.startsWith("http") ? urlString : dummyBase + "/" + urlString.replace(/^\/?/, '');
@@ -418,14 +786,16 @@ export function parseAndSyncUI(urlString) {
             setElementValue(FILTER_IDS.limit, params.get('limit'));
         }
         
-        const whereClause = params.get('where') || "";
+        // Zones first: their circles use the same syntax as the distance filter
+        const whereClause = extractZones(params.get('where') || "");
         
         // Extract all filter types
         extractSimpleFilters(whereClause);
+        extractCategoryFilter(whereClause);
         extractDateFilter(whereClause);
         extractEndDateFilter(whereClause);
         extractCheckboxFilters(whereClause);
-        extractKeywords(whereClause);
+        extractKeywords(whereClause, SEARCH_SCOPES[scope] ? scope : DEFAULT_SEARCH_SCOPE);
 
     } catch (e) {
         console.warn("Sync UI Error", e);
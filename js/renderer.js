@@ -5,17 +5,32 @@
 import { initIcons, getDistance } from './utils.js';
 import { getUserLocation } from './state.js';
 import { openJobModal } from './job-modal.js';
-import { getJobState, toggleBookmark, toggleApplied, toggleIgnored } from './bookmarks.js';
+import { getJobState, toggleBookmark, toggleApplied, toggleIgnored, getStageIcon, STAGE_COLORS } from './bookmarks.js';
 import { hasNote } from './notes.js';
-import { getJobTags } from './tags.js';
-import { getStoredScore, calculateLocalScore, getScoreColor } from './ai-matching.js';
+import { getJobTags, TAG_COLORS } from './tags.js';
+import { getStoredScore, calculateLocalScore, getScoreColor, SEMANTIC_THRESHOLD } from './ai-matching.js';
 import { getProfile } from './cv-profile.js';
+import { recordSavedSearchRun, hasSavedSearchBaseline, isNewOffer } from './saved-searches.js';
+import { saveJobSnapshot, refreshSnapshotsFromResults } from './job-snapshots.js';
+import { renderSelectCheckbox, attachCardSelection, syncSelection } from './selection.js';
+import { trackAction } from './action-log.js';
+import { clusterJobs, getJobCluster, getTrackedDuplicate } from './duplicates.js';
+import { recordSeenOffers, getEmployerLink } from './employer-index.js';
+import { matchExclusionRule, areExclusionsRevealed, setResultsHiddenCount, EXCLUSION_TYPES } from './exclusions.js';
+import { parseSalary, getMonthlySalary, formatSalary, describeSalary } from './salary.js';
+import { detectWorkMode, getWorkModeRank, matchesWorkModeFilter, WORK_MODES } from './work-mode.js';
+import { getCachedCommute, estimateCommutes, formatCommute, COMMUTE_MODES } from './commute.js';
+import { updateResultsMap } from './map-view.js';
+import { getOrigins } from './origins.js';
+import { computeSkillSimilarities } from './skill-embeddings.js';
 
 /**
  * Renders job search results as a grid of cards.
  * Creates HTML cards for each job with title, company, location, contract type, and optional badges.
  * Displays distance if user location is available.
  * Cards are clickable to open a detailed modal view.
+ * Duplicate offers (reposts, one offer per locality) are grouped into a single card
+ * with an expandable list of the similar offers; filters use the state of the whole group.
  * @param {Object} data - The search results data from the API
  * @param {Array} data.results - Array of job objects
  * @param {string} data.results[].titreoffre - Job title
@@ -33,10 +48,33 @@ export function renderResults(data) {
     const userLocation = getUserLocation();
     grid.innerHTML = "";
     
+    // Remember the offers of a saved search run (for "new since last visit")
+    recordSavedSearchRun(data.results);
+    
+    // Tracked offers still published: refresh their local copy
+    refreshSnapshotsFromResults(data.results);
+    
+    // Remember the offers of each employer (employer pages)
+    recordSeenOffers(data.results);
+    const canDetectNew = hasSavedSearchBaseline();
+    document.getElementById('newFilterContainer')?.classList.toggle('hidden', !canDetectNew);
+    
+    // Exclusion rules: offers the query condition could not remove (cache, custom query, extra rules)
+    const revealExcluded = areExclusionsRevealed();
+    const allowedResults = revealExcluded ? data.results : data.results.filter(job => !matchExclusionRule(job));
+    setResultsHiddenCount(data.results.length - allowedResults.length);
+    
+    // Group duplicates: one card per cluster, showing its most advanced offer
+    const clusters = clusterJobs(allowedResults);
+    const groupDuplicates = (document.getElementById('duplicatesFilter')?.value || 'group') === 'group';
+    updateDuplicatesInfo(groupDuplicates ? allowedResults.length - clusters.length : 0);
+    
     // Get status filters
     const bookmarkFilter = document.getElementById('bookmarkFilter')?.value || 'all';
     const appliedFilter = document.getElementById('appliedFilter')?.value || 'all';
     const ignoredFilter = document.getElementById('ignoredFilter')?.value || 'show';
+    const stageFilter = document.getElementById('stageFilter')?.value || 'all';
+    const newFilter = canDetectNew ? (document.getElementById('newFilter')?.value || 'all') : 'all';
     
     // Check for tracked=true URL parameter (shows all bookmarked OR applied)
     const urlParams = new URLSearchParams(window.location.search);
@@ -44,9 +82,15 @@ export function renderResults(data) {
     const showNotedOnly = urlParams.get('noted') === 'true';
     
     // Filter results based on all status filters
-    let filteredResults = data.results.filter(job => {
+    const candidates = groupDuplicates ? clusters.map(cluster => cluster.representative) : allowedResults;
+    updateSkillSimilarities(data, candidates);
+    let filteredResults = candidates.filter(job => {
         const jobId = job.numerooffreforem;
-        const state = getJobState(jobId);
+        // A grouped card carries the state of its whole cluster (e.g. applied through a repost)
+        const state = groupDuplicates ? getJobCluster(jobId).state : getJobState(jobId);
+        
+        // "Only new" filter (saved search runs)
+        if (newFilter === 'only' && !isNewOffer(jobId)) return false;
         
         // If noted=true, only show jobs with notes
         if (showNotedOnly) {
@@ -68,6 +112,9 @@ export function renderResults(data) {
         if (ignoredFilter === 'hide' && state.ignored) return false;
         if (ignoredFilter === 'only' && !state.ignored) return false;
         
+        // Check pipeline stage filter
+        if (stageFilter !== 'all' && state.stage !== stageFilter) return false;
+        
         // Check bookmark filter
         let bookmarkPass = true;
         switch (bookmarkFilter) {
@@ -126,6 +173,29 @@ export function renderResults(data) {
         });
     }
     
+    // Minimum salary filter (monthly equivalent): "any" keeps the offers mentioning a salary or a pay scale
+    const salaryFilter = document.getElementById('salaryFilter')?.value || '';
+    if (salaryFilter === 'any') {
+        filteredResults = filteredResults.filter(job => parseSalary(job));
+    } else if (salaryFilter) {
+        filteredResults = filteredResults.filter(job => getMonthlySalary(job) >= parseInt(salaryFilter));
+    }
+    
+    // Work mode filter (remote, hybrid, on-site, detected from the offer text)
+    const workModeFilter = document.getElementById('workModeFilter')?.value || '';
+    if (workModeFilter) {
+        filteredResults = filteredResults.filter(job => matchesWorkModeFilter(job, workModeFilter));
+    }
+    
+    // Maximum commute filter (offers without a location, or not estimated yet, are kept)
+    const commuteFilter = parseInt(document.getElementById('commuteFilter')?.value || '0');
+    if (userLocation && commuteFilter) {
+        filteredResults = filteredResults.filter(job => {
+            const commute = getCachedCommute(userLocation, job);
+            return !commute || commute.minutes <= commuteFilter;
+        });
+    }
+    
     // Sort by score if selected
     const sortFilter = document.getElementById('sortFilter')?.value || '';
     if (sortFilter === 'score_desc' && profile) {
@@ -136,6 +206,19 @@ export function renderResults(data) {
         });
     }
     
+    // Sort by salary if selected (offers without an amount last)
+    if (sortFilter === 'salary_desc') {
+        filteredResults.sort((a, b) => (getMonthlySalary(b) ?? -1) - (getMonthlySalary(a) ?? -1));
+    }
+    
+    // Sort by work mode if selected (remote, hybrid, unknown, on-site)
+    if (sortFilter === 'remote_desc') {
+        filteredResults.sort((a, b) => getWorkModeRank(b) - getWorkModeRank(a));
+    }
+    
+    // Commutes are estimated for the cards shown (those not estimated yet are kept by the filter above)
+    updateCommuteEstimates(data, filteredResults, userLocation);
+    
     // Show message if no results after filtering
     if (filteredResults.length === 0) {
         grid.innerHTML = `
@@ -146,6 +229,8 @@ export function renderResults(data) {
             </div>
         `;
         initIcons();
+        syncSelection();
+        updateResultsMap([]);
         return;
     }
     
@@ -155,20 +240,28 @@ export function renderResults(data) {
         
         const title = job.titreoffre || "Sans titre";
         const comp = job.nomemployeur || "Confidentiel";
+        const employerLink = getEmployerLink(job.nomemployeur);
+        const compHtml = employerLink
+            ? `<a href="${employerLink}" class="employer-link hover:text-orange-600 hover:underline truncate" title="Voir l'historique de cet employeur">${comp}</a>`
+            : comp;
         const city = job.lieuxtravaillocalite ? job.lieuxtravaillocalite[0] : "Belgique";
         const date = job.datedebutdiffusion ? new Date(job.datedebutdiffusion).toLocaleDateString('fr-BE') : "?";
         const contract = job.typecontrat || "";
         
         // Status badges
-        const bookmarkBadge = state.bookmarked 
-            ? `<span class="px-2 py-0.5 bg-amber-100 text-amber-700 rounded border border-amber-200 text-xs font-semibold flex items-center gap-1">
-                <i data-lucide="bookmark-check" class="h-3 w-3"></i> À consulter
-               </span>` 
+        const newBadge = isNewOffer(jobId)
+            ? `<span class="px-2 py-0.5 bg-sky-500 text-white rounded text-xs font-bold flex items-center gap-1">
+                <i data-lucide="sparkle" class="h-3 w-3"></i> Nouveau
+               </span>`
             : "";
-        const appliedBadge = state.applied 
-            ? `<span class="px-2 py-0.5 bg-green-100 text-green-700 rounded border border-green-200 text-xs font-semibold flex items-center gap-1">
-                <i data-lucide="check-circle-2" class="h-3 w-3"></i> Postulé
-               </span>` 
+        const stageBadge = renderStageBadge(state);
+        
+        // Offers shown although excluded by a rule (revealed)
+        const exclusion = revealExcluded ? matchExclusionRule(job) : null;
+        const exclusionBadge = exclusion
+            ? `<span class="px-2 py-0.5 bg-slate-700 text-white rounded text-xs font-semibold flex items-center gap-1" title="${EXCLUSION_TYPES[exclusion.type].label}">
+                <i data-lucide="ban" class="h-3 w-3"></i> Exclue : ${exclusion.value}
+               </span>`
             : "";
         
         // Note indicator badge
@@ -180,17 +273,8 @@ export function renderResults(data) {
         
         // Custom tags badges (first 2 only)
         const jobTags = getJobTags(jobId).slice(0, 2);
-        const colorMap = {
-            red: 'bg-red-100 text-red-700 border-red-200',
-            blue: 'bg-blue-100 text-blue-700 border-blue-200',
-            green: 'bg-green-100 text-green-700 border-green-200',
-            purple: 'bg-purple-100 text-purple-700 border-purple-200',
-            orange: 'bg-orange-100 text-orange-700 border-orange-200',
-            pink: 'bg-pink-100 text-pink-700 border-pink-200',
-            yellow: 'bg-yellow-100 text-yellow-700 border-yellow-200'
-        };
         const tagBadges = jobTags.map(tag => 
-            `<span class="px-2 py-0.5 ${colorMap[tag.color] || 'bg-slate-100 text-slate-700 border-slate-200'} rounded border text-xs font-medium">${tag.name}</span>`
+            `<span class="px-2 py-0.5 ${TAG_COLORS[tag.color] || 'bg-slate-100 text-slate-700 border-slate-200'} rounded border text-xs font-medium">${tag.name}</span>`
         ).join('');
         
         const regime = job.regimetravail 
@@ -199,15 +283,27 @@ export function renderResults(data) {
         const edu = job.niveauxetudes && job.niveauxetudes[0] 
             ? `<span class="px-2 py-0.5 bg-orange-50 text-orange-700 rounded border border-orange-100 text-xs truncate max-w-[150px]">${job.niveauxetudes[0]}</span>` 
             : "";
+        const salary = parseSalary(job);
+        const salaryBadge = salary
+            ? `<span class="px-2 py-0.5 bg-emerald-50 text-emerald-700 rounded border border-emerald-100 text-xs font-medium flex items-center gap-1" title="${describeSalary(salary).replace(/"/g, '&quot;')}">
+                <i data-lucide="banknote" class="h-3 w-3"></i> ${formatSalary(salary)}
+               </span>`
+            : "";
+        const workMode = detectWorkMode(job);
+        const workModeBadge = workMode
+            ? `<span class="px-2 py-0.5 ${WORK_MODES[workMode.mode].classes} rounded border text-xs font-medium flex items-center gap-1" title="« ${workMode.signal} »">
+                <i data-lucide="${WORK_MODES[workMode.mode].icon}" class="h-3 w-3"></i> ${WORK_MODES[workMode.mode].label}
+               </span>`
+            : "";
         const contractBadge = contract 
             ? `<span class="px-2 py-0.5 ${contract.includes('indéterminée') ? 'bg-green-50 text-green-700 border-green-100' : 'bg-slate-50 text-slate-700 border-slate-100'} rounded border text-xs">${contract}</span>` 
             : "";
 
-        let distBadge = "";
-        if (userLocation && job.lieuxtravailgeo && job.lieuxtravailgeo[0]) {
-            const km = getDistance(userLocation.lat, userLocation.lon, job.lieuxtravailgeo[0].lat, job.lieuxtravailgeo[0].lon);
-            distBadge = `<span class="ml-2 text-xs font-bold text-emerald-600 bg-emerald-50 px-1 rounded">${km} km</span>`;
-        }
+        const originDistances = renderOriginDistances(job, userLocation);
+        const duplicateNotice = renderDuplicateNotice(jobId);
+        const similarOffers = groupDuplicates ? renderSimilarOffers(getJobCluster(jobId)) : "";
+
+        const distBadge = renderDistanceBadge(job, userLocation);
 
         // AI Matching score badge
         let scoreBadge = "";
@@ -238,14 +334,18 @@ export function renderResults(data) {
         el.dataset.jobId = jobId; // Store job ID for updates
         el.innerHTML = `
             <div class="absolute left-0 top-0 bottom-0 w-1 ${contract.includes('indéterminée') ? 'bg-green-500' : 'bg-slate-300'}"></div>
+            ${renderSelectCheckbox(jobId)}
             <div class="flex-1 min-w-0">
-                <div class="flex flex-wrap gap-2 mb-1">${scoreBadge}${bookmarkBadge}${appliedBadge}${noteBadge}${tagBadges}${contractBadge}${regime}${edu}</div>
+                <div class="flex flex-wrap gap-2 mb-1">${exclusionBadge}${newBadge}${scoreBadge}${stageBadge}${noteBadge}${tagBadges}${salaryBadge}${workModeBadge}${contractBadge}${regime}${edu}</div>
                 <h3 class="font-bold text-slate-800 truncate hover:text-blue-600">${title}</h3>
                 <div class="text-sm text-slate-600 flex items-center gap-2 mt-1">
-                    <i data-lucide="building-2" class="h-3 w-3"></i> ${comp}
+                    <i data-lucide="building-2" class="h-3 w-3"></i> ${compHtml}
                     <span class="text-slate-300">|</span>
                     <i data-lucide="map-pin" class="h-3 w-3"></i> ${city} ${distBadge}
                 </div>
+                ${originDistances}
+                ${duplicateNotice}
+                ${similarOffers}
             </div>
             <div class="text-right flex flex-col items-end justify-between gap-2">
                 <div class="flex gap-2">
@@ -274,21 +374,50 @@ export function renderResults(data) {
         
         // Add click handler to open modal
         el.addEventListener('click', (e) => {
-            // Don't open modal if clicking on action buttons
-            if (e.target.closest('.bookmark-btn') || e.target.closest('.applied-btn') || e.target.closest('.ignored-btn')) {
+            // Don't open modal if clicking on action buttons, the selection checkbox or the similar offers
+            if (e.target.closest('.bookmark-btn') || e.target.closest('.applied-btn') || e.target.closest('.ignored-btn') || e.target.closest('.select-toggle')
+                || e.target.closest('.similar-toggle') || e.target.closest('.duplicate-notice') || e.target.closest('.employer-link')) {
+                return;
+            }
+            const similarItem = e.target.closest('.similar-item');
+            if (similarItem) {
+                const similarJob = getJobCluster(jobId)?.jobs.find(j => j.numerooffreforem === similarItem.dataset.similarId);
+                if (similarJob) openJobModal(similarJob);
                 return;
             }
             openJobModal(job);
         });
         
+        // Expand/collapse the similar offers
+        const similarToggle = el.querySelector('.similar-toggle');
+        if (similarToggle) {
+            similarToggle.addEventListener('click', (e) => {
+                e.stopPropagation(); // Prevent card click
+                const list = el.querySelector('.similar-list');
+                list.classList.toggle('hidden');
+                similarToggle.querySelector('.similar-chevron')?.classList.toggle('rotate-180', !list.classList.contains('hidden'));
+            });
+        }
+        
+        // Open the offer through which the position is already tracked
+        const noticeBtn = el.querySelector('.duplicate-notice');
+        if (noticeBtn) {
+            noticeBtn.addEventListener('click', (e) => {
+                e.stopPropagation(); // Prevent card click
+                const duplicate = getTrackedDuplicate(jobId);
+                if (duplicate) openJobModal(duplicate.record);
+            });
+        }
+        
         // Add bookmark button handler
         const bookmarkBtn = el.querySelector('.bookmark-btn');
         if (bookmarkBtn) {
             bookmarkBtn.addEventListener('click', (e) => {
                 e.preventDefault();
                 e.stopPropagation(); // Prevent card click
-                const newState = toggleBookmark(jobId);
-                updateCardButton(bookmarkBtn, newState, 'bookmark');
+                const label = getJobState(jobId).bookmarked ? 'Retrait des favoris' : 'Ajout aux favoris';
+                if (trackAction(label, [{ type: 'jobState', key: jobId }], () => toggleBookmark(jobId))) saveJobSnapshot(job);
+                updateCardButtons(el, jobId); // A stage change can switch the other toggles off
                 updateCardBadges(el, jobId); // Update badges too
             });
         }
@@ -299,8 +428,9 @@ export function renderResults(data) {
             appliedBtn.addEventListener('click', (e) => {
                 e.preventDefault();
                 e.stopPropagation(); // Prevent card click
-                const newState = toggleApplied(jobId);
-                updateCardButton(appliedBtn, newState, 'applied');
+                const label = getJobState(jobId).applied ? 'Candidature annulée' : 'Marquée comme postulée';
+                if (trackAction(label, [{ type: 'jobState', key: jobId }], () => toggleApplied(jobId))) saveJobSnapshot(job);
+                updateCardButtons(el, jobId); // A stage change can switch the other toggles off
                 updateCardBadges(el, jobId); // Update badges too
             });
         }
@@ -311,8 +441,9 @@ export function renderResults(data) {
             ignoredBtn.addEventListener('click', (e) => {
                 e.preventDefault();
                 e.stopPropagation(); // Prevent card click
-                const newState = toggleIgnored(jobId);
-                updateCardButton(ignoredBtn, newState, 'ignored');
+                const label = getJobState(jobId).ignored ? 'Offre réaffichée' : 'Offre ignorée';
+                trackAction(label, [{ type: 'jobState', key: jobId }], () => toggleIgnored(jobId));
+                updateCardButtons(el, jobId); // A stage change can switch the other toggles off
                 updateCardBadges(el, jobId); // Update badges too
             });
         }
@@ -339,16 +470,221 @@ export function renderResults(data) {
             });
         }
         
+        // Add selection checkbox handler (shift-click selects a range)
+        attachCardSelection(el);
+        
         grid.appendChild(el);
     });
     initIcons();
     
+    // Drop offers no longer displayed from the selection
+    syncSelection();
+    
+    // Same offers on the map (drawn when the map view is shown)
+    updateResultsMap(filteredResults);
+    
     // Update AI score button visibility
     if (window.updateAiScoreButton) {
         window.updateAiScoreButton();
     }
 }
 
+/**
+ * Computes the missing commute estimates of the displayed offers in the background, batch by batch.
+ * The cards are updated in place after each batch; the results are only rendered again once
+ * all are estimated, when the maximum commute filter may hide some of them.
+ * @param {Object} data - The rendered search results
+ * @param {Object[]} jobs - Displayed offers
+ * @param {Object|null} userLocation - User location
+ */
+async function updateCommuteEstimates(data, jobs, userLocation) {
+    // The named origins are shown on every card, not only the one the search runs from
+    const origins = [userLocation, ...getOrigins()].filter(Boolean);
+    if (!origins.length || !jobs.length) return;
+
+    let gained = 0;
+    try {
+        while (window.lastSearchResults === data) {
+            const count = await estimateCommutes(origins, jobs);
+            if (count === 0 || window.lastSearchResults !== data) break;
+            gained += count;
+            updateCommuteBadges(jobs, getUserLocation());
+        }
+    } catch (e) {
+        console.error('Commute estimation error:', e);
+    }
+
+    const commuteFilter = parseInt(document.getElementById('commuteFilter')?.value || '0');
+    if (gained > 0 && commuteFilter && window.lastSearchResults === data) renderResults(data);
+}
+
+/**
+ * Updates the commute badge and the origin distances of the displayed cards.
+ * @param {Object[]} jobs - Displayed offers
+ * @param {Object|null} userLocation - User location
+ */
+function updateCommuteBadges(jobs, userLocation) {
+    jobs.forEach(job => {
+        const card = document.querySelector(`[data-job-id="${job.numerooffreforem}"]`);
+        if (!card) return;
+        const badge = card.querySelector('.distance-badge');
+        if (badge) badge.outerHTML = renderDistanceBadge(job, userLocation);
+        const distances = card.querySelector('.origin-distances');
+        if (distances) distances.outerHTML = renderOriginDistances(job, userLocation);
+    });
+    initIcons();
+}
+
+/**
+ * Renders the distance badge of a card: the commute once estimated, else the straight-line distance.
+ * @param {Object} job - The job record
+ * @param {Object|null} userLocation - User location
+ * @returns {string} Badge HTML (empty without user location or without offer location)
+ */
+function renderDistanceBadge(job, userLocation) {
+    const geo = job.lieuxtravailgeo?.[0];
+    if (!userLocation || !geo) return "";
+
+    const km = getDistance(userLocation.lat, userLocation.lon, geo.lat, geo.lon);
+    const commute = getCachedCommute(userLocation, job);
+    return commute
+        ? `<span class="distance-badge ml-2 text-xs font-bold text-emerald-600 bg-emerald-50 px-1 rounded flex items-center gap-1" title="${km} km à vol d'oiseau, ${commute.km} km de trajet">
+            <i data-lucide="${COMMUTE_MODES[commute.mode].icon}" class="h-3 w-3"></i> ${formatCommute(commute)}
+           </span>`
+        : `<span class="distance-badge ml-2 text-xs font-bold text-emerald-600 bg-emerald-50 px-1 rounded">${km} km</span>`;
+}
+
+/**
+ * Compares the skills of the profile with the displayed offers in the background
+ * (on-device embeddings, when enabled), then renders the results again with the
+ * updated local scores if a score changed and they are still the current ones.
+ * @param {Object} data - The rendered search results
+ * @param {Object[]} jobs - Offers that can be displayed
+ */
+function updateSkillSimilarities(data, jobs) {
+    const profile = getProfile();
+    if (!profile) return;
+    computeSkillSimilarities(profile, jobs, SEMANTIC_THRESHOLD)
+        .then(count => {
+            if (count > 0 && window.lastSearchResults === data) renderResults(data);
+        })
+        .catch(e => console.error('Skill similarity error:', e));
+}
+
+/**
+ * Shows how many duplicate offers were grouped in the status bar.
+ * @param {number} count - Number of offers hidden behind another card
+ */
+function updateDuplicatesInfo(count) {
+    const info = document.getElementById('duplicatesInfo');
+    if (!info) return;
+    info.textContent = count > 0 ? `${count} doublon${count > 1 ? 's' : ''} regroupé${count > 1 ? 's' : ''}` : '';
+    info.classList.toggle('hidden', count === 0);
+}
+
+/**
+ * Renders the distance (or commute, once estimated) from every named origin of the profile:
+ * "Maison ≈ 25 min en voiture · Travail 12 km". The origin the search runs from is in bold.
+ * @param {Object} job - The job record
+ * @param {Object|null} userLocation - User location
+ * @returns {string} Distances HTML (empty without origins or without offer location)
+ */
+function renderOriginDistances(job, userLocation) {
+    const geo = job.lieuxtravailgeo?.[0];
+    const origins = getOrigins();
+    if (!origins.length || !geo) return "";
+
+    const distances = origins.map(origin => {
+        const commute = getCachedCommute(origin, job);
+        const value = commute ? formatCommute(commute) : `${getDistance(origin.lat, origin.lon, geo.lat, geo.lon)} km`;
+        const active = origin.id === userLocation?.originId;
+        return `<span class="${active ? 'font-bold text-slate-700' : ''}" title="${origin.place || origin.name}">${origin.name} ${value}</span>`;
+    });
+    return `
+        <div class="origin-distances text-xs text-slate-500 flex flex-wrap items-center gap-x-2 mt-1">
+            <i data-lucide="house" class="h-3 w-3"></i> ${distances.join('<span class="text-slate-300">·</span>')}
+        </div>
+    `;
+}
+
+/**
+ * Renders the warning shown when the position is already tracked through a similar offer.
+ * @param {string} jobId - The job ID
+ * @returns {string} Notice HTML (empty when the offer itself carries the state)
+ */
+function renderDuplicateNotice(jobId) {
+    const duplicate = getTrackedDuplicate(jobId);
+    if (!duplicate) return "";
+    
+    const stage = duplicate.state.stageInfo;
+    const colors = (STAGE_COLORS[stage.color] || STAGE_COLORS.slate).badge;
+    return `
+        <button class="duplicate-notice mt-2 px-2 py-1 ${colors} rounded border text-xs font-medium flex items-center gap-1 hover:opacity-80" 
+                title="Voir l'offre similaire (${duplicate.jobId})">
+            <i data-lucide="copy-check" class="h-3 w-3"></i> ${stage.label} via une offre similaire
+        </button>
+    `;
+}
+
+/**
+ * Renders the expandable list of the other offers of a cluster.
+ * @param {Object|null} cluster - The cluster of the card (see clusterJobs)
+ * @returns {string} Expander HTML (empty for a single offer)
+ */
+function renderSimilarOffers(cluster) {
+    if (!cluster || cluster.jobs.length < 2) return "";
+    
+    const others = cluster.jobs.slice(1);
+    const items = others.map(job => {
+        const city = job.lieuxtravaillocalite ? job.lieuxtravaillocalite.join(', ') : "Belgique";
+        const date = job.datedebutdiffusion ? new Date(job.datedebutdiffusion).toLocaleDateString('fr-BE') : "?";
+        return `
+            <li>
+                <button class="similar-item w-full text-left text-xs text-slate-600 hover:text-blue-600 truncate" data-similar-id="${job.numerooffreforem}">
+                    <span class="font-semibold">${job.titreoffre || "Sans titre"}</span>
+                    · ${job.nomemployeur || "Confidentiel"} · ${city} · ${date}
+                </button>
+            </li>
+        `;
+    }).join('');
+    
+    return `
+        <button class="similar-toggle mt-2 text-xs font-medium text-blue-600 hover:underline flex items-center gap-1">
+            <i data-lucide="layers" class="h-3 w-3"></i>
+            ${others.length} offre${others.length > 1 ? 's' : ''} similaire${others.length > 1 ? 's' : ''}
+            <i data-lucide="chevron-down" class="similar-chevron h-3 w-3 transition-transform"></i>
+        </button>
+        <ul class="similar-list hidden mt-2 space-y-1 border-l-2 border-slate-200 pl-3">${items}</ul>
+    `;
+}
+
+/**
+ * Renders the pipeline stage badge of a job (none for untracked and ignored jobs).
+ * @param {Object} state - The job state from getJobState
+ * @returns {string} Badge HTML
+ */
+function renderStageBadge(state) {
+    const stage = state.stageInfo;
+    if (stage.kind === 'new' || stage.kind === 'ignored') return "";
+    
+    const colors = (STAGE_COLORS[stage.color] || STAGE_COLORS.slate).badge;
+    return `<span class="stage-badge px-2 py-0.5 ${colors} rounded border text-xs font-semibold flex items-center gap-1" title="Étape: ${stage.label}">
+                <i data-lucide="${getStageIcon(stage)}" class="h-3 w-3"></i> ${stage.label}
+            </span>`;
+}
+
+/**
+ * Updates the three toggle buttons of a card from the job state.
+ * @param {HTMLElement} card - The card element
+ * @param {string} jobId - The job ID
+ */
+function updateCardButtons(card, jobId) {
+    const state = getJobState(jobId);
+    updateCardButton(card.querySelector('.bookmark-btn'), state.bookmarked, 'bookmark');
+    updateCardButton(card.querySelector('.applied-btn'), state.applied, 'applied');
+    updateCardButton(card.querySelector('.ignored-btn'), state.ignored, 'ignored');
+}
+
 /**
  * Updates a single button's appearance based on state.
  * @param {HTMLElement} btn - The button element
@@ -405,8 +741,7 @@ function updateCardBadges(card, jobId) {
     if (!badgeContainer) return;
     
     // Remove existing status badges
-    const existingBookmark = badgeContainer.querySelector('[data-lucide="bookmark-check"]')?.closest('span');
-    const existingApplied = badgeContainer.querySelector('[data-lucide="check-circle-2"]')?.closest('span');
+    const existingStage = badgeContainer.querySelector('.stage-badge');
     const existingNote = badgeContainer.querySelector('[data-lucide="file-edit"]')?.closest('span');
     // Remove existing tag badges
     const existingTags = badgeContainer.querySelectorAll('span:not([data-lucide])');
@@ -416,29 +751,13 @@ function updateCardBadges(card, jobId) {
         }
     });
     
-    if (existingBookmark) existingBookmark.remove();
-    if (existingApplied) existingApplied.remove();
+    if (existingStage) existingStage.remove();
     if (existingNote) existingNote.remove();
     
-    // Add bookmark badge if active
-    if (state.bookmarked) {
-        const badge = document.createElement('span');
-        badge.className = 'px-2 py-0.5 bg-amber-100 text-amber-700 rounded border border-amber-200 text-xs font-semibold flex items-center gap-1';
-        badge.innerHTML = '<i data-lucide="bookmark-check" class="h-3 w-3"></i> À consulter';
-        badgeContainer.insertBefore(badge, badgeContainer.firstChild);
-    }
-    
-    // Add applied badge if active
-    if (state.applied) {
-        const badge = document.createElement('span');
-        badge.className = 'px-2 py-0.5 bg-green-100 text-green-700 rounded border border-green-200 text-xs font-semibold flex items-center gap-1';
-        badge.innerHTML = '<i data-lucide="check-circle-2" class="h-3 w-3"></i> Postulé';
-        const bookmark = badgeContainer.querySelector('[data-lucide="bookmark-check"]')?.closest('span');
-        if (bookmark) {
-            bookmark.after(badge);
-        } else {
-            badgeContainer.insertBefore(badge, badgeContainer.firstChild);
-        }
+    // Add pipeline stage badge if tracked
+    const stageBadgeHtml = renderStageBadge(state);
+    if (stageBadgeHtml) {
+        badgeContainer.insertAdjacentHTML('afterbegin', stageBadgeHtml);
     }
     
     // Add note badge if present
@@ -446,12 +765,9 @@ function updateCardBadges(card, jobId) {
         const badge = document.createElement('span');
         badge.className = 'px-2 py-0.5 bg-purple-100 text-purple-700 rounded border border-purple-200 text-xs font-semibold flex items-center gap-1';
         badge.innerHTML = '<i data-lucide="file-edit" class="h-3 w-3"></i> Note';
-        const applied = badgeContainer.querySelector('[data-lucide="check-circle-2"]')?.closest('span');
-        const bookmark = badgeContainer.querySelector('[data-lucide="bookmark-check"]')?.closest('span');
-        if (applied) {
-            applied.after(badge);
-        } else if (bookmark) {
-            bookmark.after(badge);
+        const stageBadge = badgeContainer.querySelector('.stage-badge');
+        if (stageBadge) {
+            stageBadge.after(badge);
         } else {
             badgeContainer.insertBefore(badge, badgeContainer.firstChild);
         }
@@ -459,20 +775,10 @@ function updateCardBadges(card, jobId) {
     
     // Add custom tags (first 2 only)
     const jobTags = getJobTags(jobId).slice(0, 2);
-    const colorMap = {
-        red: 'bg-red-100 text-red-700 border-red-200',
-        blue: 'bg-blue-100 text-blue-700 border-blue-200',
-        green: 'bg-green-100 text-green-700 border-green-200',
-        purple: 'bg-purple-100 text-purple-700 border-purple-200',
-        orange: 'bg-orange-100 text-orange-700 border-orange-200',
-        pink: 'bg-pink-100 text-pink-700 border-pink-200',
-        yellow: 'bg-yellow-100 text-yellow-700 border-yellow-200'
-    };
-    
     const noteElement = badgeContainer.querySelector('[data-lucide="file-edit"]')?.closest('span');
     jobTags.forEach(tag => {
         const badge = document.createElement('span');
-        badge.className = `px-2 py-0.5 ${colorMap[tag.color] || 'bg-slate-100 text-slate-700 border-slate-200'} rounded border text-xs font-medium`;
+        badge.className = `px-2 py-0.5 ${TAG_COLORS[tag.color] || 'bg-slate-100 text-slate-700 border-slate-200'} rounded border text-xs font-medium`;
         badge.textContent = tag.name;
         if (noteElement) {
             noteElement.after(badge);
@@ -486,22 +792,13 @@ function updateCardBadges(card, jobId) {
 
 // Listen for state changes and update cards in real-time
 window.addEventListener('jobStateChanged', (event) => {
-    const { jobId, type, value } = event.detail;
+    const { jobId } = event.detail;
     const card = document.querySelector(`[data-job-id="${jobId}"]`);
     
     if (!card) return;
     
-    // Update the icon buttons
-    if (type === 'bookmark') {
-        const btn = card.querySelector('.bookmark-btn');
-        if (btn) updateCardButton(btn, value, 'bookmark');
-    } else if (type === 'applied') {
-        const btn = card.querySelector('.applied-btn');
-        if (btn) updateCardButton(btn, value, 'applied');
-    } else if (type === 'ignored') {
-        const btn = card.querySelector('.ignored-btn');
-        if (btn) updateCardButton(btn, value, 'ignored');
-    }
+    // Update the icon buttons (any transition can affect all three toggles)
+    updateCardButtons(card, jobId);
     
     // Update all badges in the card
     updateCardBadges(card, jobId);
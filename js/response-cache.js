@@ -0,0 +1,196 @@
+/**
+ * Response Cache Module
+ * IndexedDB-backed cache of API JSON responses, keyed by request URL.
+ * Serves cached responses instantly and revalidates them in the background
+ * (stale-while-revalidate); falls back to expired entries when the network fails.
+ */
+
+const DB_NAME = 'forem_cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'responses';
+
+/** Default time-to-live of a cached response (30 minutes) */
+export const DEFAULT_CACHE_TTL = 30 * 60 * 1000;
+
+/** Time-to-live of a cached job detail record (24 hours) */
+export const JOB_DETAILS_CACHE_TTL = 24 * 60 * 60 * 1000;
+
+/** Cached responses younger than this are served without revalidation (1 minute) */
+const REVALIDATE_AFTER = 60 * 1000;
+
+/** Entries older than this are purged when the database is opened (7 days) */
+const MAX_ENTRY_AGE = 7 * 24 * 60 * 60 * 1000;
+
+let dbPromise = null;
+
+/**
+ * Opens (and creates if needed) the cache database.
+ * Resolves to null when IndexedDB is unavailable (private mode, old browsers).
+ * @returns {Promise<IDBDatabase|null>} The database connection
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise(resolve => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                db.createObjectStore(STORE_NAME, { keyPath: 'url' }).createIndex('cachedAt', 'cachedAt');
+            }
+        };
+        request.onsuccess = () => {
+            purgeOldEntries(request.result);
+            resolve(request.result);
+        };
+        request.onerror = () => {
+            console.error('Error opening response cache:', request.error);
+            resolve(null);
+        };
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Runs a single request against the cache store.
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {Function} operation - Receives the object store, returns an IDBRequest
+ * @returns {Promise<*>} The request result, or null on error
+ */
+async function runStoreRequest(mode, operation) {
+    const db = await openDatabase();
+    if (!db) return null;
+
+    return new Promise(resolve => {
+        try {
+            const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+            request.onsuccess = () => resolve(request.result ?? null);
+            request.onerror = () => {
+                console.error('Response cache error:', request.error);
+                resolve(null);
+            };
+        } catch (e) {
+            console.error('Response cache error:', e);
+            resolve(null);
+        }
+    });
+}
+
+/**
+ * Deletes entries older than MAX_ENTRY_AGE.
+ * @param {IDBDatabase} db - The database connection
+ */
+function purgeOldEntries(db) {
+    try {
+        const range = IDBKeyRange.upperBound(Date.now() - MAX_ENTRY_AGE);
+        const request = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).index('cachedAt').openCursor(range);
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                cursor.delete();
+                cursor.continue();
+            }
+        };
+    } catch (e) {
+        console.error('Error purging response cache:', e);
+    }
+}
+
+/**
+ * Gets a cached response.
+ * @param {string} url - The request URL
+ * @returns {Promise<Object|null>} Cache entry { url, data, cachedAt } or null
+ */
+export function getCachedResponse(url) {
+    return runStoreRequest('readonly', store => store.get(url));
+}
+
+/**
+ * Stores a response in the cache.
+ * @param {string} url - The request URL
+ * @param {Object} data - The parsed JSON response
+ * @returns {Promise<void>}
+ */
+export async function putCachedResponse(url, data) {
+    await runStoreRequest('readwrite', store => store.put({ url, data, cachedAt: Date.now() }));
+}
+
+/**
+ * Removes every cached response.
+ * @returns {Promise<void>}
+ */
+export async function clearResponseCache() {
+    await runStoreRequest('readwrite', store => store.clear());
+}
+
+/**
+ * Fetches a URL from the network and stores the JSON response.
+ * @param {string} url - The request URL
+ * @returns {Promise<Object>} The parsed JSON response
+ */
+async function fetchAndStore(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(response.status);
+    const data = await response.json();
+    putCachedResponse(url, data);
+    return data;
+}
+
+/**
+ * Fetches JSON with the response cache.
+ * - Fresh entry (younger than `ttl`): returned immediately; if older than one minute it is
+ *   revalidated in the background and `onRevalidate` is called when the data changed.
+ * - Expired or missing entry: fetched from the network; an expired entry is still
+ *   returned if the network request fails.
+ * @param {string} url - The request URL
+ * @param {Object} [options]
+ * @param {number} [options.ttl] - Maximum age of a cached entry served without waiting for the network
+ * @param {Function} [options.onRevalidate] - Called with (data, cachedAt) when background revalidation brings new data
+ * @returns {Promise<{data: Object, cachedAt: number|null, fromCache: boolean}>} Response data and cache date
+ */
+export async function cachedFetchJson(url, { ttl = DEFAULT_CACHE_TTL, onRevalidate } = {}) {
+    const cached = await getCachedResponse(url);
+    const age = cached ? Date.now() - cached.cachedAt : Infinity;
+
+    if (cached && age < ttl) {
+        if (age > REVALIDATE_AFTER) {
+            fetchAndStore(url)
+                .then(data => {
+                    if (onRevalidate && JSON.stringify(data) !== JSON.stringify(cached.data)) {
+                        onRevalidate(data, Date.now());
+                    }
+                })
+                .catch(e => console.warn('Background revalidation failed:', e));
+        }
+        return { data: cached.data, cachedAt: cached.cachedAt, fromCache: true };
+    }
+
+    try {
+        return { data: await fetchAndStore(url), cachedAt: null, fromCache: false };
+    } catch (e) {
+        if (cached) {
+            console.warn('Network error, serving expired cache entry:', e);
+            return { data: cached.data, cachedAt: cached.cachedAt, fromCache: true };
+        }
+        throw e;
+    }
+}
+
+/**
+ * Formats a cache date for display ("en cache depuis 14:32" style).
+ * @param {number} cachedAt - Timestamp of the cache entry
+ * @returns {string} Formatted date, time only for today
+ */
+export function formatCachedAt(cachedAt) {
+    const date = new Date(cachedAt);
+    const time = date.toLocaleTimeString('fr-BE', { hour: '2-digit', minute: '2-digit' });
+    return date.toDateString() === new Date().toDateString()
+        ? time
+        : `${date.toLocaleDateString('fr-BE')} ${time}`;
+}
@@ -0,0 +1,272 @@
+/**
+ * Salary Module
+ * Extracts the salary of an offer from its text: the dataset has no salary field, the amounts
+ * are written in the description ("entre 2.800 et 3.200 € brut/mois", "14,50 €/h", "35.000 € bruto per jaar")
+ * and the pay scale is often only mentioned ("barème CP 200").
+ * Amounts are converted to a monthly equivalent so offers can be filtered and sorted.
+ */
+
+/** Record fields never searched for a salary */
+const SKIPPED_FIELDS = new Set(['_id', '_timestamp', '_size', 'url', 'numerooffreforem', 'referenceexterne', 'source', 'nomemployeur']);
+
+/** Belgian full-time hours per month (38 h/week) */
+const HOURS_PER_MONTH = 38 * 52 / 12;
+
+/** Monthly salaries per year (12 months, 13th month and double holiday pay) */
+const MONTHS_PER_YEAR = 13.92;
+
+/** Plausible amounts per period; anything else is not a salary (bonus, meal vouchers, capital...) */
+const PLAUSIBLE_RANGES = {
+    hour: [9, 150],
+    month: [1000, 15000],
+    year: [15000, 250000]
+};
+
+/** Words of the period following or preceding an amount (FR, NL, EN) */
+const PERIOD_PATTERNS = {
+    hour: /\/\s*h\b|\/\s*heure|\bheure\b|\bhoraire|\bper uur|\/\s*uur|\buurloon|\bper hour|\bhourly|\/\s*hr\b/i,
+    month: /\/\s*mois|\bmois\b|\bmensuel|\bper maand|\/\s*maand|\bmaandelijks|\bmaandloon|\bper month|\bmonthly|\/\s*m\b/i,
+    year: /\/\s*an\b|\bpar an\b|\bannuel|\bper jaar|\/\s*jaar|\bjaarlijks|\bjaarloon|\bper year|\bannual|\byearly|\/\s*year/i
+};
+
+/** Gross and net mentions */
+const GROSS_PATTERN = /\bbrut|\bbruto|\bgross/i;
+const NET_PATTERN = /\bnet(?:te)?s?\b|\bnetto/i;
+
+/** Amounts that are not the salary, when mentioned right before them */
+const NOT_SALARY_PATTERN = /ch[eè]ques?[- ]repas|[eé]co[- ]?ch[eè]ques?|maaltijdcheques?|ecocheques?|meal vouchers?|prime|bonus|indemnit[eé]|vergoeding|frais|budget|chiffre d'affaires|capital|omzet/i;
+
+/** Pay scale mentions: "barème", "commission paritaire 200", "CP 124", "PC 302", "loonschaal" */
+const SCALE_PATTERN = /bar[eè]me|commission paritaire|\bcp\s*\.?\s*\d{3}|paritair comit[eé]|\bpc\s*\.?\s*\d{3}|loonschaal|salary scale/i;
+const JOINT_COMMITTEE_PATTERN = /(?:commission paritaire|\bcp|paritair comit[eé]|\bpc)\s*(?:n[°o]\s*)?\.?\s*(\d{3}(?:\.\d{2})?)/i;
+
+/** An amount: "2.500", "2 500,50", "2500", "14,50" */
+const AMOUNT = '\\d{1,3}(?:[.\\s]\\d{3})+(?:,\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?';
+const CURRENCY = '(?:€|eur(?:os?)?\\b)';
+/** A dash, or a whole word ("a" and "en" inside "salaire" or "brutes" do not separate anything) */
+const RANGE_SEPARATOR = '(?:-|–|(?<!\\p{L})(?:à|a|et|tot|en|to|and)(?!\\p{L}))';
+
+/** An amount or a range with a currency: "2.800 - 3.200 €", "de 14 à 16 euros", "€ 35.000", "€2.500 - €3.000" */
+const MONEY_PATTERN = new RegExp(
+    `(?:(${AMOUNT})\\s*${CURRENCY}?\\s*${RANGE_SEPARATOR}\\s*)?(${AMOUNT})\\s*${CURRENCY}`
+    + `|${CURRENCY}\\s*(${AMOUNT})(?:\\s*${RANGE_SEPARATOR}\\s*${CURRENCY}?\\s*(${AMOUNT}))?`,
+    'giud'
+);
+
+/** Parsed salaries, by job record */
+const salaryCache = new WeakMap();
+
+/**
+ * Collects the text of a job record (every string field and string list, but identifiers and links).
+ * @param {Object} job - The job record
+ * @returns {string} Text of the record
+ */
+function getRecordText(job) {
+    return Object.entries(job)
+        .filter(([key]) => !SKIPPED_FIELDS.has(key))
+        .flatMap(([, value]) => (Array.isArray(value) ? value : [value]))
+        .filter(value => typeof value === 'string')
+        .join('\n');
+}
+
+/**
+ * Parses an amount written the Belgian way ("2.500,50", "2 500", "14,50").
+ * @param {string} text - The amount
+ * @returns {number} The amount
+ */
+function parseAmount(text) {
+    const compact = text.replace(/\s/g, '');
+    // A dot followed by 3 digits separates thousands, a comma (or a dot before 1-2 digits) is decimal
+    const normalized = /\.\d{3}(?:\D|$)/.test(compact)
+        ? compact.replace(/\./g, '').replace(',', '.')
+        : compact.replace(',', '.');
+    return parseFloat(normalized);
+}
+
+/**
+ * Finds the period of an amount from the words around it, or from its size.
+ * @param {string} after - Text following the amount
+ * @param {string} before - Text preceding the amount
+ * @param {number} amount - The amount
+ * @returns {Object} { period: 'hour'|'month'|'year', explicit: boolean }
+ */
+function getPeriod(after, before, amount) {
+    for (const text of [after, before]) {
+        const found = Object.entries(PERIOD_PATTERNS).find(([, pattern]) => pattern.test(text));
+        if (found) return { period: found[0], explicit: true };
+    }
+    if (amount < 100) return { period: 'hour', explicit: false };
+    return { period: amount < 15000 ? 'month' : 'year', explicit: false };
+}
+
+/**
+ * Converts an amount to its monthly equivalent.
+ * @param {number|null} amount - The amount
+ * @param {string} period - 'hour', 'month' or 'year'
+ * @returns {number|null} Monthly amount, rounded
+ */
+function toMonthly(amount, period) {
+    if (amount === null) return null;
+    if (period === 'hour') return Math.round(amount * HOURS_PER_MONTH);
+    if (period === 'year') return Math.round(amount / MONTHS_PER_YEAR);
+    return Math.round(amount);
+}
+
+/**
+ * Finds the pay scale mentioned in a text.
+ * @param {string} text - The text
+ * @returns {string|null} "Barème CP 200", "Barème" or null
+ */
+function findScale(text) {
+    if (!SCALE_PATTERN.test(text)) return null;
+    const committee = text.match(JOINT_COMMITTEE_PATTERN);
+    return committee ? `Barème CP ${committee[1]}` : 'Barème';
+}
+
+/**
+ * Reads a salary from amounts found in a text, if they are plausible for their period.
+ * @param {string} text - The text
+ * @param {number[]} amounts - One amount, or the two bounds of a range
+ * @param {number} start - Start of the amounts in the text
+ * @param {number} end - End of the amounts in the text
+ * @returns {Object|null} { min, max, period, explicit, basis, excerpt }, or null if not a salary
+ */
+function readSalary(text, amounts, start, end) {
+    const before = text.slice(Math.max(0, start - 40), start);
+    const after = text.slice(end, end + 40);
+    const min = Math.min(...amounts);
+    const max = Math.max(...amounts);
+    const { period, explicit } = getPeriod(after, before, max);
+    const [low, high] = PLAUSIBLE_RANGES[period];
+    if (min < low || max > high) return null;
+
+    const context = `${before} ${after}`;
+    return {
+        min,
+        max: max > min ? max : null,
+        period,
+        explicit,
+        basis: GROSS_PATTERN.test(context) ? 'gross' : (NET_PATTERN.test(context) ? 'net' : null),
+        excerpt: text.slice(Math.max(0, start - 40), end + 40).replace(/\s+/g, ' ').trim()
+    };
+}
+
+/**
+ * Finds the salary amounts of a text.
+ * @param {string} text - The text
+ * @returns {Object|null} { min, max, period, basis, excerpt } of the most explicit salary, or null
+ */
+function findAmounts(text) {
+    const candidates = [];
+    let previousEnd = 0;
+    for (const match of text.matchAll(MONEY_PATTERN)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        // Only the words since the previous amount: "chèques-repas de 8 € et salaire de 2.900 €"
+        const lead = text.slice(Math.max(previousEnd, start - 40), start);
+        previousEnd = end;
+        const excluded = NOT_SALARY_PATTERN.test(lead);
+
+        const groups = [1, 2, 3, 4].filter(i => match[i]);
+        const salary = excluded ? null : readSalary(text, groups.map(i => parseAmount(match[i])), start, end);
+        if (salary) {
+            candidates.push(salary);
+        } else if (groups.length > 1) {
+            // Two amounts that are no plausible range ("CP 200 et 2.500 €", "prime de 500 € et 2.700 €"): each one on its own
+            const firstEnd = match.indices[groups[0]][1];
+            groups.forEach((i, n) => {
+                const [amountStart, amountEnd] = match.indices[i];
+                if (n === 0 ? excluded : NOT_SALARY_PATTERN.test(text.slice(firstEnd, amountStart))) return;
+                const single = readSalary(text, [parseAmount(match[i])], amountStart, amountEnd);
+                if (single) candidates.push(single);
+            });
+        }
+    }
+    // An amount with its period is more reliable than one guessed from its size
+    return candidates.find(candidate => candidate.explicit) || candidates[0] || null;
+}
+
+/**
+ * Extracts the salary of an offer.
+ * @param {Object} job - The job record
+ * @returns {Object|null} Salary, or null when the offer mentions neither an amount nor a pay scale:
+ *   { min, max, period, basis, monthlyMin, monthlyMax, scale, excerpt }
+ *   - min / max: amounts as written (max null for a single amount), null if only a scale is mentioned
+ *   - period: 'hour', 'month' or 'year'
+ *   - basis: 'gross', 'net' or null when not stated
+ *   - monthlyMin / monthlyMax: monthly equivalents (full-time), used by the filter and the sort
+ *   - scale: pay scale mention ("Barème CP 200"), or null
+ *   - excerpt: the sentence the amounts come from
+ */
+export function parseSalary(job) {
+    if (!job) return null;
+    if (salaryCache.has(job)) return salaryCache.get(job);
+
+    const text = getRecordText(job);
+    const amounts = findAmounts(text);
+    const scale = findScale(text);
+    const salary = amounts || scale
+        ? {
+            min: amounts?.min ?? null,
+            max: amounts?.max ?? null,
+            period: amounts?.period || 'month',
+            basis: amounts?.basis || null,
+            monthlyMin: amounts ? toMonthly(amounts.min, amounts.period) : null,
+            monthlyMax: amounts ? toMonthly(amounts.max, amounts.period) : null,
+            scale,
+            excerpt: amounts?.excerpt || ''
+        }
+        : null;
+
+    salaryCache.set(job, salary);
+    return salary;
+}
+
+/**
+ * Gets the monthly amount of an offer used to filter and sort (top of the range).
+ * @param {Object} job - The job record
+ * @returns {number|null} Monthly amount, or null when the offer states no amount
+ */
+export function getMonthlySalary(job) {
+    const salary = parseSalary(job);
+    return salary ? (salary.monthlyMax ?? salary.monthlyMin) : null;
+}
+
+/**
+ * Formats an amount in euros ("2 800", "14,50").
+ * @param {number} amount - The amount
+ * @returns {string} Formatted amount
+ */
+function formatAmount(amount) {
+    return amount.toLocaleString('fr-BE', { maximumFractionDigits: Number.isInteger(amount) ? 0 : 2, minimumFractionDigits: Number.isInteger(amount) ? 0 : 2 });
+}
+
+/**
+ * Formats a salary for a badge: "2 800 – 3 200 € brut/mois", "14,50 €/h", "Barème CP 200".
+ * @param {Object} salary - Salary from parseSalary
+ * @returns {string} Label
+ */
+export function formatSalary(salary) {
+    if (salary.min === null) return salary.scale;
+
+    const amount = salary.max ? `${formatAmount(salary.min)} – ${formatAmount(salary.max)}` : formatAmount(salary.min);
+    const basis = { gross: ' brut', net: ' net' }[salary.basis] || '';
+    const period = { hour: 'h', month: 'mois', year: 'an' }[salary.period];
+    return `${amount} €${basis}/${period}`;
+}
+
+/**
+ * Describes a salary for a tooltip: source excerpt, monthly equivalent and pay scale.
+ * @param {Object} salary - Salary from parseSalary
+ * @returns {string} Tooltip text
+ */
+export function describeSalary(salary) {
+    const lines = [];
+    if (salary.excerpt) lines.push(`« ${salary.excerpt} »`);
+    if (salary.min !== null && salary.period !== 'month') {
+        const monthly = salary.monthlyMax ? `${formatAmount(salary.monthlyMin)} – ${formatAmount(salary.monthlyMax)}` : formatAmount(salary.monthlyMin);
+        lines.push(`≈ ${monthly} €/mois à temps plein`);
+    }
+    if (salary.scale && salary.min !== null) lines.push(salary.scale);
+    return lines.join('\n');
+}
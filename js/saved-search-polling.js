@@ -0,0 +1,120 @@
+/**
+ * Saved Search Polling Module
+ * Schedules background checks of saved searches: periodic background sync through
+ * the service worker where available, otherwise a check each time the app opens.
+ * New offers are stored on the saved searches (read by getActiveAlerts) and announced
+ * with the Notifications API.
+ */
+import { listSavedSearches, updateSavedSearchCheck } from './saved-searches.js';
+import { WATCH_SYNC_TAG, syncWatchEntries, runWatchCycle, buildNewOffersNotification } from './search-watch.js';
+import { applyExclusionCondition } from './exclusions.js';
+
+/** Minimum interval requested for periodic background sync (1 hour) */
+const PERIODIC_SYNC_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Registers the service worker and, when supported and permitted, the periodic sync.
+ * @returns {Promise<ServiceWorkerRegistration|null>} The registration, or null if unsupported
+ */
+async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return null;
+
+    try {
+        const registration = await navigator.serviceWorker.register('sw.js', { type: 'module' });
+        await navigator.serviceWorker.ready;
+
+        if ('periodicSync' in registration) {
+            const status = await navigator.permissions?.query({ name: 'periodic-background-sync' }).catch(() => null);
+            if (status?.state === 'granted') {
+                await registration.periodicSync.register(WATCH_SYNC_TAG, { minInterval: PERIODIC_SYNC_INTERVAL });
+            }
+        }
+        return registration;
+    } catch (e) {
+        console.warn('Service worker unavailable, saved searches are checked on app open:', e);
+        return null;
+    }
+}
+
+/**
+ * Shows a system notification, through the service worker when possible.
+ * @param {string} title - Notification title
+ * @param {Object} options - Notification options (body, tag, data.url)
+ * @returns {Promise<void>}
+ */
+async function showNotification(title, options) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+    const registration = await navigator.serviceWorker?.getRegistration();
+    if (registration) {
+        await registration.showNotification(title, options);
+        return;
+    }
+
+    const notification = new Notification(title, options);
+    notification.onclick = () => {
+        window.focus();
+        window.location.href = options.data.url;
+    };
+}
+
+/**
+ * Checks the due saved searches now and stores/announces their new offers.
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Check every saved search, even if not due
+ * @returns {Promise<number>} Total number of new offers found
+ */
+export async function checkSavedSearches({ force = false } = {}) {
+    // The service worker cannot read the exclusion rules: they are added to the mirrored query
+    await syncWatchEntries(listSavedSearches().map(search => ({
+        ...search,
+        apiUrl: search.apiUrl && applyExclusionCondition(search.apiUrl, { ignoreReveal: true })
+    })));
+    const results = await runWatchCycle({ force });
+    let total = 0;
+
+    for (const { entry, newIds, unnotifiedIds } of results) {
+        updateSavedSearchCheck(entry.id, newIds, entry.lastCheckedAt);
+        total += newIds.length;
+
+        if (unnotifiedIds.length) {
+            const { title, options } = buildNewOffersNotification(entry, newIds.length);
+            await showNotification(title, options);
+        }
+    }
+
+    return total;
+}
+
+/**
+ * Starts saved search polling: registers the background sync and runs a check on app open.
+ * @param {Function} [onChecked] - Called after the check, e.g. to refresh the alerts panel
+ * @returns {Promise<void>}
+ */
+export async function initSavedSearchPolling(onChecked) {
+    if (!listSavedSearches().length) return;
+
+    registerServiceWorker();
+    try {
+        await checkSavedSearches();
+    } catch (e) {
+        console.error('Error checking saved searches:', e);
+    }
+    if (onChecked) onChecked();
+}
+
+/**
+ * Asks for the notification permission (must be called from a user gesture)
+ * and registers the periodic background sync once granted.
+ * @returns {Promise<boolean>} True if notifications are allowed
+ */
+export async function enableSavedSearchNotifications() {
+    if (!('Notification' in window)) return false;
+
+    const permission = Notification.permission === 'default'
+        ? await Notification.requestPermission()
+        : Notification.permission;
+
+    if (permission === 'granted') await registerServiceWorker();
+    return permission === 'granted';
+}
@@ -4,9 +4,25 @@
  */
 
 import { getActiveProfileId, setActiveProfile } from './cv-storage.js';
+import { getFullUrl, getRawData } from './state.js';
+import { cachedFetchJson } from './response-cache.js';
+import { DEFAULT_WATCH_FREQUENCY, getOfferIdsUrl } from './search-watch.js';
+import { applyExclusionCondition } from './exclusions.js';
 
 const STORAGE_KEY = 'forem_saved_searches';
 
+/** URL parameter marking a page opened from a saved search */
+const SAVED_SEARCH_PARAM = 'saved';
+
+/** Maximum number of offer IDs remembered per saved search */
+const MAX_SEEN_IDS = 5000;
+
+/**
+ * Offers seen by the running saved search before this visit.
+ * Captured once per page load: { searchId, seenIds: Set|null }
+ */
+let runBaseline = null;
+
 /**
  * Gets all saved searches from localStorage.
  * @returns {Object} Object mapping search IDs to their configs
@@ -41,8 +57,28 @@ function generateSearchId() {
     return 'search_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 }
 
+/**
+ * Gets the current URL search string without the saved search marker.
+ * @returns {string} Search string (with leading '?', or empty)
+ */
+function getCurrentSearchParams() {
+    const params = new URLSearchParams(window.location.search);
+    params.delete(SAVED_SEARCH_PARAM);
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+/**
+ * Gets the IDs of the offers currently loaded.
+ * @returns {string[]} Array of numerooffreforem
+ */
+function getLoadedOfferIds() {
+    return (getRawData()?.results || []).map(job => job.numerooffreforem).filter(Boolean);
+}
+
 /**
  * Saves the current search configuration.
+ * Offers currently loaded are recorded as already seen.
  * @param {string} name - Name for the search
  * @param {string} profileId - Profile ID to associate (optional, defaults to active)
  * @returns {Object} The saved search object
@@ -54,10 +90,14 @@ export function saveCurrentSearch(name, profileId = null) {
     const search = {
         id: searchId,
         name: name,
-        params: window.location.search,
+        params: getCurrentSearchParams(),
+        apiUrl: getFullUrl() || null,
         profileId: profileId || getActiveProfileId(),
         createdAt: new Date().toISOString(),
-        lastUsed: new Date().toISOString()
+        lastUsed: new Date().toISOString(),
+        seenIds: getLoadedOfferIds().slice(0, MAX_SEEN_IDS),
+        lastRunAt: new Date().toISOString(),
+        checkFrequency: DEFAULT_WATCH_FREQUENCY
     };
     
     searches[searchId] = search;
@@ -90,8 +130,10 @@ export function loadSavedSearch(searchId, switchProfile = true) {
         setActiveProfile(search.profileId);
     }
     
-    // Navigate to the saved search URL
-    window.location.href = window.location.pathname + search.params;
+    // Navigate to the saved search URL, marked so the run can be compared with the last one
+    const params = new URLSearchParams(search.params);
+    params.set(SAVED_SEARCH_PARAM, searchId);
+    window.location.href = `${window.location.pathname}?${params.toString()}`;
 }
 
 /**
@@ -136,7 +178,8 @@ export function renameSavedSearch(searchId, newName) {
 export function updateSavedSearchParams(searchId) {
     const searches = getSavedSearches();
     if (searches[searchId]) {
-        searches[searchId].params = window.location.search;
+        searches[searchId].params = getCurrentSearchParams();
+        searches[searchId].apiUrl = getFullUrl() || searches[searchId].apiUrl || null;
         searches[searchId].profileId = getActiveProfileId();
         searches[searchId].lastUsed = new Date().toISOString();
         saveSavedSearches(searches);
@@ -144,3 +187,120 @@ export function updateSavedSearchParams(searchId) {
     }
     return false;
 }
+
+/**
+ * Gets the saved search the current page was opened from.
+ * @returns {Object|null} The saved search object or null
+ */
+export function getRunningSavedSearch() {
+    const searchId = new URLSearchParams(window.location.search).get(SAVED_SEARCH_PARAM);
+    if (!searchId) return null;
+    return getSavedSearches()[searchId] || null;
+}
+
+/**
+ * Records the offers displayed by the running saved search.
+ * The first call of a page load captures the previously seen offers as the
+ * baseline used by isNewOffer, then the stored set is replaced by this run's offers.
+ * @param {Object[]} results - Loaded job records
+ */
+export function recordSavedSearchRun(results) {
+    const search = getRunningSavedSearch();
+    if (!search) return;
+
+    const searches = getSavedSearches();
+    const stored = searches[search.id];
+    const ids = results.map(job => job.numerooffreforem).filter(Boolean);
+
+    if (!runBaseline || runBaseline.searchId !== search.id) {
+        runBaseline = {
+            searchId: search.id,
+            seenIds: Array.isArray(stored.seenIds) ? new Set(stored.seenIds) : null
+        };
+        stored.seenIds = [];
+        stored.lastRunAt = new Date().toISOString();
+    }
+
+    stored.seenIds = [...new Set([...ids, ...stored.seenIds])].slice(0, MAX_SEEN_IDS);
+    stored.apiUrl = getFullUrl() || stored.apiUrl || null;
+    // Offers found by background checks are now seen
+    const seen = new Set(stored.seenIds);
+    stored.newIds = (stored.newIds || []).filter(id => !seen.has(id));
+    saveSavedSearches(searches);
+}
+
+/**
+ * Checks whether the running saved search has a previous run to compare with.
+ * @returns {boolean} True if new offers can be detected
+ */
+export function hasSavedSearchBaseline() {
+    return !!(runBaseline && runBaseline.seenIds && getRunningSavedSearch()?.id === runBaseline.searchId);
+}
+
+/**
+ * Checks whether an offer was not seen on the previous run of the running saved search.
+ * @param {string} jobId - The job numerooffreforem
+ * @returns {boolean} True if the offer is new since the last visit
+ */
+export function isNewOffer(jobId) {
+    return hasSavedSearchBaseline() && !runBaseline.seenIds.has(jobId);
+}
+
+/**
+ * Counts the offers of a saved search not seen on its last run.
+ * Queries the first page of the search (IDs only, same page size) through the response cache.
+ * @param {Object} search - The saved search object
+ * @returns {Promise<number|null>} Number of new offers, or null if unknown
+ */
+export async function countNewOffers(search) {
+    if (!search?.apiUrl || !Array.isArray(search.seenIds)) return null;
+
+    try {
+        const url = applyExclusionCondition(getOfferIdsUrl(search.apiUrl), { ignoreReveal: true });
+        const { data } = await cachedFetchJson(url);
+        const seen = new Set(search.seenIds);
+        return (data.results || []).filter(job => !seen.has(job.numerooffreforem)).length;
+    } catch (e) {
+        console.warn('Could not count new offers for saved search:', search.name, e);
+        return null;
+    }
+}
+
+/**
+ * Gets the page URL that runs a saved search.
+ * @param {Object} search - The saved search object
+ * @returns {string} Relative URL to index.html with the search parameters
+ */
+export function getSavedSearchUrl(search) {
+    const params = new URLSearchParams(search.params);
+    params.set(SAVED_SEARCH_PARAM, search.id);
+    return `index.html?${params.toString()}`;
+}
+
+/**
+ * Sets how often a saved search is checked for new offers in the background.
+ * @param {string} searchId - The search ID
+ * @param {number} hours - Interval in hours (0 disables checks)
+ */
+export function setSavedSearchFrequency(searchId, hours) {
+    const searches = getSavedSearches();
+    if (searches[searchId]) {
+        searches[searchId].checkFrequency = hours;
+        saveSavedSearches(searches);
+    }
+}
+
+/**
+ * Stores the result of a background check of a saved search.
+ * @param {string} searchId - The search ID
+ * @param {string[]} newIds - Offers of the query not seen on the last run
+ * @param {string} checkedAt - ISO date of the check
+ */
+export function updateSavedSearchCheck(searchId, newIds, checkedAt) {
+    const searches = getSavedSearches();
+    if (searches[searchId]) {
+        searches[searchId].newIds = newIds;
+        searches[searchId].lastCheckedAt = checkedAt;
+        saveSavedSearches(searches);
+    }
+}
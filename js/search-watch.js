@@ -0,0 +1,223 @@
+/**
+ * Search Watch Module
+ * Re-executes saved search queries in the background and diffs them against the offers already seen.
+ * Shared by the page and the service worker: it only relies on fetch and IndexedDB
+ * (no DOM, no localStorage), so saved searches are mirrored into IndexedDB by the page.
+ */
+
+const DB_NAME = 'forem_watch';
+const DB_VERSION = 1;
+const STORE_NAME = 'searches';
+
+/** Tag of the periodic background sync registration */
+export const WATCH_SYNC_TAG = 'forem-saved-searches';
+
+/** Check frequencies offered per saved search, in hours (0 = disabled) */
+export const WATCH_FREQUENCIES = [
+    { hours: 0, label: 'Jamais' },
+    { hours: 1, label: 'Toutes les heures' },
+    { hours: 6, label: 'Toutes les 6 h' },
+    { hours: 24, label: 'Chaque jour' },
+    { hours: 168, label: 'Chaque semaine' }
+];
+
+/** Frequency applied to saved searches that never set one */
+export const DEFAULT_WATCH_FREQUENCY = 24;
+
+let dbPromise = null;
+
+/**
+ * Opens (and creates if needed) the watch database.
+ * @returns {Promise<IDBDatabase|null>} The database connection, null if IndexedDB is unavailable
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise(resolve => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.error('Error opening watch database:', request.error);
+            resolve(null);
+        };
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Runs a single request against the watch store.
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {Function} operation - Receives the object store, returns an IDBRequest
+ * @returns {Promise<*>} The request result, or null on error
+ */
+async function runStoreRequest(mode, operation) {
+    const db = await openDatabase();
+    if (!db) return null;
+
+    return new Promise(resolve => {
+        try {
+            const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+            request.onsuccess = () => resolve(request.result ?? null);
+            request.onerror = () => {
+                console.error('Watch store error:', request.error);
+                resolve(null);
+            };
+        } catch (e) {
+            console.error('Watch store error:', e);
+            resolve(null);
+        }
+    });
+}
+
+/**
+ * Gets all watched searches.
+ * @returns {Promise<Object[]>} Watch entries { id, name, apiUrl, params, seenIds, frequency, lastCheckedAt, newIds, notifiedIds }
+ */
+export async function getWatchEntries() {
+    return (await runStoreRequest('readonly', store => store.getAll())) || [];
+}
+
+/**
+ * Stores a watch entry.
+ * @param {Object} entry - The watch entry
+ * @returns {Promise<void>}
+ */
+async function putWatchEntry(entry) {
+    await runStoreRequest('readwrite', store => store.put(entry));
+}
+
+/**
+ * Mirrors saved searches into the watch store.
+ * Check results (lastCheckedAt, newIds, notifiedIds) are kept, minus the offers seen since.
+ * Entries of deleted saved searches are removed.
+ * @param {Object[]} savedSearches - Saved search objects
+ * @returns {Promise<void>}
+ */
+export async function syncWatchEntries(savedSearches) {
+    const existing = new Map((await getWatchEntries()).map(e => [e.id, e]));
+
+    for (const search of savedSearches) {
+        const previous = existing.get(search.id);
+        const seen = new Set(search.seenIds || []);
+        const sameQuery = previous && previous.apiUrl === search.apiUrl;
+
+        await putWatchEntry({
+            id: search.id,
+            name: search.name,
+            params: search.params || '',
+            apiUrl: search.apiUrl || null,
+            seenIds: search.seenIds || null,
+            frequency: search.checkFrequency ?? DEFAULT_WATCH_FREQUENCY,
+            lastCheckedAt: sameQuery ? previous.lastCheckedAt : null,
+            newIds: sameQuery ? (previous.newIds || []).filter(id => !seen.has(id)) : [],
+            notifiedIds: sameQuery ? (previous.notifiedIds || []).filter(id => !seen.has(id)) : []
+        });
+        existing.delete(search.id);
+    }
+
+    for (const id of existing.keys()) {
+        await runStoreRequest('readwrite', store => store.delete(id));
+    }
+}
+
+/**
+ * Checks whether a watched search is due for a check.
+ * @param {Object} entry - The watch entry
+ * @param {number} [now] - Current timestamp
+ * @returns {boolean} True if the search should be re-executed
+ */
+export function isCheckDue(entry, now = Date.now()) {
+    if (!entry.frequency || !entry.apiUrl || !Array.isArray(entry.seenIds)) return false;
+    if (!entry.lastCheckedAt) return true;
+    return now - new Date(entry.lastCheckedAt).getTime() >= entry.frequency * 60 * 60 * 1000;
+}
+
+/**
+ * Builds the URL of the IDs of the first page of a saved search query.
+ * The page size of the query is kept: the seen offers are those of the pages displayed,
+ * so a larger page would report older offers as new.
+ * @param {string} apiUrl - The API records URL of the saved search
+ * @returns {string} URL selecting numerooffreforem only
+ */
+export function getOfferIdsUrl(apiUrl) {
+    const url = new URL(apiUrl);
+    url.searchParams.set('select', 'numerooffreforem');
+    url.searchParams.delete('offset');
+    return url.toString();
+}
+
+/**
+ * Fetches the IDs of the most recent offers of a saved search query from the network.
+ * @param {string} apiUrl - The API records URL of the saved search
+ * @returns {Promise<string[]>} Array of numerooffreforem
+ */
+async function fetchOfferIds(apiUrl) {
+    const response = await fetch(getOfferIdsUrl(apiUrl));
+    if (!response.ok) throw new Error(response.status);
+    const data = await response.json();
+    return (data.results || []).map(job => job.numerooffreforem).filter(Boolean);
+}
+
+/**
+ * Re-executes every due watched search and diffs it against its seen offers.
+ * Offers reported in `unnotifiedIds` are marked as notified, so each offer is announced once.
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Check every watched search, even if not due
+ * @returns {Promise<Object[]>} Results { entry, newIds, unnotifiedIds } for the checked searches
+ */
+export async function runWatchCycle({ force = false } = {}) {
+    const now = Date.now();
+    const entries = (await getWatchEntries()).filter(e => force ? e.apiUrl && Array.isArray(e.seenIds) : isCheckDue(e, now));
+    const results = [];
+
+    for (const entry of entries) {
+        try {
+            const seen = new Set(entry.seenIds);
+            const notified = new Set(entry.notifiedIds || []);
+            const newIds = (await fetchOfferIds(entry.apiUrl)).filter(id => !seen.has(id));
+            const unnotifiedIds = newIds.filter(id => !notified.has(id));
+
+            entry.lastCheckedAt = new Date().toISOString();
+            entry.newIds = newIds;
+            entry.notifiedIds = [...notified, ...unnotifiedIds].filter(id => newIds.includes(id));
+            await putWatchEntry(entry);
+
+            results.push({ entry, newIds, unnotifiedIds });
+        } catch (e) {
+            console.warn('Saved search check failed:', entry.name, e);
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Builds the notification shown for new offers of a saved search.
+ * @param {Object} entry - The watch entry
+ * @param {number} count - Number of new offers
+ * @returns {{title: string, options: Object}} Arguments for showNotification
+ */
+export function buildNewOffersNotification(entry, count) {
+    const params = new URLSearchParams(entry.params);
+    params.set('saved', entry.id);
+
+    return {
+        title: `${count} nouvelle${count > 1 ? 's' : ''} offre${count > 1 ? 's' : ''} pour « ${entry.name} »`,
+        options: {
+            body: 'Ouvrez la recherche sauvegardée pour les consulter.',
+            tag: `saved-search-${entry.id}`,
+            data: { url: `index.html?${params.toString()}` }
+        }
+    };
+}
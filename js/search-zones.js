@@ -0,0 +1,178 @@
+/**
+ * Search Zones Module
+ * Geographic zones the offers must be located in: circles ("around Namur within 20 km")
+ * and polygons drawn on the map. An offer matches when it lies in any of the zones.
+ * Zones are stored in the hidden #zoneFilter input read by buildQuery and the URL state,
+ * as "c:lat,lon,km,name" and "p:lat,lon,lat,lon,..." entries separated by ";".
+ */
+
+const INPUT_ID = 'zoneFilter';
+
+/** Coordinates are rounded to 4 decimals (about 10 m) to keep URLs short */
+const COORD_DECIMALS = 4;
+
+/** Zone conditions of the API query: a circle, and a polygon (WKT points are "lon lat") */
+const CIRCLE_PATTERN = /^distance\(lieuxtravailgeo, geom'POINT\((-?[\d.]+) (-?[\d.]+)\)', ([\d.]+)km\)$/;
+const POLYGON_PATTERN = /^geometry\(lieuxtravailgeo, geom'POLYGON\(\(([-\d. ,]+)\)\)', WITHIN\)$/;
+
+/**
+ * Rounds a coordinate for storage.
+ * @param {number} value - Latitude or longitude
+ * @returns {number} Rounded value
+ */
+const roundCoord = (value) => Number(Number(value).toFixed(COORD_DECIMALS));
+
+/**
+ * Parses the zones stored in the hidden input or the URL.
+ * Malformed entries are ignored.
+ * @param {string} text - Serialized zones
+ * @returns {Object[]} Zones: { type: 'circle', lat, lon, radius, name } or { type: 'polygon', points: [[lat, lon], ...] }
+ */
+export function parseZones(text) {
+    return (text || '').split(';').map(entry => {
+        const type = entry.slice(0, 2);
+        const values = entry.slice(2);
+        if (type === 'c:') {
+            const [lat, lon, radius, ...name] = values.split(',');
+            const zone = { type: 'circle', lat: parseFloat(lat), lon: parseFloat(lon), radius: parseFloat(radius), name: name.join(' ').trim() };
+            return [zone.lat, zone.lon, zone.radius].every(Number.isFinite) && zone.radius > 0 ? zone : null;
+        }
+        if (type === 'p:') {
+            const numbers = values.split(',').map(parseFloat);
+            const points = [];
+            for (let i = 0; i + 1 < numbers.length; i += 2) points.push([numbers[i], numbers[i + 1]]);
+            return points.length >= 3 && numbers.every(Number.isFinite) ? { type: 'polygon', points } : null;
+        }
+        return null;
+    }).filter(Boolean);
+}
+
+/**
+ * Serializes zones for the hidden input and the URL.
+ * @param {Object[]} zones - Zones from parseZones
+ * @returns {string} Serialized zones
+ */
+export function serializeZones(zones) {
+    return zones.map(zone => {
+        if (zone.type === 'circle') {
+            const name = (zone.name || '').replace(/[,;]/g, ' ').trim();
+            return `c:${roundCoord(zone.lat)},${roundCoord(zone.lon)},${zone.radius}${name ? `,${name}` : ''}`;
+        }
+        return `p:${zone.points.map(([lat, lon]) => `${roundCoord(lat)},${roundCoord(lon)}`).join(',')}`;
+    }).join(';');
+}
+
+/**
+ * Builds the query condition of the zones: the offer lies in any of them.
+ * The condition is always wrapped in parentheses, so that once wrapped again by buildQuery
+ * it is told apart from the distance filter around the user location.
+ * @param {Object[]} zones - Zones from parseZones
+ * @returns {string|null} ODSQL condition, or null without zones
+ */
+export function buildZoneCondition(zones) {
+    if (!zones.length) return null;
+    const conditions = zones.map(zone => {
+        if (zone.type === 'circle') {
+            return `distance(lieuxtravailgeo, geom'POINT(${roundCoord(zone.lon)} ${roundCoord(zone.lat)})', ${zone.radius}km)`;
+        }
+        // A WKT polygon is closed: the first point is repeated at the end
+        const ring = [...zone.points, zone.points[0]].map(([lat, lon]) => `${roundCoord(lon)} ${roundCoord(lat)}`);
+        return `geometry(lieuxtravailgeo, geom'POLYGON((${ring.join(', ')}))', WITHIN)`;
+    });
+    return `(${conditions.join(' OR ')})`;
+}
+
+/**
+ * Parses a top-level condition of a where clause back into zones.
+ * @param {string} condition - Top-level condition (as wrapped by buildQuery)
+ * @returns {Object[]|null} Zones (circles without their name), or null if it is not the zone condition
+ */
+export function parseZoneCondition(condition) {
+    const match = condition.match(/^\(\((.*)\)\)$/);
+    if (!match) return null;
+
+    const zones = [];
+    for (const part of match[1].split(' OR ')) {
+        const circle = part.match(CIRCLE_PATTERN);
+        const polygon = part.match(POLYGON_PATTERN);
+        if (circle) {
+            zones.push({ type: 'circle', lat: parseFloat(circle[2]), lon: parseFloat(circle[1]), radius: parseFloat(circle[3]), name: '' });
+        } else if (polygon) {
+            const points = polygon[1].split(',').map(point => point.trim().split(' ').map(parseFloat)).map(([lon, lat]) => [lat, lon]);
+            zones.push({ type: 'polygon', points: points.slice(0, -1) });
+        } else {
+            return null;
+        }
+    }
+    return zones;
+}
+
+/**
+ * Describes a zone for its chip: "Namur · 20 km", "Zone dessinée (5 points)".
+ * @param {Object} zone - Zone from parseZones
+ * @returns {string} Label
+ */
+export function describeZone(zone) {
+    if (zone.type === 'polygon') return `Zone dessinée (${zone.points.length} points)`;
+    const place = zone.name || `${zone.lat.toFixed(2)}, ${zone.lon.toFixed(2)}`;
+    return `${place} · ${zone.radius} km`;
+}
+
+/**
+ * Gets the zones of the current search from the hidden input.
+ * @returns {Object[]} Zones
+ */
+export function getSearchZones() {
+    return parseZones(document.getElementById(INPUT_ID)?.value);
+}
+
+/**
+ * Stores the zones of the current search in the hidden input,
+ * and notifies the listeners (zone chips, map).
+ * @param {Object[]} zones - Zones
+ */
+export function setSearchZones(zones) {
+    const input = document.getElementById(INPUT_ID);
+    if (!input) return;
+    input.value = serializeZones(zones);
+    input.dispatchEvent(new Event('change'));
+}
+
+/**
+ * Adds a zone to the current search.
+ * @param {Object} zone - Zone ({ type: 'circle', lat, lon, radius, name } or { type: 'polygon', points })
+ */
+export function addSearchZone(zone) {
+    setSearchZones([...getSearchZones(), zone]);
+}
+
+/**
+ * Removes a zone of the current search.
+ * @param {number} index - Position of the zone
+ */
+export function removeSearchZone(index) {
+    setSearchZones(getSearchZones().filter((_, i) => i !== index));
+}
+
+/**
+ * Renders the zone chips of the search form.
+ */
+function renderZoneChips() {
+    const container = document.getElementById('zoneChips');
+    if (!container) return;
+    container.innerHTML = getSearchZones().map((zone, index) => `
+        <span class="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-purple-50 text-purple-700 border border-purple-200 text-xs">
+            ${zone.type === 'circle' ? '◯' : '⬠'} ${describeZone(zone)}
+            <button type="button" onclick="window.removeSearchZone(${index})" class="hover:text-purple-900" title="Retirer la zone">✕</button>
+        </span>
+    `).join('');
+}
+
+/**
+ * Renders the zone chips and keeps them in sync with the hidden input
+ * (restored from the URL or from a custom query).
+ */
+export function initSearchZones() {
+    document.getElementById(INPUT_ID)?.addEventListener('change', renderZoneChips);
+    renderZoneChips();
+}
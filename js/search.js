@@ -3,16 +3,57 @@
  * Handles job search operations, URL parameter management, and data export functionality.
  */
 import { BASE_URL } from './config.js';
-import { setRawData, setFullUrl, getRawData, getFullUrl } from './state.js';
+import { setRawData, setFullUrl, getRawData, getFullUrl, getCurrentPage, setCurrentPage } from './state.js';
 import { showToast, copyToClipboard } from './utils.js';
 import { buildQuery, parseAndSyncUI } from './query-builder.js';
 import { renderResults } from './renderer.js';
 import { updateUrlParams } from './url-state.js';
+import { buildPageUrl, getPageOffset, getPageSize, renderPagination, initInfiniteScroll } from './pagination.js';
+import { cachedFetchJson, formatCachedAt } from './response-cache.js';
+import { buildExclusionCondition, applyExclusionCondition, setQueryHiddenCount } from './exclusions.js';
+
+/**
+ * Shows when the displayed results were cached, or hides the indicator for live data.
+ * @param {number|null} cachedAt - Timestamp of the cache entry, null for a network response
+ */
+export function updateCacheIndicator(cachedAt) {
+    const indicator = document.getElementById('cacheIndicator');
+    if (!indicator) return;
+
+    if (cachedAt) {
+        indicator.textContent = `⚡ En cache (${formatCachedAt(cachedAt)})`;
+        indicator.title = 'Résultats affichés depuis le cache local, mise à jour en arrière-plan';
+        indicator.classList.remove('hidden');
+    } else {
+        indicator.classList.add('hidden');
+    }
+}
+
+/**
+ * Displays a first page of search results (count, cards, pagination).
+ * @param {Object} data - The raw API response data
+ */
+function displaySearchResults(data) {
+    setRawData(data);
+    document.getElementById('resultsCount').textContent = `${data.total_count} résultats`;
+    document.getElementById('statusBar').classList.remove('hidden');
+
+    if (data.total_count > 0) {
+        // Store results globally for status filter
+        window.lastSearchResults = data;
+        renderResults(data);
+    } else {
+        document.getElementById('resultsGrid').innerHTML = `<div class="text-center py-12 text-slate-400">Aucun résultat</div>`;
+    }
+    renderPagination();
+}
 
 /**
  * Performs a job search based on current UI filter values.
  * Builds query from UI state, fetches results from API, and renders them.
  * Updates URL parameters and shows loading states during the operation.
+ * A new search starts at page 1; a restored search starts at the page stored in the URL.
+ * Cached responses are rendered immediately and refreshed once revalidated.
  * @param {Event} [e] - Optional event object (will call preventDefault if provided)
  * @param {boolean} [isRestore] - If true, skips URL parameter update (used for restoring from URL)
  * @returns {Promise<void>}
@@ -25,7 +66,10 @@ export async function handleSearch(e, isRestore) {
     document.getElementById('resultsCount').textContent = "...";
     document.getElementById('resultsGrid').innerHTML = "";
 
-    if (!isRestore) updateUrlParams();
+    if (!isRestore) {
+        setCurrentPage(1);
+        updateUrlParams();
+    }
 
     const params = buildQuery();
     const fullUrl = `${BASE_URL}?${params.toString()}`;
@@ -33,23 +77,23 @@ export async function handleSearch(e, isRestore) {
     document.getElementById('queryInput').value = decodeURIComponent(params.toString().replace(/&/g, '\n&'));
 
     try {
-        const res = await fetch(fullUrl);
-        if (!res.ok) throw new Error(res.status);
-        const data = await res.json();
-        setRawData(data);
-        
-        document.getElementById('resultsCount').textContent = `${data.total_count} résultats`;
-        document.getElementById('statusBar').classList.remove('hidden');
+        const pageSize = getPageSize();
+        const page = getCurrentPage();
+        const { data, cachedAt } = await cachedFetchJson(buildPageUrl(getPageOffset(page, pageSize), pageSize), {
+            onRevalidate: (freshData) => {
+                // Skip if another search started or more pages were appended meanwhile
+                if (getFullUrl() !== fullUrl || getCurrentPage() !== page) return;
+                if (getRawData()?.results.length > pageSize) return;
+                displaySearchResults(freshData);
+                updateCacheIndicator(null);
+            }
+        });
+        displaySearchResults(data);
+        updateCacheIndicator(cachedAt);
+        resetQueryHiddenCount();
         
-        if (data.total_count > 0) {
-            // Store results globally for status filter
-            window.lastSearchResults = data;
-            renderResults(data);
-            if (!isRestore) showToast(`${data.total_count} offres`, false);
-        } else {
-            document.getElementById('resultsGrid').innerHTML = `<div class="text-center py-12 text-slate-400">Aucun résultat</div>`;
-            if (!isRestore) showToast("Aucun résultat");
-        }
+        if (!isRestore) showToast(data.total_count > 0 ? `${data.total_count} offres` : "Aucun résultat", false);
+        initInfiniteScroll();
     } catch (err) {
         document.getElementById('resultsGrid').innerHTML = `<div class="p-4 text-red-500 text-center">Erreur ${err.message}</div>`;
         showToast("Erreur", true);
@@ -58,17 +102,54 @@ export async function handleSearch(e, isRestore) {
     }
 }
 
+/**
+ * Marks the offers removed by the exclusion condition of the new search as not counted yet
+ * (none when the query has no exclusion condition).
+ */
+function resetQueryHiddenCount() {
+    setQueryHiddenCount(buildExclusionCondition() ? null : 0);
+}
+
+/**
+ * Counts the offers removed from the current search by the exclusion condition of the query,
+ * by comparing with the number of results of the same query without it.
+ * @returns {Promise<void>}
+ */
+export async function countExcludedOffers() {
+    const fullUrl = getFullUrl();
+    const totalCount = getRawData()?.total_count;
+    if (!fullUrl || totalCount === undefined) return;
+
+    const url = new URL(fullUrl);
+    url.searchParams.set('limit', '1');
+    try {
+        const { data } = await cachedFetchJson(url.toString());
+        if (getFullUrl() !== fullUrl) return;
+        setQueryHiddenCount(Math.max(0, data.total_count - totalCount));
+    } catch (e) {
+        console.warn('Could not count the offers hidden by the exclusion rules:', e);
+        showToast("Impossible de compter les offres masquées", true);
+    }
+}
+
 /**
  * Executes a custom search using a manually entered query string or full URL.
  * Allows advanced users to input raw API query parameters.
  * Syncs the UI filters to match the custom query and updates the browser URL.
+ * An `offset` parameter in the query is converted to the matching start page.
  * @returns {Promise<void>}
  */
 export async function handleCustomSearch() {
     const val = document.getElementById('queryInput').value.trim().replace(/\n/g, '');
     if (!val) return;
     let url = val.startsWith('http') ? val : `${BASE_URL}?${val}`;
-    setFullUrl(url);
+    
+    // Keep the search URL without offset; the start page lives in the state
+    const parsedUrl = new URL(url);
+    const offset = parseInt(parsedUrl.searchParams.get('offset')) || 0;
+    parsedUrl.searchParams.delete('offset');
+    setFullUrl(parsedUrl.toString());
+    setCurrentPage(Math.floor(offset / getPageSize()) + 1);
     parseAndSyncUI(url);
     
     // Update URL parameters after syncing UI
@@ -77,15 +158,17 @@ export async function handleCustomSearch() {
     const loader = document.getElementById('loadingSpinner');
     loader.classList.remove('hidden');
     try {
-        const res = await fetch(url);
+        const res = await fetch(applyExclusionCondition(url));
         if (!res.ok) throw new Error(res.status);
         const data = await res.json();
         setRawData(data);
         document.getElementById('resultsCount').textContent = `${data.total_count} résultats`;
         // Store results globally for status filter
         window.lastSearchResults = data;
+        resetQueryHiddenCount();
         renderResults(data);
-        document.getElementById('btnExport').classList.remove('hidden');
+        renderPagination();
+        document.getElementById('btnExport')?.classList.remove('hidden');
     } catch (e) {
         showToast("Erreur syntaxe", true);
     } finally {
@@ -113,6 +196,10 @@ export function exportDebugJson() {
     
     // Get all user data from localStorage
     const jobStates = localStorage.getItem('forem_job_states');
+    const pipelineStages = localStorage.getItem('forem_pipeline_stages');
+    const jobSnapshots = localStorage.getItem('forem_job_snapshots');
+    const employers = localStorage.getItem('forem_employers');
+    const exclusionRules = localStorage.getItem('forem_exclusion_rules');
     const jobNotes = localStorage.getItem('forem_job_notes');
     const customTags = localStorage.getItem('forem_custom_tags');
     const jobTags = localStorage.getItem('forem_job_tags');
@@ -127,11 +214,15 @@ export function exportDebugJson() {
     // Create export object with all user data
     const exportData = {
         exportDate: new Date().toISOString(),
-        version: 3, // Version for future compatibility
+        version: 7, // Version for future compatibility (v4: pipeline stages, v5: job snapshots, v6: employers, v7: exclusion rules)
         searchParams: searchParams,
         searchResults: rawData || null,
         // User data
         bookmarks: jobStates ? JSON.parse(jobStates) : {},
+        pipelineStages: pipelineStages ? JSON.parse(pipelineStages) : null,
+        jobSnapshots: jobSnapshots ? JSON.parse(jobSnapshots) : {},
+        employers: employers ? JSON.parse(employers) : {},
+        exclusionRules: exclusionRules ? JSON.parse(exclusionRules) : null,
         notes: jobNotes ? JSON.parse(jobNotes) : {},
         customTags: customTags ? JSON.parse(customTags) : [],
         jobTags: jobTags ? JSON.parse(jobTags) : {},
@@ -173,7 +264,7 @@ export function importBookmarksFromFile() {
             
             // Import the bookmarks (dynamic import to avoid circular dependency)
             const { importBookmarks } = await import('./bookmarks.js');
-            const stats = importBookmarks(data.bookmarks);
+            const stats = importBookmarks(data.bookmarks, data.pipelineStages);
             
             // Import notes if present (v2+)
             if (data.notes && Object.keys(data.notes).length > 0) {
@@ -221,6 +312,41 @@ export function importBookmarksFromFile() {
                 localStorage.setItem('forem_saved_searches', JSON.stringify(merged));
             }
             
+            // Import job snapshots if present (v5+), keeping local copies
+            if (data.jobSnapshots && Object.keys(data.jobSnapshots).length > 0) {
+                const existingSnapshots = localStorage.getItem('forem_job_snapshots');
+                const existing = existingSnapshots ? JSON.parse(existingSnapshots) : {};
+                localStorage.setItem('forem_job_snapshots', JSON.stringify({ ...data.jobSnapshots, ...existing }));
+            }
+            
+            // Import employers if present (v6+): local entries win, contacts are merged
+            if (data.employers && Object.keys(data.employers).length > 0) {
+                const existingEmployers = localStorage.getItem('forem_employers');
+                const existing = existingEmployers ? JSON.parse(existingEmployers) : {};
+                for (const [key, employer] of Object.entries(data.employers)) {
+                    if (!existing[key]) {
+                        existing[key] = employer;
+                        continue;
+                    }
+                    const contactIds = new Set(existing[key].contacts.map(c => c.id));
+                    existing[key].contacts.push(...(employer.contacts || []).filter(c => !contactIds.has(c.id)));
+                    existing[key].offers = { ...employer.offers, ...existing[key].offers };
+                    if (!existing[key].note && employer.note) {
+                        existing[key].note = employer.note;
+                        existing[key].noteUpdatedAt = employer.noteUpdatedAt;
+                    }
+                }
+                localStorage.setItem('forem_employers', JSON.stringify(existing));
+            }
+            
+            // Import exclusion rules if present (v7+), added to the local ones
+            if (data.exclusionRules) {
+                const { addExclusionRules, EXCLUSION_TYPES } = await import('./exclusions.js');
+                Object.entries(data.exclusionRules)
+                    .filter(([type]) => EXCLUSION_TYPES[type])
+                    .forEach(([type, values]) => addExclusionRules(type, values));
+            }
+            
             // Import dismissed alerts if present (v2+)
             if (data.alertsDismissed && data.alertsDismissed.length > 0) {
                 const existingDismissed = localStorage.getItem('forem_alerts_dismissed');
@@ -236,6 +362,7 @@ export function importBookmarksFromFile() {
             if (data.customTags) importedItems.push(`Tags personnalisés: ${data.customTags.length}`);
             if (data.jobTags) importedItems.push(`Tags assignés: ${Object.keys(data.jobTags).length} offres`);
             if (data.savedSearches) importedItems.push(`Recherches: ${data.savedSearches.length}`);
+            if (data.employers) importedItems.push(`Employeurs: ${Object.keys(data.employers).length}`);
             
             // Show success message
             alert(`Import réussi!\n\n${importedItems.join('\n')}\n\nLes paramètres de recherche vont être restaurés...`);
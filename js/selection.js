@@ -0,0 +1,334 @@
+/**
+ * Selection Module
+ * Multi-select on result cards (checkbox, shift-click range, select all visible)
+ * and batch actions on the selection: bookmark, ignore, tag, AI scoring, export and cover letters.
+ */
+import { initIcons, showToast, downloadCsv } from './utils.js';
+import { getRawData } from './state.js';
+import { getJobState, toggleBookmark, toggleIgnored } from './bookmarks.js';
+import { listTags, addTagToJob } from './tags.js';
+import { getStoredScore, calculateLocalScore } from './ai-matching.js';
+import { getProfile } from './cv-profile.js';
+import { generateCoverLetter, saveLetter, isLetterGenerationAvailable } from './ai-cover-letter.js';
+import { saveJobSnapshot } from './job-snapshots.js';
+import { trackAction } from './action-log.js';
+
+/** IDs of the selected offers */
+const selectedIds = new Set();
+
+/** Last card whose checkbox was clicked (anchor of shift-click ranges) */
+let lastClickedId = null;
+
+/** True while cover letters are being generated */
+let isGeneratingLetters = false;
+
+/**
+ * Gets the result cards currently displayed, in grid order.
+ * @returns {HTMLElement[]} Card elements
+ */
+function getVisibleCards() {
+    return Array.from(document.querySelectorAll('#resultsGrid > div[data-job-id]'));
+}
+
+/**
+ * Renders the selection checkbox of a result card.
+ * @param {string} jobId - The job ID
+ * @returns {string} Checkbox HTML
+ */
+export function renderSelectCheckbox(jobId) {
+    return `
+        <label class="select-toggle flex items-start pt-1 pl-1 cursor-pointer" title="Sélectionner (Maj+clic pour une plage)">
+            <input type="checkbox" class="select-checkbox h-4 w-4 rounded border-slate-300 text-blue-600 cursor-pointer" ${selectedIds.has(jobId) ? 'checked' : ''}>
+        </label>
+    `;
+}
+
+/**
+ * Attaches the selection handler to a result card.
+ * Shift-click applies the clicked state to every card between the previous click and this one.
+ * @param {HTMLElement} card - The card element (with data-job-id)
+ */
+export function attachCardSelection(card) {
+    const checkbox = card.querySelector('.select-checkbox');
+    if (!checkbox) return;
+
+    checkbox.addEventListener('click', (e) => {
+        e.stopPropagation(); // Prevent card click
+        const jobId = card.dataset.jobId;
+
+        if (e.shiftKey && lastClickedId && lastClickedId !== jobId) {
+            selectRange(lastClickedId, jobId, checkbox.checked);
+        } else {
+            setSelected(jobId, checkbox.checked);
+        }
+        lastClickedId = jobId;
+        updateSelectionBar();
+    });
+
+    updateCardSelection(card);
+}
+
+/**
+ * Selects or deselects a single offer.
+ * @param {string} jobId - The job ID
+ * @param {boolean} selected - New selection state
+ */
+function setSelected(jobId, selected) {
+    if (selected) {
+        selectedIds.add(jobId);
+    } else {
+        selectedIds.delete(jobId);
+    }
+    const card = document.querySelector(`#resultsGrid > div[data-job-id="${jobId}"]`);
+    if (card) updateCardSelection(card);
+}
+
+/**
+ * Applies a selection state to every visible card between two cards (inclusive).
+ * @param {string} fromId - Job ID of the first card
+ * @param {string} toId - Job ID of the last card
+ * @param {boolean} selected - Selection state to apply
+ */
+function selectRange(fromId, toId, selected) {
+    const ids = getVisibleCards().map(card => card.dataset.jobId);
+    const from = ids.indexOf(fromId);
+    const to = ids.indexOf(toId);
+
+    if (from === -1 || to === -1) {
+        setSelected(toId, selected);
+        return;
+    }
+    ids.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(id => setSelected(id, selected));
+}
+
+/**
+ * Reflects the selection state on a card (checkbox and highlight).
+ * @param {HTMLElement} card - The card element
+ */
+function updateCardSelection(card) {
+    const selected = selectedIds.has(card.dataset.jobId);
+    const checkbox = card.querySelector('.select-checkbox');
+    if (checkbox) checkbox.checked = selected;
+    card.classList.toggle('ring-2', selected);
+    card.classList.toggle('ring-blue-400', selected);
+}
+
+/**
+ * Keeps the selection consistent after the results are re-rendered:
+ * offers no longer displayed (new search, filters) are deselected.
+ */
+export function syncSelection() {
+    const visibleIds = new Set(getVisibleCards().map(card => card.dataset.jobId));
+    [...selectedIds].forEach(id => {
+        if (!visibleIds.has(id)) selectedIds.delete(id);
+    });
+    if (lastClickedId && !visibleIds.has(lastClickedId)) lastClickedId = null;
+    updateSelectionBar();
+}
+
+/**
+ * Selects every displayed offer.
+ */
+export function selectAllVisible() {
+    getVisibleCards().forEach(card => setSelected(card.dataset.jobId, true));
+    updateSelectionBar();
+}
+
+/**
+ * Clears the selection.
+ */
+export function clearSelection() {
+    [...selectedIds].forEach(id => setSelected(id, false));
+    lastClickedId = null;
+    updateSelectionBar();
+}
+
+/**
+ * Gets the selected job records, in grid order.
+ * @returns {Object[]} Job records
+ */
+function getSelectedJobs() {
+    const results = getRawData()?.results || [];
+    const order = getVisibleCards().map(card => card.dataset.jobId);
+    return results
+        .filter(job => selectedIds.has(job.numerooffreforem))
+        .sort((a, b) => order.indexOf(a.numerooffreforem) - order.indexOf(b.numerooffreforem));
+}
+
+/**
+ * Shows or hides the batch action bar and refreshes its counter and tag list.
+ */
+function updateSelectionBar() {
+    const bar = document.getElementById('selectionBar');
+    if (!bar) return;
+
+    const count = selectedIds.size;
+    bar.classList.toggle('hidden', count === 0);
+    bar.classList.toggle('flex', count > 0);
+    document.getElementById('selectionCount').textContent = `${count} offre${count > 1 ? 's' : ''} sélectionnée${count > 1 ? 's' : ''}`;
+
+    const tagSelect = document.getElementById('selectionTagSelect');
+    if (tagSelect) {
+        const tags = listTags();
+        tagSelect.innerHTML = tags.length
+            ? '<option value="">Ajouter un tag...</option>' + tags.map(tag => `<option value="${tag.id}">${tag.name}</option>`).join('')
+            : '<option value="">Aucun tag créé</option>';
+        tagSelect.disabled = tags.length === 0 || isGeneratingLetters;
+    }
+    bar.querySelectorAll('.selection-action').forEach(btn => { btn.disabled = isGeneratingLetters; });
+
+    initIcons();
+}
+
+/**
+ * Adds the selected offers to the "À consulter" stage. Only untracked offers are bookmarked:
+ * offers already saved, applied to, closed or ignored keep their stage.
+ */
+export function bookmarkSelection() {
+    const selected = getSelectedJobs();
+    const jobs = selected.filter(job => getJobState(job.numerooffreforem).stageInfo.kind === 'new');
+    const skipped = selected.length - jobs.length;
+    if (jobs.length === 0) {
+        showToast(`${skipped} offre(s) déjà suivie(s), laissée(s) à leur étape`, 'warning');
+        return;
+    }
+    const targets = jobs.map(job => ({ type: 'jobState', key: job.numerooffreforem }));
+    const label = `Ajout de ${jobs.length} offre(s) aux favoris`
+        + (skipped > 0 ? ` (${skipped} déjà suivie(s), laissée(s) à leur étape)` : '');
+
+    // One history entry for the whole batch
+    trackAction(label, targets, () => {
+        jobs.forEach(job => {
+            const jobId = job.numerooffreforem;
+            if (toggleBookmark(jobId)) saveJobSnapshot(job);
+            window.dispatchEvent(new CustomEvent('jobStateChanged', {
+                detail: { jobId, type: 'bookmark', value: true }
+            }));
+        });
+    });
+}
+
+/**
+ * Ignores the selected offers (already ignored offers are left as is), then clears the selection.
+ */
+export function ignoreSelection() {
+    const jobs = getSelectedJobs().filter(job => !getJobState(job.numerooffreforem).ignored);
+    const targets = jobs.map(job => ({ type: 'jobState', key: job.numerooffreforem }));
+
+    trackAction(`${jobs.length} offre(s) ignorée(s)`, targets, () => {
+        jobs.forEach(job => {
+            const jobId = job.numerooffreforem;
+            toggleIgnored(jobId);
+            window.dispatchEvent(new CustomEvent('jobStateChanged', {
+                detail: { jobId, type: 'ignored', value: true }
+            }));
+        });
+    });
+    clearSelection();
+}
+
+/**
+ * Adds a custom tag to the selected offers.
+ * @param {HTMLSelectElement} selectElement - The tag select (its value is the tag ID)
+ */
+export function tagSelection(selectElement) {
+    const tagId = selectElement.value;
+    if (!tagId) return;
+
+    const jobs = getSelectedJobs();
+    const targets = jobs.map(job => ({ type: 'jobTags', key: job.numerooffreforem }));
+    trackAction(`Tag ajouté à ${jobs.length} offre(s)`, targets, () => {
+        jobs.forEach(job => {
+            addTagToJob(job.numerooffreforem, tagId);
+            saveJobSnapshot(job);
+            window.dispatchEvent(new CustomEvent('jobTagsChanged', {
+                detail: { jobId: job.numerooffreforem }
+            }));
+        });
+    });
+    selectElement.value = '';
+}
+
+/**
+ * Scores the selected offers with the AI (offers already AI-scored are skipped).
+ * @returns {Promise<void>}
+ */
+export async function scoreSelection() {
+    if (window.scoreVisibleJobsWithAI) {
+        await window.scoreVisibleJobsWithAI([...selectedIds]);
+    }
+}
+
+/**
+ * Exports the selected offers as CSV.
+ */
+export function exportSelection() {
+    const jobs = getSelectedJobs();
+    if (jobs.length === 0) return;
+
+    const profile = getProfile();
+    const header = ['Numéro', 'Titre', 'Employeur', 'Lieu', 'Contrat', 'Régime', 'Publiée le', 'Score', 'Lien'];
+    downloadCsv(`forem-selection-${new Date().toISOString().split('T')[0]}.csv`, header, jobs.map(job => {
+        const scoreData = getStoredScore(job.numerooffreforem) || (profile ? calculateLocalScore(profile, job) : null);
+        return [
+            job.numerooffreforem,
+            job.titreoffre,
+            job.nomemployeur,
+            job.lieuxtravaillocalite?.[0],
+            job.typecontrat,
+            job.regimetravail,
+            job.datedebutdiffusion ? job.datedebutdiffusion.split('T')[0] : '',
+            scoreData ? scoreData.score : '',
+            job.url
+        ];
+    }));
+}
+
+/**
+ * Generates and saves a cover letter for each selected offer, one after the other.
+ * Stops at the first quota or configuration error. Letters are available in the Lettres page.
+ * @returns {Promise<void>}
+ */
+export async function generateLettersForSelection() {
+    if (isGeneratingLetters) return;
+
+    const availability = isLetterGenerationAvailable();
+    if (!availability.available) {
+        showToast(availability.reason, 'error');
+        return;
+    }
+
+    const jobs = getSelectedJobs();
+    if (jobs.length === 0) return;
+    if (!confirm(`Générer ${jobs.length} lettre(s) de motivation (style équilibré) ? Chaque lettre utilise une requête IA.`)) return;
+
+    const progress = document.getElementById('selectionProgress');
+    isGeneratingLetters = true;
+    updateSelectionBar();
+
+    let saved = 0;
+    let errors = 0;
+    for (const [index, job] of jobs.entries()) {
+        if (progress) progress.textContent = `Lettre ${index + 1}/${jobs.length}...`;
+
+        const result = await generateCoverLetter(job, { style: 'balanced' });
+        if (result.success && saveLetter(result)) {
+            saveJobSnapshot(job);
+            saved++;
+        } else {
+            errors++;
+            // Quota reached or API key missing: the next calls would fail too
+            if (!isLetterGenerationAvailable().available) break;
+        }
+    }
+
+    isGeneratingLetters = false;
+    if (progress) progress.textContent = '';
+    updateSelectionBar();
+
+    if (errors > 0) {
+        showToast(`${saved} lettre(s) sauvegardée(s), ${errors} erreur(s)`, 'warning');
+    } else {
+        showToast(`${saved} lettre(s) sauvegardée(s) dans la page Lettres`);
+    }
+}
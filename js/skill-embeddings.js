@@ -0,0 +1,255 @@
+/**
+ * Skill Embeddings Module
+ * Optional on-device text embeddings for the local score: each skill of the profile is compared
+ * with the sentences of the offer, so that "gestion de projet" meets "pilotage des projets"
+ * without a shared word. The model (transformers.js) is downloaded once and kept by the browser;
+ * texts never leave the device. Similarities are cached per offer and read synchronously by the
+ * local score; missing ones are computed in the background (as the commute estimates).
+ */
+
+const EMBEDDING_SETTINGS_KEY = 'forem_embedding_settings';
+const SIMILARITY_CACHE_KEY = 'forem_skill_similarity_cache';
+
+/** transformers.js, loaded from the CDN on first use only */
+const TRANSFORMERS_URL = 'https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.0.2';
+
+/** Sentence embedding models (quantized, run in the browser) */
+export const EMBEDDING_MODELS = {
+    multilingual: { label: 'Multilingue FR/NL/EN (~120 Mo)', id: 'Xenova/paraphrase-multilingual-MiniLM-L12-v2' },
+    english: { label: 'Anglais, léger (~25 Mo)', id: 'Xenova/all-MiniLM-L6-v2' }
+};
+
+const DEFAULT_SETTINGS = { enabled: false, model: 'multilingual' };
+
+/** Number of offers whose similarities are kept (the oldest are dropped) */
+const MAX_CACHE_ENTRIES = 300;
+
+/** Sentences of an offer compared with the skills (title first, long offers are cut) */
+const MAX_SENTENCES = 40;
+const MIN_SENTENCE_LENGTH = 15;
+const MAX_SENTENCE_LENGTH = 300;
+
+/** Loaded model pipelines, by model key */
+const extractors = new Map();
+
+/** Embeddings of the skills, by model and skill name */
+const skillVectors = new Map();
+
+/** Offers being compared, by cache key */
+const pending = new Set();
+
+/** In-memory copy of the cache: read for every card, so it is parsed once */
+let cacheCopy = null;
+
+/**
+ * Gets the embedding settings from localStorage.
+ * @returns {Object} Settings { enabled, model }
+ */
+export function getEmbeddingSettings() {
+    try {
+        const data = localStorage.getItem(EMBEDDING_SETTINGS_KEY);
+        return { ...DEFAULT_SETTINGS, ...(data ? JSON.parse(data) : {}) };
+    } catch (e) {
+        console.error('Error reading embedding settings:', e);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+/**
+ * Saves embedding settings to localStorage.
+ * @param {Object} updates - Settings to change ({ enabled } and/or { model })
+ * @throws {Error} If the model is unknown
+ */
+export function saveEmbeddingSettings(updates) {
+    if (updates.model && !EMBEDDING_MODELS[updates.model]) throw new Error(`Modèle inconnu: ${updates.model}`);
+    try {
+        localStorage.setItem(EMBEDDING_SETTINGS_KEY, JSON.stringify({ ...getEmbeddingSettings(), ...updates }));
+    } catch (e) {
+        console.error('Error saving embedding settings:', e);
+    }
+}
+
+/**
+ * Loads the embedding model of the settings (downloaded on the first call).
+ * @returns {Promise<Function>} transformers.js feature extraction pipeline
+ */
+export function loadEmbeddingModel() {
+    const { model } = getEmbeddingSettings();
+    if (!extractors.has(model)) {
+        const loading = import(TRANSFORMERS_URL)
+            .then(({ pipeline }) => pipeline('feature-extraction', EMBEDDING_MODELS[model].id, { dtype: 'q8' }))
+            .catch(e => {
+                // Allow a new attempt (network back, other model)
+                extractors.delete(model);
+                throw e;
+            });
+        extractors.set(model, loading);
+    }
+    return extractors.get(model);
+}
+
+/**
+ * Computes the normalized embeddings of texts.
+ * @param {string[]} texts - Texts
+ * @returns {Promise<number[][]>} One unit vector per text
+ */
+async function embed(texts) {
+    const extractor = await loadEmbeddingModel();
+    const output = await extractor(texts, { pooling: 'mean', normalize: true });
+    return output.tolist();
+}
+
+/**
+ * Cosine similarity of two unit vectors.
+ * @param {number[]} a - Vector
+ * @param {number[]} b - Vector
+ * @returns {number} Similarity between -1 and 1
+ */
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+/**
+ * Splits an offer into the sentences compared with the skills.
+ * @param {Object} job - The job record
+ * @returns {string[]} Title, then the sentences and list items of the description
+ */
+function getOfferSentences(job) {
+    const title = job.titreoffre || job.libelleoffre || job.title || '';
+    const sentences = (job.descriptionoffre || '')
+        .split(/(?<=[.!?;])\s+|\n+|\s[-•·*]\s/)
+        .map(sentence => sentence.trim().slice(0, MAX_SENTENCE_LENGTH))
+        .filter(sentence => sentence.length >= MIN_SENTENCE_LENGTH);
+    return [title, ...sentences].filter(Boolean).slice(0, MAX_SENTENCES);
+}
+
+/**
+ * Builds the cache key of an offer.
+ * @param {string} model - Model key
+ * @param {Object} job - The job record
+ * @returns {string|null} Cache key, or null without ID
+ */
+function getCacheKey(model, job) {
+    const jobId = job.numerooffreforem || job.id;
+    return jobId ? `${model}|${jobId}` : null;
+}
+
+/**
+ * Gets the cached similarities from localStorage.
+ * @returns {Object} Object mapping cache keys to { skills: { name: similarity }, at }
+ */
+function getCache() {
+    if (cacheCopy) return cacheCopy;
+    try {
+        const data = localStorage.getItem(SIMILARITY_CACHE_KEY);
+        cacheCopy = data ? JSON.parse(data) : {};
+        return cacheCopy;
+    } catch (e) {
+        console.error('Error reading skill similarity cache:', e);
+        return {};
+    }
+}
+
+/**
+ * Saves the cached similarities to localStorage, keeping the most recent ones.
+ * The offers of the current results are never dropped, even above the limit:
+ * dropping them would make the next render compare them again, endlessly.
+ * @param {Object} cache - Object mapping cache keys to similarities
+ * @param {Set<string>} [keep] - Cache keys to keep whatever their age
+ */
+function saveCache(cache, keep = new Set()) {
+    try {
+        const entries = Object.entries(cache);
+        const others = entries.filter(([key]) => !keep.has(key));
+        const room = Math.max(0, MAX_CACHE_ENTRIES - (entries.length - others.length));
+        const kept = entries.length > MAX_CACHE_ENTRIES
+            ? Object.fromEntries([
+                ...entries.filter(([key]) => keep.has(key)),
+                ...others.sort(([, a], [, b]) => b.at - a.at).slice(0, room)
+            ])
+            : cache;
+        cacheCopy = kept;
+        localStorage.setItem(SIMILARITY_CACHE_KEY, JSON.stringify(kept));
+    } catch (e) {
+        console.error('Error saving skill similarity cache:', e);
+    }
+}
+
+/**
+ * Gets the cached similarities between the skills of the profile and an offer.
+ * @param {Object} profile - The candidate profile
+ * @param {Object} job - The job record
+ * @returns {Object|null} Object mapping skill names to their best similarity with a sentence
+ *   of the offer (0-1), or null when disabled or not computed yet
+ */
+export function getCachedSkillSimilarities(profile, job) {
+    const { enabled, model } = getEmbeddingSettings();
+    if (!enabled || !profile?.skills?.length) return null;
+    const key = getCacheKey(model, job);
+    return key ? getCache()[key]?.skills || null : null;
+}
+
+/**
+ * Computes the similarities of the offers not compared yet with every skill of the profile.
+ * Does nothing when embeddings are disabled.
+ * @param {Object} profile - The candidate profile
+ * @param {Object[]} jobs - Job records
+ * @param {number} [minSimilarity=0] - Similarity from which a skill counts in the score
+ * @returns {Promise<number>} Number of offers compared with a skill at least that similar
+ *   (the score of the others does not change)
+ */
+export async function computeSkillSimilarities(profile, jobs, minSimilarity = 0) {
+    const { enabled, model } = getEmbeddingSettings();
+    const names = (profile?.skills || []).map(skill => skill.name).filter(Boolean);
+    if (!enabled || !names.length) return 0;
+
+    const cache = getCache();
+    const needed = new Set(jobs.map(job => getCacheKey(model, job)).filter(Boolean));
+    const todo = jobs.filter(job => {
+        const key = getCacheKey(model, job);
+        const cached = key && cache[key]?.skills;
+        return key && !pending.has(key) && (!cached || names.some(name => !(name in cached)));
+    });
+    if (!todo.length) return 0;
+
+    const keys = todo.map(job => getCacheKey(model, job));
+    keys.forEach(key => pending.add(key));
+    try {
+        const missing = names.filter(name => !skillVectors.has(`${model}|${name}`));
+        if (missing.length) {
+            (await embed(missing)).forEach((vector, i) => skillVectors.set(`${model}|${missing[i]}`, vector));
+        }
+
+        const results = [];
+        // One offer at a time: the model runs on the main thread
+        for (const job of todo) {
+            const sentences = getOfferSentences(job);
+            const sentenceVectors = sentences.length ? await embed(sentences) : [];
+            const skills = {};
+            names.forEach(name => {
+                const vector = skillVectors.get(`${model}|${name}`);
+                const best = Math.max(0, ...sentenceVectors.map(sentence => dot(vector, sentence)));
+                skills[name] = Math.round(best * 100) / 100;
+            });
+            results.push(skills);
+        }
+
+        const updated = getCache();
+        const now = Date.now();
+        keys.forEach((key, i) => { updated[key] = { skills: results[i], at: now }; });
+        saveCache(updated, needed);
+        return results.filter(skills => Object.values(skills).some(similarity => similarity >= minSimilarity)).length;
+    } finally {
+        keys.forEach(key => pending.delete(key));
+    }
+}
+
+/**
+ * Clears the cached similarities (e.g. after changing the model).
+ */
+export function clearSkillSimilarityCache() {
+    cacheCopy = null;
+    localStorage.removeItem(SIMILARITY_CACHE_KEY);
+}
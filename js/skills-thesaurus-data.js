@@ -0,0 +1,154 @@
+/**
+ * Skills Thesaurus Data
+ * Skills of the local score with their variants: aliases, acronyms and French, Dutch and
+ * English names, and the broader skills they belong to.
+ * One skill per line: "name|variant/variant/...|parent,parent" (parents by name).
+ * Variants are matched as whole terms, so ambiguous short words ("vue", "go", "access")
+ * are only listed in an unambiguous form.
+ */
+
+export const SKILLS = `
+Programmation|développement logiciel/developpement informatique/software development/programming/softwareontwikkeling/programmeren|
+JavaScript|js/ecmascript/es6|Développement web,Programmation
+TypeScript|ts|JavaScript
+Node.js|nodejs/node js|JavaScript,Back-end
+React|react.js/reactjs/react native|JavaScript,Front-end
+Angular|angularjs/angular.js|JavaScript,Front-end
+Vue.js|vuejs/vue 3/nuxt/nuxt.js|JavaScript,Front-end
+jQuery|jquery|JavaScript,Front-end
+HTML|html5/xhtml|Front-end
+CSS|css3/sass/scss/less/tailwind/bootstrap|Front-end
+Front-end|frontend/front end/développeur front/front-end developer|Développement web
+Back-end|backend/back end/développeur back/back-end developer|Développement web
+Full stack|fullstack/full-stack|Front-end,Back-end
+Développement web|developpement web/web development/webontwikkeling/développeur web/web developer/webdeveloper|Programmation
+PHP|php8/php 8|Back-end,Programmation
+Symfony|symfony|PHP
+Laravel|laravel|PHP
+WordPress|wordpress|Développement web
+Drupal|drupal|PHP,Développement web
+Java|java ee/j2ee/jakarta ee/jdk|Programmation,Back-end
+Spring|spring boot/springboot|Java
+Kotlin|kotlin|Programmation,Android
+Python|python3/python 3|Programmation
+Django|django|Python,Back-end
+Flask|flask|Python,Back-end
+C#|csharp/c sharp|.NET,Programmation
+.NET|dotnet/dot net/asp.net/.net core|Programmation,Back-end
+C++|cpp|Programmation
+Langage C|ansi c/programmation c/c programming/c embarqué/embedded c|Programmation
+Langage R|programmation r/r programming/rstudio/r studio/r shiny|Data science,Programmation
+Golang|go lang/go language|Programmation
+Rust|rust lang|Programmation
+Ruby|ruby on rails/rails/ror|Programmation,Back-end
+Swift|swiftui|iOS,Programmation
+iOS|ios|Développement mobile
+Android|android|Développement mobile
+Flutter|dart|Développement mobile
+Développement mobile|developpement mobile/mobile development/mobiele ontwikkeling/applications mobiles/mobile apps|Programmation
+VBA|visual basic/macros excel/vb.net|Programmation,Excel
+SQL|langage sql/requêtes sql/sql queries|Bases de données
+MySQL|mysql/mariadb|SQL
+PostgreSQL|postgres/postgresql/psql|SQL
+Oracle|oracle database/oracle db/pl sql/plsql|SQL
+SQL Server|mssql/ms sql/microsoft sql server/t-sql/tsql|SQL
+MongoDB|mongo|NoSQL
+NoSQL|nosql/redis/cassandra/couchdb|Bases de données
+Bases de données|base de données/bases de donnees/databases/database/databank/databanken|
+API REST|restful/api rest/rest api/webservices/web services|Back-end
+GraphQL|graphql|Back-end
+Git|github/gitlab/bitbucket/versioning/gestion de versions/version control|DevOps
+Docker|docker/conteneurs/containers|DevOps
+Kubernetes|k8s/openshift|DevOps,Docker
+CI/CD|ci cd/intégration continue/continuous integration/jenkins/gitlab ci/github actions|DevOps
+DevOps|devops/dev ops|
+Linux|linux/unix/ubuntu/debian/red hat/redhat|Administration système
+Windows Server|active directory/gpo|Administration système
+Administration système|administrateur système/system administration/sysadmin/systeembeheer/systeembeheerder|
+Réseaux|réseau informatique/networking/netwerk/netwerkbeheer/cisco/tcp ip/lan/wan/vpn|Administration système
+Cloud|cloud computing/informatique en nuage|
+AWS|amazon web services|Cloud
+Azure|microsoft azure|Cloud
+Google Cloud|gcp|Cloud
+Cybersécurité|cybersecurite/sécurité informatique/securite informatique/cybersecurity/it security/informatiebeveiliging/sécurité des systèmes d'information|
+Support informatique|helpdesk/help desk/service desk/support it/it support/technicien informatique/support technique/technical support/informaticien/it-support|
+Tests logiciels|testing/test logiciel/qa/quality assurance/assurance qualité logicielle/testautomatisering/selenium/cypress/tests unitaires/unit testing/tester|Programmation
+Agile|scrum/kanban/méthodes agiles/methodes agiles/agile methodology/sprint|Gestion de projet
+Gestion de projet|gestion de projets/chef de projet/project management/project manager/projectmanagement/projectleider/projectbeheer/pilotage de projet/pmp/prince2|
+UX design|ux/expérience utilisateur/experience utilisateur/user experience/ui ux/ux ui|Design
+UI design|ui/interface utilisateur/user interface|Design
+Figma|figma/sketch/adobe xd|UX design
+Design|design graphique/graphic design/grafisch ontwerp/graphiste/graphic designer/vormgeving|
+Photoshop|adobe photoshop|Suite Adobe
+Illustrator|adobe illustrator|Suite Adobe
+InDesign|adobe indesign|Suite Adobe
+Suite Adobe|adobe creative suite/creative cloud/adobe cc|Design
+Data analyse|analyse de données/analyse de donnees/data analysis/data analyst/data-analyse/gegevensanalyse/analyste de données|Data
+Data science|data scientist/science des données/datawetenschap|Data
+Machine learning|apprentissage automatique/ml/deep learning/apprentissage profond/intelligence artificielle/artificial intelligence/kunstmatige intelligentie|Data science
+Business Intelligence|bi/informatique décisionnelle/decisionnel/décisionnel/power bi/powerbi/tableau software/qlik/qlikview|Data
+Data|données/donnees/gegevens|
+ETL|etl/talend/informatica/ssis|Data,SQL
+Excel|ms excel/microsoft excel/tableur/spreadsheet/rekenblad|Bureautique
+Word|ms word/microsoft word/traitement de texte/tekstverwerking|Bureautique
+PowerPoint|ms powerpoint/microsoft powerpoint/powerpoint|Bureautique
+Outlook|ms outlook/microsoft outlook|Bureautique
+Microsoft Office|ms office/office 365/microsoft 365/m365/suite office|Bureautique
+Bureautique|outils bureautiques/logiciels bureautiques/office tools/kantoorsoftware/kantoortoepassingen|
+SAP|sap erp/sap s 4hana/s 4hana|ERP
+ERP|progiciel de gestion intégré/odoo/navision/dynamics 365/microsoft dynamics|
+CRM|salesforce/gestion de la relation client/customer relationship management/klantenbeheer|
+Comptabilité|comptable/accounting/accountant/boekhouding/boekhouder/tenue de comptabilité/bookkeeping|Finance
+Contrôle de gestion|controle de gestion/contrôleur de gestion/controller/management control/controlling|Finance
+Fiscalité|fiscalite/tva/taxation/tax/fiscaliteit/btw|Finance
+Finance|finances/financier/financial/financiën/financieel|
+Paie|payroll/gestion de la paie/loonadministratie/secrétariat social|Ressources humaines
+Recrutement|recruitment/recruiting/recruteur/recruiter/werving/talent acquisition|Ressources humaines
+Ressources humaines|rh/hr/grh/gestion des ressources humaines/human resources/personeelszaken/human resources management|
+Marketing digital|marketing numérique/marketing numerique/digital marketing/webmarketing/online marketing/seo/sea/google ads/référencement/referencement|Marketing
+Réseaux sociaux|reseaux sociaux/social media/sociale media/community management/community manager|Marketing
+Marketing|mercatique/marketeer|
+Communication|communication externe/communication interne/relations publiques/public relations/communicatie|
+Vente|commercial/commerciale/sales/verkoop/vendeur/vendeuse/verkoper/account manager/business developer|
+Service client|service à la clientèle/service clientèle/customer service/klantendienst/customer support/relation client|
+Logistique|logistics/logistiek/supply chain/chaîne logistique/gestion des stocks/stock management/voorraadbeheer|
+Magasinier|magasinière/warehouse/entrepôt/entrepot/magazijnier/magazijn/préparateur de commandes/orderpicker/order picker|Logistique
+Cariste|chariot élévateur/chariot elevateur/forklift/heftruck/heftruckchauffeur|Logistique
+Permis B|permis de conduire b/driving licence b/driving license/rijbewijs b/permis voiture|
+Permis C|permis poids lourd/permis c1/rijbewijs c/truck licence|Permis B
+Chauffeur|driver/chauffeur poids lourd/truck driver/vrachtwagenchauffeur/conducteur/livreur|
+Électricité|electricite/électricien/electricien/electrician/elektricien/elektriciteit/électricité industrielle|
+Mécanique|mecanique/mécanicien/mecanicien/mechanic/mechanics/monteur/mechanica|
+Maintenance|maintenance industrielle/technicien de maintenance/onderhoud/onderhoudstechnicus/maintenance technician|
+Soudure|soudeur/soudage/welding/welder/lasser/lassen|
+HVAC|chauffage/climatisation/ventilation/hvac/chauffagiste/hvac technician/verwarming|
+Plomberie|plombier/plumber/plumbing/loodgieter/sanitaire|
+Construction|bâtiment/batiment/chantier/bouw/construction site|
+Menuiserie|menuisier/joiner/carpenter/schrijnwerker/timmerman/charpentier|Construction
+Maçonnerie|maconnerie/maçon/macon/bricklayer/metselaar|Construction
+AutoCAD|autocad/dao/cad/dessin assisté par ordinateur|Dessin technique
+Dessin technique|dessinateur/draughtsman/technisch tekenen/technisch tekenaar/plans techniques|
+Soins infirmiers|infirmier/infirmière/infirmiere/nurse/nursing/verpleegkundige/verpleging/soins de santé|Santé
+Aide-soignant|aide soignant/aide-soignante/care assistant/zorgkundige/nursing assistant|Santé
+Santé|sante/healthcare/health care/gezondheidszorg/médical/medical/medisch|
+Pédagogie|pedagogie/enseignement/enseignant/teaching/teacher/onderwijs/leerkracht/formateur/trainer|
+Petite enfance|puéricultrice/puericultrice/puériculture/accueillante/crèche/creche/childcare/kinderopvang|
+Horeca|hôtellerie/hotellerie/restauration/hospitality/catering|
+Cuisine|cuisinier/cuisinière/commis de cuisine/chef de cuisine/chef coq/cook/kok/keuken|Horeca
+Service en salle|serveur/serveuse/waiter/waitress/kelner/garçon de salle/barman/barmaid|Horeca
+Nettoyage|technicien de surface/entretien des locaux/cleaning/cleaner/schoonmaak/poetsen/nettoyeur|
+Secrétariat|secretariat/secrétaire/secretaire/assistant administratif/assistante administrative/administrative assistant/office manager/administratief medewerker/secretariaat|Administration
+Administration|administratif/administrative/gestion administrative/administratie/administratief|
+Accueil|réceptionniste/receptionniste/receptionist/onthaal/hôte d'accueil/hôtesse d'accueil/front desk|
+Achats|acheteur/acheteuse/purchasing/procurement/buyer/aankoop/aankoper|
+Juridique|juriste/legal/jurist/lawyer/avocat/advocaat/juridisch|
+Qualité|qualite/quality/kwaliteit/iso 9001/contrôle qualité/controle qualite/quality control/qhse|
+Sécurité au travail|securite au travail/vca/prévention/prevention/health and safety/veiligheid/conseiller en prévention|
+Gestion d'équipe|gestion d'équipe/gestion d equipe/management d'équipe/team management/team leader/teamleider/chef d'équipe/encadrement/people management/leidinggeven/leadership|
+Travail en équipe|esprit d'équipe/esprit d equipe/teamwork/team player/teamspeler/samenwerken/collaboration|
+Communication orale|aisance relationnelle/communication skills/communicatieve vaardigheden/sens de la communication|Communication
+Autonomie|autonome/independent/zelfstandig/self-starter|
+Rigueur|rigoureux/rigoureuse/précision/precision/attention to detail/nauwkeurig/nauwkeurigheid/minutieux|
+Organisation|sens de l'organisation/organisé/organisee/organizational skills/organisatietalent|
+Résolution de problèmes|resolution de problemes/problem solving/probleemoplossend/esprit d'analyse/analytical skills/analytisch/esprit analytique|
+`;
@@ -0,0 +1,192 @@
+/**
+ * Skills Thesaurus Module
+ * Finds the skills of the profile in the offers through their variants (skills-thesaurus-data.js):
+ * "JS" for JavaScript, "boekhouder" for Comptabilité, and the broader or narrower skills
+ * ("JavaScript" asked, React known). Terms are matched whole, so "Java" is not found in
+ * "JavaScript", and negated mentions ("pas de Java", "no Java required") are skipped.
+ */
+import { SKILLS } from './skills-thesaurus-data.js';
+
+/** Share of a skill counted when the offer asks for a broader one (React known, JavaScript asked) */
+const BROADER_WEIGHT = 0.7;
+
+/** Share of a skill counted when the offer asks for a narrower one (JavaScript known, React asked) */
+const NARROWER_WEIGHT = 0.5;
+
+/** Words that negate a skill mentioned right after them ("sans Java", "no Java", "geen Java") */
+const PRECEDING_NEGATIONS = new Set(['sans', 'aucun', 'aucune', 'no', 'without', 'geen', 'zonder']);
+
+/** Articles that negate a skill after "pas" ("pas de Java", "pas d'Excel") */
+const NEGATED_ARTICLES = new Set(['de', 'd', 'du', 'des']);
+
+/** Words that, followed by a requirement right after a skill, say it is not needed ("Java n'est pas requis") */
+const NEGATIONS = new Set(['pas', 'ni', 'no', 'not', 'niet']);
+const REQUIREMENTS = new Set(['requis', 'requise', 'necessaire', 'obligatoire', 'exige', 'exigee', 'required', 'needed', 'necessary', 'vereist', 'nodig', 'noodzakelijk']);
+
+/** Words allowed between a skill and the negation of its requirement ("Java n'est pas requis", "Java is not required") */
+const LINKING_WORDS = new Set(['n', 'ne', 'est', 'sont', 'sera', 'is', 'are', 'was', 'be', 'wordt', 'zijn']);
+
+/** Number of words looked at after the negation for the requirement ("pas strictement requis") */
+const NEGATION_WINDOW = 3;
+
+/** Skill names of one letter are too ambiguous to be matched as such ("C'est", "R&D") */
+const MIN_TERM_LENGTH = 2;
+
+/** One-letter skill names resolved to their thesaurus skill, matched by its unambiguous variants */
+const SHORT_NAMES = { c: 'langage c', r: 'langage r' };
+
+/** Parsed thesaurus: skills, and lookup by normalized term */
+let skills = null;
+let byTerm = null;
+
+/** Compiled whole-term patterns, by term */
+const patterns = new Map();
+
+/**
+ * Normalizes a text for term matching: lowercase, no accents, and only the characters
+ * that make up skill names (letters, digits, "+", "#" and "." for "C++", "C#", ".NET", "Node.js").
+ * @param {string} text - Skill name or offer text
+ * @returns {string} Normalized text ("Développeur Node.JS !" → "developpeur node.js")
+ */
+export function normalizeSkillText(text) {
+    return (text || '')
+        .replace(/œ/g, 'oe').replace(/Œ/g, 'Oe')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9+#.]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Parses the bundled thesaurus on first use, and links each skill to its parents and children.
+ */
+function loadThesaurus() {
+    if (skills) return;
+
+    skills = SKILLS.trim().split('\n').map(line => {
+        const [name, variants, parents] = line.split('|');
+        return {
+            name,
+            terms: [...new Set([name, ...(variants ? variants.split('/') : [])].map(normalizeSkillText))],
+            parentNames: parents ? parents.split(',') : [],
+            parents: [],
+            children: []
+        };
+    });
+
+    const byName = new Map(skills.map(skill => [skill.name, skill]));
+    skills.forEach(skill => {
+        skill.parents = skill.parentNames.map(name => byName.get(name)).filter(Boolean);
+        skill.parents.forEach(parent => parent.children.push(skill));
+    });
+
+    byTerm = new Map();
+    skills.forEach(skill => skill.terms.forEach(term => { if (!byTerm.has(term)) byTerm.set(term, skill); }));
+}
+
+/**
+ * Gets the thesaurus skill of a profile skill name or variant.
+ * @param {string} name - Skill name ("JS", "Comptable")
+ * @returns {Object|null} Thesaurus skill, or null if unknown
+ */
+function getSkill(name) {
+    loadThesaurus();
+    const term = normalizeSkillText(name);
+    return byTerm.get(SHORT_NAMES[term] || term) || null;
+}
+
+/**
+ * Tells whether a skill is in the thesaurus: its variants are then all known,
+ * and matching by sub-words or Levenshtein is not needed.
+ * @param {string} name - Skill name
+ * @returns {boolean} True if the thesaurus knows the skill
+ */
+export function isKnownSkill(name) {
+    return getSkill(name) !== null;
+}
+
+/**
+ * Tells whether a mention of a term is negated: a negation right before it ("sans Java",
+ * "pas de Java"), or a negated requirement about it just after ("Java n'est pas requis").
+ * A negation further away is about something else ("n'hésitez pas à utiliser Java",
+ * "Java requis, sans expérience préalable ok").
+ * @param {string} text - Normalized text
+ * @param {number} start - Start of the mention
+ * @param {number} end - End of the mention
+ * @returns {boolean} True if the mention is negated
+ */
+function isNegated(text, start, end) {
+    const words = (part) => part.replace(/\.(\s|$)/g, ' ').split(' ').filter(Boolean);
+    const before = words(text.slice(Math.max(0, start - 60), start).split(/\.\s/).pop());
+    const last = before[before.length - 1];
+    const previous = before[before.length - 2];
+    if (PRECEDING_NEGATIONS.has(last) || (previous === 'pas' && NEGATED_ARTICLES.has(last))) return true;
+
+    // Only linking words may come between the term and the negation, then the requirement
+    const after = words(text.slice(end, end + 80).split(/\.\s/)[0]);
+    const negation = after.findIndex(word => !LINKING_WORDS.has(word));
+    return NEGATIONS.has(after[negation]) &&
+        after.slice(negation + 1, negation + 1 + NEGATION_WINDOW).some(word => REQUIREMENTS.has(word));
+}
+
+/**
+ * Tells whether a term is mentioned in a text, as a whole term and not negated.
+ * @param {string} term - Normalized term
+ * @param {string} text - Normalized text
+ * @returns {boolean} True if the term is mentioned
+ */
+function mentions(term, text) {
+    if (!text.includes(term)) return false;
+    if (!patterns.has(term)) {
+        const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        patterns.set(term, new RegExp(`(?<![a-z0-9+#])${escaped}(?![a-z0-9+#])`, 'g'));
+    }
+    const pattern = patterns.get(term);
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        if (!isNegated(text, match.index, match.index + term.length)) return true;
+    }
+    return false;
+}
+
+/**
+ * Finds a skill of the profile in an offer: by one of its variants, else by a broader
+ * or a narrower skill. Unknown skills are looked for by their name only.
+ * @param {string} name - Skill name of the profile
+ * @param {string} text - Offer text, normalized with normalizeSkillText
+ * @returns {Object|null} { term, skill, relation: 'same'|'broader'|'narrower', weight }, or null if not found
+ */
+export function findSkill(name, text) {
+    if (!name || !text) return null;
+    const skill = getSkill(name);
+
+    if (!skill) {
+        const term = normalizeSkillText(name);
+        return term.length >= MIN_TERM_LENGTH && mentions(term, text) ? { term, skill: name, relation: 'same', weight: 1 } : null;
+    }
+
+    const find = (candidates, relation, weight) => {
+        for (const candidate of candidates) {
+            const term = candidate.terms.find(t => mentions(t, text));
+            if (term) return { term, skill: candidate.name, relation, weight };
+        }
+        return null;
+    };
+    return find([skill], 'same', 1)
+        || find(skill.parents, 'broader', BROADER_WEIGHT)
+        || find(skill.children, 'narrower', NARROWER_WEIGHT);
+}
+
+/**
+ * Describes a thesaurus match for the score details: "JavaScript = js",
+ * "React ⊂ JavaScript" (broader skill asked), "JavaScript ⊃ React" (narrower skill asked).
+ * @param {string} name - Skill name of the profile
+ * @param {Object} match - Match from findSkill
+ * @returns {string} Label
+ */
+export function describeSkillMatch(name, match) {
+    if (match.relation === 'broader') return `${name} ⊂ ${match.skill}`;
+    if (match.relation === 'narrower') return `${name} ⊃ ${match.skill}`;
+    return `${name} = ${match.term}`;
+}
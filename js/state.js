@@ -13,11 +13,13 @@
  * @property {number} userLocation.lat - Latitude
  * @property {number} userLocation.lon - Longitude
  * @property {string} userLocation.name - Location name (e.g., "GPS" or city name)
+ * @property {number} currentPage - Page (1-based) the currently loaded results start at
  */
 export const state = {
     currentRawData: null,
     currentFullUrl: "",
-    userLocation: null
+    userLocation: null,
+    currentPage: 1
 };
 
 /**
@@ -28,6 +30,44 @@ export function setRawData(data) {
     state.currentRawData = data;
 }
 
+/**
+ * Appends a page of API results to the raw data already in the application state.
+ * Records already loaded (same numerooffreforem) are skipped.
+ * @param {Object} data - The raw API response data for the next page
+ * @returns {Object} The merged raw data
+ */
+export function appendRawData(data) {
+    if (!state.currentRawData) {
+        state.currentRawData = data;
+        return data;
+    }
+
+    const knownIds = new Set(state.currentRawData.results.map(job => job.numerooffreforem));
+    const newResults = (data.results || []).filter(job => !knownIds.has(job.numerooffreforem));
+    state.currentRawData = {
+        ...state.currentRawData,
+        total_count: data.total_count ?? state.currentRawData.total_count,
+        results: [...state.currentRawData.results, ...newResults]
+    };
+    return state.currentRawData;
+}
+
+/**
+ * Sets the page (1-based) the currently loaded results start at.
+ * @param {number} page - The page number
+ */
+export function setCurrentPage(page) {
+    state.currentPage = Math.max(1, parseInt(page) || 1);
+}
+
+/**
+ * Gets the page (1-based) the currently loaded results start at.
+ * @returns {number} The page number
+ */
+export function getCurrentPage() {
+    return state.currentPage;
+}
+
 /**
  * Sets the current search query URL in the application state.
  * @param {string} url - The complete URL including query parameters
@@ -6,6 +6,17 @@
 const TAGS_STORAGE_KEY = 'forem_custom_tags';
 const JOB_TAGS_STORAGE_KEY = 'forem_job_tags';
 
+/** Badge classes (background, text and border) of each tag color */
+export const TAG_COLORS = {
+    red: 'bg-red-100 text-red-700 border-red-200',
+    blue: 'bg-blue-100 text-blue-700 border-blue-200',
+    green: 'bg-green-100 text-green-700 border-green-200',
+    purple: 'bg-purple-100 text-purple-700 border-purple-200',
+    orange: 'bg-orange-100 text-orange-700 border-orange-200',
+    pink: 'bg-pink-100 text-pink-700 border-pink-200',
+    yellow: 'bg-yellow-100 text-yellow-700 border-yellow-200'
+};
+
 /**
  * Gets all defined custom tags.
  * @returns {Array<Object>} Array of tag objects {id, name, color, createdAt}
@@ -196,6 +207,39 @@ export function getJobTags(jobId) {
         .filter(t => t !== undefined);
 }
 
+/**
+ * Gets the IDs of the tags assigned to a job (see setJobTagIds).
+ * @param {string} jobId - The job ID
+ * @returns {Array<string>} Array of tag IDs
+ */
+export function getJobTagIds(jobId) {
+    return [...(getJobTagsMapping()[jobId] || [])];
+}
+
+/**
+ * Replaces the tags assigned to a job.
+ * @param {string} jobId - The job ID
+ * @param {Array<string>} tagIds - Array of tag IDs (empty removes all tags)
+ */
+export function setJobTagIds(jobId, tagIds) {
+    const mapping = getJobTagsMapping();
+    if (tagIds.length) {
+        mapping[jobId] = [...tagIds];
+    } else {
+        delete mapping[jobId];
+    }
+    saveJobTagsMapping(mapping);
+}
+
+/**
+ * Replaces the whole list of tags, e.g. to bring back a deleted tag.
+ * Job assignments are left untouched (see setJobTagIds).
+ * @param {Array<Object>} tags - Array of tag objects
+ */
+export function restoreTags(tags) {
+    saveTags(tags);
+}
+
 /**
  * Gets all jobs with a specific tag.
  * @param {string} tagId - The tag ID
@@ -0,0 +1,376 @@
+/**
+ * Triage Module
+ * Keyboard-driven triage of the search results: one offer at a time, with its full description,
+ * and single keys to bookmark, mark applied, ignore, tag, open the original offer or skip.
+ * Actions go through the central action log, so they can be undone from the triage or afterwards.
+ */
+import { initIcons, showToast } from './utils.js';
+import { state } from './state.js';
+import { fetchJobDetails } from './job-modal.js';
+import { renderResults } from './renderer.js';
+import { getJobState, toggleBookmark, toggleApplied, toggleIgnored, getStageIcon, STAGE_COLORS } from './bookmarks.js';
+import { listTags, getJobTags, addTagToJob } from './tags.js';
+import { saveJobSnapshot } from './job-snapshots.js';
+import { trackAction, undoActionById, getActionHistory } from './action-log.js';
+
+/** Fields never shown in the description (already in the header, or technical) */
+const SKIP_FIELDS = ['_id', '_timestamp', '_size', 'titreoffre', 'nomemployeur', 'typecontrat',
+                     'regimetravail', 'url', 'metier', 'datedebutdiffusion', 'datecloture',
+                     'numerooffreforem', 'referenceexterne', 'source'];
+
+/** Minimum length of a text field to be shown as part of the description */
+const DESCRIPTION_MIN_LENGTH = 100;
+
+/** Action log labels of the flags set from the triage */
+const FLAG_LABELS = {
+    bookmarked: 'Ajout aux favoris',
+    applied: 'Marquée comme postulée',
+    ignored: 'Offre ignorée'
+};
+
+/**
+ * Key bindings. Tags are applied with the digit keys 1-9 (see handleKeydown).
+ * Each action: { keys, label, run }
+ */
+const ACTIONS = {
+    bookmark: { keys: ['f', 'b'], label: 'Favoris', run: () => applyToggle('bookmarked', toggleBookmark) },
+    applied: { keys: ['p', 'a'], label: 'Postulé', run: () => applyToggle('applied', toggleApplied) },
+    ignore: { keys: ['i', 'x'], label: 'Ignorer', run: () => applyToggle('ignored', toggleIgnored) },
+    open: { keys: ['o'], label: 'Ouvrir l\'offre', run: () => openOriginal() },
+    skip: { keys: [' ', 'arrowright', 's'], label: 'Passer', run: () => skip() },
+    previous: { keys: ['arrowleft'], label: 'Précédente', run: () => goTo(currentIndex - 1) },
+    undo: { keys: ['u', 'backspace'], label: 'Annuler', run: () => undo() },
+    close: { keys: ['escape'], label: 'Quitter', run: () => closeTriage() }
+};
+
+/** Index of the displayed offer in state.currentRawData.results */
+let currentIndex = 0;
+
+/** Full record of the displayed offer (null until loaded) */
+let currentDetails = null;
+
+/** Actions done during this triage session, to go back to their offer on undo: { index, flag, actionId } */
+let undoStack = [];
+
+/** Counters shown at the end of the session */
+let sessionStats = { bookmarked: 0, applied: 0, ignored: 0, tagged: 0, skipped: 0 };
+
+/**
+ * Gets the offers being triaged.
+ * @returns {Object[]} Job records
+ */
+function getQueue() {
+    return state.currentRawData?.results || [];
+}
+
+/**
+ * Opens the triage mode on the first offer not triaged yet (still in the initial stage).
+ */
+export function openTriage() {
+    const queue = getQueue();
+    if (queue.length === 0) {
+        showToast('Lancez d\'abord une recherche', 'warning');
+        return;
+    }
+
+    const firstNew = queue.findIndex(job => getJobState(job.numerooffreforem).stageInfo.kind === 'new');
+    undoStack = [];
+    sessionStats = { bookmarked: 0, applied: 0, ignored: 0, tagged: 0, skipped: 0 };
+
+    document.getElementById('triageModal').classList.remove('hidden');
+    document.body.style.overflow = 'hidden';
+    // Capture phase: runs before the page shortcuts, which skip events handled here
+    document.addEventListener('keydown', handleKeydown, true);
+
+    renderKeyLegend();
+    goTo(firstNew === -1 ? 0 : firstNew);
+}
+
+/**
+ * Closes the triage mode and refreshes the result cards.
+ */
+export function closeTriage() {
+    document.getElementById('triageModal').classList.add('hidden');
+    document.body.style.overflow = '';
+    document.removeEventListener('keydown', handleKeydown, true);
+
+    if (state.currentRawData) renderResults(state.currentRawData);
+}
+
+/**
+ * Handles the triage keys.
+ * @param {KeyboardEvent} e - The keyboard event
+ */
+function handleKeydown(e) {
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement?.tagName)) return;
+    if (e.altKey || e.metaKey) return;
+
+    const key = e.key.toLowerCase();
+
+    // Ctrl+Z undoes as well
+    if (e.ctrlKey) {
+        if (key === 'z') {
+            e.preventDefault();
+            undo();
+        }
+        return;
+    }
+
+    if (/^[1-9]$/.test(key)) {
+        e.preventDefault();
+        applyTriageTag(parseInt(key) - 1);
+        return;
+    }
+
+    const action = Object.values(ACTIONS).find(a => a.keys.includes(key));
+    if (action) {
+        e.preventDefault();
+        action.run();
+    }
+}
+
+/**
+ * Runs a triage action from a button of the legend.
+ * @param {string} actionId - Key of ACTIONS
+ */
+export function runTriageAction(actionId) {
+    ACTIONS[actionId]?.run();
+}
+
+/**
+ * Displays the offer at a given index, or the end screen past the last offer.
+ * @param {number} index - Index in the results
+ */
+function goTo(index) {
+    const queue = getQueue();
+    if (index < 0) return;
+    currentIndex = Math.min(index, queue.length);
+
+    if (currentIndex >= queue.length) {
+        renderSummary();
+        return;
+    }
+
+    const job = queue[currentIndex];
+    currentDetails = null;
+    renderOffer(job);
+
+    fetchJobDetails(job.numerooffreforem)
+        .then(({ data }) => {
+            // Ignore late responses for an offer no longer displayed
+            if (getQueue()[currentIndex]?.numerooffreforem !== data.numerooffreforem) return;
+            currentDetails = data;
+            renderOffer(data);
+        })
+        .catch(() => {
+            if (getQueue()[currentIndex] === job) renderOffer(job, true);
+        });
+
+    // Warm the cache for the next offer
+    const next = queue[currentIndex + 1];
+    if (next) fetchJobDetails(next.numerooffreforem).catch(() => {});
+}
+
+/**
+ * Renders an offer: header, current stage and tags, description.
+ * @param {Object} job - The job record (search result or full record)
+ * @param {boolean} [loadFailed=false] - True when the full record could not be loaded
+ */
+function renderOffer(job, loadFailed = false) {
+    const queue = getQueue();
+    const jobId = job.numerooffreforem;
+    const jobState = getJobState(jobId);
+    const stage = jobState.stageInfo;
+    const colors = (STAGE_COLORS[stage.color] || STAGE_COLORS.slate).badge;
+
+    document.getElementById('triageProgress').textContent = `${currentIndex + 1} / ${queue.length}`;
+    document.getElementById('triageProgressBar').style.width = `${Math.round((currentIndex / queue.length) * 100)}%`;
+
+    const city = job.lieuxtravaillocalite ? job.lieuxtravaillocalite.join(', ') : 'Belgique';
+    const date = job.datedebutdiffusion ? new Date(job.datedebutdiffusion).toLocaleDateString('fr-BE') : '?';
+    const badges = [job.typecontrat, job.regimetravail, job.niveauxetudes?.[0]]
+        .filter(Boolean)
+        .map(text => `<span class="px-2 py-0.5 bg-slate-100 text-slate-700 rounded border border-slate-200 text-xs">${text}</span>`)
+        .join('');
+    const tagChips = getJobTags(jobId)
+        .map(tag => `<span class="px-2 py-0.5 bg-blue-50 text-blue-700 rounded border border-blue-200 text-xs font-medium">${tag.name}</span>`)
+        .join('');
+
+    const textFields = Object.keys(job)
+        .filter(key => typeof job[key] === 'string' && job[key].length > DESCRIPTION_MIN_LENGTH && !SKIP_FIELDS.includes(key))
+        .map(key => `
+            <div class="mb-4">
+                <div class="text-sm font-semibold text-blue-600 mb-1">${key}</div>
+                <div class="whitespace-pre-wrap text-slate-700">${job[key]}</div>
+            </div>
+        `).join('');
+
+    let description = textFields;
+    if (!description) {
+        description = loadFailed || currentDetails
+            ? '<p class="text-slate-400 italic">Aucune description disponible.</p>'
+            : '<div class="flex items-center gap-2 text-slate-400"><div class="loader loader-sm"></div> Chargement de la description...</div>';
+    }
+
+    document.getElementById('triageContent').innerHTML = `
+        <div class="flex flex-wrap gap-2 mb-2">
+            <span class="px-2 py-0.5 ${colors} rounded border text-xs font-semibold flex items-center gap-1">
+                <i data-lucide="${getStageIcon(stage)}" class="h-3 w-3"></i> ${stage.label}
+            </span>
+            ${badges}${tagChips}
+        </div>
+        <h2 class="text-2xl font-bold text-slate-800">${job.titreoffre || 'Sans titre'}</h2>
+        <div class="text-sm text-slate-600 flex flex-wrap items-center gap-2 mt-1 mb-4">
+            <i data-lucide="building-2" class="h-4 w-4"></i> ${job.nomemployeur || 'Confidentiel'}
+            <span class="text-slate-300">|</span>
+            <i data-lucide="map-pin" class="h-4 w-4"></i> ${city}
+            <span class="text-slate-300">|</span>
+            <i data-lucide="calendar" class="h-4 w-4"></i> ${date}
+        </div>
+        <div class="text-sm leading-relaxed">${description}</div>
+    `;
+    document.getElementById('triageContent').scrollTop = 0;
+    initIcons();
+}
+
+/**
+ * Renders the end screen with the session counters.
+ */
+function renderSummary() {
+    document.getElementById('triageProgress').textContent = `${getQueue().length} / ${getQueue().length}`;
+    document.getElementById('triageProgressBar').style.width = '100%';
+    document.getElementById('triageContent').innerHTML = `
+        <div class="text-center py-12">
+            <i data-lucide="party-popper" class="h-12 w-12 text-emerald-500 mx-auto mb-4"></i>
+            <h2 class="text-2xl font-bold text-slate-800 mb-2">Tri terminé</h2>
+            <p class="text-slate-600">
+                ${sessionStats.bookmarked} en favoris · ${sessionStats.applied} postulée(s) · ${sessionStats.ignored} ignorée(s) · ${sessionStats.tagged} taguée(s) · ${sessionStats.skipped} passée(s)
+            </p>
+            <p class="text-sm text-slate-400 mt-4">Échap pour quitter, ← pour revenir à la dernière offre, U pour annuler.</p>
+        </div>
+    `;
+    initIcons();
+}
+
+/**
+ * Renders the key legend, including the numbered custom tags.
+ */
+function renderKeyLegend() {
+    const kbd = key => `<kbd class="px-1.5 py-0.5 bg-slate-100 border border-slate-300 rounded text-[10px] font-mono text-slate-600">${key}</kbd>`;
+    const button = (actionId, keyLabel) => `
+        <button onclick="window.runTriageAction('${actionId}')" class="flex items-center gap-1.5 px-2 py-1 hover:bg-slate-100 rounded">
+            ${kbd(keyLabel)} <span>${ACTIONS[actionId].label}</span>
+        </button>
+    `;
+
+    const tags = listTags().slice(0, 9);
+    const tagButtons = tags.map((tag, i) => `
+        <button onclick="window.applyTriageTag(${i})" class="flex items-center gap-1.5 px-2 py-1 hover:bg-slate-100 rounded">
+            ${kbd(i + 1)} <span>${tag.name}</span>
+        </button>
+    `).join('');
+
+    document.getElementById('triageLegend').innerHTML = `
+        <div class="flex flex-wrap items-center gap-1 text-xs text-slate-600">
+            ${button('bookmark', 'F')}${button('applied', 'P')}${button('ignore', 'I')}
+            ${button('skip', '→')}${button('previous', '←')}${button('open', 'O')}${button('undo', 'U')}
+        </div>
+        ${tagButtons ? `<div class="flex flex-wrap items-center gap-1 text-xs text-slate-600 mt-1"><span class="text-slate-400 mr-1">Tags :</span>${tagButtons}</div>` : ''}
+    `;
+}
+
+/**
+ * Runs a tracked action and gets the ID of the history entry it recorded.
+ * @param {string} label - Action label
+ * @param {Array<Object>} targets - Data touched (see trackAction)
+ * @param {Function} mutate - The mutation
+ * @returns {string|null} ID of the recorded action, or null if nothing changed
+ */
+function trackTriageAction(label, targets, mutate) {
+    const previousId = getActionHistory()[0]?.id;
+    trackAction(label, targets, mutate);
+    const actionId = getActionHistory()[0]?.id;
+    return actionId && actionId !== previousId ? actionId : null;
+}
+
+/**
+ * Switches a flag on for the displayed offer (bookmark, applied or ignored), then moves to the next offer.
+ * An offer that already has the flag is left as is, and an offer already applied to is not
+ * bookmarked (it would move back to the "saved" stage).
+ * @param {string} flag - 'bookmarked', 'applied' or 'ignored'
+ * @param {Function} toggle - The matching toggle function of bookmarks.js
+ */
+function applyToggle(flag, toggle) {
+    const job = getQueue()[currentIndex];
+    if (!job) return;
+    const jobId = job.numerooffreforem;
+    const jobState = getJobState(jobId);
+
+    if (flag === 'bookmarked' && jobState.applied) {
+        showToast(`Offre déjà à l'étape « ${jobState.stageInfo.label} », laissée telle quelle`, 'warning');
+    } else if (!jobState[flag]) {
+        const actionId = trackTriageAction(FLAG_LABELS[flag], [{ type: 'jobState', key: jobId }], () => toggle(jobId));
+        if (flag !== 'ignored') saveJobSnapshot(currentDetails || job);
+        undoStack.push({ index: currentIndex, flag, actionId });
+        sessionStats[flag]++;
+        window.dispatchEvent(new CustomEvent('jobStateChanged', {
+            detail: { jobId, type: flag === 'bookmarked' ? 'bookmark' : flag, value: true }
+        }));
+    }
+    goTo(currentIndex + 1);
+}
+
+/**
+ * Adds the Nth custom tag to the displayed offer (the offer stays displayed).
+ * @param {number} tagIndex - Index of the tag in listTags()
+ */
+export function applyTriageTag(tagIndex) {
+    const job = getQueue()[currentIndex];
+    const tag = listTags()[tagIndex];
+    if (!job || !tag) return;
+    const jobId = job.numerooffreforem;
+
+    if (getJobTags(jobId).some(t => t.id === tag.id)) return;
+
+    const actionId = trackTriageAction(`Tag « ${tag.name} » ajouté`, [{ type: 'jobTags', key: jobId }], () => addTagToJob(jobId, tag.id));
+    saveJobSnapshot(currentDetails || job);
+    undoStack.push({ index: currentIndex, flag: 'tagged', actionId });
+    sessionStats.tagged++;
+    window.dispatchEvent(new CustomEvent('jobTagsChanged', { detail: { jobId } }));
+    renderOffer(currentDetails || job);
+}
+
+/**
+ * Moves to the next offer without changing the displayed one.
+ */
+function skip() {
+    if (currentIndex >= getQueue().length) return;
+    sessionStats.skipped++;
+    goTo(currentIndex + 1);
+}
+
+/**
+ * Opens the original offer on Le Forem in a new tab.
+ */
+function openOriginal() {
+    const job = currentDetails || getQueue()[currentIndex];
+    if (job?.url) window.open(job.url, '_blank');
+}
+
+/**
+ * Undoes the last triage action (its own entry of the action log, whatever was recorded
+ * or undone since) and goes back to its offer.
+ */
+function undo() {
+    const entry = undoStack.pop();
+    if (!entry) {
+        showToast('Rien à annuler', 'warning');
+        return;
+    }
+
+    if (!entry.actionId || !undoActionById(entry.actionId)) {
+        showToast('Action déjà annulée', 'warning');
+    }
+    sessionStats[entry.flag]--;
+    goTo(entry.index);
+}
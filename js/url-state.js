@@ -3,25 +3,43 @@
  * Synchronizes application state with browser URL for deep linking and navigation.
  * Enables sharing searches and using browser back/forward buttons.
  */
-import { getUserLocation, setUserLocation } from './state.js';
+import { getUserLocation, setUserLocation, getCurrentPage, setCurrentPage } from './state.js';
 import { updateDistanceUI } from './geolocation.js';
+import { DEFAULT_SEARCH_SCOPE } from './query-builder.js';
+import { getResultsView, setResultsView } from './map-view.js';
+import { getOrigin, selectOrigin, getSelectedOriginId, renderOriginSelect } from './origins.js';
 
 /**
  * Updates the browser URL to reflect the current filter state.
  * Encodes all active filters (keywords, category, location, etc.) into URL query parameters.
  * Skips default values to keep URLs clean.
  * Uses replaceState to avoid polluting browser history on every filter change.
+ * @param {boolean} [keepSavedSearch=false] - Keep the saved search marker (same search, e.g. another page)
  */
-export function updateUrlParams() {
+export function updateUrlParams(keepSavedSearch = false) {
     try {
         const p = new URLSearchParams();
-        const ids = ['keywords', 'categoryFilter', 'limitFilter', 'sortFilter', 'dateFilter', 'regimeFilter', 'educationFilter', 'distanceFilter'];
-        const keys = ['q', 'cat', 'limit', 'sort', 'days', 'regime', 'edu', 'dist'];
+        const ids = ['keywords', 'categoryFilter', 'limitFilter', 'sortFilter', 'dateFilter', 'regimeFilter', 'educationFilter', 'distanceFilter', 'zoneFilter'];
+        const keys = ['q', 'cat', 'limit', 'sort', 'days', 'regime', 'edu', 'dist', 'zones'];
         
         ids.forEach((id, i) => {
             const v = document.getElementById(id).value;
             if (v && v !== '50' && v !== 'datedebutdiffusion desc') p.set(keys[i], v);
         });
+        // An empty category means "all sectors": keep it so the default isn't restored
+        if (!p.has('cat')) p.set('cat', '');
+
+        // Keyword search scope (title + metier is the default)
+        const scope = document.getElementById('searchScopeFilter')?.value;
+        if (scope && scope !== DEFAULT_SEARCH_SCOPE) p.set('scope', scope);
+
+        // Saved search marker, dropped as soon as the search itself changes
+        const savedSearchId = new URLSearchParams(window.location.search).get('saved');
+        if (keepSavedSearch && savedSearchId) p.set('saved', savedSearchId);
+
+        // Start page of the loaded results
+        const page = getCurrentPage();
+        if (page > 1) p.set('page', page);
 
         const getVals = (n) => Array.from(document.querySelectorAll(`input[name="${n}"]:checked`)).map(c => c.value).join(',');
         const locs = getVals('loc'); if (locs) p.set('loc', locs);
@@ -35,6 +53,17 @@ export function updateUrlParams() {
         if (bookmarkFilter && bookmarkFilter !== 'all') p.set('bookmarkFilter', bookmarkFilter);
         if (appliedFilter && appliedFilter !== 'all') p.set('appliedFilter', appliedFilter);
         if (ignoredFilter && ignoredFilter !== 'show') p.set('ignoredFilter', ignoredFilter);
+        const stageFilter = document.getElementById('stageFilter')?.value;
+        if (stageFilter && stageFilter !== 'all') p.set('stage', stageFilter);
+        const duplicatesFilter = document.getElementById('duplicatesFilter')?.value;
+        if (duplicatesFilter && duplicatesFilter !== 'group') p.set('duplicates', duplicatesFilter);
+        const salaryFilter = document.getElementById('salaryFilter')?.value;
+        if (salaryFilter) p.set('salary', salaryFilter);
+        const workModeFilter = document.getElementById('workModeFilter')?.value;
+        if (workModeFilter) p.set('workmode', workModeFilter);
+        const commuteFilter = document.getElementById('commuteFilter')?.value;
+        if (commuteFilter) p.set('commute', commuteFilter);
+        if (getResultsView() === 'map') p.set('view', 'map');
         
         const userLocation = getUserLocation();
         if (userLocation) {
@@ -42,6 +71,8 @@ export function updateUrlParams() {
             p.set('lon', userLocation.lon); 
             p.set('city', userLocation.name);
         }
+        const originId = getSelectedOriginId();
+        if (originId) p.set('origin', originId);
         window.history.replaceState({}, '', `${window.location.pathname}?${p.toString()}`);
     } catch (e) {
         console.error("URL update error:", e);
@@ -60,12 +91,17 @@ export function restoreStateFromUrl(handleSearchCallback) {
     const map = {
         'q': 'keywords', 'cat': 'categoryFilter', 'limit': 'limitFilter',
         'sort': 'sortFilter', 'days': 'dateFilter', 'regime': 'regimeFilter', 
-        'edu': 'educationFilter', 'dist': 'distanceFilter'
+        'edu': 'educationFilter', 'dist': 'distanceFilter', 'scope': 'searchScopeFilter',
+        'zones': 'zoneFilter'
     };
     
     for (const [k, id] of Object.entries(map)) {
         if (p.has(k)) document.getElementById(id).value = p.get(k);
     }
+    // Category picker renders from its hidden input
+    document.getElementById('categoryFilter').dispatchEvent(new Event('change'));
+    document.getElementById('zoneFilter').dispatchEvent(new Event('change'));
+    setCurrentPage(p.get('page'));
 
     const restoreChecks = () => {
         const keys = ['loc', 'contract', 'lang'];
@@ -80,16 +116,23 @@ export function restoreStateFromUrl(handleSearchCallback) {
     };
     setTimeout(restoreChecks, 500);
 
-    if (p.has('lat')) {
+    // A named origin is taken from the profile, keeping the detected location to go back to
+    const origin = getOrigin(p.get('origin'));
+    if (origin) {
+        selectOrigin(origin.id);
+    } else if (p.has('lat')) {
         setUserLocation({ 
             lat: parseFloat(p.get('lat')), 
             lon: parseFloat(p.get('lon')), 
             name: p.get('city') 
         });
+    }
+    if (origin || p.has('lat')) {
         document.getElementById('gpsInfo').classList.remove('hidden');
-        document.getElementById('gpsCoords').textContent = `📍 ${p.get('city')}`;
+        document.getElementById('gpsCoords').textContent = `📍 ${getUserLocation().name}`;
         updateDistanceUI();
     }
+    renderOriginSelect();
     
     // Restore status filters
     if (p.has('bookmarkFilter')) {
@@ -104,6 +147,27 @@ export function restoreStateFromUrl(handleSearchCallback) {
         const el = document.getElementById('ignoredFilter');
         if (el) el.value = p.get('ignoredFilter');
     }
+    if (p.has('stage')) {
+        const el = document.getElementById('stageFilter');
+        if (el) el.value = p.get('stage');
+    }
+    if (p.has('duplicates')) {
+        const el = document.getElementById('duplicatesFilter');
+        if (el) el.value = p.get('duplicates');
+    }
+    if (p.has('salary')) {
+        const el = document.getElementById('salaryFilter');
+        if (el) el.value = p.get('salary');
+    }
+    if (p.has('workmode')) {
+        const el = document.getElementById('workModeFilter');
+        if (el) el.value = p.get('workmode');
+    }
+    if (p.has('commute')) {
+        const el = document.getElementById('commuteFilter');
+        if (el) el.value = p.get('commute');
+    }
+    if (p.get('view') === 'map') setResultsView('map');
     
     // When tracked=true, set both filters to 'all' for visual consistency
     if (p.get('tracked') === 'true') {
@@ -45,6 +45,15 @@ export function showToast(msg, type = 'success') {
     const color = colors[type] || colors.success;
     
     document.getElementById('toastMsg').textContent = msg;
+    
+    // Masquer le bouton d'action laissé par un toast d'annulation (alerts.js)
+    const action = document.getElementById('toastAction');
+    if (action) {
+        action.classList.add('hidden');
+        action.textContent = '';
+        action.onclick = null;
+    }
+    
     t.className = `fixed bottom-6 right-6 ${color} text-white px-6 py-4 rounded-xl shadow-2xl transform transition-transform duration-300 z-50 flex items-center gap-4 max-w-sm`;
     t.style.transform = "translateY(0)";
     setTimeout(() => t.style.transform = "translateY(150%)", 4000);
@@ -91,3 +100,23 @@ export function copyToClipboard(text) {
     document.execCommand('copy');
     document.body.removeChild(el);
 }
+
+/**
+ * Downloads rows as a CSV file (semicolon-separated, as expected by spreadsheet software in Belgium).
+ * A BOM is prepended so that accents are read correctly.
+ * @param {string} filename - Name of the downloaded file
+ * @param {string[]} header - Column titles
+ * @param {Array<Array<*>>} rows - Cell values, one array per row
+ */
+export function downloadCsv(filename, header, rows) {
+    const toCell = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[";\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const csv = '\uFEFF' + [header, ...rows].map(row => row.map(toCell).join(';')).join('\n');
+
+    const a = document.createElement('a');
+    a.href = 'data:text/csv;charset=utf-8,' + encodeURIComponent(csv);
+    a.download = filename;
+    a.click();
+}
@@ -0,0 +1,117 @@
+/**
+ * Work Mode Module
+ * Detects whether an offer is remote, hybrid or on-site from the phrasing of its title
+ * and description (French, Dutch and English), as the dataset has no field for it.
+ */
+
+/** Work modes: label, Lucide icon, badge classes and rank used by the sort (most remote first) */
+export const WORK_MODES = {
+    remote: { label: 'Télétravail', icon: 'house', classes: 'bg-teal-50 text-teal-700 border-teal-100', rank: 3 },
+    hybrid: { label: 'Hybride', icon: 'shuffle', classes: 'bg-cyan-50 text-cyan-700 border-cyan-100', rank: 2 },
+    onsite: { label: 'Sur site', icon: 'building', classes: 'bg-stone-50 text-stone-600 border-stone-200', rank: 0 }
+};
+
+/** Rank of the offers that say nothing about it: after hybrid, before on-site */
+const UNKNOWN_RANK = 1;
+
+/**
+ * Phrasings of each mode, checked in this order: a refusal of remote work ("pas de télétravail")
+ * must win over the word "télétravail", and full remote over the partial mentions.
+ */
+const MODE_PATTERNS = [
+    ['onsite', [
+        /pas (?:de |possible de )?t[eé]l[eé]travail/,
+        /t[eé]l[eé]travail (?:n'est )?(?:pas|non) (?:possible|autoris[eé]|pr[eé]vu)/,
+        /(?:uniquement|exclusivement|100 ?%) (?:sur site|en pr[eé]sentiel)/,
+        /(?:sur site|en pr[eé]sentiel) (?:uniquement|exclusivement)/,
+        /geen (?:mogelijkheid tot )?thuiswerk/,
+        /thuiswerk (?:is )?niet mogelijk/,
+        /(?:no|not) remote/,
+        /(?:fully|100 ?%) on[- ]?site/,
+        /on[- ]?site only/
+    ]],
+    ['remote', [
+        /100 ?% (?:en )?t[eé]l[eé]travail/,
+        /t[eé]l[eé]travail (?:complet|total|int[eé]gral|[aà] 100 ?%)/,
+        /(?:enti[eè]rement|totalement|100 ?%) [aà] distance/,
+        /full[- ]?remote/,
+        /fully remote/,
+        /100 ?% remote/,
+        /remote[- ]first/,
+        /(?:volledig|100 ?%) (?:van )?thuis(?:werk|uit)/,
+        /volledig remote/
+    ]],
+    ['hybrid', [
+        /(?:travail|mode|mod[eè]le|formule|r[eé]gime|organisation) (?:de travail )?hybride/,
+        /en hybride/,
+        /hybride? (?:work|werk|werken|working|model|role)/,
+        /t[eé]l[eé]travail/,
+        /travail [aà] domicile/,
+        /\d (?:jours?|j) (?:de |en )?(?:t[eé]l[eé]travail|remote|[aà] domicile)/,
+        /thuiswerk/,
+        /thuis werken/,
+        /\d dag(?:en)? (?:per week )?(?:thuis|remote)/,
+        /\bremote\b/,
+        /work(?:ing)? from home/,
+        /home[- ]?office/
+    ]]
+];
+
+/** Detected work modes, by job record */
+const workModeCache = new WeakMap();
+
+/**
+ * Normalizes a text for matching: lowercase, single spaces, typographic apostrophes replaced.
+ * @param {string} text - The text
+ * @returns {string} Normalized text
+ */
+function normalize(text) {
+    return (text || '').toLowerCase().replace(/[’`]/g, "'").replace(/\s+/g, ' ');
+}
+
+/**
+ * Detects the work mode of an offer from its title and description.
+ * @param {Object} job - The job record
+ * @returns {Object|null} { mode: 'remote'|'hybrid'|'onsite', signal } with the matched phrase,
+ *   or null when the offer says nothing about it
+ */
+export function detectWorkMode(job) {
+    if (!job) return null;
+    if (workModeCache.has(job)) return workModeCache.get(job);
+
+    const text = normalize([job.titreoffre, job.descriptionoffre, job.competencesrequises].filter(Boolean).join('\n'));
+    let detected = null;
+    for (const [mode, patterns] of MODE_PATTERNS) {
+        const match = patterns.map(pattern => text.match(pattern)).find(Boolean);
+        if (match) {
+            detected = { mode, signal: match[0] };
+            break;
+        }
+    }
+
+    workModeCache.set(job, detected);
+    return detected;
+}
+
+/**
+ * Gets the sort rank of an offer (see WORK_MODES).
+ * @param {Object} job - The job record
+ * @returns {number} Rank, higher is more remote
+ */
+export function getWorkModeRank(job) {
+    const detected = detectWorkMode(job);
+    return detected ? WORK_MODES[detected.mode].rank : UNKNOWN_RANK;
+}
+
+/**
+ * Checks an offer against the work mode filter.
+ * @param {Object} job - The job record
+ * @param {string} filter - '' (all), 'possible' (remote or hybrid), 'remote', 'hybrid' or 'onsite'
+ * @returns {boolean} True if the offer passes the filter
+ */
+export function matchesWorkModeFilter(job, filter) {
+    if (!filter) return true;
+    const mode = detectWorkMode(job)?.mode;
+    if (filter === 'possible') return mode === 'remote' || mode === 'hybrid';
+    return mode === filter;
+}
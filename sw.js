@@ -0,0 +1,37 @@
+/**
+ * Service Worker
+ * Checks saved searches on periodic background sync (where supported)
+ * and notifies about new offers. Registered as a module worker by saved-search-polling.js.
+ */
+import { WATCH_SYNC_TAG, runWatchCycle, buildNewOffersNotification } from './js/search-watch.js';
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag !== WATCH_SYNC_TAG) return;
+
+    event.waitUntil((async () => {
+        const results = await runWatchCycle();
+        for (const { entry, newIds, unnotifiedIds } of results) {
+            if (!unnotifiedIds.length) continue;
+            const { title, options } = buildNewOffersNotification(entry, newIds.length);
+            await self.registration.showNotification(title, options);
+        }
+    })());
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data?.url || 'index.html', self.registration.scope).href;
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const existing = windows.find(client => client.url.startsWith(self.registration.scope));
+        if (existing) {
+            await existing.navigate(url);
+            return existing.focus();
+        }
+        return self.clients.openWindow(url);
+    })());
+});